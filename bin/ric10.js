@@ -22,6 +22,7 @@ ric10 - ReScript to IC10 compiler
 
 Usage:
   ric10 <file.res> [backend]    Compile ReScript to IC10/WASM
+        [--bounds-checks]       Check array indices at runtime
   ric10 init <project-name>     Create new IC10 project
   ric10 --help                  Show this help
   ric10 --version               Show version
@@ -30,6 +31,11 @@ Backends:
   ic10 - IC10 assembly (default)
   wasm - WebAssembly text format
 
+Modules:
+  Other .res files next to <file.res>, or in the directories rescript.json
+  builds (with subdirectories when "subdirs": true), are modules of the same
+  project: helpers.res can be used with \`open Helpers\` or \`Helpers.fn(...)\`
+
 Examples:
   ric10 furnace.res
   ric10 furnace.res wasm
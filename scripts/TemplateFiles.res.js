@@ -14,9 +14,9 @@ function readme(projectName) {
   return "# " + projectName + "\n\nIC10 assembly project using ReScript\n\n## Quick Start\n\n1. Install dependencies:\n   ```bash\n   npm install\n   ```\n\n2. Compile Example.res to IC10:\n   ```bash\n   ric10 src/Example.res\n   # Creates src/Example.ic10\n   ```\n\n3. Watch mode (auto-compile on changes):\n   ```bash\n   npm run dev\n   ```\n\n## Project Structure\n\n- `src/IC10.res` - IC10 bindings (device functions)\n- `src/Example.res` - Example code (edit this!)\n- `rescript.json` - ReScript compiler config\n\n## Available IC10 Functions\n\n- `device(ref)` - Create device reference\n- `l(device, property)` - Load from device\n- `s(device, property, value)` - Store to device\n- `lb/lbn` - Batch load operations\n- `sb/sbn` - Batch store operations\n- `hash(string)` - Generate hash constant\n\n## IC10 Property Constants\n\nUse `Property.temperature`, `Property.pressure`, `Property.on`, etc.\n\nSee `src/IC10.res` for full API documentation.\n\n## Resources\n\n- [Stationeers IC10 Documentation](https://stationeers-wiki.com/IC10)\n- [ReScript Documentation](https://rescript-lang.org)\n";
 }
 
-var ic10Bindings = "// IC10.res - ReScript bindings for IC10 assembly instructions\n// These are stub implementations that exist purely for type checking.\n// The actual compiler recognizes these function names and generates IC10 assembly instead.\n\n// Device references (d0-d5, db)\ntype device = int\n\n// Bulk operation modes for lb/lbn operations\nmodule Mode = {\n  // String constants for bulk operations\n  let maximum = \"Maximum\"\n  let minimum = \"Minimum\"\n  let average = \"Average\"\n  let sum = \"Sum\"\n}\n\n// Device reference - creates a device reference from a device string\n// Examples:\n//   let furnace = device(\"d0\")   // Device pin 0\n//   let pump = device(\"d1\")      // Device pin 1\n//   let housing = device(\"db\")   // Database device\n//   let sensor = device(\"d2\")    // Device pin 2\n//\n// Use descriptive variable names for better code clarity:\n//   let mainFurnace = device(\"d0\")\n//   let backupFurnace = device(\"d1\")\n//   let tempSensor = device(\"d2\")\nlet device = (_deviceRef: string): device => {\n  0\n}\n\n// Load operations - read from devices\n// l r0 d0 Temperature\nlet l = (_device: device, _property: string): int => {\n  0\n}\n\n// lb r0 typeHash Temperature Maximum\n// typeHash should be a variable from hash(\"StructureTank\")\nlet lb = (_typeHash: string, _property: string, _mode: string): int => {\n  0\n}\n\n// lbn r0 typeHash nameHash Property Mode\n// typeHash and nameHash should be variables from hash()\nlet lbn = (_typeHash: string, _nameHash: string, _property: string, _mode: string): int => {\n  0\n}\n\n// Store operations - write to devices\n// s d0 Setting 1\nlet s = (_device: device, _property: string, _value: int): unit => {\n  () // Stub - never executed\n}\n\n// sb typeHash Setting 1\n// typeHash should be a variable from hash(\"StructureTank\")\nlet sb = (_typeHash: string, _property: string, _value: int): unit => {\n  ()\n}\n\n// sbn typeHash nameHash Property Value\n// typeHash and nameHash should be variables from hash()\nlet sbn = (_typeHash: string, _nameHash: string, _property: string, _value: int): unit => {\n  ()\n}\n\n// hash(\"StructureTank\") -> defines a hash constant\n// Usage: let typeHash = hash(\"StructureTank\")\nlet hash = (_string: string): string => {\n  \"\" // Returns the variable name (compiler recognizes this)\n}\n\n// Common IC10 properties for convenience and documentation\nmodule Property = {\n  // Environmental\n  let temperature = \"Temperature\"\n  let pressure = \"Pressure\"\n  let volume = \"Volume\"\n\n  // Power\n  let setting = \"Setting\"\n  let on = \"On\"\n  let power = \"Power\"\n  let mode = \"Mode\"\n\n  // Logic\n  let activate = \"Activate\"\n  let open_ = \"Open\" // 'open' is reserved keyword\n  let lock = \"Lock\"\n}\n";
+var ic10Bindings = "// IC10.res - ReScript bindings for IC10 assembly instructions\n// These are stub implementations that exist purely for type checking.\n// The actual compiler recognizes these function names and generates IC10 assembly instead.\n\n// Device references (d0-d5, db)\ntype device = int\n\n// Bulk operation modes for lb/lbn operations\nmodule Mode = {\n  // String constants for bulk operations\n  let maximum = \"Maximum\"\n  let minimum = \"Minimum\"\n  let average = \"Average\"\n  let sum = \"Sum\"\n}\n\n// Device reference - creates a device reference from a device string\n// Examples:\n//   let furnace = device(\"d0\")   // Device pin 0\n//   let pump = device(\"d1\")      // Device pin 1\n//   let housing = device(\"db\")   // Database device\n//   let sensor = device(\"d2\")    // Device pin 2\n//\n// Use descriptive variable names for better code clarity:\n//   let mainFurnace = device(\"d0\")\n//   let backupFurnace = device(\"d1\")\n//   let tempSensor = device(\"d2\")\nlet device = (_deviceRef: string): device => {\n  0\n}\n\n// Load operations - read from devices\n// l r0 d0 Temperature\nlet l = (_device: device, _property: string): int => {\n  0\n}\n\n// lb r0 typeHash Temperature Maximum\n// typeHash should be a variable from hash(\"StructureTank\")\nlet lb = (_typeHash: string, _property: string, _mode: string): int => {\n  0\n}\n\n// lbn r0 typeHash nameHash Property Mode\n// typeHash and nameHash should be variables from hash()\nlet lbn = (_typeHash: string, _nameHash: string, _property: string, _mode: string): int => {\n  0\n}\n\n// Store operations - write to devices\n// s d0 Setting 1\nlet s = (_device: device, _property: string, _value: int): unit => {\n  () // Stub - never executed\n}\n\n// sb typeHash Setting 1\n// typeHash should be a variable from hash(\"StructureTank\")\nlet sb = (_typeHash: string, _property: string, _value: int): unit => {\n  ()\n}\n\n// sbn typeHash nameHash Property Value\n// typeHash and nameHash should be variables from hash()\nlet sbn = (_typeHash: string, _nameHash: string, _property: string, _value: int): unit => {\n  ()\n}\n\n// hash(\"StructureTank\") -> defines a hash constant\n// Usage: let typeHash = hash(\"StructureTank\")\nlet hash = (_string: string): string => {\n  \"\" // Returns the variable name (compiler recognizes this)\n}\n\n// Math operations - each compiles to the IC10 instruction of the same name\n// Angles are in radians; log is the natural logarithm\n// abs r0 r1\nlet abs = (_value: int): int => 0\n\n// floor/ceil/round/trunc r0 r1 - a whole number from any value\nlet floor = (_value: float): int => 0\nlet ceil = (_value: float): int => 0\nlet round = (_value: float): int => 0\nlet trunc = (_value: float): int => 0\n\n// sqrt, exp, log and trigonometry return fractions\nlet sqrt = (_value: float): float => 0.\nlet exp = (_value: float): float => 0.\nlet log = (_value: float): float => 0.\nlet sin = (_angle: float): float => 0.\nlet cos = (_angle: float): float => 0.\nlet tan = (_angle: float): float => 0.\nlet asin = (_value: float): float => 0.\nlet acos = (_value: float): float => 0.\nlet atan = (_value: float): float => 0.\n\n// atan2 r0 y x\nlet atan2 = (_y: float, _x: float): float => 0.\n\n// min r0 a b, max r0 a b\nlet min = (_a: int, _b: int): int => 0\nlet max = (_a: int, _b: int): int => 0\n\n// mod r0 a b - never negative when b is positive\nlet mod = (_a: int, _b: int): int => 0\n\n// and/or/xor r0 a b, not r0 a - on the 64-bit integer value of each operand\nlet land = (_a: int, _b: int): int => 0\nlet lor = (_a: int, _b: int): int => 0\nlet lxor = (_a: int, _b: int): int => 0\nlet lnot = (_a: int): int => 0\n\n// sll/srl/sra r0 a n - shift left, right filling with zeros, right keeping the sign\nlet lsl = (_a: int, _n: int): int => 0\nlet lsr = (_a: int, _n: int): int => 0\nlet asr = (_a: int, _n: int): int => 0\n\n// rand r0 - a random number from 0 up to (not including) 1\nlet rand = (): float => 0.\n\n// yield - wait for the next game tick; devices may have changed when it returns\nlet yield = (): unit => ()\n\n// sleep seconds - wait for a number of seconds\nlet sleep = (_seconds: int): unit => ()\n\n// Common IC10 properties for convenience and documentation\nmodule Property = {\n  // Environmental\n  let temperature = \"Temperature\"\n  let pressure = \"Pressure\"\n  let volume = \"Volume\"\n\n  // Power\n  let setting = \"Setting\"\n  let on = \"On\"\n  let power = \"Power\"\n  let mode = \"Mode\"\n\n  // Logic\n  let activate = \"Activate\"\n  let open_ = \"Open\" // 'open' is reserved keyword\n  let lock = \"Lock\"\n}\n";
 
-var exampleCode = "let furnace = device(\"d0\")\nlet sensor = device(\"d1\")\n\nwhile true {\n  let temp = l(sensor, \"Temperature\")\n\n  if temp < 500 {\n    s(furnace, \"On\", 1)\n  } else {\n    s(furnace, \"On\", 0)\n  }\n\n  %raw(\"yield\")\n}\n";
+var exampleCode = "let furnace = device(\"d0\")\nlet sensor = device(\"d1\")\n\nwhile true {\n  let temp = l(sensor, \"Temperature\")\n\n  if temp < 500 {\n    s(furnace, \"On\", 1)\n  } else {\n    s(furnace, \"On\", 0)\n  }\n\n  yield()\n}\n";
 
 var gitignore = "node_modules/\nlib/\n*.js\n*.js.map\n!.gitkeep\n";
 
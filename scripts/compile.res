@@ -3,14 +3,111 @@ external argv: array<string> = "argv"
 
 @module("fs") external readFileSync: (string, string) => string = "readFileSync"
 @module("fs") external writeFileSync: (string, string, string) => unit = "writeFileSync"
+@module("fs") external readdirSync: string => array<string> = "readdirSync"
+@module("fs") external existsSync: string => bool = "existsSync"
+@module("path") external dirname: string => string = "dirname"
+@module("path") external basename: string => string = "basename"
+@module("path") external join: (string, string) => string = "join"
+@module("path") external resolve: string => string = "resolve"
+@module("path") external relative: (string, string) => string = "relative"
+@scope("process") @val external cwd: unit => string = "cwd"
+
+type dirent = {name: string}
+@send external isDirectory: dirent => bool = "isDirectory"
+@module("fs")
+external readEntries: (string, @as(json`{"withFileTypes": true}`) _) => array<dirent> =
+  "readdirSync"
+
+// A directory and every directory below it
+let rec withSubdirs = (dir: string): array<string> => {
+  let subdirs =
+    readEntries(dir)
+    ->Array.filter(entry => isDirectory(entry) && entry.name != "node_modules")
+    ->Array.flatMap(entry => withSubdirs(join(dir, entry.name)))
+  Array.concat([dir], subdirs)
+}
+
+// The directories one `sources` entry of rescript.json builds: "src", {"dir": "src"},
+// {"dir": "src", "subdirs": true} or {"dir": "src", "subdirs": [...nested entries]}
+let rec sourceDirs = (root: string, source: JSON.t): array<string> => {
+  switch source {
+  | String(dir) => [join(root, dir)]
+  | Array(sources) => sources->Array.flatMap(source => sourceDirs(root, source))
+  | Object(entry) =>
+    switch entry->Dict.get("dir") {
+    | Some(String(dir)) =>
+      let dir = join(root, dir)
+      switch entry->Dict.get("subdirs") {
+      | Some(Boolean(true)) => withSubdirs(dir)
+      | Some(Array(_) as nested) => Array.concat([dir], sourceDirs(dir, nested))
+      | _ => [dir]
+      }
+    | _ => []
+    }
+  | _ => []
+  }
+}
+
+// The nearest directory at or above `dir` that holds a rescript.json
+let rec projectRoot = (dir: string): option<string> => {
+  if existsSync(join(dir, "rescript.json")) {
+    Some(dir)
+  } else {
+    let parent = dirname(dir)
+    parent == dir ? None : projectRoot(parent)
+  }
+}
+
+// Other .res files of the project are its modules, named like ReScript names them:
+// helpers.res is module Helpers. Like ReScript, the compiler looks in every directory the
+// nearest rescript.json builds (subdirectories included with "subdirs": true), and always
+// in the source's own directory. Every .res file found there is read up front; the compiler
+// then parses only the modules the program refers to
+let projectModules = (src: string): Dict.t<CodegenTypes.moduleFile> => {
+  let dir = resolve(dirname(src))
+  let configured = switch projectRoot(dir) {
+  | Some(root) =>
+    switch JSON.parseExn(readFileSync(join(root, "rescript.json"), "utf8")) {
+    | Object(config) =>
+      config->Dict.get("sources")->Option.mapOr([], sources => sourceDirs(root, sources))
+    | _ => []
+    | exception _ => []
+    }
+  | None => []
+  }
+  let modules = Dict.make()
+  Array.concat([dir], configured)
+  ->Array.filter(existsSync)
+  ->Array.forEach(dir => {
+    readdirSync(dir)
+    ->Array.filter(file => file->String.endsWith(".res") && join(dir, file) != resolve(src))
+    ->Array.forEach(file => {
+      let name = file->String.slice(~start=0, ~end=String.length(file) - 4)
+      let moduleName =
+        name->String.charAt(0)->String.toUpperCase ++ name->String.sliceToEnd(~start=1)
+      let filename = relative(cwd(), join(dir, file))
+      // The first directory with the name wins, starting with the source's own
+      if modules->Dict.get(moduleName)->Option.isNone {
+        modules->Dict.set(
+          moduleName,
+          {CodegenTypes.filename, source: readFileSync(filename, "utf8")},
+        )
+      }
+    })
+  })
+  modules
+}
 
 // Compile a ReScript file to the specified backend format
-let compileFile = (src: string, dest: string, backend: CodegenTypes.backend) => {
+let compileFile = (src: string, dest: string, backend: CodegenTypes.backend, ~boundsChecks: bool) => {
   let content = readFileSync(src, "utf8")
   let options: CodegenTypes.compilerOptions = {
     includeComments: false,
     debugAST: false,
     backend: backend,
+    filename: src,
+    boundsChecks,
+    modules: projectModules(src),
   }
 
   switch Compiler.compile(content, ~options, ()) {
@@ -47,19 +144,24 @@ let parseBackend = (arg: string): option<CodegenTypes.backend> => {
   }
 }
 
+// Flags may appear anywhere after the script name
+let args = argv->Array.sliceToEnd(~start=2)
+let boundsChecks = args->Array.includes("--bounds-checks")
+let positional = args->Array.filter(arg => !(arg->String.startsWith("--")))
+
 // Main CLI logic
-switch (argv[2], argv[3]) {
+switch (positional[0], positional[1]) {
 // Two arguments: source file and backend
 | (Some(src), Some(backendArg)) =>
   switch parseBackend(backendArg) {
   | Some(backend) => {
       let dest = generateDestPath(src, backend)
       Console.log(`Compiling: ${src} -> ${dest} (backend: ${backendArg})`)
-      compileFile(src, dest, backend)
+      compileFile(src, dest, backend, ~boundsChecks)
     }
   | None => {
       Console.log(`Error: Unknown backend '${backendArg}'`)
-      Console.log(`Usage: node scripts/compile.res.js <source.res> [ic10|wasm]`)
+      Console.log(`Usage: node scripts/compile.res.js <source.res> [ic10|wasm] [--bounds-checks]`)
       Console.log(`  ic10 - Compile to IC10 assembly (.ic10)`)
       Console.log(`  wasm - Compile to WebAssembly text format (.wat)`)
     }
@@ -70,17 +172,20 @@ switch (argv[2], argv[3]) {
     let backend = CodegenTypes.IC10
     let dest = generateDestPath(src, backend)
     Console.log(`Compiling: ${src} -> ${dest} (backend: ic10)`)
-    compileFile(src, dest, backend)
+    compileFile(src, dest, backend, ~boundsChecks)
   }
 
 // No arguments: show usage
 | _ => {
-    Console.log(`Usage: node scripts/compile.res.js <source.res> [backend]`)
+    Console.log(`Usage: node scripts/compile.res.js <source.res> [backend] [--bounds-checks]`)
     Console.log(``)
     Console.log(`Arguments:`)
     Console.log(`  source.res - ReScript source file to compile`)
     Console.log(`  backend    - Target backend (optional, default: ic10)`)
     Console.log(``)
+    Console.log(`Options:`)
+    Console.log(`  --bounds-checks - Check array indices at runtime (hcf when out of bounds)`)
+    Console.log(``)
     Console.log(`Backends:`)
     Console.log(`  ic10 - IC10 assembly language (default) -> .ic10`)
     Console.log(`  wasm - WebAssembly text format         -> .wat`)
@@ -89,5 +194,9 @@ switch (argv[2], argv[3]) {
     Console.log(`  node scripts/compile.res.js src/basic.res`)
     Console.log(`  node scripts/compile.res.js src/basic.res ic10`)
     Console.log(`  node scripts/compile.res.js src/basic.res wasm`)
+    Console.log(``)
+    Console.log(`Modules:`)
+    Console.log(`  Other .res files in the source's directory or in the directories rescript.json builds`)
+    Console.log(`  can be used with open Helpers or Helpers.fn`)
   }
 }
@@ -2,14 +2,151 @@
 'use strict';
 
 var Fs = require("fs");
+var Path = require("path");
 var Compiler = require("../src/compiler/Compiler.res.js");
+var Core__Option = require("@rescript/core/src/Core__Option.res.js");
 
-function compileFile(src, dest, backend) {
+function withSubdirs(dir) {
+  var subdirs = Fs.readdirSync(dir, {"withFileTypes": true}).filter(function (entry) {
+          if (entry.isDirectory()) {
+            return entry.name !== "node_modules";
+          } else {
+            return false;
+          }
+        }).flatMap(function (entry) {
+        return withSubdirs(Path.join(dir, entry.name));
+      });
+  return [dir].concat(subdirs);
+}
+
+function sourceDirs(root, source) {
+  if (!Array.isArray(source) && (source === null || typeof source !== "object") && typeof source !== "number" && typeof source !== "string" && typeof source !== "boolean") {
+    return [];
+  }
+  if (Array.isArray(source)) {
+    return source.flatMap(function (source) {
+                return sourceDirs(root, source);
+              });
+  }
+  switch (typeof source) {
+    case "string" :
+        return [Path.join(root, source)];
+    case "object" :
+        var match = source["dir"];
+        if (match === undefined) {
+          return [];
+        }
+        if (!Array.isArray(match) && (match === null || typeof match !== "object") && typeof match !== "number" && typeof match !== "string" && typeof match !== "boolean") {
+          return [];
+        }
+        if (typeof match !== "string") {
+          return [];
+        }
+        var dir = Path.join(root, match);
+        var nested = source["subdirs"];
+        if (nested === undefined) {
+          return [dir];
+        }
+        if (!Array.isArray(nested) && (nested === null || typeof nested !== "object") && typeof nested !== "number" && typeof nested !== "string" && typeof nested !== "boolean") {
+          return [dir];
+        }
+        if (Array.isArray(nested)) {
+          return [dir].concat(sourceDirs(dir, nested));
+        }
+        switch (typeof nested) {
+          case "boolean" :
+              if (nested) {
+                return withSubdirs(dir);
+              } else {
+                return [dir];
+              }
+          default:
+            return [dir];
+        }
+    default:
+      return [];
+  }
+}
+
+function projectRoot(_dir) {
+  while(true) {
+    var dir = _dir;
+    if (Fs.existsSync(Path.join(dir, "rescript.json"))) {
+      return dir;
+    }
+    var parent = Path.dirname(dir);
+    if (parent === dir) {
+      return ;
+    }
+    _dir = parent;
+    continue ;
+  };
+}
+
+function projectModules(src) {
+  var dir = Path.resolve(Path.dirname(src));
+  var root = projectRoot(dir);
+  var configured;
+  if (root !== undefined) {
+    var exit = 0;
+    var config;
+    try {
+      config = JSON.parse(Fs.readFileSync(Path.join(root, "rescript.json"), "utf8"));
+      exit = 1;
+    }
+    catch (exn){
+      configured = [];
+    }
+    if (exit === 1) {
+      configured = !Array.isArray(config) && (config === null || typeof config !== "object") && typeof config !== "number" && typeof config !== "string" && typeof config !== "boolean" ? [] : (
+          typeof config === "object" && !Array.isArray(config) ? Core__Option.mapOr(config["sources"], [], (function (sources) {
+                    return sourceDirs(root, sources);
+                  })) : []
+        );
+    }
+    
+  } else {
+    configured = [];
+  }
+  var modules = {};
+  [dir].concat(configured).filter(function (prim) {
+          return Fs.existsSync(prim);
+        }).forEach(function (dir) {
+        Fs.readdirSync(dir).filter(function (file) {
+                if (file.endsWith(".res")) {
+                  return Path.join(dir, file) !== Path.resolve(src);
+                } else {
+                  return false;
+                }
+              }).forEach(function (file) {
+              var name = file.slice(0, file.length - 4 | 0);
+              var moduleName = name.charAt(0).toUpperCase() + name.slice(1);
+              var filename = Path.relative(process.cwd(), Path.join(dir, file));
+              if (Core__Option.isNone(modules[moduleName])) {
+                modules[moduleName] = {
+                  filename: filename,
+                  source: Fs.readFileSync(filename, "utf8")
+                };
+                return ;
+              }
+              
+            });
+      });
+  return modules;
+}
+
+function compileFile(src, dest, backend, boundsChecks) {
   var content = Fs.readFileSync(src, "utf8");
+  var options_filename = src;
+  var options_boundsChecks = boundsChecks;
+  var options_modules = projectModules(src);
   var options = {
     debugAST: false,
     includeComments: false,
-    backend: backend
+    backend: backend,
+    filename: options_filename,
+    boundsChecks: options_boundsChecks,
+    modules: options_modules
   };
   var code = Compiler.compile(content, options, undefined);
   if (code.TAG === "Ok") {
@@ -42,9 +179,17 @@ function parseBackend(arg) {
   }
 }
 
-var match = process.argv[2];
+var args = process.argv.slice(2);
+
+var boundsChecks = args.includes("--bounds-checks");
+
+var positional = args.filter(function (arg) {
+      return !arg.startsWith("--");
+    });
 
-var match$1 = process.argv[3];
+var match = positional[0];
+
+var match$1 = positional[1];
 
 if (match !== undefined) {
   if (match$1 !== undefined) {
@@ -52,25 +197,28 @@ if (match !== undefined) {
     if (backend !== undefined) {
       var dest = generateDestPath(match, backend);
       console.log("Compiling: " + match + " -> " + dest + " (backend: " + match$1 + ")");
-      compileFile(match, dest, backend);
+      compileFile(match, dest, backend, boundsChecks);
     } else {
       console.log("Error: Unknown backend '" + match$1 + "'");
-      console.log("Usage: node scripts/compile.res.js <source.res> [ic10|wasm]");
+      console.log("Usage: node scripts/compile.res.js <source.res> [ic10|wasm] [--bounds-checks]");
       console.log("  ic10 - Compile to IC10 assembly (.ic10)");
       console.log("  wasm - Compile to WebAssembly text format (.wat)");
     }
   } else {
     var dest$1 = generateDestPath(match, "IC10");
     console.log("Compiling: " + match + " -> " + dest$1 + " (backend: ic10)");
-    compileFile(match, dest$1, "IC10");
+    compileFile(match, dest$1, "IC10", boundsChecks);
   }
 } else {
-  console.log("Usage: node scripts/compile.res.js <source.res> [backend]");
+  console.log("Usage: node scripts/compile.res.js <source.res> [backend] [--bounds-checks]");
   console.log("");
   console.log("Arguments:");
   console.log("  source.res - ReScript source file to compile");
   console.log("  backend    - Target backend (optional, default: ic10)");
   console.log("");
+  console.log("Options:");
+  console.log("  --bounds-checks - Check array indices at runtime (hcf when out of bounds)");
+  console.log("");
   console.log("Backends:");
   console.log("  ic10 - IC10 assembly language (default) -> .ic10");
   console.log("  wasm - WebAssembly text format         -> .wat");
@@ -79,9 +227,20 @@ if (match !== undefined) {
   console.log("  node scripts/compile.res.js src/basic.res");
   console.log("  node scripts/compile.res.js src/basic.res ic10");
   console.log("  node scripts/compile.res.js src/basic.res wasm");
+  console.log("");
+  console.log("Modules:");
+  console.log("  Other .res files in the source's directory or in the directories rescript.json builds");
+  console.log("  can be used with open Helpers or Helpers.fn");
 }
 
+exports.withSubdirs = withSubdirs;
+exports.sourceDirs = sourceDirs;
+exports.projectRoot = projectRoot;
+exports.projectModules = projectModules;
 exports.compileFile = compileFile;
 exports.generateDestPath = generateDestPath;
 exports.parseBackend = parseBackend;
-/* match Not a pure module */
+exports.args = args;
+exports.boundsChecks = boundsChecks;
+exports.positional = positional;
+/* args Not a pure module */
@@ -17,15 +17,23 @@ while true {
   switch atmState.contents {
   | Day =>
     switch state.contents {
-    | Idle(t, p) =>
+    | Idle(_, _) =>
       if fTemp < 1000 {
         state := Fill(tankTemp, atmTemp)
       } else {
         state := Purge(tankTemp, atmTemp)
       }
+    | Fill(_, _) =>
+      if tankPress >= confPress {
+        state := Idle(tankTemp, tankPress)
+      }
+    | Purge(_, _) =>
+      if fTemp < confTemp {
+        state := Idle(tankTemp, tankPress)
+      }
     }
   | Night => state := Fill(tankTemp, atmTemp)
   | Storm => state := Purge(tankTemp, atmTemp)
   }
-  %raw("yield")
+  yield()
 }
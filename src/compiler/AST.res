@@ -10,6 +10,21 @@ type binaryOp =
   | Gt // >
   | Lt // <
   | Eq // ==
+  | Ge // >=
+  | Le // <=
+  | Ne // !=
+  | And // &&
+  | Or // ||
+
+// Unary operators
+type unaryOp =
+  | Neg // -
+  | Not // !
+
+// Direction of a for loop
+type forDirection =
+  | UpTo // for i in start to end
+  | DownTo // for i in start downto end
 
 // Variant constructor definition (in type declarations)
 type variantConstructor = {
@@ -17,26 +32,47 @@ type variantConstructor = {
   argCount: int, // number of arguments (0, 1, 2, ...)
 }
 
+// Record field definition (in type declarations)
+type recordField = {
+  name: string,
+  typeName: string, // declared type of the field (int, float, ...)
+}
+
 // AST node types (mutually recursive)
 type rec astNode =
   | VariableDeclaration(string, expr) // let x = expr
-  | FunctionDeclaration(string, blockStatement) // let name = () => { body }
+  | FunctionDeclaration(string, array<string>, blockStatement, bool) // let [rec] name = (a, b) => { body }, isRecursive
   | BinaryExpression(binaryOp, expr, expr) // expr op expr
-  | Literal(int) // integer literal
+  | UnaryExpression(unaryOp, expr) // op expr
+  | Literal(float) // number literal (IC10 registers hold doubles)
   | LiteralBool(bool) // boolean literal (for while true)
   | LiteralStr(string) // string literal (for IC10 property names)
   | Identifier(string) // variable name
   | FunctionCall(string, array<argument>) // functionName(arg1, arg2, ...)
   | IfStatement(expr, blockStatement, option<blockStatement>) // if (expr) { stmts } else { stmts }
   | WhileLoop(expr, blockStatement) // while expr { stmts }
+  | ForLoop(string, expr, expr, forDirection, blockStatement) // for i in start to/downto end { stmts }
+  | Break // break - leave the enclosing loop
+  | Continue // continue - start the enclosing loop's next iteration
   | BlockStatement(blockStatement) // { stmt1; stmt2; ... }
   | TypeDeclaration(string, array<variantConstructor>) // type name = Constructor1 | Constructor2(arg1, arg2, ...)
+  | RecordTypeDeclaration(string, array<recordField>) // type name = {field1: int, field2: float}
+  | RecordLiteral(option<expr>, array<(string, expr)>) // {field1: expr, ...} or {...base, field1: expr}
+  | FieldAccess(expr, string) // expr.field
+  | TupleLiteral(array<expr>) // (expr1, expr2, ...)
+  | TupleDeclaration(array<string>, expr) // let (a, b) = expr
+  | ArrayLiteral(array<expr>) // [expr1, expr2, ...]
+  | ArrayMake(expr, expr) // Array.make(length, value)
+  | ArrayAccess(expr, expr) // array[index]
+  | ArrayAssignment(string, expr, expr) // name[index] = expr
   | VariantConstructor(string, array<expr>) // Constructor(expr1, expr2, ...) or Constructor
   | SwitchExpression(expr, array<matchCase>) // switch expr { | Pattern1 => body1 | Pattern2 => body2 }
   | RefCreation(expr) // ref(expr)
   | RefAccess(string) // identifier.contents
   | RefAssignment(string, expr) // identifier := expr
   | RawInstruction(string) // %raw("instruction") - raw IC10 assembly
+  | OpenModule(string) // open ModuleName
+  | Located(Span.t, astNode) // statement annotated with its source span
 
 and expr = astNode
 
@@ -51,11 +87,19 @@ and argument =
   | ArgDevice(string) // Device identifier (d0-d5, db) - for IC10 device references
   | ArgMode(string) // Mode argument (Maximum, Minimum, Average, Sum) - for bulk operations
 
+// Pattern in a switch case
+and pattern =
+  | ConstructorPattern(string, array<string>) // Constructor or Constructor(a, b), binding its arguments
+  | NumberPattern(float) // 0, -1
+  | WildcardPattern // _
+  | OrPattern(array<pattern>) // p1 | p2
+
 // Match case for pattern matching (must be after blockStatement is defined)
 and matchCase = {
-  constructorName: string,
-  argumentBindings: array<string>, // variable names for arguments (empty array if no args)
+  pattern: pattern,
+  guard: option<expr>, // `when condition`: the case only matches if it holds
   body: blockStatement, // code to execute for this case
+  span: Span.t, // the whole case, from its '|' to the end of its body
 }
 
 // Program is a list of statements
@@ -66,15 +110,24 @@ let createVariableDeclaration = (name: string, value: expr): astNode => {
   VariableDeclaration(name, value)
 }
 
-let createFunctionDeclaration = (name: string, body: blockStatement): astNode => {
-  FunctionDeclaration(name, body)
+let createFunctionDeclaration = (
+  name: string,
+  params: array<string>,
+  body: blockStatement,
+  isRecursive: bool,
+): astNode => {
+  FunctionDeclaration(name, params, body, isRecursive)
 }
 
 let createBinaryExpression = (op: binaryOp, left: expr, right: expr): astNode => {
   BinaryExpression(op, left, right)
 }
 
-let createLiteral = (value: int): astNode => {
+let createUnaryExpression = (op: unaryOp, operand: expr): astNode => {
+  UnaryExpression(op, operand)
+}
+
+let createLiteral = (value: float): astNode => {
   Literal(value)
 }
 
@@ -94,6 +147,16 @@ let createWhileLoop = (condition: expr, body: blockStatement): astNode => {
   WhileLoop(condition, body)
 }
 
+let createForLoop = (
+  variable: string,
+  start: expr,
+  finish: expr,
+  direction: forDirection,
+  body: blockStatement,
+): astNode => {
+  ForLoop(variable, start, finish, direction, body)
+}
+
 let createBlockStatement = (statements: array<astNode>): astNode => {
   BlockStatement(statements)
 }
@@ -102,6 +165,42 @@ let createTypeDeclaration = (name: string, constructors: array<variantConstructo
   TypeDeclaration(name, constructors)
 }
 
+let createRecordTypeDeclaration = (name: string, fields: array<recordField>): astNode => {
+  RecordTypeDeclaration(name, fields)
+}
+
+let createRecordLiteral = (base: option<expr>, fields: array<(string, expr)>): astNode => {
+  RecordLiteral(base, fields)
+}
+
+let createFieldAccess = (record: expr, field: string): astNode => {
+  FieldAccess(record, field)
+}
+
+let createTupleLiteral = (elements: array<expr>): astNode => {
+  TupleLiteral(elements)
+}
+
+let createTupleDeclaration = (names: array<string>, value: expr): astNode => {
+  TupleDeclaration(names, value)
+}
+
+let createArrayLiteral = (elements: array<expr>): astNode => {
+  ArrayLiteral(elements)
+}
+
+let createArrayMake = (length: expr, value: expr): astNode => {
+  ArrayMake(length, value)
+}
+
+let createArrayAccess = (array: expr, index: expr): astNode => {
+  ArrayAccess(array, index)
+}
+
+let createArrayAssignment = (name: string, index: expr, value: expr): astNode => {
+  ArrayAssignment(name, index, value)
+}
+
 let createVariantConstructor = (name: string, arguments: array<expr>): astNode => {
   VariantConstructor(name, arguments)
 }
@@ -134,6 +233,14 @@ let createFunctionCall = (name: string, args: array<argument>): astNode => {
   FunctionCall(name, args)
 }
 
+let createOpenModule = (name: string): astNode => {
+  OpenModule(name)
+}
+
+let createLocated = (span: Span.t, node: astNode): astNode => {
+  Located(span, node)
+}
+
 // Helper: Convert binary operator to string
 let binaryOpToString = (op: binaryOp): string => {
   switch op {
@@ -144,5 +251,69 @@ let binaryOpToString = (op: binaryOp): string => {
   | Gt => ">"
   | Lt => "<"
   | Eq => "=="
+  | Ge => ">="
+  | Le => "<="
+  | Ne => "!="
+  | And => "&&"
+  | Or => "||"
+  }
+}
+
+// Helper: Convert unary operator to string
+let unaryOpToString = (op: unaryOp): string => {
+  switch op {
+  | Neg => "-"
+  | Not => "!"
+  }
+}
+
+// Child nodes of an AST node (argument expressions, block statements, case guards and bodies)
+let children = (node: astNode): array<astNode> => {
+  switch node {
+  | VariableDeclaration(_, value) => [value]
+  | FunctionDeclaration(_, _, body, _) => body
+  | BinaryExpression(_, left, right) => [left, right]
+  | UnaryExpression(_, operand) => [operand]
+  | FunctionCall(_, args) =>
+    args->Array.filterMap(arg =>
+      switch arg {
+      | ArgExpr(expr) => Some(expr)
+      | _ => None
+      }
+    )
+  | IfStatement(condition, thenBlock, elseBlock) =>
+    Array.concatMany([condition], [thenBlock, elseBlock->Option.getOr([])])
+  | WhileLoop(condition, body) => Array.concat([condition], body)
+  | ForLoop(_, start, end, _, body) => Array.concat([start, end], body)
+  | BlockStatement(block) => block
+  | VariantConstructor(_, args) => args
+  | SwitchExpression(scrutinee, cases) =>
+    Array.concat(
+      [scrutinee],
+      cases->Array.flatMap(matchCase =>
+        Array.concat(matchCase.guard->Option.mapOr([], guard => [guard]), matchCase.body)
+      ),
+    )
+  | RecordLiteral(base, fields) =>
+    Array.concat(base->Option.mapOr([], base => [base]), fields->Array.map(((_, value)) => value))
+  | FieldAccess(record, _) => [record]
+  | TupleLiteral(elements) | ArrayLiteral(elements) => elements
+  | TupleDeclaration(_, value) => [value]
+  | ArrayMake(length, value) => [length, value]
+  | ArrayAccess(array, index) => [array, index]
+  | ArrayAssignment(_, index, value) => [index, value]
+  | RefCreation(value) | RefAssignment(_, value) => [value]
+  | Located(_, inner) => [inner]
+  | Literal(_)
+  | LiteralBool(_)
+  | LiteralStr(_)
+  | Identifier(_)
+  | Break
+  | Continue
+  | TypeDeclaration(_, _)
+  | RecordTypeDeclaration(_, _)
+  | RefAccess(_)
+  | RawInstruction(_)
+  | OpenModule(_) => []
   }
 }
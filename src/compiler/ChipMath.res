@@ -0,0 +1,49 @@
+// Integer arithmetic as the IC10 chip computes it, for the IR constant folder
+// Each operation is None when the compiler cannot match the chip's result exactly
+
+// A constant as the 64-bit integer the chip's bitwise instructions work on
+// None unless it is a whole number a double holds exactly (up to 2^53 - 1)
+let toInteger = (value: float): option<bigint> => {
+  if Math.trunc(value) == value && Math.abs(value) <= 9007199254740991. {
+    Some(BigInt.fromFloat(value))
+  } else {
+    None
+  }
+}
+
+// Bitwise operation on two constants, wrapped to 64 bits like the chip's registers
+let bitwise = (left: float, right: float, operation: (bigint, bigint) => bigint): option<float> => {
+  switch (toInteger(left), toInteger(right)) {
+  | (Some(left), Some(right)) =>
+    Some(operation(left, right)->BigInt.asIntN(~width=64)->BigInt.toFloat)
+  | _ => None
+  }
+}
+
+// Remainder, never negative when the divisor is positive; mod by zero is left to the chip
+let modulo = (left: float, right: float): option<float> => {
+  if right == 0. {
+    None
+  } else {
+    let remainder = Float.mod(left, right)
+    Some(remainder < 0. ? remainder +. right : remainder)
+  }
+}
+
+let land = (left: float, right: float): option<float> => bitwise(left, right, BigInt.land)
+let lor = (left: float, right: float): option<float> => bitwise(left, right, BigInt.lor)
+let lxor = (left: float, right: float): option<float> => bitwise(left, right, BigInt.lxor)
+
+// Shifts; counts outside 0-63 are left to the chip
+let shift = (value: float, count: float, operation: (bigint, bigint) => bigint): option<float> => {
+  count < 0. || count > 63. ? None : bitwise(value, count, operation)
+}
+
+let lsl = (value: float, count: float): option<float> => shift(value, count, BigInt.lsl)
+let lsr = (value: float, count: float): option<float> =>
+  shift(value, count, (value, count) => BigInt.asUintN(value, ~width=64)->BigInt.asr(count))
+let asr = (value: float, count: float): option<float> => shift(value, count, BigInt.asr)
+
+let lnot = (value: float): option<float> => {
+  toInteger(value)->Option.map(value => BigInt.lnot(value)->BigInt.toFloat)
+}
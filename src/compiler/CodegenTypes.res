@@ -4,8 +4,17 @@ type backend =
   | IC10  // Default: IC10 assembly
   | WASM  // WebAssembly text format
 
+// Source of another module of the project
+type moduleFile = {
+  filename: string, // shown in error messages, e.g. src/helpers.res
+  source: string,
+}
+
 type compilerOptions = {
   debugAST: bool,
   includeComments: bool,
   backend: backend,
+  filename?: string, // Source file name shown in error messages
+  boundsChecks?: bool, // Check array indices at runtime, halting the chip (hcf) when one is out of bounds
+  modules?: Dict.t<moduleFile>, // Other modules of the project by module name, e.g. Helpers → helpers.res
 }
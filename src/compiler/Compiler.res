@@ -14,12 +14,48 @@ let compile = (source: string, ~options: option<CodegenTypes.compilerOptions>=?,
   | None => defaultOptions
   }
 
-  // Standard compilation pipeline: Lex -> Parse -> AST Optimize -> IR -> IR Optimize -> Backend
+  let filename = compilerOptions.filename->Option.getOr("<input>")
+
+  // Other modules of the project, parsed when the program refers to them
+  let modules = compilerOptions.modules->Option.getOr(Dict.make())
+  let loadModule = moduleName => {
+    modules
+    ->Dict.get(moduleName)
+    ->Option.map(file => file.source->Lexer.tokenize->Result.flatMap(Parser.parse))
+  }
+
+  // Diagnostics inside another module are shown with that module's file and source
+  let formatWith = (diagnostic: Diagnostic.t, format) => {
+    let file =
+      diagnostic.span
+      ->Option.flatMap(span => span.file)
+      ->Option.flatMap(moduleName => modules->Dict.get(moduleName))
+    switch file {
+    | Some(file) => format(diagnostic, ~source=file.source, ~filename=file.filename)
+    | None => format(diagnostic, ~source, ~filename)
+    }
+  }
+
+  // Standard compilation pipeline: Lex -> Parse -> Link modules -> Switch checks -> AST Optimize -> IR -> IR Optimize -> Backend
   source
   ->Lexer.tokenize
   ->Result.flatMap(Parser.parse)
+  ->Result.flatMap(program => Modules.link(program, ~load=loadModule))
+  ->Result.flatMap(program => {
+    // Missing switch cases are errors; unreachable ones only warn
+    SwitchCheck.check(program)->Result.map(warnings => {
+      warnings->Array.forEach(
+        warning => {
+          Console.warn(formatWith(warning, Diagnostic.formatWarning))
+        },
+      )
+      program
+    })
+  })
   ->Result.map(Optimizer.optimizeProgram)
-  ->Result.flatMap(IRGen.generate)
+  ->Result.flatMap(program => {
+    IRGen.generate(program, ~boundsChecks=compilerOptions.boundsChecks->Option.getOr(false))
+  })
   ->Result.map(ir => {
     Console.log("=== IR (Before Optimization) ===")
     Console.log(IRPrint.print(ir))
@@ -35,11 +71,25 @@ let compile = (source: string, ~options: option<CodegenTypes.compilerOptions>=?,
     // Select backend based on compiler options
     switch compilerOptions.backend {
     | IC10 =>
-      Console.log("\n=== Generating IC10 Assembly ===")
-      IRToIC10.generate(ir)
+      Spilling.spill(ir)->Result.flatMap(ir => {
+        // Unbounded recursion and stack overflow are errors; recursion limits only warn
+        StackDepth.check(ir)->Result.flatMap(
+          warnings => {
+            warnings->Array.forEach(
+              warning => {
+                Console.warn(formatWith(warning, Diagnostic.formatWarning))
+              },
+            )
+            Console.log("\n=== Generating IC10 Assembly ===")
+            IRToIC10.generate(ir)
+          },
+        )
+      })
     | WASM =>
       Console.log("\n=== Generating WebAssembly ===")
       IRToWASM.generate(ir)
     }
   })
+  // Errors carry a source span; render them with file, line, column and a code frame
+  ->Result.mapError(diagnostic => formatWith(diagnostic, Diagnostic.format))
 }
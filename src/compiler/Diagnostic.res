@@ -0,0 +1,81 @@
+// Compiler diagnostics: an error message with an optional source span
+// Phases return result<_, Diagnostic.t>; Compiler formats them for the user
+
+type t = {
+  message: string,
+  span: option<Span.t>,
+}
+
+// Create a diagnostic, optionally pointing at a source span
+let make = (~span: option<Span.t>=?, message: string): t => {
+  {message, span}
+}
+
+// Shorthand for returning a diagnostic without a span from a phase
+let error = (message: string): result<'a, t> => {
+  Error(make(message))
+}
+
+// Shorthand for returning a diagnostic at a known span
+let errorAt = (span: Span.t, message: string): result<'a, t> => {
+  Error(make(~span, message))
+}
+
+// Attach a span unless the diagnostic already has a (more precise) one
+let withSpan = (diagnostic: t, span: Span.t): t => {
+  switch diagnostic.span {
+  | Some(_) => diagnostic
+  | None => {...diagnostic, span: Some(span)}
+  }
+}
+
+// Prefix the message, keeping the span (used for "[Module][fn]<-" error chains)
+let prefix = (diagnostic: t, text: string): t => {
+  {...diagnostic, message: text ++ diagnostic.message}
+}
+
+// Render the source lines around a span with a caret underline
+// Shows one line of context before and after the offending line
+let codeFrame = (source: string, span: Span.t): string => {
+  let lines = String.split(source, "\n")
+  let lineCount = Array.length(lines)
+  let firstLine = Math.Int.max(1, span.line - 1)
+  let lastLine = Math.Int.min(lineCount, span.line + 1)
+  let gutterWidth = String.length(Int.toString(lastLine))
+
+  let frame = []
+  for lineNumber in firstLine to lastLine {
+    let text = lines[lineNumber - 1]->Option.getOr("")
+    let number = String.padStart(Int.toString(lineNumber), gutterWidth, " ")
+    let marker = lineNumber == span.line ? ">" : " "
+    frame->Array.push(`${marker} ${number} | ${text}`)
+
+    if lineNumber == span.line {
+      // Underline to the end of the span, or to the end of the line for multi-line spans
+      let underlineEnd = if span.endLine == span.line {
+        span.endColumn
+      } else {
+        String.length(text) + 1
+      }
+      let width = Math.Int.max(1, underlineEnd - span.column)
+      let padding = String.repeat(" ", gutterWidth)
+      let indent = String.repeat(" ", span.column - 1)
+      frame->Array.push(`  ${padding} | ${indent}${String.repeat("^", width)}`)
+    }
+  }
+  Array.join(frame, "\n")
+}
+
+// Format a diagnostic as "file:line:column: message" followed by a code frame
+let format = (diagnostic: t, ~source: string, ~filename: string): string => {
+  switch diagnostic.span {
+  | Some(span) =>
+    `${filename}:${Span.toString(span)}: ${diagnostic.message}\n${codeFrame(source, span)}`
+  | None => `${filename}: ${diagnostic.message}`
+  }
+}
+
+// Format a diagnostic that does not stop compilation ("file:line:column: warning: message")
+let formatWarning = (diagnostic: t, ~source: string, ~filename: string): string => {
+  format({...diagnostic, message: "warning: " ++ diagnostic.message}, ~source, ~filename)
+}
@@ -71,6 +71,58 @@ let hash = (_string: string): string => {
   "" // Returns the variable name (compiler recognizes this)
 }
 
+// Math operations - each compiles to the IC10 instruction of the same name
+// Angles are in radians; log is the natural logarithm
+// abs r0 r1
+let abs = (_value: int): int => 0
+
+// floor/ceil/round/trunc r0 r1 - a whole number from any value
+let floor = (_value: float): int => 0
+let ceil = (_value: float): int => 0
+let round = (_value: float): int => 0
+let trunc = (_value: float): int => 0
+
+// sqrt, exp, log and trigonometry return fractions
+let sqrt = (_value: float): float => 0.
+let exp = (_value: float): float => 0.
+let log = (_value: float): float => 0.
+let sin = (_angle: float): float => 0.
+let cos = (_angle: float): float => 0.
+let tan = (_angle: float): float => 0.
+let asin = (_value: float): float => 0.
+let acos = (_value: float): float => 0.
+let atan = (_value: float): float => 0.
+
+// atan2 r0 y x
+let atan2 = (_y: float, _x: float): float => 0.
+
+// min r0 a b, max r0 a b
+let min = (_a: int, _b: int): int => 0
+let max = (_a: int, _b: int): int => 0
+
+// mod r0 a b - never negative when b is positive
+let mod = (_a: int, _b: int): int => 0
+
+// and/or/xor r0 a b, not r0 a - on the 64-bit integer value of each operand
+let land = (_a: int, _b: int): int => 0
+let lor = (_a: int, _b: int): int => 0
+let lxor = (_a: int, _b: int): int => 0
+let lnot = (_a: int): int => 0
+
+// sll/srl/sra r0 a n - shift left, right filling with zeros, right keeping the sign
+let lsl = (_a: int, _n: int): int => 0
+let lsr = (_a: int, _n: int): int => 0
+let asr = (_a: int, _n: int): int => 0
+
+// rand r0 - a random number from 0 up to (not including) 1
+let rand = (): float => 0.
+
+// yield - wait for the next game tick; devices may have changed when it returns
+let yield = (): unit => ()
+
+// sleep seconds - wait for a number of seconds
+let sleep = (_seconds: int): unit => ()
+
 // Common IC10 properties for convenience and documentation
 module Property = {
   // Environmental
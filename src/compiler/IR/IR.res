@@ -2,7 +2,7 @@ type vreg = int
 
 type operand =
   | VReg(vreg)
-  | Num(int)
+  | Num(float)
   | Name(string)  // Reference to a defined constant (e.g., "a" in "move r0 a")
   | Hash(string)  // Inline hash value (e.g., HASH("StructureTank"))
 
@@ -17,6 +17,16 @@ type binOp =
   | SubOp
   | MulOp
   | DivOp
+  | AndOp // bitwise and (land), also used on 0/1 flags for &&
+  | OrOp // bitwise or (lor), also used on 0/1 flags for ||
+  | XorOp // bitwise xor (lxor)
+  | SllOp // shift left (lsl)
+  | SrlOp // logical shift right, filling with zeros (lsr)
+  | SraOp // arithmetic shift right, keeping the sign (asr)
+  | MinOp
+  | MaxOp
+  | ModOp // IC10 mod: a remainder that is never negative when the divisor is positive
+  | Atan2Op // angle of the point (right, left), in radians
 
 type compareOp =
   | GtOp
@@ -26,10 +36,27 @@ type compareOp =
   | LeOp
   | NeOp
 
-type unOp = Abs
+// Operations on one operand: the math builtins and bitwise not
+// Angles are in radians, log is the natural logarithm
+type unOp =
+  | Abs
+  | Floor
+  | Ceil
+  | Round
+  | Trunc
+  | Sqrt
+  | Exp
+  | Log
+  | Sin
+  | Cos
+  | Tan
+  | Asin
+  | Acos
+  | Atan
+  | Not // bitwise not (lnot)
 
 type instr =
-  | DefInt(string, int)
+  | DefNum(string, float)
   | DefHash(string, string)
   | Move(vreg, operand)
   | DeviceLoad(vreg, device, string, option<string>) // dest, device, property, bulk_option?
@@ -37,21 +64,31 @@ type instr =
   | Unary(vreg, unOp, operand)
   | Binary(vreg, binOp, operand, operand)
   | Compare(vreg, compareOp, operand, operand)
+  | Select(vreg, operand, operand, operand) // dest = condition != 0 ? a : b
+  | Rand(vreg) // random number from 0 up to (not including) 1
   | Goto(string)
   | Label(string)
   | Bnez(operand, string)
-  | Call(string) // jal label - jump and link (stores return address in ra/r17)
-  | Return // j ra - return from function call
+  | Beqz(operand, string)
+  | Call(string, array<operand>, option<vreg>) // call function with arguments, storing its result in vreg
+  | Return(option<operand>) // return from function call, optionally with a result
   // Stack operations for variant support
   | StackAlloc(int) // Reserve N stack slots (emit N × push 0)
-  | StackPoke(int, operand) // poke address value (write to stack without changing sp)
-  | StackGet(vreg, int) // get vreg db address (read from stack without changing sp)
+  | StackPoke(operand, operand) // poke address value (write to stack without changing sp)
+  | StackGet(vreg, operand) // get vreg db address (read from stack without changing sp)
   | StackPush(operand) // push value (write and increment sp)
+  // Tick boundaries: the chip stops and device values may change before the next instruction
+  | Yield // wait for the next game tick
+  | Sleep(operand) // wait for a number of seconds
   // Raw IC10 assembly
-  | RawInstruction(string) // Emit raw IC10 assembly directly (e.g., yield)
+  | RawInstruction(string) // Emit raw IC10 assembly directly
+  // Source tracking
+  | SourceSpan(Span.t) // Source span of the statement that produced the following instructions
 
 type block = {
   name: string,
+  params: array<vreg>, // function parameters in declaration order (empty for main)
+  returnsValue: bool, // whether the function's Return carries a result
   instructions: list<instr>,
 }
 
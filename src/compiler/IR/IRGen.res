@@ -1,23 +1,76 @@
 // IR Generation - Convert AST to IR
 // Phase 1: Simple expressions and variables only
 
+// A variant value held in registers: its type, tag and argument slots
+// Every constructor shares the payload slots; unused ones hold 0
+type variantValue = {
+  typeName: string,
+  tag: IR.operand,
+  payload: array<IR.operand>, // maxArgs slots
+}
+
+// A record value held in registers: its type and one operand per field, in declaration order
+type recordValue = {
+  typeName: string,
+  fields: array<IR.operand>,
+}
+
+// Where the arguments of a matched variant are read from
+type payloadSource =
+  | Segment(int) // a variant ref's stack segment (address of its tag)
+  | Registers(array<IR.operand>) // the payload slots of a variant value
+
+// A fixed-length array: the stack segment holding its elements, one slot each
+type arrayInfo = {
+  baseAddr: int, // Stack address of element 0
+  length: int,
+}
+
 // Variable info: vreg and whether it's a ref
 type varInfo = {
   vreg: int,
   isRef: bool,
+  variant?: variantValue, // set when the variable holds a variant value; it is read through this, not vreg
+  record?: recordValue, // set when the variable holds a record value, likewise
+  array?: arrayInfo, // set when the variable names an array; its elements live on the stack
 }
 
 // Variant type metadata
 type variantTypeInfo = {
   constructors: array<AST.variantConstructor>,
-  baseAddr: int, // Stack base address for this type
   maxArgs: int, // Maximum arguments across all constructors
-  allocated: bool, // Whether a ref has been created for this type
+  slotCount: int, // Stack slots for one value: 1 (tag) + constructors * maxArgs
 }
 
+// A value kept in a stack segment (a variant or record ref, or a function's result)
+type segment = {
+  typeName: string,
+  baseAddr: int, // Stack address of the first slot: a variant's tag (arguments follow) or a record's first field
+}
+
+// The type of a value that does not fit in one register
+type valueType =
+  | VariantType(string)
+  | RecordType(string)
+
 // Stack allocator state
 type stackAllocator = {nextFreeSlot: int}
 
+// Function metadata
+type functionInfo = {
+  arity: int, // Number of parameters
+  returnsValue: bool, // Whether the body ends in an expression whose value is returned
+  paramTypes: array<option<valueType>>, // Type of each parameter, if it takes a variant or a record
+  variantResult: option<segment>, // Stack segment the function leaves its variant result in
+  recordResult: option<segment>, // Stack segment the function leaves its record result in
+}
+
+// Jump targets of the innermost enclosing loop
+type loopLabels = {
+  continueLabel: string, // Where `continue` jumps: the condition check, or the step of a for loop
+  breakLabel: string, // Where `break` jumps: just after the loop
+}
+
 // State for IR generation
 type state = {
   nextVReg: int, // Counter for virtual register allocation
@@ -27,15 +80,23 @@ type state = {
   // Variant type support
   variantTypes: Belt.Map.String.t<variantTypeInfo>, // typeName → type metadata
   variantTags: Belt.Map.String.t<int>, // constructorName → tag
-  refToTypeName: Belt.Map.String.t<string>, // refName → typeName
+  variantRefs: Belt.Map.String.t<segment>, // refName → type and stack segment
+  // Record type support
+  recordTypes: Belt.Map.String.t<array<string>>, // typeName → field names, in declaration order
+  fieldOwners: Belt.Map.String.t<string>, // fieldName → the last declared record type with that field
+  recordRefs: Belt.Map.String.t<segment>, // refName → type and stack segment
   stackAllocator: stackAllocator, // Stack memory allocator
   // Device tracking
   deviceMap: Belt.Map.String.t<string>, // variableName → device ref (e.g., "furnace" → "d0", "housing" → "db")
   // Constants tracking
   constants: Belt.Set.String.t, // Set of variable names that are constants (use Name operand)
   // Function tracking
-  functions: Belt.Set.String.t, // Set of declared function names
+  functions: Belt.Map.String.t<functionInfo>, // Declared function name → function metadata
   functionBlocks: list<IR.block>, // Accumulated function blocks (separate from main)
+  // Loop tracking
+  loops: list<loopLabels>, // Enclosing loops, innermost first
+  recursiveFunction: option<string>, // The `let rec` function whose body is being generated
+  boundsChecks: bool, // Check array indices only known at runtime, halting the chip when out of bounds
 }
 
 // Create initial state
@@ -46,12 +107,18 @@ let createState = (): state => {
   varMap: Belt.Map.String.empty,
   variantTypes: Belt.Map.String.empty,
   variantTags: Belt.Map.String.empty,
-  refToTypeName: Belt.Map.String.empty,
+  variantRefs: Belt.Map.String.empty,
+  recordTypes: Belt.Map.String.empty,
+  fieldOwners: Belt.Map.String.empty,
+  recordRefs: Belt.Map.String.empty,
   stackAllocator: {nextFreeSlot: 0},
   deviceMap: Belt.Map.String.empty,
   constants: Belt.Set.String.empty,
-  functions: Belt.Set.String.empty,
+  functions: Belt.Map.String.empty,
   functionBlocks: list{},
+  loops: list{},
+  recursiveFunction: None,
+  boundsChecks: false,
 }
 
 // Allocate a new virtual register
@@ -61,6 +128,12 @@ let allocVReg = (state: state): (state, IR.vreg) => {
   (newState, vreg)
 }
 
+// Allocate a fresh control-flow label
+let allocLabel = (state: state): (state, string) => {
+  let label = `label${Int.toString(state.nextLabel)}`
+  ({...state, nextLabel: state.nextLabel + 1}, label)
+}
+
 // Emit an instruction
 let emit = (state: state, instr: IR.instr): state => {
   {...state, instructions: list{instr, ...state.instructions}}
@@ -73,6 +146,19 @@ let allocateStackSegment = (allocator: stackAllocator, slotCount: int): (stackAl
   (newAllocator, baseAddr)
 }
 
+// Reject a local that needs a stack segment inside a recursive function
+// A segment has one fixed address, so every level of the recursion would share it and a
+// recursive call would overwrite the caller's copy
+let checkSegmentLocal = (state: state, description: string): result<unit, Diagnostic.t> => {
+  switch state.recursiveFunction {
+  | Some(functionName) =>
+    Diagnostic.error(
+      `${description} cannot be declared in recursive function '${functionName}': every call of '${functionName}' would share its stack slots`,
+    )
+  | None => Ok()
+  }
+}
+
 // Get variant type name from constructor name
 let getTypeNameFromConstructor = (state: state, constructorName: string): option<string> => {
   Belt.Map.String.findFirstBy(state.variantTypes, (_typeName, typeInfo) => {
@@ -91,42 +177,531 @@ let getMaxArgsForVariantType = (constructors: array<AST.variantConstructor>): in
   })
 }
 
+// Stack address of argument `index` of the constructor with `tag`
+// Every constructor has its own argument slots after the tag: baseAddr + 1 + tag * maxArgs + index
+let argumentAddress = (typeInfo: variantTypeInfo, baseAddr: int, tag: int, index: int): int => {
+  baseAddr + tag * typeInfo.maxArgs + 1 + index
+}
+
+// Operand addressing a fixed stack slot
+let stackSlot = (address: int): IR.operand => IR.Num(Int.toFloat(address))
+
 // Convert AST binary operator to IR binary operator
-let convertBinOp = (op: AST.binaryOp): result<IR.binOp, string> => {
+let convertBinOp = (op: AST.binaryOp): result<IR.binOp, Diagnostic.t> => {
   switch op {
   | Add => Ok(IR.AddOp)
   | Sub => Ok(IR.SubOp)
   | Mul => Ok(IR.MulOp)
   | Div => Ok(IR.DivOp)
-  | Lt | Gt | Eq =>
-    Error("[IRGen.res][convertArithOp]: comparison operators should use convertCompareOp")
+  | Lt | Gt | Eq | Ge | Le | Ne =>
+    Diagnostic.error("[IRGen.res][convertArithOp]: comparison operators should use convertCompareOp")
+  | And | Or => Diagnostic.error("[IRGen.res][convertArithOp]: logical operators are generated separately")
+  }
+}
+
+// Math builtins: abs(x), min(a, b), land(flags, 4), rand(), ... each map to one IR instruction
+type mathBuiltin =
+  | MathUnary(IR.unOp)
+  | MathBinary(IR.binOp)
+  | MathRandom
+  | MathConvert // Int.toFloat: the register already holds the value
+
+let mathBuiltin = (name: string): option<mathBuiltin> => {
+  switch name {
+  | "abs" => Some(MathUnary(Abs))
+  | "floor" => Some(MathUnary(Floor))
+  | "ceil" => Some(MathUnary(Ceil))
+  | "round" => Some(MathUnary(Round))
+  | "trunc" => Some(MathUnary(Trunc))
+  | "sqrt" => Some(MathUnary(Sqrt))
+  | "exp" => Some(MathUnary(Exp))
+  | "log" => Some(MathUnary(Log))
+  | "sin" => Some(MathUnary(Sin))
+  | "cos" => Some(MathUnary(Cos))
+  | "tan" => Some(MathUnary(Tan))
+  | "asin" => Some(MathUnary(Asin))
+  | "acos" => Some(MathUnary(Acos))
+  | "atan" => Some(MathUnary(Atan))
+  | "atan2" => Some(MathBinary(Atan2Op))
+  | "min" => Some(MathBinary(MinOp))
+  | "max" => Some(MathBinary(MaxOp))
+  | "mod" => Some(MathBinary(ModOp))
+  | "land" => Some(MathBinary(AndOp))
+  | "lor" => Some(MathBinary(OrOp))
+  | "lxor" => Some(MathBinary(XorOp))
+  | "lnot" => Some(MathUnary(Not))
+  | "lsl" => Some(MathBinary(SllOp))
+  | "lsr" => Some(MathBinary(SrlOp))
+  | "asr" => Some(MathBinary(SraOp))
+  | "rand" => Some(MathRandom)
+  | "Int.toFloat" => Some(MathConvert)
+  | "Float.toInt" => Some(MathUnary(Trunc))
+  | _ => None
+  }
+}
+
+// Value of a math builtin call on constants, like sqrt(16) or max(2, abs(-3))
+let rec mathConstant = (state: state, expr: AST.expr): option<float> => {
+  switch expr {
+  | Literal(value) => Some(value)
+  | VariantConstructor(name, args) if !Belt.Map.String.has(state.functions, name) =>
+    let values = args->Array.filterMap(arg => mathConstant(state, arg))
+    switch (mathBuiltin(name), values) {
+    | _ if Array.length(values) != Array.length(args) => None
+    | (Some(MathUnary(op)), [value]) => IROptimizer.evaluateUnary(op, value)
+    | (Some(MathBinary(op)), [left, right]) => IROptimizer.evaluateBinary(op, left, right)
+    | (Some(MathConvert), [value]) => Some(value)
+    | _ => None
+    }
+  | _ => None
   }
 }
 
 // Convert AST comparison operator to IR comparison operator (normal)
-let normalCompareOp = (op: AST.binaryOp): result<IR.compareOp, string> => {
+let normalCompareOp = (op: AST.binaryOp): result<IR.compareOp, Diagnostic.t> => {
   switch op {
   | Lt => Ok(IR.LtOp)
   | Gt => Ok(IR.GtOp)
   | Eq => Ok(IR.EqOp)
-  | _ => Error("[IRGen.res][normalCompareOp]: not a comparison operator")
+  | Ge => Ok(IR.GeOp)
+  | Le => Ok(IR.LeOp)
+  | Ne => Ok(IR.NeOp)
+  | _ => Diagnostic.error("[IRGen.res][normalCompareOp]: not a comparison operator")
   }
 }
 
 // Invert comparison operator for if-only statements
 // Used when we want to skip the then-block if condition is FALSE
-let invertCompareOp = (op: AST.binaryOp): result<IR.compareOp, string> => {
+let invertCompareOp = (op: AST.binaryOp): result<IR.compareOp, Diagnostic.t> => {
   switch op {
   | Lt => Ok(IR.GeOp) // NOT(a < b) is (a >= b)
   | Gt => Ok(IR.LeOp) // NOT(a > b) is (a <= b)
   | Eq => Ok(IR.NeOp) // NOT(a == b) is (a != b)
-  | _ => Error("[IRGen.res][invertCompareOp]: not a comparison operator")
+  | Ge => Ok(IR.LtOp) // NOT(a >= b) is (a < b)
+  | Le => Ok(IR.GtOp) // NOT(a <= b) is (a > b)
+  | Ne => Ok(IR.EqOp) // NOT(a != b) is (a == b)
+  | _ => Diagnostic.error("[IRGen.res][invertCompareOp]: not a comparison operator")
+  }
+}
+
+// Whether a loop body contains `break` (or `continue`) for that loop
+// Statements inside nested loops and functions belong to those, not to this loop
+let rec loopBodyUses = (body: AST.blockStatement, target: AST.astNode): bool => {
+  body->Array.some(stmt => {
+    switch stmt {
+    | Break | Continue => stmt == target
+    | Located(_, inner) => loopBodyUses([inner], target)
+    | BlockStatement(block) => loopBodyUses(block, target)
+    | IfStatement(_, thenBlock, elseBlock) =>
+      loopBodyUses(thenBlock, target) || elseBlock->Option.mapOr(false, block => loopBodyUses(block, target))
+    | SwitchExpression(_, cases) => cases->Array.some(matchCase => loopBodyUses(matchCase.body, target))
+    | _ => false
+    }
+  })
+}
+
+// Whether an expression statement produces a value
+// Used to decide if the last statement of a function body (or if-expression arm) is its result
+let rec producesValue = (state: state, expr: AST.expr): bool => {
+  switch expr {
+  | Literal(_)
+  | Identifier(_)
+  | BinaryExpression(_, _, _)
+  | UnaryExpression(_, _)
+  | RefAccess(_)
+  | RecordLiteral(_, _)
+  | TupleLiteral(_)
+  | FieldAccess(_, _)
+  | ArrayAccess(_, _) => true
+  | FunctionCall(name, _) => name == "l" || name == "lb" || name == "lbn"
+  | VariantConstructor(name, _) =>
+    switch state.functions->Belt.Map.String.get(name) {
+    | Some(info) =>
+      info.returnsValue || Option.isSome(info.variantResult) || Option.isSome(info.recordResult)
+    | None =>
+      getTypeNameFromConstructor(state, name)->Option.isSome || mathBuiltin(name)->Option.isSome
+    }
+  | Located(_, inner) => producesValue(state, inner)
+  // An if-else (or block) is a value when every arm ends in one
+  | IfStatement(_, thenBlock, Some(elseBlock)) =>
+    blockProducesValue(state, thenBlock) && blockProducesValue(state, elseBlock)
+  | BlockStatement(block) => blockProducesValue(state, block)
+  | SwitchExpression(_, cases) =>
+    cases->Array.every(matchCase => blockProducesValue(state, matchCase.body))
+  | _ => false
+  }
+}
+
+and blockProducesValue = (state: state, block: AST.blockStatement): bool => {
+  block[Array.length(block) - 1]->Option.mapOr(false, last => producesValue(state, last))
+}
+
+// The value of a single-value if-expression arm, when it is cheap and safe to evaluate
+// unconditionally (so both arms can feed a `select`)
+let rec selectArm = (block: AST.blockStatement): option<AST.expr> => {
+  switch block {
+  | [Located(_, expr)] => selectArm([expr])
+  | [(Literal(_) | Identifier(_) | RefAccess(_)) as expr] => Some(expr)
+  | _ => None
+  }
+}
+
+// Whether evaluating an expression has no effect and cannot fail:
+// literals, variables, ref reads and operators over them
+let rec isPure = (expr: AST.expr): bool => {
+  switch expr {
+  | Literal(_) | LiteralBool(_) | Identifier(_) | RefAccess(_) => true
+  | BinaryExpression(_, left, right) => isPure(left) && isPure(right)
+  | UnaryExpression(_, operand) => isPure(operand)
+  | Located(_, inner) => isPure(inner)
+  | _ => false
+  }
+}
+
+// An expression without its source span
+let rec unlocated = (expr: AST.expr): AST.expr => {
+  switch expr {
+  | Located(_, inner) => unlocated(inner)
+  | _ => expr
+  }
+}
+
+// The variant type of an expression's value, or None for a number
+let rec variantTypeOf = (state: state, expr: AST.expr): option<string> => {
+  switch expr {
+  | Located(_, inner) => variantTypeOf(state, inner)
+  | Identifier(name) =>
+    switch state.varMap->Belt.Map.String.get(name) {
+    | Some(varInfo) => varInfo.variant->Option.map(value => value.typeName)
+    | None => getTypeNameFromConstructor(state, name)
+    }
+  | VariantConstructor(name, _) =>
+    switch state.functions->Belt.Map.String.get(name) {
+    | Some(info) => info.variantResult->Option.map(result => result.typeName)
+    | None => getTypeNameFromConstructor(state, name)
+    }
+  | RefAccess(name) => state.variantRefs->Belt.Map.String.get(name)->Option.map(ref => ref.typeName)
+  | IfStatement(_, thenBlock, Some(elseBlock)) =>
+    blockVariantType(state, thenBlock)->Option.orElse(blockVariantType(state, elseBlock))
+  | SwitchExpression(_, cases) => cases->Array.findMap(matchCase => blockVariantType(state, matchCase.body))
+  | BlockStatement(block) => blockVariantType(state, block)
+  | _ => None
+  }
+}
+
+and blockVariantType = (state: state, block: AST.blockStatement): option<string> => {
+  block[Array.length(block) - 1]->Option.flatMap(last => variantTypeOf(state, last))
+}
+
+// A tuple is handled as a record whose fields are named by position ("0", "1", ...)
+// Its type is named by its arity, like ReScript prints it: (int, int)
+let tupleTypeName = (arity: int): string => {
+  `(${Array.make(~length=arity, "int")->Array.join(", ")})`
+}
+
+let isTupleType = (typeName: string): bool => typeName->String.startsWith("(")
+
+// What a record type is called in messages
+let recordKind = (typeName: string): string => isTupleType(typeName) ? "tuple" : "record"
+
+// Field names of a record type, in declaration order
+let recordFields = (state: state, typeName: string): option<array<string>> => {
+  if isTupleType(typeName) {
+    let arity = typeName->String.split(",")->Array.length
+    Some(Array.fromInitializer(~length=arity, index => Int.toString(index)))
+  } else {
+    state.recordTypes->Belt.Map.String.get(typeName)
+  }
+}
+
+// The record type a literal with these fields builds, like ReScript: a type that has all of them,
+// preferring the last declared owner of one of its fields
+// Falls back to the owner of the first field, so a field no type shares is reported against it
+let literalRecordType = (state: state, fields: array<(string, AST.expr)>): option<string> => {
+  let names = fields->Array.map(((field, _)) => field)
+  let hasAll = typeName => {
+    let typeFields = state.recordTypes->Belt.Map.String.get(typeName)->Option.getOr([])
+    names->Array.every(name => typeFields->Array.includes(name))
+  }
+  let firstOwner = names[0]->Option.flatMap(name => state.fieldOwners->Belt.Map.String.get(name))
+  firstOwner->Option.map(firstOwner => {
+    names
+    ->Array.filterMap(name => state.fieldOwners->Belt.Map.String.get(name))
+    ->Array.find(hasAll)
+    ->Option.orElse(
+      state.recordTypes
+      ->Belt.Map.String.findFirstBy((typeName, _) => hasAll(typeName))
+      ->Option.map(((typeName, _)) => typeName),
+    )
+    ->Option.getOr(firstOwner)
+  })
+}
+
+// The record type of an expression's value, or None when it is not a record
+// A literal has the type of the record it spreads, or else the type that has all of its fields
+let rec recordTypeOf = (state: state, expr: AST.expr): option<string> => {
+  switch expr {
+  | Located(_, inner) => recordTypeOf(state, inner)
+  | Identifier(name) =>
+    state.varMap->Belt.Map.String.get(name)->Option.flatMap(varInfo => varInfo.record)->Option.map(value => value.typeName)
+  | VariantConstructor(name, _) =>
+    state.functions->Belt.Map.String.get(name)->Option.flatMap(info => info.recordResult)->Option.map(result => result.typeName)
+  | RefAccess(name) => state.recordRefs->Belt.Map.String.get(name)->Option.map(ref => ref.typeName)
+  | RecordLiteral(Some(base), _) => recordTypeOf(state, base)
+  | RecordLiteral(None, fields) => literalRecordType(state, fields)
+  | TupleLiteral(elements) => Some(tupleTypeName(Array.length(elements)))
+  | IfStatement(_, thenBlock, Some(elseBlock)) =>
+    blockRecordType(state, thenBlock)->Option.orElse(blockRecordType(state, elseBlock))
+  | SwitchExpression(_, cases) => cases->Array.findMap(matchCase => blockRecordType(state, matchCase.body))
+  | BlockStatement(block) => blockRecordType(state, block)
+  | _ => None
+  }
+}
+
+and blockRecordType = (state: state, block: AST.blockStatement): option<string> => {
+  block[Array.length(block) - 1]->Option.flatMap(last => recordTypeOf(state, last))
+}
+
+// Index of `field` in record type `typeName`
+let fieldIndex = (state: state, typeName: string, field: string): result<int, Diagnostic.t> => {
+  let fields = recordFields(state, typeName)->Option.getOr([])
+  switch fields->Array.indexOf(field) {
+  | _ if isTupleType(typeName) =>
+    Diagnostic.error(`A tuple has no field '${field}'; destructure it with let (a, b) = ...`)
+  | -1 => Diagnostic.error(`Record type '${typeName}' has no field '${field}'`)
+  | index => Ok(index)
+  }
+}
+
+// The constructor named by a pattern (the first one of an or-pattern)
+let rec patternConstructor = (pattern: AST.pattern): option<string> => {
+  switch pattern {
+  | ConstructorPattern(name, _) => Some(name)
+  | OrPattern(alternatives) => alternatives->Array.findMap(patternConstructor)
+  | NumberPattern(_) | WildcardPattern => None
+  }
+}
+
+// The variant or record type a function parameter holds, judged by how the body uses it:
+// switched on with constructor patterns, has its fields read or spread, is assigned to a variant
+// or record ref, or is passed on as a variant or record argument
+let rec paramType = (state: state, param: string, node: AST.astNode): option<valueType> => {
+  let isParam = expr => unlocated(expr) == Identifier(param)
+  let ownerOf = field => state.fieldOwners->Belt.Map.String.get(field)->Option.map(typeName => RecordType(typeName))
+  switch node {
+  // A nested function with a parameter of the same name uses its own
+  | FunctionDeclaration(_, params, _, _) if params->Array.includes(param) => None
+  | _ =>
+    let own = switch node {
+    | SwitchExpression(scrutinee, cases) if isParam(scrutinee) =>
+      cases
+      ->Array.findMap(matchCase => patternConstructor(matchCase.pattern))
+      ->Option.flatMap(name => getTypeNameFromConstructor(state, name))
+      ->Option.map(typeName => VariantType(typeName))
+    | FieldAccess(record, field) if isParam(record) => ownerOf(field)
+    | TupleDeclaration(names, value) if isParam(value) =>
+      Some(RecordType(tupleTypeName(Array.length(names))))
+    | RecordLiteral(Some(base), fields) if isParam(base) =>
+      fields[0]->Option.flatMap(((field, _)) => ownerOf(field))
+    | RefAssignment(name, value) if isParam(value) =>
+      switch state.variantRefs->Belt.Map.String.get(name) {
+      | Some(ref) => Some(VariantType(ref.typeName))
+      | None => state.recordRefs->Belt.Map.String.get(name)->Option.map(ref => RecordType(ref.typeName))
+      }
+    | VariantConstructor(name, args) =>
+      state.functions
+      ->Belt.Map.String.get(name)
+      ->Option.flatMap(info => {
+        args
+        ->Array.mapWithIndex((arg, index) => isParam(arg) ? info.paramTypes[index]->Option.flatMap(t => t) : None)
+        ->Array.findMap(paramType => paramType)
+      })
+    | _ => None
+    }
+    own->Option.orElse(AST.children(node)->Array.findMap(child => paramType(state, param, child)))
+  }
+}
+
+// Look up a constructor of `typeName`, checking its argument count
+// Returns the type's metadata and the constructor's tag
+let findConstructor = (state: state, typeName: string, constructorName: string, argCount: int): result<
+  (variantTypeInfo, int),
+  Diagnostic.t,
+> => {
+  let typeInfo = Belt.Map.String.get(state.variantTypes, typeName)
+  let constructor =
+    typeInfo->Option.flatMap(typeInfo =>
+      typeInfo.constructors->Array.find(constructor => constructor.name == constructorName)
+    )
+  switch (typeInfo, constructor, Belt.Map.String.get(state.variantTags, constructorName)) {
+  | (None, _, _) => Diagnostic.error(`Variant type not found: ${typeName}`)
+  | (Some(_), None, _) | (Some(_), _, None) =>
+    Diagnostic.error(`Constructor '${constructorName}' does not belong to type '${typeName}'`)
+  | (Some(_), Some(constructor), Some(_)) if constructor.argCount != argCount =>
+    Diagnostic.error(
+      `Constructor '${constructorName}' expects ${Int.toString(
+          constructor.argCount,
+        )} argument(s), but got ${Int.toString(argCount)}`,
+    )
+  | (Some(typeInfo), Some(_), Some(tag)) => Ok((typeInfo, tag))
+  }
+}
+
+// Registers for a variant value: one for the tag and one per payload slot
+let allocVariant = (state: state, typeInfo: variantTypeInfo): (state, IR.vreg, array<IR.vreg>) => {
+  let (state, tagVReg) = allocVReg(state)
+  let (state, payloadVRegs) = Array.make(~length=typeInfo.maxArgs, ())->Array.reduce((state, []), (
+    (state, vregs),
+    (),
+  ) => {
+    let (state, vreg) = allocVReg(state)
+    (state, Array.concat(vregs, [vreg]))
+  })
+  (state, tagVReg, payloadVRegs)
+}
+
+// The variant value held in registers from allocVariant
+let registerVariant = (typeName: string, tagVReg: IR.vreg, payloadVRegs: array<IR.vreg>): variantValue => {
+  typeName,
+  tag: IR.VReg(tagVReg),
+  payload: payloadVRegs->Array.map(vreg => IR.VReg(vreg)),
+}
+
+// Copy a variant value into registers from allocVariant
+let moveVariant = (state: state, tagVReg: IR.vreg, payloadVRegs: array<IR.vreg>, source: variantValue): state => {
+  let state = emit(state, IR.Move(tagVReg, source.tag))
+  payloadVRegs->Array.reduceWithIndex(state, (state, vreg, index) => {
+    emit(state, IR.Move(vreg, source.payload[index]->Option.getOr(IR.Num(0.))))
+  })
+}
+
+// Offset of a constructor's payload slots for a tag only known at runtime: tag * maxArgs
+let tagOffset = (state: state, typeInfo: variantTypeInfo, tag: IR.operand): (state, IR.operand) => {
+  if typeInfo.maxArgs == 1 {
+    (state, tag)
+  } else {
+    let (state, offsetVReg) = allocVReg(state)
+    let maxArgs = IR.Num(Int.toFloat(typeInfo.maxArgs))
+    (emit(state, IR.Binary(offsetVReg, IR.MulOp, tag, maxArgs)), IR.VReg(offsetVReg))
+  }
+}
+
+// Address of payload slot `index` at a runtime offset: baseAddr + 1 + offset + index
+let dynamicArgumentAddress = (
+  state: state,
+  typeInfo: variantTypeInfo,
+  baseAddr: int,
+  offset: IR.operand,
+  index: int,
+): (state, IR.operand) => {
+  let (state, addressVReg) = allocVReg(state)
+  let base = stackSlot(argumentAddress(typeInfo, baseAddr, 0, index))
+  (emit(state, IR.Binary(addressVReg, IR.AddOp, offset, base)), IR.VReg(addressVReg))
+}
+
+// Read the whole variant value held in a stack segment
+// The tag is only known at runtime, so the payload is read from the slots it selects
+let loadVariant = (state: state, typeName: string, typeInfo: variantTypeInfo, baseAddr: int): (
+  state,
+  variantValue,
+) => {
+  let (state, tagVReg) = allocVReg(state)
+  let state = emit(state, IR.StackGet(tagVReg, stackSlot(baseAddr)))
+  let (state, payload) = if typeInfo.maxArgs == 0 {
+    (state, [])
+  } else {
+    let (state, offset) = tagOffset(state, typeInfo, IR.VReg(tagVReg))
+    Array.make(~length=typeInfo.maxArgs, ())->Array.reduceWithIndex((state, []), (
+      (state, payload),
+      (),
+      index,
+    ) => {
+      let (state, address) = dynamicArgumentAddress(state, typeInfo, baseAddr, offset, index)
+      let (state, slotVReg) = allocVReg(state)
+      let state = emit(state, IR.StackGet(slotVReg, address))
+      (state, Array.concat(payload, [IR.VReg(slotVReg)]))
+    })
+  }
+  (state, {typeName, tag: IR.VReg(tagVReg), payload})
+}
+
+// Write a variant value into a stack segment: the tag, then the payload into the slots of its constructor
+let storeVariantValue = (state: state, typeInfo: variantTypeInfo, baseAddr: int, value: variantValue): state => {
+  let state = emit(state, IR.StackPoke(stackSlot(baseAddr), value.tag))
+  switch value.tag {
+  | Num(tag) =>
+    // Known constructor: only its own arguments are written
+    let tag = Float.toInt(tag)
+    let argCount = typeInfo.constructors[tag]->Option.mapOr(0, constructor => constructor.argCount)
+    value.payload
+    ->Array.slice(~start=0, ~end=argCount)
+    ->Array.reduceWithIndex(state, (state, slot, index) => {
+      emit(state, IR.StackPoke(stackSlot(argumentAddress(typeInfo, baseAddr, tag, index)), slot))
+    })
+  | _ if typeInfo.maxArgs == 0 => state
+  | tag =>
+    let (state, offset) = tagOffset(state, typeInfo, tag)
+    value.payload->Array.reduceWithIndex(state, (state, slot, index) => {
+      let (state, address) = dynamicArgumentAddress(state, typeInfo, baseAddr, offset, index)
+      emit(state, IR.StackPoke(address, slot))
+    })
+  }
+}
+
+// Overwrite a variant ref with a variant value of its type
+let storeInVariantRef = (state: state, variantRef: segment, value: variantValue): state => {
+  switch state.variantTypes->Belt.Map.String.get(variantRef.typeName) {
+  | Some(typeInfo) => storeVariantValue(state, typeInfo, variantRef.baseAddr, value)
+  | None => state
   }
 }
 
+// Registers for a record value: one per field
+let allocRecord = (state: state, fieldCount: int): (state, array<IR.vreg>) => {
+  Array.make(~length=fieldCount, ())->Array.reduce((state, []), ((state, vregs), ()) => {
+    let (state, vreg) = allocVReg(state)
+    (state, Array.concat(vregs, [vreg]))
+  })
+}
+
+// Read the record value held in a stack segment, one slot per field
+let loadRecord = (state: state, typeName: string, baseAddr: int): (state, recordValue) => {
+  let fieldCount = recordFields(state, typeName)->Option.mapOr(0, Array.length)
+  let (state, fieldVRegs) = allocRecord(state, fieldCount)
+  let state = fieldVRegs->Array.reduceWithIndex(state, (state, vreg, index) => {
+    emit(state, IR.StackGet(vreg, stackSlot(baseAddr + index)))
+  })
+  (state, {typeName, fields: fieldVRegs->Array.map(vreg => IR.VReg(vreg))})
+}
+
+// Write a record value into a stack segment
+let storeRecord = (state: state, baseAddr: int, value: recordValue): state => {
+  value.fields->Array.reduceWithIndex(state, (state, field, index) => {
+    emit(state, IR.StackPoke(stackSlot(baseAddr + index), field))
+  })
+}
+
+// Bind `name` to a record value
+let bindRecord = (state: state, name: string, value: recordValue): state => {
+  let (state, vreg) = switch value.fields[0] {
+  | Some(VReg(vreg)) => (state, vreg)
+  | _ => allocVReg(state)
+  }
+  {...state, varMap: state.varMap->Belt.Map.String.set(name, {vreg, isRef: false, record: value})}
+}
+
+// Bind `name` to a variant value
+let bindVariant = (state: state, name: string, value: variantValue): state => {
+  let (state, vreg) = switch value.tag {
+  | VReg(vreg) => (state, vreg)
+  | _ => allocVReg(state)
+  }
+  {...state, varMap: state.varMap->Belt.Map.String.set(name, {vreg, isRef: false, variant: value})}
+}
+
 // Generate IR for an expression
 // Returns (newState, vreg) where vreg contains the result
-let rec generateExpr = (state: state, expr: AST.expr): result<(state, IR.vreg), string> => {
+let rec generateExpr = (state: state, expr: AST.expr): result<(state, IR.vreg), Diagnostic.t> => {
   switch expr {
   // Literal: allocate vreg, emit Move with immediate value
   | Literal(n) => {
@@ -137,10 +712,51 @@ let rec generateExpr = (state: state, expr: AST.expr): result<(state, IR.vreg),
 
   // LiteralBool: only used for while true, error in expression context
   | LiteralBool(_) =>
-    Error("[IRGen.res][generateExpr]: boolean literals can only be used in 'while true' loops")
+    Diagnostic.error("[IRGen.res][generateExpr]: boolean literals can only be used in 'while true' loops")
+
+  // Variant values are not numbers: they are bound with let, passed to functions or switched on
+  | Identifier(_) | VariantConstructor(_, _) | IfStatement(_, _, Some(_)) | SwitchExpression(_, _)
+    if Option.isSome(variantTypeOf(state, expr)) =>
+    let typeName = variantTypeOf(state, expr)->Option.getOr("")
+    let description = switch expr {
+    | Identifier(name) if Belt.Map.String.has(state.varMap, name) => `'${name}'`
+    | VariantConstructor(name, _) if Belt.Map.String.has(state.functions, name) =>
+      `the result of '${name}'`
+    | Identifier(name) | VariantConstructor(name, _) => `constructor '${name}'`
+    | _ => "this expression"
+    }
+    Diagnostic.error(
+      `Expected a number, but ${description} is a variant of type '${typeName}'; use switch to read it`,
+    )
+
+  // Neither are records: their fields are
+  | Identifier(_)
+  | VariantConstructor(_, _)
+  | RefAccess(_)
+  | RecordLiteral(_, _)
+  | TupleLiteral(_)
+  | IfStatement(_, _, Some(_))
+  | SwitchExpression(_, _) if Option.isSome(recordTypeOf(state, expr)) =>
+    let typeName = recordTypeOf(state, expr)->Option.getOr("")
+    let description = switch expr {
+    | Identifier(name) => `'${name}'`
+    | RefAccess(name) => `'${name}.contents'`
+    | VariantConstructor(name, _) => `the result of '${name}'`
+    | _ => "this expression"
+    }
+    let hint = isTupleType(typeName) ? "destructure it with let (a, b) = ..." : "read one of its fields"
+    Diagnostic.error(
+      `Expected a number, but ${description} is a ${recordKind(typeName)} of type '${typeName}'; ${hint}`,
+    )
+
+  // Arrays are not numbers: their elements are
+  | Identifier(name) if state.varMap->Belt.Map.String.get(name)->Option.flatMap(v => v.array)->Option.isSome =>
+    let length = state.varMap->Belt.Map.String.get(name)->Option.flatMap(v => v.array)->Option.mapOr(0, a => a.length)
+    Diagnostic.error(
+      `Expected a number, but '${name}' is an array of length ${Int.toString(length)}; read an element with ${name}[i]`,
+    )
 
   // Identifier: check if constant, then lookup variable, allocate new vreg, emit Move
-  // OR check if it's a zero-arg variant constructor
   | Identifier(name) =>
     // First check if this is a constant
     if Belt.Set.String.has(state.constants, name) {
@@ -156,19 +772,7 @@ let rec generateExpr = (state: state, expr: AST.expr): result<(state, IR.vreg),
           let state = emit(state, IR.Move(vreg, IR.VReg(varInfo.vreg)))
           Ok(state, vreg)
         }
-      | None =>
-        // Check if this identifier is a zero-arg variant constructor
-        switch getTypeNameFromConstructor(state, name) {
-        | Some(_typeName) =>
-          // This is a zero-arg variant constructor - treat as VariantConstructor(name, [])
-          // Note: In expression context, this represents the constructor value itself
-          // In ref context (handled in VariableDeclaration/RefAssignment), it will be properly initialized
-          Error(
-            `Zero-arg variant constructor '${name}' cannot be used directly in expressions. ` ++
-            `Use it in ref() or assignment context: ref(${name}) or varName := ${name}`,
-          )
-        | None => Error(`Variable '${name}' not found`)
-        }
+      | None => Diagnostic.error(`Variable '${name}' not found`)
       }
     }
 
@@ -176,7 +780,7 @@ let rec generateExpr = (state: state, expr: AST.expr): result<(state, IR.vreg),
   | BinaryExpression(op, left, right) =>
     // Check if it's a comparison operator
     switch op {
-    | Lt | Gt | Eq =>
+    | Lt | Gt | Eq | Ge | Le | Ne =>
       // Comparison: emit Compare instruction
       normalCompareOp(op)->Result.flatMap(cmpOp => {
         generateExpr(state, left)->Result.flatMap(((state, leftVreg)) => {
@@ -192,6 +796,32 @@ let rec generateExpr = (state: state, expr: AST.expr): result<(state, IR.vreg),
           )
         })
       })
+    | And | Or if isPure(right) =>
+      // Logical value: combine both operands as 0/1 flags with and/or
+      let irOp = op == And ? IR.AndOp : IR.OrOp
+      generateFlag(state, left)->Result.flatMap(((state, leftVreg)) => {
+        generateFlag(state, right)->Result.map(((state, rightVreg)) => {
+          let (state, resultVreg) = allocVReg(state)
+          let state = emit(state, IR.Binary(resultVreg, irOp, IR.VReg(leftVreg), IR.VReg(rightVreg)))
+          (state, resultVreg)
+        })
+      })
+    | And | Or =>
+      // The right operand has effects or can fail: the left flag is the result
+      // unless it leaves the outcome open, and only then is the right side evaluated
+      generateFlag(state, left)->Result.flatMap(((state, leftVreg)) => {
+        let (state, resultVreg) = allocVReg(state)
+        let (state, endLabel) = allocLabel(state)
+        let state = emit(state, IR.Move(resultVreg, IR.VReg(leftVreg)))
+        let state = emit(
+          state,
+          op == And ? IR.Beqz(IR.VReg(resultVreg), endLabel) : IR.Bnez(IR.VReg(resultVreg), endLabel),
+        )
+        generateFlag(state, right)->Result.map(((state, rightVreg)) => {
+          let state = emit(state, IR.Move(resultVreg, IR.VReg(rightVreg)))
+          (emit(state, IR.Label(endLabel)), resultVreg)
+        })
+      })
     | Add | Sub | Mul | Div =>
       // Arithmetic: emit Binary instruction
       convertBinOp(op)->Result.flatMap(irOp => {
@@ -210,6 +840,22 @@ let rec generateExpr = (state: state, expr: AST.expr): result<(state, IR.vreg),
       })
     }
 
+  // UnaryExpression: -x is lowered to 0 - x
+  | UnaryExpression(Neg, operand) =>
+    generateExpr(state, operand)->Result.map(((state, operandVreg)) => {
+      let (state, resultVreg) = allocVReg(state)
+      let state = emit(state, IR.Binary(resultVreg, IR.SubOp, IR.Num(0.), IR.VReg(operandVreg)))
+      (state, resultVreg)
+    })
+
+  // UnaryExpression: !x is 1 when x is zero, 0 otherwise
+  | UnaryExpression(Not, operand) =>
+    generateExpr(state, operand)->Result.map(((state, operandVreg)) => {
+      let (state, resultVreg) = allocVReg(state)
+      let state = emit(state, IR.Compare(resultVreg, IR.EqOp, IR.VReg(operandVreg), IR.Num(0.)))
+      (state, resultVreg)
+    })
+
   // RefCreation: ref(expr) - same as regular variable, just generates the value
   | RefCreation(valueExpr) => generateExpr(state, valueExpr)
 
@@ -218,7 +864,7 @@ let rec generateExpr = (state: state, expr: AST.expr): result<(state, IR.vreg),
     switch state.varMap->Belt.Map.String.get(name) {
     | Some(varInfo) =>
       if !varInfo.isRef {
-        Error(`Variable '${name}' is not a ref, cannot use .contents`)
+        Diagnostic.error(`Variable '${name}' is not a ref, cannot use .contents`)
       } else {
         // For simple refs, just return the vreg (no instruction needed)
         // Allocate new vreg and move the ref's value
@@ -226,7 +872,7 @@ let rec generateExpr = (state: state, expr: AST.expr): result<(state, IR.vreg),
         let state = emit(state, IR.Move(vreg, IR.VReg(varInfo.vreg)))
         Ok(state, vreg)
       }
-    | None => Error(`Variable '${name}' not found`)
+    | None => Diagnostic.error(`Variable '${name}' not found`)
     }
 
   // FunctionCall: IC10 functions like l(), s(), etc.
@@ -234,14 +880,14 @@ let rec generateExpr = (state: state, expr: AST.expr): result<(state, IR.vreg),
     switch funcName {
     | "device" =>
       // device() should only be used in variable declarations, not in expressions
-      Error(
+      Diagnostic.error(
         "[IRGen.res][generateExpr]: device() can only be used in variable declarations: let furnace = device(0)",
       )
 
     | "l" =>
       // l(device, "Property") - Load instruction
       if Array.length(args) != 2 {
-        Error("[IRGen.res][generateExpr]: l() expects 2 arguments: device and property name")
+        Diagnostic.error("[IRGen.res][generateExpr]: l() expects 2 arguments: device and property name")
       } else {
         switch (args[0], args[1]) {
         | (Some(AST.ArgExpr(AST.Literal(devicePin))), Some(AST.ArgString(property))) =>
@@ -250,7 +896,7 @@ let rec generateExpr = (state: state, expr: AST.expr): result<(state, IR.vreg),
 
           // Emit DeviceLoad instruction with property as string
           // Convert integer device pin to string reference (0 → "d0", etc.)
-          let deviceRef = `d${Int.toString(devicePin)}`
+          let deviceRef = `d${Int.toString(Float.toInt(devicePin))}`
           let state = emit(state, IR.DeviceLoad(resultVReg, IR.DevicePin(deviceRef), property, None))
 
           Ok((state, resultVReg))
@@ -267,17 +913,17 @@ let rec generateExpr = (state: state, expr: AST.expr): result<(state, IR.vreg),
 
             Ok((state, resultVReg))
           | None =>
-            Error(`[IRGen.res][generateExpr]: Variable '${deviceVar}' is not a device`)
+            Diagnostic.error(`[IRGen.res][generateExpr]: Variable '${deviceVar}' is not a device`)
           }
 
-        | _ => Error("[IRGen.res][generateExpr]: l() expects (device: int or identifier, property: string)")
+        | _ => Diagnostic.error("[IRGen.res][generateExpr]: l() expects (device: int or identifier, property: string)")
         }
       }
 
     | "lb" =>
       // lb(typeHash, "Property", "Mode") - Batch load by type
       if Array.length(args) != 3 {
-        Error("[IRGen.res][generateExpr]: lb() expects 3 arguments: type hash, property, mode")
+        Diagnostic.error("[IRGen.res][generateExpr]: lb() expects 3 arguments: type hash, property, mode")
       } else {
         switch (args[0], args[1], args[2]) {
         | (Some(AST.ArgExpr(AST.Identifier(typeHashVar))), Some(AST.ArgString(property)), Some(AST.ArgString(mode))) =>
@@ -288,14 +934,14 @@ let rec generateExpr = (state: state, expr: AST.expr): result<(state, IR.vreg),
           let state = emit(state, IR.DeviceLoad(resultVReg, IR.DeviceType(typeHashVar), property, Some(mode)))
 
           Ok((state, resultVReg))
-        | _ => Error("[IRGen.res][generateExpr]: lb() expects (typeHash: identifier, property: string, mode: string)")
+        | _ => Diagnostic.error("[IRGen.res][generateExpr]: lb() expects (typeHash: identifier, property: string, mode: string)")
         }
       }
 
     | "lbn" =>
       // lbn(typeHash, nameHash, "Property", "Mode") - Batch load by type and name
       if Array.length(args) != 4 {
-        Error("[IRGen.res][generateExpr]: lbn() expects 4 arguments: type hash, name hash, property, mode")
+        Diagnostic.error("[IRGen.res][generateExpr]: lbn() expects 4 arguments: type hash, name hash, property, mode")
       } else {
         switch (args[0], args[1], args[2], args[3]) {
         | (
@@ -311,147 +957,910 @@ let rec generateExpr = (state: state, expr: AST.expr): result<(state, IR.vreg),
           let state = emit(state, IR.DeviceLoad(resultVReg, IR.DeviceNamed(typeHashVar, nameHashVar), property, Some(mode)))
 
           Ok((state, resultVReg))
-        | _ => Error("[IRGen.res][generateExpr]: lbn() expects (typeHash: identifier, nameHash: identifier, property: string, mode: string)")
+        | _ => Diagnostic.error("[IRGen.res][generateExpr]: lbn() expects (typeHash: identifier, nameHash: identifier, property: string, mode: string)")
+        }
+      }
+
+    | _ => Diagnostic.error(`Function '${funcName}' not yet implemented in IR mode`)
+    }
+
+  // VariantConstructor naming a declared function: call it and use its result
+  | VariantConstructor(name, args) if Belt.Map.String.has(state.functions, name) =>
+    generateCallArgs(state, name, args)->Result.flatMap(((state, operands, info)) => {
+      if info.returnsValue {
+        let (state, resultVReg) = allocVReg(state)
+        let state = emit(state, IR.Call(name, operands, Some(resultVReg)))
+        Ok((state, resultVReg))
+      } else {
+        Diagnostic.error(`Function '${name}' does not return a value`)
+      }
+    })
+
+  // Math builtins, unless a function of the same name was declared
+  | VariantConstructor(name, args) if Option.isSome(mathBuiltin(name)) =>
+    let expected = switch mathBuiltin(name) {
+    | Some(MathUnary(_)) | Some(MathConvert) => 1
+    | Some(MathBinary(_)) => 2
+    | Some(MathRandom) | None => 0
+    }
+    if Array.length(args) != expected {
+      let plural = expected == 1 ? "" : "s"
+      Diagnostic.error(`${name}() expects ${Int.toString(expected)} argument${plural}`)
+    } else {
+      args
+      ->Array.reduce(Ok((state, [])), (acc, arg) => {
+        acc->Result.flatMap(((state, operands)) => {
+          // Constant arguments stay numbers so IROptimizer can fold the call
+          generateOperand(state, arg)->Result.map(((state, operand)) => {
+            (state, Array.concat(operands, [operand]))
+          })
+        })
+      })
+      ->Result.map(((state, operands)) => {
+        let (state, resultVreg) = allocVReg(state)
+        let instr = switch (mathBuiltin(name), operands) {
+        | (Some(MathUnary(op)), [operand]) => IR.Unary(resultVreg, op, operand)
+        | (Some(MathBinary(op)), [left, right]) => IR.Binary(resultVreg, op, left, right)
+        | (Some(MathConvert), [operand]) => IR.Move(resultVreg, operand)
+        | _ => IR.Rand(resultVreg)
+        }
+        (emit(state, instr), resultVreg)
+      })
+    }
+
+  // SwitchExpression: switch scrutinee.contents { | Pattern => body }
+  // If-else as an expression: `select` when both arms are plain values,
+  // otherwise branch to the arm and move its value into the result register
+  | IfStatement(condition, thenBlock, Some(elseBlock)) =>
+    switch (selectArm(thenBlock), selectArm(elseBlock)) {
+    | (Some(thenExpr), Some(elseExpr)) =>
+      generateOperand(state, condition)->Result.flatMap(((state, conditionOp)) => {
+        generateOperand(state, thenExpr)->Result.flatMap(((state, thenOp)) => {
+          generateOperand(state, elseExpr)->Result.map(((state, elseOp)) => {
+            let (state, resultVreg) = allocVReg(state)
+            (emit(state, IR.Select(resultVreg, conditionOp, thenOp, elseOp)), resultVreg)
+          })
+        })
+      })
+    | _ =>
+      let (state, resultVreg) = allocVReg(state)
+      let (state, thenLabel) = allocLabel(state)
+      let (state, endLabel) = allocLabel(state)
+      generateBranchIfTrue(state, condition, thenLabel)
+      ->Result.flatMap(state => generateBlockValue(state, elseBlock))
+      ->Result.flatMap(((state, elseOp)) => {
+        let state = emit(state, IR.Move(resultVreg, elseOp))
+        let state = emit(state, IR.Goto(endLabel))
+        let state = emit(state, IR.Label(thenLabel))
+        generateBlockValue(state, thenBlock)->Result.map(((state, thenOp)) => {
+          let state = emit(state, IR.Move(resultVreg, thenOp))
+          (emit(state, IR.Label(endLabel)), resultVreg)
+        })
+      })
+    }
+
+  | IfStatement(_, _, None) =>
+    Diagnostic.error("An if expression needs an else branch to produce a value")
+
+  // Block as an expression (e.g. an if-expression whose constant condition was folded away)
+  | BlockStatement(block) =>
+    generateBlockValue(state, block)->Result.flatMap(((state, operand)) => {
+      switch operand {
+      | VReg(vreg) => Ok((state, vreg))
+      | _ =>
+        let (state, vreg) = allocVReg(state)
+        Ok((emit(state, IR.Move(vreg, operand)), vreg))
+      }
+    })
+
+  // SwitchExpression: a switch whose every case ends in a number moves it into the result register
+  | SwitchExpression(scrutinee, cases) =>
+    if cases->Array.every(matchCase => blockProducesValue(state, matchCase.body)) {
+      let (state, resultVReg) = allocVReg(state)
+      generateSwitch(state, scrutinee, cases, (state, body) => {
+        generateBlockValue(state, body)->Result.map(((state, operand)) => {
+          emit(state, IR.Move(resultVReg, operand))
+        })
+      })->Result.map(state => (state, resultVReg))
+    } else {
+      // Allocate result vreg (even if not used)
+      generateSwitch(state, scrutinee, cases, generateBlock)->Result.map(allocVReg)
+    }
+
+  // FieldAccess: record.field
+  | FieldAccess(record, field) =>
+    let recordRef = switch unlocated(record) {
+    | RefAccess(name) => state.recordRefs->Belt.Map.String.get(name)
+    | _ => None
+    }
+    switch (recordRef, recordTypeOf(state, record)) {
+    // A field of a record ref is read straight from its slot
+    | (Some(recordRef), _) =>
+      fieldIndex(state, recordRef.typeName, field)->Result.map(index => {
+        let (state, vreg) = allocVReg(state)
+        (emit(state, IR.StackGet(vreg, stackSlot(recordRef.baseAddr + index))), vreg)
+      })
+    | (None, Some(typeName)) =>
+      fieldIndex(state, typeName, field)->Result.flatMap(index => {
+        generateRecordValue(state, record, typeName)->Result.map(((state, value)) => {
+          let (state, vreg) = allocVReg(state)
+          (emit(state, IR.Move(vreg, value.fields[index]->Option.getOr(IR.Num(0.)))), vreg)
+        })
+      })
+    | (None, None) =>
+      switch unlocated(record) {
+      | Identifier(name)
+        if Belt.Map.String.has(state.varMap, name) || Belt.Set.String.has(state.constants, name) =>
+        Diagnostic.error(`Variable '${name}' is not a record, cannot read field '${field}'`)
+      | Identifier(name) => Diagnostic.error(`Variable '${name}' not found`)
+      | _ => Diagnostic.error(`Cannot read field '${field}': the expression is not a record`)
+      }
+    }
+
+  // ArrayAccess: array[index] reads the element's stack slot
+  | ArrayAccess(array, index) =>
+    generateElementAddress(state, array, index)->Result.map(((state, address)) => {
+      let (state, vreg) = allocVReg(state)
+      (emit(state, IR.StackGet(vreg, address)), vreg)
+    })
+
+  | ArrayLiteral(_) | ArrayMake(_, _) =>
+    Diagnostic.error("An array can only be bound with let: let values = [1, 2, 3]")
+
+  // A record literal whose type is unknown: its first field belongs to no record type
+  | RecordLiteral(Some(_), _) => Diagnostic.error("Only a record can be spread into a record literal")
+  | RecordLiteral(None, fields) =>
+    let field = fields[0]->Option.mapOr("", ((field, _)) => field)
+    Diagnostic.error(`No record type has a field named '${field}'`)
+
+  // Any other call names neither a function nor a constructor
+  | VariantConstructor(name, _) if getTypeNameFromConstructor(state, name)->Option.isNone =>
+    Diagnostic.error(`Unknown identifier '${name}'. Did you forget to declare the function?`)
+
+  // Phase 1: Only support simple expressions
+  | _ => {
+      Console.log2("Unsupported expression type:", expr)
+      Diagnostic.error("[IRGen.res][generateExpr]: expression type not supported in Phase 1")
+    }
+  }
+}
+
+// Create variant ref `name` of type `typeName` in a new stack segment, initialized by `store`
+and generateVariantRef = (
+  state: state,
+  name: string,
+  typeName: string,
+  store: (state, segment) => result<state, Diagnostic.t>,
+): result<state, Diagnostic.t> => {
+  // 1. Get type metadata
+  switch Belt.Map.String.get(state.variantTypes, typeName) {
+  | None => Diagnostic.error(`Variant type not found: ${typeName}`)
+  | Some(_) if Option.isSome(state.recursiveFunction) =>
+    checkSegmentLocal(state, `Variant ref '${name}'`)->Result.map(() => state)
+  | Some(typeInfo) =>
+    // 2. Allocate this ref's stack segment
+    let (stackAllocator, baseAddr) = allocateStackSegment(state.stackAllocator, typeInfo.slotCount)
+    let variantRef = {typeName, baseAddr}
+
+    // 3. Allocate vreg for ref variable, pointing to the segment
+    let (state, refVReg) = allocVReg({...state, stackAllocator})
+    let state = emit(state, IR.Move(refVReg, IR.Num(Int.toFloat(baseAddr))))
+
+    // 4. Initialize variant data on stack
+    store(state, variantRef)->Result.map(state => {
+      {
+        ...state,
+        variantRefs: Belt.Map.String.set(state.variantRefs, name, variantRef),
+        varMap: Belt.Map.String.set(state.varMap, name, {vreg: refVReg, isRef: true}),
+      }
+    })
+  }
+}
+
+// Write `constructorName(args)` into a variant ref's stack segment: the tag, then each argument
+and storeVariant = (
+  state: state,
+  variantRef: segment,
+  constructorName: string,
+  args: array<AST.expr>,
+): result<state, Diagnostic.t> => {
+  findConstructor(state, variantRef.typeName, constructorName, Array.length(args))->Result.flatMap(((
+    typeInfo,
+    tag,
+  )) => {
+    // Poke tag to baseAddr
+    let state = emit(state, IR.StackPoke(stackSlot(variantRef.baseAddr), IR.Num(Int.toFloat(tag))))
+
+    // Poke all arguments
+    Array.reduceWithIndex(args, Ok(state), (stateResult, arg, index) => {
+      stateResult->Result.flatMap(state => {
+        generateExpr(state, arg)->Result.map(((state, argVReg)) => {
+          let address = argumentAddress(typeInfo, variantRef.baseAddr, tag, index)
+          emit(state, IR.StackPoke(stackSlot(address), IR.VReg(argVReg)))
+        })
+      })
+    })
+  })
+}
+
+// Build the value `constructorName(args)` of type `typeName` in registers
+and constructorValue = (
+  state: state,
+  typeName: string,
+  constructorName: string,
+  args: array<AST.expr>,
+): result<(state, variantValue), Diagnostic.t> => {
+  findConstructor(state, typeName, constructorName, Array.length(args))->Result.flatMap(((
+    typeInfo,
+    tag,
+  )) => {
+    args
+    ->Array.reduce(Ok((state, [])), (acc, arg) => {
+      acc->Result.flatMap(((state, operands)) => {
+        generateOperand(state, arg)->Result.map(((state, operand)) => {
+          (state, Array.concat(operands, [operand]))
+        })
+      })
+    })
+    ->Result.map(((state, operands)) => {
+      let padding = Array.make(~length=typeInfo.maxArgs - Array.length(operands), IR.Num(0.))
+      (state, {typeName, tag: IR.Num(Int.toFloat(tag)), payload: Array.concat(operands, padding)})
+    })
+  })
+}
+
+// Generate an expression whose value is a variant of type `typeName`
+and generateVariantValue = (state: state, expr: AST.expr, typeName: string): result<
+  (state, variantValue),
+  Diagnostic.t,
+> => {
+  let checkType = (actual, generate) => {
+    actual == typeName
+      ? generate()
+      : Diagnostic.error(`Expected a value of type '${typeName}', but got '${actual}'`)
+  }
+  let notVariant = description => {
+    Diagnostic.error(`Expected a value of variant type '${typeName}', but ${description} is a number`)
+  }
+
+  switch Belt.Map.String.get(state.variantTypes, typeName) {
+  | None => Diagnostic.error(`Variant type not found: ${typeName}`)
+  | Some(typeInfo) =>
+    switch expr {
+    | Located(span, inner) =>
+      let state = emit(state, IR.SourceSpan(span))
+      generateVariantValue(state, inner, typeName)->Result.mapError(diagnostic =>
+        diagnostic->Diagnostic.withSpan(span)
+      )
+
+    // A function returning a variant leaves it in its result segment
+    | VariantConstructor(name, args) if Belt.Map.String.has(state.functions, name) =>
+      let variantResult =
+        state.functions->Belt.Map.String.get(name)->Option.flatMap(info => info.variantResult)
+      switch variantResult {
+      | Some(result) =>
+        checkType(result.typeName, () => {
+          generateCallArgs(state, name, args)->Result.map(((state, operands, _info)) => {
+            let state = emit(state, IR.Call(name, operands, None))
+            loadVariant(state, typeName, typeInfo, result.baseAddr)
+          })
+        })
+      | None => notVariant(`the result of '${name}'`)
+      }
+
+    | VariantConstructor(name, args) => constructorValue(state, typeName, name, args)
+
+    | Identifier(name) =>
+      switch state.varMap->Belt.Map.String.get(name) {
+      | Some(varInfo) =>
+        switch varInfo.variant {
+        | Some(value) => checkType(value.typeName, () => Ok((state, value)))
+        | None => notVariant(`'${name}'`)
+        }
+      | None if getTypeNameFromConstructor(state, name)->Option.isSome =>
+        constructorValue(state, typeName, name, [])
+      | None if Belt.Set.String.has(state.constants, name) => notVariant(`'${name}'`)
+      | None => Diagnostic.error(`Variable '${name}' not found`)
+      }
+
+    | RefAccess(name) =>
+      switch state.variantRefs->Belt.Map.String.get(name) {
+      | Some(variantRef) =>
+        checkType(variantRef.typeName, () => {
+          Ok(loadVariant(state, typeName, typeInfo, variantRef.baseAddr))
+        })
+      | None => notVariant(`'${name}.contents'`)
+      }
+
+    // Branch to the arm and move its value into the result registers
+    | IfStatement(_, _, Some(_)) | SwitchExpression(_, _) =>
+      let (state, tagVReg, payloadVRegs) = allocVariant(state, typeInfo)
+      generateVariantInto(state, expr, typeName, tagVReg, payloadVRegs)->Result.map(state => {
+        (state, registerVariant(typeName, tagVReg, payloadVRegs))
+      })
+
+    | BlockStatement(block) => generateVariantBlock(state, block, typeName)
+
+    | _ => notVariant("this expression")
+    }
+  }
+}
+
+// Generate a variant value into registers from allocVariant
+and generateVariantInto = (
+  state: state,
+  expr: AST.expr,
+  typeName: string,
+  tagVReg: IR.vreg,
+  payloadVRegs: array<IR.vreg>,
+): result<state, Diagnostic.t> => {
+  generateArmsInto(state, expr, `variant type '${typeName}'`, (state, expr) => {
+    generateVariantValue(state, expr, typeName)->Result.map(((state, value)) => {
+      moveVariant(state, tagVReg, payloadVRegs, value)
+    })
+  })
+}
+
+// Generate a value that does not fit in one register into registers allocated for it
+// The arms of an if or switch move their values straight into them, however deeply nested;
+// `moveInto` generates any other expression and moves its value in
+and generateArmsInto = (
+  state: state,
+  expr: AST.expr,
+  expected: string,
+  moveInto: (state, AST.expr) => result<state, Diagnostic.t>,
+): result<state, Diagnostic.t> => {
+  let armInto = (state, block) => {
+    let lastIndex = Array.length(block) - 1
+    switch block[lastIndex] {
+    | Some(last) =>
+      generateBlock(state, Array.slice(block, ~start=0, ~end=lastIndex))->Result.flatMap(state => {
+        generateArmsInto(state, last, expected, moveInto)
+      })
+    | None => Diagnostic.error(`Expected a value of ${expected}`)
+    }
+  }
+
+  switch expr {
+  | Located(span, inner) =>
+    let state = emit(state, IR.SourceSpan(span))
+    generateArmsInto(state, inner, expected, moveInto)->Result.mapError(diagnostic =>
+      diagnostic->Diagnostic.withSpan(span)
+    )
+  | IfStatement(condition, thenBlock, Some(elseBlock)) =>
+    let (state, thenLabel) = allocLabel(state)
+    let (state, endLabel) = allocLabel(state)
+    generateBranchIfTrue(state, condition, thenLabel)
+    ->Result.flatMap(state => armInto(state, elseBlock))
+    ->Result.flatMap(state => {
+      let state = emit(state, IR.Goto(endLabel))
+      let state = emit(state, IR.Label(thenLabel))
+      armInto(state, thenBlock)->Result.map(state => emit(state, IR.Label(endLabel)))
+    })
+  | SwitchExpression(scrutinee, cases) => generateSwitch(state, scrutinee, cases, armInto)
+  | BlockStatement(block) => armInto(state, block)
+  | _ => moveInto(state, expr)
+  }
+}
+
+// Generate an expression whose value is a record of type `typeName`
+and generateRecordValue = (state: state, expr: AST.expr, typeName: string): result<
+  (state, recordValue),
+  Diagnostic.t,
+> => {
+  let mismatch = actual => {
+    Diagnostic.error(`Expected a value of type '${typeName}', but got '${actual}'`)
+  }
+  let checkType = (actual, generate) => actual == typeName ? generate() : mismatch(actual)
+  let notRecord = description => {
+    Diagnostic.error(
+      `Expected a ${recordKind(typeName)} of type '${typeName}', but ${description} is a number`,
+    )
+  }
+
+  switch recordFields(state, typeName) {
+  | None => Diagnostic.error(`Record type not found: ${typeName}`)
+  | Some(fieldNames) =>
+    switch expr {
+    | Located(span, inner) =>
+      let state = emit(state, IR.SourceSpan(span))
+      generateRecordValue(state, inner, typeName)->Result.mapError(diagnostic =>
+        diagnostic->Diagnostic.withSpan(span)
+      )
+
+    | RecordLiteral(base, fields) => generateRecordLiteral(state, typeName, fieldNames, base, fields)
+
+    | TupleLiteral(elements) =>
+      checkType(tupleTypeName(Array.length(elements)), () => {
+        elements->Array.reduce(Ok((state, [])), (acc, element) => {
+          acc->Result.flatMap(((state, fields)) => {
+            generateOperand(state, element)->Result.map(((state, operand)) => {
+              (state, Array.concat(fields, [operand]))
+            })
+          })
+        })->Result.map(((state, fields)) => (state, {typeName, fields}))
+      })
+
+    // A function returning a record leaves it in its result segment
+    | VariantConstructor(name, args) if Belt.Map.String.has(state.functions, name) =>
+      let recordResult =
+        state.functions->Belt.Map.String.get(name)->Option.flatMap(info => info.recordResult)
+      switch recordResult {
+      | Some(result) =>
+        checkType(result.typeName, () => {
+          generateCallArgs(state, name, args)->Result.map(((state, operands, _info)) => {
+            let state = emit(state, IR.Call(name, operands, None))
+            loadRecord(state, typeName, result.baseAddr)
+          })
+        })
+      | None => notRecord(`the result of '${name}'`)
+      }
+
+    | VariantConstructor(name, _) =>
+      switch getTypeNameFromConstructor(state, name) {
+      | Some(variantType) => mismatch(variantType)
+      | None => Diagnostic.error(`Unknown identifier '${name}'. Did you forget to declare the function?`)
+      }
+
+    | Identifier(name) =>
+      switch state.varMap->Belt.Map.String.get(name) {
+      | Some(varInfo) =>
+        switch (varInfo.record, varInfo.variant) {
+        | (Some(value), _) => checkType(value.typeName, () => Ok((state, value)))
+        | (None, Some(value)) => mismatch(value.typeName)
+        | (None, None) => notRecord(`'${name}'`)
         }
+      | None =>
+        switch getTypeNameFromConstructor(state, name) {
+        | Some(variantType) => mismatch(variantType)
+        | None if Belt.Set.String.has(state.constants, name) => notRecord(`'${name}'`)
+        | None => Diagnostic.error(`Variable '${name}' not found`)
+        }
+      }
+
+    | RefAccess(name) =>
+      switch (state.recordRefs->Belt.Map.String.get(name), state.variantRefs->Belt.Map.String.get(name)) {
+      | (Some(recordRef), _) =>
+        checkType(recordRef.typeName, () => Ok(loadRecord(state, typeName, recordRef.baseAddr)))
+      | (None, Some(variantRef)) => mismatch(variantRef.typeName)
+      | (None, None) => notRecord(`'${name}.contents'`)
+      }
+
+    // Branch to the arm and move its fields into the result registers
+    | IfStatement(_, _, Some(_)) | SwitchExpression(_, _) | BlockStatement(_) =>
+      let (state, fieldVRegs) = allocRecord(state, Array.length(fieldNames))
+      generateArmsInto(state, expr, `record type '${typeName}'`, (state, expr) => {
+        generateRecordValue(state, expr, typeName)->Result.map(((state, value)) => {
+          fieldVRegs->Array.reduceWithIndex(state, (state, vreg, index) => {
+            emit(state, IR.Move(vreg, value.fields[index]->Option.getOr(IR.Num(0.))))
+          })
+        })
+      })->Result.map(state => (state, {typeName, fields: fieldVRegs->Array.map(vreg => IR.VReg(vreg))}))
+
+    | _ => notRecord("this expression")
+    }
+  }
+}
+
+// Build a record literal of type `typeName`: the fields of the record it spreads (evaluated first),
+// overridden by the fields it lists; without a spread every field must be listed
+and generateRecordLiteral = (
+  state: state,
+  typeName: string,
+  fieldNames: array<string>,
+  base: option<AST.expr>,
+  fields: array<(string, AST.expr)>,
+): result<(state, recordValue), Diagnostic.t> => {
+  let listed = fields->Array.reduce(Ok([]), (acc, (field, _)) => {
+    acc->Result.flatMap(listed => {
+      if !(fieldNames->Array.includes(field)) {
+        Diagnostic.error(`Record type '${typeName}' has no field '${field}'`)
+      } else if listed->Array.includes(field) {
+        Diagnostic.error(`Field '${field}' is set more than once`)
+      } else {
+        Ok(Array.concat(listed, [field]))
+      }
+    })
+  })
+
+  listed->Result.flatMap(listed => {
+    let missing = fieldNames->Array.filter(field => !(listed->Array.includes(field)))
+    let baseFields = switch base {
+    | Some(base) =>
+      generateRecordValue(state, base, typeName)->Result.map(((state, value)) => (state, value.fields))
+    | None if Array.length(missing) > 0 =>
+      Diagnostic.error(
+        `Record of type '${typeName}' is missing field(s) ${missing->Array.join(", ")}`,
+      )
+    | None => Ok((state, []))
+    }
+
+    baseFields->Result.flatMap(((state, baseFields)) => {
+      fields
+      ->Array.reduce(Ok((state, [])), (acc, (field, value)) => {
+        acc->Result.flatMap(((state, values)) => {
+          generateOperand(state, value)->Result.map(((state, operand)) => {
+            (state, Array.concat(values, [(field, operand)]))
+          })
+        })
+      })
+      ->Result.map(((state, values)) => {
+        let fields = fieldNames->Array.mapWithIndex((field, index) => {
+          switch values->Array.find(((name, _)) => name == field) {
+          | Some((_, operand)) => operand
+          | None => baseFields[index]->Option.getOr(IR.Num(0.))
+          }
+        })
+        (state, {typeName, fields})
+      })
+    })
+  })
+}
+
+// Generate a block whose last statement is a variant value
+and generateVariantBlock = (state: state, block: AST.blockStatement, typeName: string): result<
+  (state, variantValue),
+  Diagnostic.t,
+> => {
+  let lastIndex = Array.length(block) - 1
+  switch block[lastIndex] {
+  | Some(last) =>
+    generateBlock(state, Array.slice(block, ~start=0, ~end=lastIndex))->Result.flatMap(state => {
+      generateVariantValue(state, last, typeName)
+    })
+  | None => Diagnostic.error(`Expected a value of variant type '${typeName}'`)
+  }
+}
+
+// Generate a switch on `scrutinee`: a variant (a variant ref's tag, or a variant value) or a number
+// Each case's patterns branch to its label, then `caseBody` generates the case's body
+// A guarded case whose guard fails jumps back to the dispatch, just after its own patterns
+and generateSwitch = (
+  state: state,
+  scrutinee: AST.expr,
+  cases: array<AST.matchCase>,
+  caseBody: (state, AST.blockStatement) => result<state, Diagnostic.t>,
+): result<state, Diagnostic.t> => {
+  let variantRef = switch unlocated(scrutinee) {
+  | RefAccess(refName) => state.variantRefs->Belt.Map.String.get(refName)
+  | _ => None
+  }
+  let subject = switch (variantRef, variantTypeOf(state, scrutinee)) {
+  | (Some(variantRef), _) =>
+    // Read tag from stack using StackGet; arguments are read from the segment as cases bind them
+    switch state.variantTypes->Belt.Map.String.get(variantRef.typeName) {
+    | None => Diagnostic.error(`Variant type not found: ${variantRef.typeName}`)
+    | Some(typeInfo) =>
+      let (state, tagVReg) = allocVReg(state)
+      let state = emit(state, IR.StackGet(tagVReg, stackSlot(variantRef.baseAddr)))
+      Ok((state, tagVReg, Some((typeInfo, Segment(variantRef.baseAddr)))))
+    }
+  | (None, Some(typeName)) =>
+    // A variant value: its payload is already in registers
+    generateVariantValue(state, scrutinee, typeName)->Result.flatMap(((state, value)) => {
+      state.variantTypes
+      ->Belt.Map.String.get(typeName)
+      ->Option.mapOr(Diagnostic.error(`Variant type not found: ${typeName}`), typeInfo => {
+        let (state, tagVReg) = switch value.tag {
+        | VReg(vreg) => (state, vreg)
+        | tag =>
+          let (state, vreg) = allocVReg(state)
+          (emit(state, IR.Move(vreg, tag)), vreg)
+        }
+        Ok((state, tagVReg, Some((typeInfo, Registers(value.payload)))))
+      })
+    })
+  | (None, None) =>
+    // Evaluated once; every case compares against the same register
+    generateExpr(state, scrutinee)->Result.map(((state, valueVReg)) => (state, valueVReg, None))
+  }
+
+  subject->Result.flatMap(((state, value, variant)) => {
+    let matchEndLabel = `match_end_${Int.toString(state.nextLabel)}`
+    let state = {...state, nextLabel: state.nextLabel + 1}
+
+    // Generate branch instructions for each case
+    let dispatch = Array.reduce(cases, Ok((state, [], false)), (acc, matchCase) => {
+      acc->Result.flatMap(((state, labels, matchedAll)) => {
+        let caseLabel = `match_case_${Int.toString(state.nextLabel)}`
+        let state = {...state, nextLabel: state.nextLabel + 1}
+        generatePatternBranch(state, matchCase.pattern, value, caseLabel, variant)->Result.map(((
+          state,
+          catchAll,
+        )) => {
+          switch matchCase.guard {
+          | Some(_) =>
+            // Where to resume matching when the guard fails
+            let nextLabel = `match_next_${Int.toString(state.nextLabel)}`
+            let state = {...state, nextLabel: state.nextLabel + 1}
+            let state = emit(state, IR.Label(nextLabel))
+            (state, Array.concat(labels, [(caseLabel, Some(nextLabel), matchCase)]), matchedAll)
+          | None =>
+            (state, Array.concat(labels, [(caseLabel, None, matchCase)]), matchedAll || catchAll)
+          }
+        })
+      })
+    })
+
+    dispatch->Result.flatMap(((state, caseLabels, matchedAll)) => {
+      // Jump to end if no case matched (fallthrough)
+      let state = matchedAll ? state : emit(state, IR.Goto(matchEndLabel))
+
+      // Generate code for each case body
+      let stateResult = Array.reduce(caseLabels, Ok(state), (stateResult, (label, nextLabel, matchCase)) => {
+        stateResult->Result.flatMap(outerState => {
+          // Add case label
+          let state = emit(outerState, IR.Label(label))
+
+          // Extract argument bindings from the segment or the value's payload registers
+          let stateResult = switch (matchCase.pattern, variant) {
+          | (ConstructorPattern(constructorName, bindings), Some((typeInfo, payloadSource))) =>
+            let tag = state.variantTags->Belt.Map.String.get(constructorName)->Option.getOr(0)
+            Array.reduceWithIndex(bindings, Ok(state), (stateResult, bindingName, index) => {
+              // `_` skips an argument
+              bindingName == "_"
+                ? stateResult
+                : stateResult->Result.map(state => {
+                  // Allocate vreg for binding
+                  let (state, bindingVReg) = allocVReg(state)
+
+                  // Read the argument
+                  let state = switch payloadSource {
+                  | Segment(baseAddr) =>
+                    let address = argumentAddress(typeInfo, baseAddr, tag, index)
+                    emit(state, IR.StackGet(bindingVReg, stackSlot(address)))
+                  | Registers(payload) =>
+                    emit(state, IR.Move(bindingVReg, payload[index]->Option.getOr(IR.Num(0.))))
+                  }
+
+                  // Add to varMap; the binding shadows outer constants and devices within the case
+                  let varMap = Belt.Map.String.set(state.varMap, bindingName, {vreg: bindingVReg, isRef: false})
+                  let constants = Belt.Set.String.remove(state.constants, bindingName)
+                  let deviceMap = Belt.Map.String.remove(state.deviceMap, bindingName)
+                  {...state, varMap, constants, deviceMap}
+                })
+            })
+          | _ => Ok(state)
+          }
+
+          // Check the guard once the bindings are available
+          let stateResult = switch (matchCase.guard, nextLabel) {
+          | (Some(guard), Some(nextLabel)) =>
+            stateResult->Result.flatMap(state => generateBranchIfFalse(state, guard, nextLabel))
+          | _ => stateResult
+          }
+
+          // Generate case body, then jump to match end; bindings go out of scope
+          stateResult
+          ->Result.flatMap(state => caseBody(state, matchCase.body))
+          ->Result.map(state => {
+            let state = emit(state, IR.Goto(matchEndLabel))
+            {
+              ...state,
+              varMap: outerState.varMap,
+              constants: outerState.constants,
+              deviceMap: outerState.deviceMap,
+            }
+          })
+        })
+      })
+
+      // Add match end label
+      stateResult->Result.map(state => emit(state, IR.Label(matchEndLabel)))
+    })
+  })
+}
+
+// Emit the branches that send `value` to `label` when it matches `pattern`
+// Returns whether the pattern matches every value (later cases are then never tried)
+and generatePatternBranch = (
+  state: state,
+  pattern: AST.pattern,
+  value: IR.vreg,
+  label: string,
+  variant: option<(variantTypeInfo, payloadSource)>,
+): result<(state, bool), Diagnostic.t> => {
+  // Compare + Bnez, fused into a single beq by the backend
+  let branchIfEqual = (state, number) => {
+    let (state, cmpVReg) = allocVReg(state)
+    let state = emit(state, IR.Compare(cmpVReg, IR.EqOp, IR.VReg(value), IR.Num(number)))
+    emit(state, IR.Bnez(IR.VReg(cmpVReg), label))
+  }
+
+  switch (pattern, variant) {
+  | (WildcardPattern, _) => Ok((emit(state, IR.Goto(label)), true))
+  | (NumberPattern(number), None) => Ok((branchIfEqual(state, number), false))
+  | (NumberPattern(number), Some(_)) =>
+    Diagnostic.error(`Number pattern ${Float.toString(number)} cannot match a variant value`)
+  | (ConstructorPattern(constructorName, _), None) =>
+    Diagnostic.error(
+      `Constructor pattern '${constructorName}' needs a variant to match; use number patterns or _ to match a number`,
+    )
+  | (ConstructorPattern(constructorName, _), Some(_)) =>
+    switch Belt.Map.String.get(state.variantTags, constructorName) {
+    | None => Diagnostic.error(`Unknown constructor '${constructorName}' in switch`)
+    | Some(tag) => Ok((branchIfEqual(state, Int.toFloat(tag)), false))
+    }
+  | (OrPattern(alternatives), _) =>
+    alternatives->Array.reduce(Ok((state, false)), (acc, alternative) => {
+      acc->Result.flatMap(((state, matchedAll)) => {
+        switch alternative {
+        | ConstructorPattern(constructorName, bindings) if Array.length(bindings) > 0 =>
+          Diagnostic.error(`Or-patterns cannot bind the arguments of '${constructorName}'`)
+        | _ =>
+          generatePatternBranch(state, alternative, value, label, variant)->Result.map(((
+            state,
+            catchAll,
+          )) => (state, matchedAll || catchAll))
+        }
+      })
+    })
+  }
+}
+
+// Stack address of `array[index]`
+// A constant index is checked at compile time; any other index is added to the array's base address
+// at runtime, after an optional bounds check that halts the chip (hcf) when it fails
+and generateElementAddress = (state: state, array: AST.expr, index: AST.expr): result<
+  (state, IR.operand),
+  Diagnostic.t,
+> => {
+  let arrayInfo = switch unlocated(array) {
+  | Identifier(name) =>
+    switch state.varMap->Belt.Map.String.get(name) {
+    | Some({array: arrayInfo}) => Ok((name, arrayInfo))
+    | Some(_) => Diagnostic.error(`Variable '${name}' is not an array, cannot be indexed`)
+    | None if Belt.Set.String.has(state.constants, name) =>
+      Diagnostic.error(`Variable '${name}' is not an array, cannot be indexed`)
+    | None => Diagnostic.error(`Variable '${name}' not found`)
+    }
+  | _ => Diagnostic.error("Only a named array can be indexed: bind it with let first")
+  }
+
+  arrayInfo->Result.flatMap(((name, arrayInfo)) => {
+    switch unlocated(index) {
+    | Literal(position) if Math.floor(position) != position =>
+      Diagnostic.error(`Array index ${Float.toString(position)} is not a whole number`)
+    | Literal(position) if position < 0. || position >= Int.toFloat(arrayInfo.length) =>
+      Diagnostic.error(
+        `Index ${Float.toString(position)} is out of bounds for array '${name}' of length ${Int.toString(
+            arrayInfo.length,
+          )}`,
+      )
+    | Literal(position) => Ok((state, stackSlot(arrayInfo.baseAddr + Float.toInt(position))))
+    | _ =>
+      generateOperand(state, index)->Result.map(((state, position)) => {
+        let state = if state.boundsChecks {
+          let (state, belowVReg) = allocVReg(state)
+          let (state, withinVReg) = allocVReg(state)
+          let (state, failLabel) = allocLabel(state)
+          let (state, okLabel) = allocLabel(state)
+          let length = IR.Num(Int.toFloat(arrayInfo.length))
+          let state = emit(state, IR.Compare(belowVReg, IR.LtOp, position, IR.Num(0.)))
+          let state = emit(state, IR.Bnez(IR.VReg(belowVReg), failLabel))
+          let state = emit(state, IR.Compare(withinVReg, IR.LtOp, position, length))
+          let state = emit(state, IR.Bnez(IR.VReg(withinVReg), okLabel))
+          let state = emit(state, IR.Label(failLabel))
+          let state = emit(state, IR.RawInstruction("hcf"))
+          emit(state, IR.Label(okLabel))
+        } else {
+          state
+        }
+        if arrayInfo.baseAddr == 0 {
+          (state, position)
+        } else {
+          let (state, addressVReg) = allocVReg(state)
+          let base = stackSlot(arrayInfo.baseAddr)
+          (emit(state, IR.Binary(addressVReg, IR.AddOp, position, base)), IR.VReg(addressVReg))
+        }
+      })
+    }
+  })
+}
+
+// Bind `name` to a new array whose elements are initialized by `fill` from its base address
+and generateArray = (
+  state: state,
+  name: string,
+  length: int,
+  fill: (state, int) => result<state, Diagnostic.t>,
+): result<state, Diagnostic.t> => {
+  checkSegmentLocal(state, `Array '${name}'`)->Result.flatMap(() => {
+    let (stackAllocator, baseAddr) = allocateStackSegment(state.stackAllocator, length)
+    fill({...state, stackAllocator}, baseAddr)->Result.map(state => {
+      // The vreg is never used: elements are only read from the segment
+      let (state, vreg) = allocVReg(state)
+      let array = {baseAddr, length}
+      {
+        ...state,
+        varMap: state.varMap->Belt.Map.String.set(name, {vreg, isRef: false, array}),
+        constants: state.constants->Belt.Set.String.remove(name),
       }
+    })
+  })
+}
 
-    | _ => Error(`Function '${funcName}' not yet implemented in IR mode`)
-    }
+// Generate an expression as an instruction operand
+// Literals are used as immediate values instead of being moved into a register
+and generateOperand = (state: state, expr: AST.expr): result<(state, IR.operand), Diagnostic.t> => {
+  switch expr {
+  | Literal(n) => Ok((state, IR.Num(n)))
+  | VariantConstructor(_, _) if Option.isSome(mathConstant(state, expr)) =>
+    Ok((state, IR.Num(mathConstant(state, expr)->Option.getOr(0.))))
+  | _ => generateExpr(state, expr)->Result.map(((state, vreg)) => (state, IR.VReg(vreg)))
+  }
+}
 
-  // SwitchExpression: switch scrutinee.contents { | Pattern => body }
-  | SwitchExpression(scrutinee, cases) =>
-    // Check if this is a variant ref switch
-    switch scrutinee {
-    | RefAccess(refName) =>
-      // Check if this ref is a variant ref
-      switch Belt.Map.String.get(state.refToTypeName, refName) {
-      | Some(typeName) =>
-        // This is a variant ref - use stack-based approach
-        switch Belt.Map.String.get(state.variantTypes, typeName) {
-        | None => Error(`Variant type not found: ${typeName}`)
-        | Some(typeInfo) =>
-          // Allocate vreg for tag
-          let (state, tagVReg) = allocVReg(state)
-
-          // Read tag from stack using StackGet
-          let state = emit(state, IR.StackGet(tagVReg, typeInfo.baseAddr))
-
-          // Generate labels for each case and end label
-          let matchEndLabel = `match_end_${Int.toString(state.nextLabel)}`
-          let state = {...state, nextLabel: state.nextLabel + 1}
-
-          // Generate branch instructions for each case
-          let (state, caseLabels) = Array.reduceWithIndex(cases, (state, []), (
-            (state, labels),
-            matchCase,
-            _idx,
-          ) => {
-            // Look up constructor tag
-            switch Belt.Map.String.get(state.variantTags, matchCase.constructorName) {
-            | None => (state, labels) // Skip unknown constructors
-            | Some(tag) =>
-              let caseLabel = `match_case_${Int.toString(state.nextLabel)}`
-              let state = {...state, nextLabel: state.nextLabel + 1}
-
-              // Generate: Compare tagVReg == tag, then Bnez to caseLabel
-              let (state, cmpVReg) = allocVReg(state)
-              let state = emit(state, IR.Compare(cmpVReg, IR.EqOp, IR.VReg(tagVReg), IR.Num(tag)))
-              let state = emit(state, IR.Bnez(IR.VReg(cmpVReg), caseLabel))
-
-              (state, Array.concat(labels, [(caseLabel, matchCase, tag)]))
-            }
-          })
+// Generate the result of a function body or if-expression arm as an operand
+// A located result records its span, like a statement
+and generateResult = (state: state, expr: AST.expr): result<(state, IR.operand), Diagnostic.t> => {
+  switch expr {
+  | Located(span, inner) =>
+    let state = emit(state, IR.SourceSpan(span))
+    generateOperand(state, inner)->Result.mapError(diagnostic => diagnostic->Diagnostic.withSpan(span))
+  | _ => generateOperand(state, expr)
+  }
+}
 
-          // Jump to end if no case matched (fallthrough)
-          let state = emit(state, IR.Goto(matchEndLabel))
-
-          // Generate code for each case body
-          let stateResult = Array.reduce(caseLabels, Ok(state), (
-            stateResult,
-            (label, matchCase, tag),
-          ) => {
-            stateResult->Result.flatMap(state => {
-              // Add case label
-              let state = emit(state, IR.Label(label))
-
-              // Extract argument bindings from stack
-              let stateResult = Array.reduceWithIndex(
-                matchCase.argumentBindings,
-                Ok(state),
-                (stateResult, bindingName, index) => {
-                  stateResult->Result.flatMap(
-                    state => {
-                      // Allocate vreg for binding
-                      let (state, bindingVReg) = allocVReg(state)
-
-                      // Calculate address: baseAddr + tag * maxArgs + 1 + index
-                      let address = typeInfo.baseAddr + tag * typeInfo.maxArgs + 1 + index
-
-                      // Emit StackGet to read value
-                      let state = emit(state, IR.StackGet(bindingVReg, address))
-
-                      // Add to varMap
-                      let varMap = Belt.Map.String.set(
-                        state.varMap,
-                        bindingName,
-                        {vreg: bindingVReg, isRef: false},
-                      )
-
-                      Ok({...state, varMap})
-                    },
-                  )
-                },
-              )
+// Generate a block whose last statement is its value
+and generateBlockValue = (state: state, block: AST.blockStatement): result<
+  (state, IR.operand),
+  Diagnostic.t,
+> => {
+  let lastIndex = Array.length(block) - 1
+  switch block[lastIndex] {
+  | Some(last) if producesValue(state, last) =>
+    generateBlock(state, Array.slice(block, ~start=0, ~end=lastIndex))->Result.flatMap(state => {
+      generateResult(state, last)
+    })
+  | _ => Diagnostic.error("Each branch of an if expression must end in a value")
+  }
+}
 
-              stateResult->Result.flatMap(
-                state => {
-                  // Generate case body
-                  generateBlock(state, matchCase.body)->Result.map(
-                    state => {
-                      // Jump to match end
-                      emit(state, IR.Goto(matchEndLabel))
-                    },
-                  )
-                },
-              )
-            })
+// Check a call's argument count and evaluate its arguments in order
+and generateCallArgs = (state: state, name: string, args: array<AST.expr>): result<
+  (state, array<IR.operand>, functionInfo),
+  Diagnostic.t,
+> => {
+  switch state.functions->Belt.Map.String.get(name) {
+  | None => Diagnostic.error(`Unknown identifier '${name}'. Did you forget to declare the function?`)
+  | Some(info) if info.arity != Array.length(args) =>
+    Diagnostic.error(
+      `Function '${name}' expects ${Int.toString(info.arity)} argument(s), got ${Int.toString(
+          Array.length(args),
+        )}`,
+    )
+  | Some(info) =>
+    args
+    ->Array.reduceWithIndex(Ok((state, [])), (acc, arg, index) => {
+      acc->Result.flatMap(((state, operands)) => {
+        switch info.paramTypes[index]->Option.flatMap(paramType => paramType) {
+        // A variant argument is passed as its tag followed by its payload slots
+        | Some(VariantType(typeName)) =>
+          generateVariantValue(state, arg, typeName)->Result.map(((state, value)) => {
+            (state, Array.concatMany(operands, [[value.tag], value.payload]))
           })
-
-          stateResult->Result.map(state => {
-            // Add match end label
-            let state = emit(state, IR.Label(matchEndLabel))
-
-            // Allocate result vreg (even if not used)
-            let (state, resultVReg) = allocVReg(state)
-
-            (state, resultVReg)
+        // A record argument is passed as its fields
+        | Some(RecordType(typeName)) =>
+          generateRecordValue(state, arg, typeName)->Result.map(((state, value)) => {
+            (state, Array.concat(operands, value.fields))
+          })
+        | None =>
+          generateOperand(state, arg)->Result.map(((state, operand)) => {
+            (state, Array.concat(operands, [operand]))
           })
         }
-
-      | None =>
-        // Not a variant ref
-        Error("[IRGen.res][generateExpr]: switch expression only supports variant refs in IR mode")
-      }
-
-    | _ =>
-      Error(
-        "[IRGen.res][generateExpr]: switch expression scrutinee must be a ref access (e.g., state.contents)",
-      )
-    }
-
-  // Phase 1: Only support simple expressions
-  | _ => {
-      Console.log2("Unsupported expression type:", expr)
-      Error("[IRGen.res][generateExpr]: expression type not supported in Phase 1")
-    }
+      })
+    })
+    ->Result.map(((state, operands)) => (state, operands, info))
   }
 }
 
 // Generate IR for a block of statements
-and generateBlock = (state: state, block: AST.blockStatement): result<state, string> => {
+and generateBlock = (state: state, block: AST.blockStatement): result<state, Diagnostic.t> => {
   let rec processStmts = (state: state, stmts: array<AST.stmt>, index: int): result<
     state,
-    string,
+    Diagnostic.t,
   > => {
     if index >= Array.length(stmts) {
       Ok(state)
@@ -459,183 +1868,207 @@ and generateBlock = (state: state, block: AST.blockStatement): result<state, str
       switch stmts[index] {
       | Some(stmt) =>
         generateStmt(state, stmt)->Result.flatMap(state => processStmts(state, stmts, index + 1))
-      | None => Error("[IRGen.res][generateBlock]: internal error: array index out of bounds")
+      | None => Diagnostic.error("[IRGen.res][generateBlock]: internal error: array index out of bounds")
       }
     }
   }
   processStmts(state, block, 0)
 }
 
-// Generate if-only statement (no else block)
-// Uses INVERTED comparison + Bnez to skip then-block when condition is FALSE
-and generateIfOnly = (state: state, condition: AST.expr, thenBlock: AST.blockStatement): result<
+// Emit a branch to `label` taken when `condition` is TRUE (falls through otherwise)
+// && and || short-circuit: the right operand is only evaluated when it decides the result
+and generateBranchIfTrue = (state: state, condition: AST.expr, label: string): result<
   state,
-  string,
+  Diagnostic.t,
 > => {
-  // Extract comparison from condition
   switch condition {
-  | BinaryExpression(op, left, right) =>
-    switch op {
-    | Lt | Gt | Eq =>
-      // Generate left and right operands
-      generateExpr(state, left)->Result.flatMap(((state, leftVreg)) => {
-        generateExpr(state, right)->Result.flatMap(((state, rightVreg)) => {
-          // Use INVERTED comparison
-          invertCompareOp(op)->Result.flatMap(
-            invertedOp => {
-              let (state, resultVreg) = allocVReg(state)
-              let state = emit(
-                state,
-                IR.Compare(resultVreg, invertedOp, IR.VReg(leftVreg), IR.VReg(rightVreg)),
-              )
+  | BinaryExpression(Or, left, right) =>
+    generateBranchIfTrue(state, left, label)->Result.flatMap(state => {
+      generateBranchIfTrue(state, right, label)
+    })
+  | BinaryExpression(And, left, right) =>
+    let (state, skipLabel) = allocLabel(state)
+    generateBranchIfFalse(state, left, skipLabel)->Result.flatMap(state => {
+      generateBranchIfTrue(state, right, label)->Result.map(state => {
+        emit(state, IR.Label(skipLabel))
+      })
+    })
+  | UnaryExpression(Not, operand) => generateBranchIfFalse(state, operand, label)
+  | BinaryExpression((Lt | Gt | Eq | Ge | Le | Ne) as op, left, right) =>
+    // Use NORMAL comparison
+    normalCompareOp(op)->Result.flatMap(normalOp => {
+      generateCompareBranch(state, normalOp, left, right, label)
+    })
+  // Constant conditions: always or never branch
+  | Literal(value) => Ok(value != 0. ? emit(state, IR.Goto(label)) : state)
+  | LiteralBool(value) => Ok(value ? emit(state, IR.Goto(label)) : state)
+  // Any other value: non-zero is true
+  | _ =>
+    generateExpr(state, condition)->Result.map(((state, vreg)) => {
+      emit(state, IR.Bnez(IR.VReg(vreg), label))
+    })
+  }
+}
+
+// Emit a branch to `label` taken when `condition` is FALSE (falls through otherwise)
+and generateBranchIfFalse = (state: state, condition: AST.expr, label: string): result<
+  state,
+  Diagnostic.t,
+> => {
+  switch condition {
+  | BinaryExpression(And, left, right) =>
+    generateBranchIfFalse(state, left, label)->Result.flatMap(state => {
+      generateBranchIfFalse(state, right, label)
+    })
+  | BinaryExpression(Or, left, right) =>
+    let (state, bodyLabel) = allocLabel(state)
+    generateBranchIfTrue(state, left, bodyLabel)->Result.flatMap(state => {
+      generateBranchIfFalse(state, right, label)->Result.map(state => {
+        emit(state, IR.Label(bodyLabel))
+      })
+    })
+  | UnaryExpression(Not, operand) => generateBranchIfTrue(state, operand, label)
+  | BinaryExpression((Lt | Gt | Eq | Ge | Le | Ne) as op, left, right) =>
+    // Use INVERTED comparison
+    invertCompareOp(op)->Result.flatMap(invertedOp => {
+      generateCompareBranch(state, invertedOp, left, right, label)
+    })
+  // Constant conditions: always or never branch
+  | Literal(value) => Ok(value == 0. ? emit(state, IR.Goto(label)) : state)
+  | LiteralBool(value) => Ok(value ? state : emit(state, IR.Goto(label)))
+  // Any other value: zero is false
+  | _ =>
+    generateExpr(state, condition)->Result.map(((state, vreg)) => {
+      emit(state, IR.Beqz(IR.VReg(vreg), label))
+    })
+  }
+}
 
-              // Allocate end label
-              let endLabel = `label${Belt.Int.toString(state.nextLabel)}`
-              let state = {...state, nextLabel: state.nextLabel + 1}
+// Compare + Bnez, fused into a single branch instruction by the backend
+and generateCompareBranch = (
+  state: state,
+  op: IR.compareOp,
+  left: AST.expr,
+  right: AST.expr,
+  label: string,
+): result<state, Diagnostic.t> => {
+  generateExpr(state, left)->Result.flatMap(((state, leftVreg)) => {
+    generateExpr(state, right)->Result.map(((state, rightVreg)) => {
+      let (state, resultVreg) = allocVReg(state)
+      let state = emit(state, IR.Compare(resultVreg, op, IR.VReg(leftVreg), IR.VReg(rightVreg)))
+      emit(state, IR.Bnez(IR.VReg(resultVreg), label))
+    })
+  })
+}
 
-              // Emit Bnez - if inverted condition is true (original is false), skip then block
-              let state = emit(state, IR.Bnez(IR.VReg(resultVreg), endLabel))
+// Generate an expression as a 0/1 flag for logical operators
+// Comparisons and logical expressions already produce 0/1; anything else is tested against zero
+and generateFlag = (state: state, expr: AST.expr): result<(state, IR.vreg), Diagnostic.t> => {
+  switch expr {
+  | BinaryExpression(Lt | Gt | Eq | Ge | Le | Ne | And | Or, _, _) | UnaryExpression(Not, _) =>
+    generateExpr(state, expr)
+  | _ =>
+    generateExpr(state, expr)->Result.map(((state, vreg)) => {
+      let (state, flagVreg) = allocVReg(state)
+      let state = emit(state, IR.Compare(flagVreg, IR.NeOp, IR.VReg(vreg), IR.Num(0.)))
+      (state, flagVreg)
+    })
+  }
+}
 
-              // Generate then block
-              generateBlock(state, thenBlock)->Result.flatMap(
-                state => {
-                  // Emit end label
-                  let state = emit(state, IR.Label(endLabel))
-                  Ok(state)
-                },
-              )
-            },
-          )
-        })
+// Generate if-only statement (no else block)
+// Branches over the then-block when the condition is FALSE
+and generateIfOnly = (state: state, condition: AST.expr, thenBlock: AST.blockStatement): result<
+  state,
+  Diagnostic.t,
+> => {
+  // `if cond { break }` / `if cond { continue }`: branch straight to the loop's label
+  let jumpTarget = switch (thenBlock, state.loops) {
+  | ([Break | Located(_, Break)], list{labels, ..._}) => Some(labels.breakLabel)
+  | ([Continue | Located(_, Continue)], list{labels, ..._}) => Some(labels.continueLabel)
+  | _ => None
+  }
+  switch jumpTarget {
+  | Some(label) => generateBranchIfTrue(state, condition, label)
+  | None =>
+    // Allocate end label
+    let (state, endLabel) = allocLabel(state)
+
+    // If condition is false, skip then block
+    generateBranchIfFalse(state, condition, endLabel)->Result.flatMap(state => {
+      // Generate then block
+      generateBlock(state, thenBlock)->Result.map(state => {
+        // Emit end label
+        emit(state, IR.Label(endLabel))
       })
-    | _ => Error("[IRGen.res][generateIfOnly]: if condition must be a comparison expression")
-    }
-  | _ => Error("[IRGen.res][generateIfOnly]: if condition must be a comparison expression")
+    })
   }
 }
 
 // Generate if-else statement
-// Uses NORMAL comparison + Bnez to jump to then-block when condition is TRUE
+// Branches to the then-block when the condition is TRUE, else-block falls through
 and generateIfElse = (
   state: state,
   condition: AST.expr,
   thenBlock: AST.blockStatement,
   elseBlock: AST.blockStatement,
-): result<state, string> => {
-  // Extract comparison from condition
-  switch condition {
-  | BinaryExpression(op, left, right) =>
-    switch op {
-    | Lt | Gt | Eq =>
-      // Generate left and right operands
-      generateExpr(state, left)->Result.flatMap(((state, leftVreg)) => {
-        generateExpr(state, right)->Result.flatMap(((state, rightVreg)) => {
-          // Use NORMAL comparison
-          normalCompareOp(op)->Result.flatMap(
-            normalOp => {
-              let (state, resultVreg) = allocVReg(state)
-              let state = emit(
-                state,
-                IR.Compare(resultVreg, normalOp, IR.VReg(leftVreg), IR.VReg(rightVreg)),
-              )
-
-              // Allocate labels
-              let thenLabel = `label${Belt.Int.toString(state.nextLabel)}`
-              let endLabel = `label${Belt.Int.toString(state.nextLabel + 1)}`
-              let state = {...state, nextLabel: state.nextLabel + 2}
-
-              // Emit Bnez - if condition is true, jump to then
-              let state = emit(state, IR.Bnez(IR.VReg(resultVreg), thenLabel))
-
-              // Generate else block (falls through)
-              generateBlock(state, elseBlock)->Result.flatMap(
-                state => {
-                  // Jump over then block
-                  let state = emit(state, IR.Goto(endLabel))
-
-                  // Then block label
-                  let state = emit(state, IR.Label(thenLabel))
-
-                  // Generate then block
-                  generateBlock(state, thenBlock)->Result.flatMap(
-                    state => {
-                      // End label
-                      let state = emit(state, IR.Label(endLabel))
-                      Ok(state)
-                    },
-                  )
-                },
-              )
-            },
-          )
-        })
+): result<state, Diagnostic.t> => {
+  // Allocate labels
+  let (state, thenLabel) = allocLabel(state)
+  let (state, endLabel) = allocLabel(state)
+
+  // If condition is true, jump to then
+  generateBranchIfTrue(state, condition, thenLabel)->Result.flatMap(state => {
+    // Generate else block (falls through)
+    generateBlock(state, elseBlock)->Result.flatMap(state => {
+      // Jump over then block
+      let state = emit(state, IR.Goto(endLabel))
+
+      // Then block label
+      let state = emit(state, IR.Label(thenLabel))
+
+      // Generate then block
+      generateBlock(state, thenBlock)->Result.map(state => {
+        // End label
+        emit(state, IR.Label(endLabel))
       })
-    | _ => Error("[IRGen.res][generateIfElse]: if condition must be a comparison expression")
-    }
-  | _ => Error("[IRGen.res][generateIfElse]: if condition must be a comparison expression")
-  }
+    })
+  })
+}
+
+// Generate a loop body with `break` and `continue` bound to the loop's labels
+and generateLoopBody = (state: state, body: AST.blockStatement, labels: loopLabels): result<
+  state,
+  Diagnostic.t,
+> => {
+  generateBlock({...state, loops: list{labels, ...state.loops}}, body)->Result.map(bodyState => {
+    {...bodyState, loops: state.loops}
+  })
 }
 
 // Generate while loop
-// Uses INVERTED comparison + Bnez to exit loop when condition is FALSE (same as if-only)
+// Exits the loop when the condition is FALSE (same as if-only)
 and generateWhileLoop = (state: state, condition: AST.expr, body: AST.blockStatement): result<
   state,
-  string,
+  Diagnostic.t,
 > => {
   // Allocate loop start and exit labels
-  let loopLabel = `label${Belt.Int.toString(state.nextLabel)}`
-  let exitLabel = `label${Belt.Int.toString(state.nextLabel + 1)}`
-  let state = {...state, nextLabel: state.nextLabel + 2}
+  let (state, loopLabel) = allocLabel(state)
+  let (state, exitLabel) = allocLabel(state)
 
   // Emit loop start label
   let state = emit(state, IR.Label(loopLabel))
 
   // Handle different condition types
   switch condition {
-  // Comparison expression: use inverted comparison (like if-only)
-  | BinaryExpression(op, left, right) =>
-    switch op {
-    | Lt | Gt | Eq =>
-      // Generate left and right operands
-      generateExpr(state, left)->Result.flatMap(((state, leftVreg)) => {
-        generateExpr(state, right)->Result.flatMap(((state, rightVreg)) => {
-          // Use INVERTED comparison (exit when condition is false)
-          invertCompareOp(op)->Result.flatMap(
-            invertedOp => {
-              let (state, resultVreg) = allocVReg(state)
-              let state = emit(
-                state,
-                IR.Compare(resultVreg, invertedOp, IR.VReg(leftVreg), IR.VReg(rightVreg)),
-              )
-
-              // Emit Bnez - if inverted condition is true (original is false), exit loop
-              let state = emit(state, IR.Bnez(IR.VReg(resultVreg), exitLabel))
-
-              // Generate loop body
-              generateBlock(state, body)->Result.flatMap(
-                state => {
-                  // Jump back to loop start
-                  let state = emit(state, IR.Goto(loopLabel))
-
-                  // Emit exit label
-                  let state = emit(state, IR.Label(exitLabel))
-                  Ok(state)
-                },
-              )
-            },
-          )
-        })
-      })
-    | _ => Error("[IRGen.res][generateWhileLoop]: while condition must be a comparison expression")
-    }
-
   // LiteralBool(true): infinite loop with no condition check
   | LiteralBool(true) =>
     // Generate loop body
-    generateBlock(state, body)->Result.flatMap(state => {
+    generateLoopBody(state, body, {continueLabel: loopLabel, breakLabel: exitLabel})->Result.flatMap(state => {
       // Jump back to loop start (infinite loop)
       let state = emit(state, IR.Goto(loopLabel))
-      Ok(state)
+      // Only a break can leave the loop
+      Ok(loopBodyUses(body, Break) ? emit(state, IR.Label(exitLabel)) : state)
     })
 
   // LiteralBool(false): loop that never executes (skip to exit)
@@ -644,224 +2077,329 @@ and generateWhileLoop = (state: state, condition: AST.expr, body: AST.blockState
     let state = emit(state, IR.Label(exitLabel))
     Ok(state)
 
-  // Integer literals: not supported - use 'while true' instead
-  | Literal(_) =>
-    Error(
-      "Integer literals are not supported in while conditions - use 'while true' for infinite loops",
-    )
-
-  // Other expression types: not supported
+  // Any other condition: exit when it is false (zero)
   | _ =>
-    Error(
-      "[IRGen.res][generateWhileLoop]: while condition must be a comparison expression or 'while true'",
-    )
+    generateBranchIfFalse(state, condition, exitLabel)->Result.flatMap(state => {
+      // Generate loop body
+      generateLoopBody(state, body, {continueLabel: loopLabel, breakLabel: exitLabel})->Result.map(state => {
+        // Jump back to loop start
+        let state = emit(state, IR.Goto(loopLabel))
+
+        // Emit exit label
+        emit(state, IR.Label(exitLabel))
+      })
+    })
   }
 }
 
+// Generate for loop: for i in start to/downto finish { body }
+// Both bounds are evaluated once; the counter exits with a single fused compare-and-branch
+and generateForLoop = (
+  state: state,
+  variable: string,
+  start: AST.expr,
+  finish: AST.expr,
+  direction: AST.forDirection,
+  body: AST.blockStatement,
+): result<state, Diagnostic.t> => {
+  generateOperand(state, start)->Result.flatMap(((state, startOperand)) => {
+    generateOperand(state, finish)->Result.flatMap(((state, finishOperand)) => {
+      // Counter register, initialized to the start value
+      let (state, counter) = allocVReg(state)
+      let state = emit(state, IR.Move(counter, startOperand))
+
+      let (state, loopLabel) = allocLabel(state)
+      let (state, exitLabel) = allocLabel(state)
+      // `continue` needs a label before the step; loops without one just jump back after it
+      let (state, stepLabel) = if loopBodyUses(body, Continue) {
+        let (state, label) = allocLabel(state)
+        (state, Some(label))
+      } else {
+        (state, None)
+      }
+      let (exitOp, stepOp) = switch direction {
+      | UpTo => (IR.GtOp, IR.AddOp)
+      | DownTo => (IR.LtOp, IR.SubOp)
+      }
+
+      // Exit once the counter has passed the end value
+      let state = emit(state, IR.Label(loopLabel))
+      let (state, exitVreg) = allocVReg(state)
+      let state = emit(state, IR.Compare(exitVreg, exitOp, IR.VReg(counter), finishOperand))
+      let state = emit(state, IR.Bnez(IR.VReg(exitVreg), exitLabel))
+
+      // The loop variable shadows outer variables and constants inside the body only
+      let bodyState = {
+        ...state,
+        varMap: Belt.Map.String.set(state.varMap, variable, {vreg: counter, isRef: false}),
+        constants: Belt.Set.String.remove(state.constants, variable),
+        deviceMap: Belt.Map.String.remove(state.deviceMap, variable),
+      }
+
+      let labels = {continueLabel: stepLabel->Option.getOr(loopLabel), breakLabel: exitLabel}
+      generateLoopBody(bodyState, body, labels)->Result.map(bodyState => {
+        let bodyState = switch stepLabel {
+        | Some(label) => emit(bodyState, IR.Label(label))
+        | None => bodyState
+        }
+        let bodyState = emit(bodyState, IR.Binary(counter, stepOp, IR.VReg(counter), IR.Num(1.)))
+        let bodyState = emit(bodyState, IR.Goto(loopLabel))
+        let bodyState = emit(bodyState, IR.Label(exitLabel))
+        {
+          ...bodyState,
+          varMap: state.varMap,
+          constants: state.constants,
+          deviceMap: state.deviceMap,
+        }
+      })
+    })
+  })
+}
+
 // Generate IR for a statement
-and generateStmt = (state: state, stmt: AST.stmt): result<state, string> => {
+and generateStmt = (state: state, stmt: AST.stmt): result<state, Diagnostic.t> => {
   switch stmt {
   // FunctionDeclaration: create a separate function block
-  | FunctionDeclaration(name, body) => {
-      // 1. Add function name to functions set
-      let functions = Belt.Set.String.add(state.functions, name)
-
-      // 2. Create a new temporary state for the function body
+  | FunctionDeclaration(name, params, body, isRecursive) => {
+      // 1. Create a new temporary state for the function body
       // (inherits varMap and other context, but has its own instruction list)
-      let funcState = {...state, functions, instructions: list{}}
+      let funcState = {
+        ...state,
+        instructions: list{},
+        loops: list{},
+        recursiveFunction: isRecursive ? Some(name) : None,
+      }
 
-      // 3. Emit function label
-      let funcState = emit(funcState, IR.Label(name))
+      // 2. Bind each parameter, shadowing outer variables and constants
+      // A parameter the body uses as a variant takes its tag and payload in separate registers,
+      // one used as a record takes a register per field
+      let paramTypes =
+        params->Array.map(param => body->Array.findMap(stmt => paramType(state, param, stmt)))
+      let (funcState, paramVRegs) = Array.reduceWithIndex(params, (funcState, []), (
+        (funcState, vregs),
+        param,
+        index,
+      ) => {
+        let paramType = paramTypes[index]->Option.flatMap(paramType => paramType)
+        let variantType = switch paramType {
+        | Some(VariantType(typeName)) =>
+          state.variantTypes->Belt.Map.String.get(typeName)->Option.map(typeInfo => (typeName, typeInfo))
+        | _ => None
+        }
+        let recordType = switch paramType {
+        | Some(RecordType(typeName)) =>
+          recordFields(state, typeName)->Option.map(fields => (typeName, fields))
+        | _ => None
+        }
+        let (funcState, vreg, variant, record, paramVRegs) = switch (variantType, recordType) {
+        | (Some((typeName, typeInfo)), _) =>
+          let (funcState, tagVReg, payloadVRegs) = allocVariant(funcState, typeInfo)
+          let value = registerVariant(typeName, tagVReg, payloadVRegs)
+          (funcState, tagVReg, Some(value), None, Array.concat([tagVReg], payloadVRegs))
+        | (None, Some((typeName, fields))) =>
+          let (funcState, fieldVRegs) = allocRecord(funcState, Array.length(fields))
+          let value = {typeName, fields: fieldVRegs->Array.map(vreg => IR.VReg(vreg))}
+          (funcState, fieldVRegs[0]->Option.getOr(0), None, Some(value), fieldVRegs)
+        | (None, None) =>
+          let (funcState, vreg) = allocVReg(funcState)
+          (funcState, vreg, None, None, [vreg])
+        }
+        let funcState = {
+          ...funcState,
+          varMap: Belt.Map.String.set(funcState.varMap, param, {vreg, isRef: false, ?variant, ?record}),
+          constants: Belt.Set.String.remove(funcState.constants, param),
+          deviceMap: Belt.Map.String.remove(funcState.deviceMap, param),
+        }
+        (funcState, Array.concat(vregs, paramVRegs))
+      })
+
+      // 3. The last statement is the function's result when it produces a value
+      // A variant or record result is left in a stack segment reserved for the function
+      let lastIndex = Array.length(body) - 1
+      let resultType = blockVariantType(funcState, body)
+      let (funcState, resultSegment) = switch resultType->Option.flatMap(typeName =>
+        state.variantTypes->Belt.Map.String.get(typeName)->Option.map(typeInfo => (typeName, typeInfo))
+      ) {
+      | Some((typeName, typeInfo)) =>
+        let (stackAllocator, baseAddr) = allocateStackSegment(funcState.stackAllocator, typeInfo.slotCount)
+        ({...funcState, stackAllocator}, Some((typeInfo, {typeName, baseAddr})))
+      | None => (funcState, None)
+      }
+      let variantResult = resultSegment->Option.map(((_, result)) => result)
+      let recordFields = blockRecordType(funcState, body)->Option.flatMap(typeName =>
+        recordFields(state, typeName)->Option.map(fields => (typeName, fields))
+      )
+      let (funcState, recordResult) = switch (variantResult, recordFields) {
+      | (None, Some((typeName, fields))) =>
+        let (stackAllocator, baseAddr) = allocateStackSegment(funcState.stackAllocator, Array.length(fields))
+        ({...funcState, stackAllocator}, Some({typeName, baseAddr}))
+      | _ => (funcState, None)
+      }
+      let (statements, resultExpr) = switch body[lastIndex] {
+      | Some(last) if producesValue(funcState, last) =>
+        (Array.slice(body, ~start=0, ~end=lastIndex), Some(last))
+      | _ => (body, None)
+      }
+      let returnsValue =
+        Option.isSome(resultExpr) && Option.isNone(variantResult) && Option.isNone(recordResult)
 
-      // 4. Generate function body
-      generateBlock(funcState, body)->Result.map(funcState => {
-        // 5. Emit return instruction
-        let funcState = emit(funcState, IR.Return)
+      // 4. Add function to the functions map; only `let rec` functions can see their own name
+      let info = {arity: Array.length(params), returnsValue, paramTypes, variantResult, recordResult}
+      let functions = Belt.Map.String.set(state.functions, name, info)
+      let funcState = {...funcState, functions: isRecursive ? functions : state.functions}
 
-        // 6. Create a function block with all the function's instructions
+      // 5. Emit function label
+      let funcState = emit(funcState, IR.Label(name))
+
+      // 6. Generate function body, then return the result (if any)
+      generateBlock(funcState, statements)
+      ->Result.flatMap(funcState => {
+        switch (resultExpr, resultSegment, recordResult) {
+        | (Some(expr), Some((typeInfo, result)), _) =>
+          generateVariantValue(funcState, expr, result.typeName)->Result.map(((funcState, value)) => {
+            let funcState = storeVariantValue(funcState, typeInfo, result.baseAddr, value)
+            emit(funcState, IR.Return(None))
+          })
+        | (Some(expr), None, Some(result)) =>
+          generateRecordValue(funcState, expr, result.typeName)->Result.map(((funcState, value)) => {
+            let funcState = storeRecord(funcState, result.baseAddr, value)
+            emit(funcState, IR.Return(None))
+          })
+        | (Some(expr), None, None) =>
+          generateResult(funcState, expr)->Result.map(((funcState, result)) => {
+            emit(funcState, IR.Return(Some(result)))
+          })
+        | (None, _, _) => Ok(emit(funcState, IR.Return(None)))
+        }
+      })
+      ->Result.map(funcState => {
+        // 7. Create a function block with all the function's instructions
         let funcBlock: IR.block = {
           name,
+          params: paramVRegs,
+          returnsValue,
           instructions: funcState.instructions->List.reverse,
         }
 
-        // 7. Add the function block to the state's functionBlocks list
-        // Return the original state (with main instructions unchanged)
-        // but with the new function block added
+        // 8. Add the function block to the state's functionBlocks list
+        // Return the original state (with main instructions and scope unchanged)
+        // but with the new function block added and its vregs/labels/stack slots reserved
         {
           ...state,
           functions,
-          functionBlocks: list{funcBlock, ...state.functionBlocks},
+          nextVReg: funcState.nextVReg,
+          nextLabel: funcState.nextLabel,
+          stackAllocator: funcState.stackAllocator,
+          functionBlocks: list{funcBlock, ...funcState.functionBlocks},
         }
       })
     }
 
-  // TypeDeclaration: allocate stack space and store metadata
+  // TypeDeclaration: store metadata (each ref of the type gets its own stack segment)
   | TypeDeclaration(typeName, constructors) => {
       // 1. Calculate maximum arguments across all constructors
       let maxArgs = getMaxArgsForVariantType(constructors)
 
-      // 2. Calculate total slots needed: 1 (tag) + N (constructors) * M (max args)
-      let numConstructors = Array.length(constructors)
-      let slotCount = 1 + numConstructors * maxArgs
-
-      // 3. Allocate stack segment
-      let (stackAllocator, baseAddr) = allocateStackSegment(state.stackAllocator, slotCount)
-
-      // 4. Build constructor tag mappings
+      // 2. Build constructor tag mappings
       let variantTags = Array.reduceWithIndex(constructors, state.variantTags, (
         tags,
         constructor,
         index,
       ) => Belt.Map.String.set(tags, constructor.name, index))
 
-      // 5. Store type metadata
+      // 3. Store type metadata
       let typeInfo = {
         constructors,
-        baseAddr,
         maxArgs,
-        allocated: false, // No ref created yet
+        // Slots needed: 1 (tag) + N (constructors) * M (max args)
+        slotCount: 1 + Array.length(constructors) * maxArgs,
       }
       let variantTypes = Belt.Map.String.set(state.variantTypes, typeName, typeInfo)
 
-      // 6. Emit StackAlloc instruction
-      let state = emit(state, IR.StackAlloc(slotCount))
-
       Ok({
         ...state,
-        stackAllocator,
         variantTypes,
         variantTags,
       })
     }
 
+  // RecordTypeDeclaration: store the field names (records live in registers, record refs in stack segments)
+  | RecordTypeDeclaration(typeName, fields) =>
+    let names = fields->Array.map(field => field.name)
+    let duplicate = names->Array.findWithIndex((name, index) => names->Array.indexOf(name) != index)
+    let compound = fields->Array.find(field => {
+      Belt.Map.String.has(state.variantTypes, field.typeName) ||
+      Belt.Map.String.has(state.recordTypes, field.typeName)
+    })
+    switch (duplicate, compound) {
+    | _ if Array.length(names) == 0 =>
+      Diagnostic.error(`Record type '${typeName}' needs at least one field`)
+    | (Some(name), _) =>
+      Diagnostic.error(`Field '${name}' is declared more than once in record type '${typeName}'`)
+    | (None, Some(field)) =>
+      Diagnostic.error(
+        `Field '${field.name}' of record type '${typeName}' has type '${field.typeName}', but record fields can only hold numbers`,
+      )
+    | (None, None) =>
+      // A field name refers to the last declared record type that has it
+      let fieldOwners = names->Array.reduce(state.fieldOwners, (owners, name) => {
+        Belt.Map.String.set(owners, name, typeName)
+      })
+      Ok({
+        ...state,
+        recordTypes: Belt.Map.String.set(state.recordTypes, typeName, names),
+        fieldOwners,
+      })
+    }
+
   // VariableDeclaration: generate expression, store vreg in varMap
   | VariableDeclaration(name, init) =>
     // Check if this is a variant constructor ref
     switch init {
-    | RefCreation(VariantConstructor(constructorName, args)) =>
-      // This is a variant ref - use stack-based approach
-      // 1. Determine type name from constructor
+    | RefCreation(VariantConstructor(constructorName, args))
+      if !Belt.Map.String.has(state.functions, constructorName) =>
       switch getTypeNameFromConstructor(state, constructorName) {
-      | None => Error(`Unknown variant constructor: ${constructorName}`)
       | Some(typeName) =>
-        // 2. Get type metadata
-        switch Belt.Map.String.get(state.variantTypes, typeName) {
-        | None => Error(`Variant type not found: ${typeName}`)
-        | Some(typeInfo) =>
-          // 3. Check if type already has a ref allocated
-          if typeInfo.allocated {
-            Error(
-              `Type '${typeName}' already has a ref allocated. ` ++
-              `IC10 compiler supports one ref per variant type. ` ++
-              `Workaround: Define a second type (e.g., 'type ${typeName}2 = ...')`,
-            )
-          } else {
-            // 4. Get constructor tag
-            switch Belt.Map.String.get(state.variantTags, constructorName) {
-            | None => Error(`Constructor tag not found: ${constructorName}`)
-            | Some(tag) =>
-              // 5. Mark type as allocated
-              let updatedTypeInfo = {...typeInfo, allocated: true}
-              let variantTypes = Belt.Map.String.set(state.variantTypes, typeName, updatedTypeInfo)
-
-              // 6. Store ref → type mapping
-              let refToTypeName = Belt.Map.String.set(state.refToTypeName, name, typeName)
-
-              // 7. Allocate vreg for ref variable
-              let (state, refVReg) = allocVReg(state)
-              let varMap = Belt.Map.String.set(state.varMap, name, {vreg: refVReg, isRef: true})
-
-              // 8. Initialize ref to point to base address
-              let state = emit(state, IR.Move(refVReg, IR.Num(typeInfo.baseAddr)))
-
-              // 9. Initialize variant data on stack using StackPoke
-              // 9a. Poke tag
-              let state = emit(state, IR.StackPoke(typeInfo.baseAddr, IR.Num(tag)))
-
-              // 9b. Poke all arguments
-              let stateResult = Array.reduceWithIndex(args, Ok(state), (
-                stateResult,
-                arg,
-                index,
-              ) => {
-                stateResult->Result.flatMap(state => {
-                  // Generate argument expression
-                  generateExpr(state, arg)->Result.map(
-                    ((state, argVReg)) => {
-                      // Calculate address: baseAddr + tag * maxArgs + 1 + index
-                      let address = typeInfo.baseAddr + tag * typeInfo.maxArgs + 1 + index
-
-                      // Emit StackPoke
-                      emit(state, IR.StackPoke(address, IR.VReg(argVReg)))
-                    },
-                  )
-                })
-              })
+        generateVariantRef(state, name, typeName, (state, variantRef) => {
+          storeVariant(state, variantRef, constructorName, args)
+        })
+      | None => Diagnostic.error(`Unknown variant constructor: ${constructorName}`)
+      }
 
-              stateResult->Result.map(state => {
-                {...state, variantTypes, refToTypeName, varMap}
-              })
-            }
+    | RefCreation(valueExpr) if Option.isSome(recordTypeOf(state, valueExpr)) =>
+      // Record ref: each field gets a slot of a new stack segment
+      let typeName = recordTypeOf(state, valueExpr)->Option.getOr("")
+      checkSegmentLocal(state, `Record ref '${name}'`)->Result.flatMap(() => {
+        generateRecordValue(state, valueExpr, typeName)->Result.map(((state, value)) => {
+          let slotCount = Array.length(value.fields)
+          let (stackAllocator, baseAddr) = allocateStackSegment(state.stackAllocator, slotCount)
+          let (state, refVReg) = allocVReg({...state, stackAllocator})
+          let state = emit(state, IR.Move(refVReg, IR.Num(Int.toFloat(baseAddr))))
+          let state = storeRecord(state, baseAddr, value)
+          {
+            ...state,
+            recordRefs: Belt.Map.String.set(state.recordRefs, name, {typeName, baseAddr}),
+            varMap: Belt.Map.String.set(state.varMap, name, {vreg: refVReg, isRef: true}),
           }
-        }
-      }
+        })
+      })
 
-    | RefCreation(Identifier(constructorName)) =>
-      // Check if this identifier is a zero-arg variant constructor
-      switch getTypeNameFromConstructor(state, constructorName) {
+    | RefCreation(valueExpr) =>
+      switch variantTypeOf(state, valueExpr) {
       | Some(typeName) =>
-        // This is a zero-arg variant constructor - treat as VariantConstructor(name, [])
-        // Reuse the same logic as VariantConstructor case
-        switch Belt.Map.String.get(state.variantTypes, typeName) {
-        | None => Error(`Variant type not found: ${typeName}`)
-        | Some(typeInfo) =>
-          // Check if type already has a ref allocated
-          if typeInfo.allocated {
-            Error(
-              `Type '${typeName}' already has a ref allocated. ` ++
-              `IC10 compiler supports one ref per variant type. ` ++
-              `Workaround: Define a second type (e.g., 'type ${typeName}2 = ...')`,
-            )
-          } else {
-            // Get constructor tag
-            switch Belt.Map.String.get(state.variantTags, constructorName) {
-            | None => Error(`Constructor tag not found: ${constructorName}`)
-            | Some(tag) =>
-              // Mark type as allocated
-              let updatedTypeInfo = {...typeInfo, allocated: true}
-              let variantTypes = Belt.Map.String.set(state.variantTypes, typeName, updatedTypeInfo)
-
-              // Store ref → type mapping
-              let refToTypeName = Belt.Map.String.set(state.refToTypeName, name, typeName)
-
-              // Allocate vreg for ref variable
-              let (state, refVReg) = allocVReg(state)
-              let varMap = Belt.Map.String.set(state.varMap, name, {vreg: refVReg, isRef: true})
-
-              // Initialize ref to point to base address
-              let state = emit(state, IR.Move(refVReg, IR.Num(typeInfo.baseAddr)))
-
-              // Initialize variant data on stack using StackPoke
-              // Poke tag (no arguments for zero-arg constructor)
-              let state = emit(state, IR.StackPoke(typeInfo.baseAddr, IR.Num(tag)))
-
-              Ok({...state, variantTypes, refToTypeName, varMap})
-            }
-          }
-        }
+        // Any other variant value (a zero-arg constructor, variable, call, if or switch) is copied in
+        generateVariantRef(state, name, typeName, (state, variantRef) => {
+          generateVariantValue(state, valueExpr, typeName)->Result.map(((state, value)) => {
+            storeInVariantRef(state, variantRef, value)
+          })
+        })
       | None =>
-        // Not a variant constructor - use simple ref approach
-        generateExpr(state, Identifier(constructorName))->Result.map(((state, vreg)) => {
+        // Non-variant ref - use simple approach
+        generateExpr(state, valueExpr)->Result.map(((state, vreg)) => {
           {...state, varMap: state.varMap->Belt.Map.String.set(name, {vreg, isRef: true})}
         })
       }
 
-    | RefCreation(valueExpr) =>
-      // Non-variant ref - use simple approach
-      generateExpr(state, valueExpr)->Result.map(((state, vreg)) => {
-        {...state, varMap: state.varMap->Belt.Map.String.set(name, {vreg, isRef: true})}
-      })
-
     | _ =>
       // Check if this is a device() or hash() call
       switch init {
@@ -873,7 +2411,7 @@ and generateStmt = (state: state, stmt: AST.stmt): result<state, string> => {
           // deviceRef can be "d0", "d1", "db", etc.
           let deviceMap = Belt.Map.String.set(state.deviceMap, name, deviceRef)
           Ok({...state, deviceMap})
-        | _ => Error("[IRGen.res][generateStmt]: device() expects a string device reference: device(\"d0\") or device(\"db\")")
+        | _ => Diagnostic.error("[IRGen.res][generateStmt]: device() expects a string device reference: device(\"d0\") or device(\"db\")")
         }
       | FunctionCall("hash", args) =>
         // hash("StructureTank") -> emit DefHash and track name as hash constant
@@ -883,20 +2421,71 @@ and generateStmt = (state: state, stmt: AST.stmt): result<state, string> => {
           let state = emit(state, IR.DefHash(name, hashInput))
           // Hash constants don't need vregs - they're just references in device operations
           Ok(state)
-        | _ => Error("[IRGen.res][generateStmt]: hash() expects a string literal: hash(\"StructureTank\")")
+        | _ => Diagnostic.error("[IRGen.res][generateStmt]: hash() expects a string literal: hash(\"StructureTank\")")
         }
+      | ArrayLiteral([]) => Diagnostic.error("An array literal needs at least one element")
+      | ArrayLiteral(elements) =>
+        // Array: each element is written to its slot of a new stack segment
+        generateArray(state, name, Array.length(elements), (state, baseAddr) => {
+          elements->Array.reduceWithIndex(Ok(state), (acc, element, index) => {
+            acc->Result.flatMap(state => {
+              generateOperand(state, element)->Result.map(((state, operand)) => {
+                emit(state, IR.StackPoke(stackSlot(baseAddr + index), operand))
+              })
+            })
+          })
+        })
+      | ArrayMake(Literal(length), value) if Math.floor(length) == length && length >= 1. =>
+        // Array.make: the value is evaluated once; a short array is written slot by slot,
+        // a longer one by a loop over its addresses
+        let length = Float.toInt(length)
+        generateArray(state, name, length, (state, baseAddr) => {
+          generateOperand(state, value)->Result.map(((state, operand)) => {
+            if length <= 4 {
+              Array.make(~length, ())->Array.reduceWithIndex(state, (state, (), index) => {
+                emit(state, IR.StackPoke(stackSlot(baseAddr + index), operand))
+              })
+            } else {
+              let (state, addressVReg) = allocVReg(state)
+              let (state, moreVReg) = allocVReg(state)
+              let (state, loopLabel) = allocLabel(state)
+              let state = emit(state, IR.Move(addressVReg, stackSlot(baseAddr)))
+              let state = emit(state, IR.Label(loopLabel))
+              let state = emit(state, IR.StackPoke(IR.VReg(addressVReg), operand))
+              let state = emit(state, IR.Binary(addressVReg, IR.AddOp, IR.VReg(addressVReg), IR.Num(1.)))
+              let end = stackSlot(baseAddr + length)
+              let state = emit(state, IR.Compare(moreVReg, IR.LtOp, IR.VReg(addressVReg), end))
+              emit(state, IR.Bnez(IR.VReg(moreVReg), loopLabel))
+            }
+          })
+        })
+      | ArrayMake(_, _) =>
+        Diagnostic.error("Array.make needs a constant length of at least 1: Array.make(8, 0)")
       | Literal(value) =>
-        // Integer constant - emit DefInt instruction
+        // Numeric constant - emit DefNum instruction
         // Constants don't need vregs - they can be referenced directly by name
-        let state = emit(state, IR.DefInt(name, value))
+        let state = emit(state, IR.DefNum(name, value))
         // Track this as a constant so we can reference it by name later
         let constants = Belt.Set.String.add(state.constants, name)
         Ok({...state, constants})
       | _ =>
-        // Not a ref, not a device, not a hash, not a constant - normal variable
-        generateExpr(state, init)->Result.map(((state, vreg)) => {
-          {...state, varMap: state.varMap->Belt.Map.String.set(name, {vreg, isRef: false})}
-        })
+        switch (variantTypeOf(state, init), recordTypeOf(state, init)) {
+        | (Some(typeName), _) =>
+          // Variant value: kept in registers as its tag and payload
+          generateVariantValue(state, init, typeName)->Result.map(((state, value)) => {
+            bindVariant(state, name, value)
+          })
+        | (None, Some(typeName)) =>
+          // Record value: kept in registers, one per field
+          generateRecordValue(state, init, typeName)->Result.map(((state, value)) => {
+            bindRecord(state, name, value)
+          })
+        | (None, None) =>
+          // Not a ref, not a device, not a hash, not a constant - normal variable
+          generateExpr(state, init)->Result.map(((state, vreg)) => {
+            {...state, varMap: state.varMap->Belt.Map.String.set(name, {vreg, isRef: false})}
+          })
+        }
       }
     }
 
@@ -907,76 +2496,70 @@ and generateStmt = (state: state, stmt: AST.stmt): result<state, string> => {
     | Some(block) => generateIfElse(state, condition, thenBlock, block)
     }
 
+  // ArrayAssignment: name[index] = expr writes the element's stack slot
+  | ArrayAssignment(name, index, valueExpr) =>
+    generateElementAddress(state, Identifier(name), index)->Result.flatMap(((state, address)) => {
+      generateOperand(state, valueExpr)->Result.map(((state, value)) => {
+        emit(state, IR.StackPoke(address, value))
+      })
+    })
+
+  // TupleDeclaration: let (a, b) = expr binds each element; `_` skips one
+  | TupleDeclaration(names, init) =>
+    generateRecordValue(state, init, tupleTypeName(Array.length(names)))->Result.map(((state, value)) => {
+      names->Array.reduceWithIndex(state, (state, name, index) => {
+        if name == "_" {
+          state
+        } else {
+          let (state, vreg) = switch value.fields[index] {
+          | Some(VReg(vreg)) => (state, vreg)
+          | operand =>
+            let (state, vreg) = allocVReg(state)
+            (emit(state, IR.Move(vreg, operand->Option.getOr(IR.Num(0.)))), vreg)
+          }
+          {
+            ...state,
+            varMap: state.varMap->Belt.Map.String.set(name, {vreg, isRef: false}),
+            constants: state.constants->Belt.Set.String.remove(name),
+            deviceMap: state.deviceMap->Belt.Map.String.remove(name),
+          }
+        }
+      })
+    })
+
+  // RefAssignment to a record ref: overwrite every field of its stack segment
+  | RefAssignment(name, valueExpr) if Belt.Map.String.has(state.recordRefs, name) =>
+    let recordRef = state.recordRefs->Belt.Map.String.get(name)
+    recordRef->Option.mapOr(Diagnostic.error(`Variable '${name}' not found`), recordRef => {
+      generateRecordValue(state, valueExpr, recordRef.typeName)->Result.map(((state, value)) => {
+        storeRecord(state, recordRef.baseAddr, value)
+      })
+    })
+
   // RefAssignment: identifier := expr
   | RefAssignment(name, valueExpr) =>
     switch state.varMap->Belt.Map.String.get(name) {
     | Some(varInfo) =>
       if !varInfo.isRef {
-        Error(`Variable '${name}' is not a ref, cannot use := assignment`)
+        Diagnostic.error(`Variable '${name}' is not a ref, cannot use := assignment`)
       } else {
         // Check if this is a variant ref assignment
-        switch Belt.Map.String.get(state.refToTypeName, name) {
-        | Some(typeName) =>
-          // This is a variant ref - use stack poke approach
+        switch Belt.Map.String.get(state.variantRefs, name) {
+        | Some(variantRef) =>
+          // This is a variant ref - overwrite its stack segment
           switch valueExpr {
-          | VariantConstructor(constructorName, args) =>
-            // Get type metadata
-            switch Belt.Map.String.get(state.variantTypes, typeName) {
-            | None => Error(`Variant type not found: ${typeName}`)
-            | Some(typeInfo) =>
-              // Get constructor tag
-              switch Belt.Map.String.get(state.variantTags, constructorName) {
-              | None => Error(`Constructor tag not found: ${constructorName}`)
-              | Some(tag) =>
-                // Poke tag to baseAddr
-                let state = emit(state, IR.StackPoke(typeInfo.baseAddr, IR.Num(tag)))
-
-                // Poke all arguments
-                Array.reduceWithIndex(args, Ok(state), (stateResult, arg, index) => {
-                  stateResult->Result.flatMap(state => {
-                    // Generate argument expression
-                    generateExpr(state, arg)->Result.map(
-                      ((state, argVReg)) => {
-                        // Calculate address: baseAddr + tag * maxArgs + 1 + index
-                        let address = typeInfo.baseAddr + tag * typeInfo.maxArgs + 1 + index
-
-                        // Emit StackPoke
-                        emit(state, IR.StackPoke(address, IR.VReg(argVReg)))
-                      },
-                    )
-                  })
-                })
-              }
-            }
-
-          | Identifier(constructorName) =>
-            // Check if this identifier is a zero-arg variant constructor
-            switch getTypeNameFromConstructor(state, constructorName) {
-            | Some(_identTypeName) =>
-              // This is a zero-arg variant constructor - treat as VariantConstructor(name, [])
-              // Get type metadata
-              switch Belt.Map.String.get(state.variantTypes, typeName) {
-              | None => Error(`Variant type not found: ${typeName}`)
-              | Some(typeInfo) =>
-                // Get constructor tag
-                switch Belt.Map.String.get(state.variantTags, constructorName) {
-                | None => Error(`Constructor tag not found: ${constructorName}`)
-                | Some(tag) =>
-                  // Poke tag to baseAddr (no arguments for zero-arg constructor)
-                  let state = emit(state, IR.StackPoke(typeInfo.baseAddr, IR.Num(tag)))
-                  Ok(state)
-                }
-              }
-            | None =>
-              Error(
-                "[IRGen.res][generateStmt]: variant ref can only be assigned variant constructors",
-              )
-            }
-
+          | VariantConstructor(constructorName, args)
+            if !Belt.Map.String.has(state.functions, constructorName) =>
+            storeVariant(state, variantRef, constructorName, args)
+          | Identifier(constructorName)
+            if getTypeNameFromConstructor(state, constructorName)->Option.isSome =>
+            // Zero-arg variant constructor
+            storeVariant(state, variantRef, constructorName, [])
           | _ =>
-            Error(
-              "[IRGen.res][generateStmt]: variant ref can only be assigned variant constructors",
-            )
+            // Any other variant value is evaluated, then copied in
+            generateVariantValue(state, valueExpr, variantRef.typeName)->Result.map(((state, value)) => {
+              storeInVariantRef(state, variantRef, value)
+            })
           }
 
         | None =>
@@ -987,12 +2570,28 @@ and generateStmt = (state: state, stmt: AST.stmt): result<state, string> => {
           })
         }
       }
-    | None => Error(`Variable '${name}' not found`)
+    | None => Diagnostic.error(`Variable '${name}' not found`)
     }
 
   // WhileLoop: while condition { body }
   | WhileLoop(condition, body) => generateWhileLoop(state, condition, body)
 
+  // ForLoop: for i in start to/downto finish { body }
+  | ForLoop(variable, start, finish, direction, body) =>
+    generateForLoop(state, variable, start, finish, direction, body)
+
+  // Break / Continue: jump to the innermost enclosing loop's exit or next iteration
+  | Break =>
+    switch state.loops {
+    | list{labels, ..._} => Ok(emit(state, IR.Goto(labels.breakLabel)))
+    | list{} => Diagnostic.error("'break' can only be used inside a loop")
+    }
+  | Continue =>
+    switch state.loops {
+    | list{labels, ..._} => Ok(emit(state, IR.Goto(labels.continueLabel)))
+    | list{} => Diagnostic.error("'continue' can only be used inside a loop")
+    }
+
   // RawInstruction: raw IC10 assembly (e.g., yield)
   | RawInstruction(instruction) =>
     // Emit raw instruction directly to IR
@@ -1002,36 +2601,58 @@ and generateStmt = (state: state, stmt: AST.stmt): result<state, string> => {
   // BlockStatement: { stmt1; stmt2; ... }
   | BlockStatement(block) => generateBlock(state, block)
 
+  // Located: record the statement's span in the IR and attach it to any error
+  | Located(span, inner) =>
+    let state = emit(state, IR.SourceSpan(span))
+    generateStmt(state, inner)->Result.mapError(diagnostic => diagnostic->Diagnostic.withSpan(span))
+
   // SwitchExpression: when used as a statement (for side effects)
   | SwitchExpression(scrutinee, cases) =>
-    // Generate the switch expression and discard the result vreg
-    generateExpr(state, SwitchExpression(scrutinee, cases))->Result.map(((state, _resultVreg)) =>
-      state
-    )
+    switch variantTypeOf(state, stmt) {
+    | Some(typeName) =>
+      // Cases ending in variant values: evaluate them and discard the value
+      generateSwitch(state, scrutinee, cases, (state, body) => {
+        generateVariantBlock(state, body, typeName)->Result.map(((state, _value)) => state)
+      })
+    | None =>
+      // Generate the switch expression and discard the result vreg
+      generateExpr(state, stmt)->Result.map(((state, _resultVreg)) => state)
+    }
+
+  // VariantConstructor naming a declared function: call it, discarding any result
+  | VariantConstructor(name, args) if Belt.Map.String.has(state.functions, name) =>
+    generateCallArgs(state, name, args)->Result.map(((state, operands, _info)) => {
+      emit(state, IR.Call(name, operands, None))
+    })
+
+  // yield() and sleep(seconds): wait for the next tick, or for a number of seconds
+  | VariantConstructor("yield", args) =>
+    switch args {
+    | [] => Ok(emit(state, IR.Yield))
+    | _ => Diagnostic.error("yield() expects no arguments")
+    }
+  | VariantConstructor("sleep", args) =>
+    switch args {
+    | [seconds] =>
+      generateOperand(state, seconds)->Result.map(((state, seconds)) => {
+        emit(state, IR.Sleep(seconds))
+      })
+    | _ => Diagnostic.error("sleep() expects 1 argument: the number of seconds")
+    }
 
-  // VariantConstructor: check if it's a function call (0 args) or variant constructor
+  // VariantConstructor: variant constructors are not statements on their own
   | VariantConstructor(name, args) =>
-    if Array.length(args) == 0 {
-      // Check if this is a function call
-      if Belt.Set.String.has(state.functions, name) {
-        // This is a function call - emit Call instruction
-        let state = emit(state, IR.Call(name))
-        Ok(state)
-      } else {
-        // Check if this is a variant constructor
-        switch getTypeNameFromConstructor(state, name) {
-        | Some(_) =>
-          Error(
-            `Zero-arg variant constructor '${name}' cannot be used as a statement. ` ++
-            `Use it in ref() or assignment context: let x = ref(${name}) or varName := ${name}`,
-          )
-        | None => Error(`Unknown identifier '${name}'. Did you forget to declare the function?`)
-        }
-      }
-    } else {
-      Error(
+    switch getTypeNameFromConstructor(state, name) {
+    | Some(_) if Array.length(args) == 0 =>
+      Diagnostic.error(
+        `Zero-arg variant constructor '${name}' cannot be used as a statement. ` ++
+        `Use it in ref() or assignment context: let x = ref(${name}) or varName := ${name}`,
+      )
+    | Some(_) =>
+      Diagnostic.error(
         "[IRGen.res][generateStmt]: variant constructors with arguments cannot be used as statements",
       )
+    | None => Diagnostic.error(`Unknown identifier '${name}'. Did you forget to declare the function?`)
     }
 
   // FunctionCall as statement: s(device, property, value)
@@ -1040,7 +2661,7 @@ and generateStmt = (state: state, stmt: AST.stmt): result<state, string> => {
     | "s" =>
       // s(device, "Property", value) - Store instruction
       if Array.length(args) != 3 {
-        Error(
+        Diagnostic.error(
           "[IRGen.res][generateStmt]: s() expects 3 arguments: device, property name, and value",
         )
       } else {
@@ -1068,7 +2689,7 @@ and generateStmt = (state: state, stmt: AST.stmt): result<state, string> => {
               })
             }
           | None =>
-            Error(`[IRGen.res][generateStmt]: Variable '${deviceVar}' is not a device. Use: let ${deviceVar} = device("d0")`)
+            Diagnostic.error(`[IRGen.res][generateStmt]: Variable '${deviceVar}' is not a device. Use: let ${deviceVar} = device("d0")`)
           }
 
         // Case 2: s(literal, "Property", value) - direct device pin
@@ -1079,7 +2700,7 @@ and generateStmt = (state: state, stmt: AST.stmt): result<state, string> => {
           ) =>
           // Check if value is a literal - use immediate value
           // Convert integer device pin to string reference (0 → "d0", etc.)
-          let deviceRef = `d${Int.toString(devicePin)}`
+          let deviceRef = `d${Int.toString(Float.toInt(devicePin))}`
           switch valueExpr {
           | AST.Literal(n) =>
             // Use immediate value directly
@@ -1093,7 +2714,7 @@ and generateStmt = (state: state, stmt: AST.stmt): result<state, string> => {
           }
 
         | _ =>
-          Error(
+          Diagnostic.error(
             "[IRGen.res][generateStmt]: s() expects (device: identifier or int, property: string, value: expr)",
           )
         }
@@ -1102,7 +2723,7 @@ and generateStmt = (state: state, stmt: AST.stmt): result<state, string> => {
     | "sb" =>
       // sb(typeHash, "Property", value) - Batch store by type
       if Array.length(args) != 3 {
-        Error("[IRGen.res][generateStmt]: sb() expects 3 arguments: type hash, property, value")
+        Diagnostic.error("[IRGen.res][generateStmt]: sb() expects 3 arguments: type hash, property, value")
       } else {
         switch (args[0], args[1], args[2]) {
         | (
@@ -1120,14 +2741,14 @@ and generateStmt = (state: state, stmt: AST.stmt): result<state, string> => {
             })
           }
         | _ =>
-          Error("[IRGen.res][generateStmt]: sb() expects (typeHash: identifier, property: string, value: expr)")
+          Diagnostic.error("[IRGen.res][generateStmt]: sb() expects (typeHash: identifier, property: string, value: expr)")
         }
       }
 
     | "sbn" =>
       // sbn(typeHash, nameHash, "Property", value) - Batch store by type and name
       if Array.length(args) != 4 {
-        Error("[IRGen.res][generateStmt]: sbn() expects 4 arguments: type hash, name hash, property, value")
+        Diagnostic.error("[IRGen.res][generateStmt]: sbn() expects 4 arguments: type hash, name hash, property, value")
       } else {
         switch (args[0], args[1], args[2], args[3]) {
         | (
@@ -1146,12 +2767,12 @@ and generateStmt = (state: state, stmt: AST.stmt): result<state, string> => {
             })
           }
         | _ =>
-          Error("[IRGen.res][generateStmt]: sbn() expects (typeHash: identifier, nameHash: identifier, property: string, value: expr)")
+          Diagnostic.error("[IRGen.res][generateStmt]: sbn() expects (typeHash: identifier, nameHash: identifier, property: string, value: expr)")
         }
       }
 
     | _ =>
-      Error(
+      Diagnostic.error(
         `[IRGen.res][generateStmt]: function '${funcName}' not yet implemented as statement in IR mode`,
       )
     }
@@ -1160,19 +2781,20 @@ and generateStmt = (state: state, stmt: AST.stmt): result<state, string> => {
   | _ => {
       // Debug: log the unsupported statement type
       Console.log2("Unsupported statement type:", stmt)
-      Error("[IRGen.res][generateStmt]: statement type not supported in Phase 2")
+      Diagnostic.error("[IRGen.res][generateStmt]: statement type not supported in Phase 2")
     }
   }
 }
 
 // Generate IR for entire program
-let generate = (ast: AST.program): result<IR.t, string> => {
-  let initialState = createState()
+// With `~boundsChecks`, array indices only known at runtime are checked before each access
+let generate = (~boundsChecks: bool=false, ast: AST.program): result<IR.t, Diagnostic.t> => {
+  let initialState = {...createState(), boundsChecks}
 
   // Process all statements
   let rec processStmts = (state: state, stmts: array<AST.stmt>, index: int): result<
     state,
-    string,
+    Diagnostic.t,
   > => {
     if index >= Array.length(stmts) {
       Ok(state)
@@ -1182,14 +2804,19 @@ let generate = (ast: AST.program): result<IR.t, string> => {
         generateStmt(state, stmt)->Result.flatMap(state => {
           processStmts(state, stmts, index + 1)
         })
-      | None => Error("[IRGen.res][generate]: internal error: array index out of bounds")
+      | None => Diagnostic.error("[IRGen.res][generate]: internal error: array index out of bounds")
       }
     }
   }
 
   processStmts(initialState, ast, 0)->Result.map(finalState => {
     // Create main block with main instructions (reversed to correct order)
+    // Variant segments are reserved once, before anything else touches the stack
     let mainInstructions = finalState.instructions->List.reverse
+    let mainInstructions = switch finalState.stackAllocator.nextFreeSlot {
+    | 0 => mainInstructions
+    | slotCount => list{IR.StackAlloc(slotCount), ...mainInstructions}
+    }
 
     // Add a safety mechanism: if there are function blocks, add an infinite loop
     // at the end of main to prevent falling through into function definitions
@@ -1203,6 +2830,8 @@ let generate = (ast: AST.program): result<IR.t, string> => {
 
     let mainBlock: IR.block = {
       name: "main",
+      params: [],
+      returnsValue: false,
       instructions: mainInstructionsWithSafety,
     }
 
@@ -5,64 +5,8 @@
 module VRegSet = Belt.Set.Int
 
 // Analysis: find all virtual registers that are used (read from)
-let rec findUsedVRegs = (instrs: list<IR.instr>, used: VRegSet.t): VRegSet.t => {
-  switch instrs {
-  | list{} => used
-  | list{instr, ...rest} => {
-      let newUsed = switch instr {
-      | Move(_, VReg(vreg)) => used->VRegSet.add(vreg)
-      | Move(_, Num(_)) => used
-      | Move(_, Name(_)) => used
-      | Move(_, Hash(_)) => used
-      | Binary(_, _, VReg(left), VReg(right)) => used->VRegSet.add(left)->VRegSet.add(right)
-      | Binary(_, _, VReg(left), Num(_)) => used->VRegSet.add(left)
-      | Binary(_, _, VReg(left), Name(_)) => used->VRegSet.add(left)
-      | Binary(_, _, VReg(left), Hash(_)) => used->VRegSet.add(left)
-      | Binary(_, _, Num(_), VReg(right)) => used->VRegSet.add(right)
-      | Binary(_, _, Num(_), Num(_)) => used
-      | Binary(_, _, Num(_), Name(_)) => used
-      | Binary(_, _, Num(_), Hash(_)) => used
-      | Binary(_, _, Name(_), VReg(right)) => used->VRegSet.add(right)
-      | Binary(_, _, Name(_), Num(_)) => used
-      | Binary(_, _, Name(_), Name(_)) => used
-      | Binary(_, _, Name(_), Hash(_)) => used
-      | Binary(_, _, Hash(_), VReg(right)) => used->VRegSet.add(right)
-      | Binary(_, _, Hash(_), Num(_)) => used
-      | Binary(_, _, Hash(_), Name(_)) => used
-      | Binary(_, _, Hash(_), Hash(_)) => used
-      | Compare(_, _, VReg(left), VReg(right)) => used->VRegSet.add(left)->VRegSet.add(right)
-      | Compare(_, _, VReg(left), Num(_)) => used->VRegSet.add(left)
-      | Compare(_, _, VReg(left), Name(_)) => used->VRegSet.add(left)
-      | Compare(_, _, VReg(left), Hash(_)) => used->VRegSet.add(left)
-      | Compare(_, _, Num(_), VReg(right)) => used->VRegSet.add(right)
-      | Compare(_, _, Num(_), Num(_)) => used
-      | Compare(_, _, Num(_), Name(_)) => used
-      | Compare(_, _, Num(_), Hash(_)) => used
-      | Compare(_, _, Name(_), VReg(right)) => used->VRegSet.add(right)
-      | Compare(_, _, Name(_), Num(_)) => used
-      | Compare(_, _, Name(_), Name(_)) => used
-      | Compare(_, _, Name(_), Hash(_)) => used
-      | Compare(_, _, Hash(_), VReg(right)) => used->VRegSet.add(right)
-      | Compare(_, _, Hash(_), Num(_)) => used
-      | Compare(_, _, Hash(_), Name(_)) => used
-      | Compare(_, _, Hash(_), Hash(_)) => used
-      | Bnez(VReg(vreg), _) => used->VRegSet.add(vreg)
-      | Bnez(Num(_), _) => used
-      | Bnez(Name(_), _) => used
-      | Bnez(Hash(_), _) => used
-      | DeviceStore(_, _, VReg(vreg)) => used->VRegSet.add(vreg)
-      | DeviceStore(_, _, Num(_)) => used
-      | DeviceStore(_, _, Name(_)) => used
-      | DeviceStore(_, _, Hash(_)) => used
-      | Unary(_, _, VReg(vreg)) => used->VRegSet.add(vreg)
-      | Unary(_, _, Num(_)) => used
-      | Unary(_, _, Name(_)) => used
-      | Unary(_, _, Hash(_)) => used
-      | _ => used
-      }
-      findUsedVRegs(rest, newUsed)
-    }
-  }
+let findUsedVRegs = (instrs: list<IR.instr>, used: VRegSet.t): VRegSet.t => {
+  instrs->List.reduce(used, (used, instr) => used->VRegSet.union(Liveness.usedVRegs(instr)))
 }
 
 // Optimization 1: Dead Code Elimination
@@ -89,6 +33,8 @@ let eliminateDeadCode = (instrs: list<IR.instr>): list<IR.instr> => {
 
 // Optimization 2: Constant and Copy Propagation
 // Replaces variables with their known constant or copy values.
+// Only valid within straight-line code: facts are dropped at labels (join points)
+// and calls, and when a register is redefined every copy of it is dropped too.
 type copyMap = Belt.Map.Int.t<IR.operand>
 
 let propagateConstantsAndCopies = (instrs: list<IR.instr>): list<IR.instr> => {
@@ -105,62 +51,103 @@ let propagateConstantsAndCopies = (instrs: list<IR.instr>): list<IR.instr> => {
     }
   }
 
+  // Forget everything known about dst, including registers that were copies of it
+  let invalidate = (copies: copyMap, dst: IR.vreg): copyMap => {
+    copies
+    ->Belt.Map.Int.remove(dst)
+    ->Belt.Map.Int.keep((_, value) => value != IR.VReg(dst))
+  }
+
   let rec process = (instrs: list<IR.instr>, copies: copyMap): list<IR.instr> => {
     switch instrs {
     | list{} => list{}
 
+    // Control can arrive here from elsewhere (loops, branches, returns)
+    | list{IR.Label(_) as instr, ...rest} => list{instr, ...process(rest, Belt.Map.Int.empty)}
+    | list{IR.Call(label, args, result), ...rest} =>
+      let newArgs = args->Array.map(arg => substituteOperand(arg, copies))
+      list{IR.Call(label, newArgs, result), ...process(rest, Belt.Map.Int.empty)}
+
     // Instructions that DEFINE a register
     | list{IR.Move(dst, operand), ...rest} =>
       let substitutedOperand = substituteOperand(operand, copies)
       let newInstr = IR.Move(dst, substitutedOperand)
-      let newCopies = copies->Belt.Map.Int.remove(dst)->Belt.Map.Int.set(dst, substitutedOperand)
+      let newCopies = copies->invalidate(dst)
+      let newCopies = substitutedOperand == IR.VReg(dst)
+        ? newCopies
+        : newCopies->Belt.Map.Int.set(dst, substitutedOperand)
       list{newInstr, ...process(rest, newCopies)}
 
     | list{IR.Binary(dst, op, left, right), ...rest} =>
       let newLeft = substituteOperand(left, copies)
       let newRight = substituteOperand(right, copies)
       let newInstr = IR.Binary(dst, op, newLeft, newRight)
-      let newCopies = copies->Belt.Map.Int.remove(dst)
+      let newCopies = copies->invalidate(dst)
       list{newInstr, ...process(rest, newCopies)}
 
     | list{IR.Compare(dst, op, left, right), ...rest} =>
       let newLeft = substituteOperand(left, copies)
       let newRight = substituteOperand(right, copies)
       let newInstr = IR.Compare(dst, op, newLeft, newRight)
-      let newCopies = copies->Belt.Map.Int.remove(dst)
+      let newCopies = copies->invalidate(dst)
       list{newInstr, ...process(rest, newCopies)}
 
     | list{IR.Unary(dst, op, operand), ...rest} =>
       let newOperand = substituteOperand(operand, copies)
       let newInstr = IR.Unary(dst, op, newOperand)
-      let newCopies = copies->Belt.Map.Int.remove(dst)
+      let newCopies = copies->invalidate(dst)
+      list{newInstr, ...process(rest, newCopies)}
+
+    | list{IR.Select(dst, condition, thenValue, elseValue), ...rest} =>
+      let newInstr = IR.Select(
+        dst,
+        substituteOperand(condition, copies),
+        substituteOperand(thenValue, copies),
+        substituteOperand(elseValue, copies),
+      )
+      let newCopies = copies->invalidate(dst)
       list{newInstr, ...process(rest, newCopies)}
 
     | list{IR.DeviceLoad(dst, device, property, bulkOpt), ...rest} =>
-      let newCopies = copies->Belt.Map.Int.remove(dst)
+      let newCopies = copies->invalidate(dst)
       list{IR.DeviceLoad(dst, device, property, bulkOpt), ...process(rest, newCopies)}
 
     | list{IR.StackGet(dst, address), ...rest} =>
-      let newCopies = copies->Belt.Map.Int.remove(dst)
-      list{IR.StackGet(dst, address), ...process(rest, newCopies)}
+      let newAddress = substituteOperand(address, copies)
+      let newCopies = copies->invalidate(dst)
+      list{IR.StackGet(dst, newAddress), ...process(rest, newCopies)}
+
+    | list{IR.Rand(dst) as instr, ...rest} => list{instr, ...process(rest, copies->invalidate(dst))}
 
     // Instructions that USE registers
     | list{IR.Bnez(operand, label), ...rest} =>
       let newOperand = substituteOperand(operand, copies)
       list{IR.Bnez(newOperand, label), ...process(rest, copies)}
 
+    | list{IR.Beqz(operand, label), ...rest} =>
+      let newOperand = substituteOperand(operand, copies)
+      list{IR.Beqz(newOperand, label), ...process(rest, copies)}
+
     | list{IR.DeviceStore(device, property, operand), ...rest} =>
       let newOperand = substituteOperand(operand, copies)
       list{IR.DeviceStore(device, property, newOperand), ...process(rest, copies)}
 
     | list{IR.StackPoke(address, operand), ...rest} =>
+      let newAddress = substituteOperand(address, copies)
       let newOperand = substituteOperand(operand, copies)
-      list{IR.StackPoke(address, newOperand), ...process(rest, copies)}
+      list{IR.StackPoke(newAddress, newOperand), ...process(rest, copies)}
 
     | list{IR.StackPush(operand), ...rest} =>
       let newOperand = substituteOperand(operand, copies)
       list{IR.StackPush(newOperand), ...process(rest, copies)}
 
+    | list{IR.Return(Some(operand)), ...rest} =>
+      let newOperand = substituteOperand(operand, copies)
+      list{IR.Return(Some(newOperand)), ...process(rest, copies)}
+
+    | list{IR.Sleep(operand), ...rest} =>
+      list{IR.Sleep(substituteOperand(operand, copies)), ...process(rest, copies)}
+
     // Other instructions are left alone
     | list{instr, ...rest} => list{instr, ...process(rest, copies)}
     }
@@ -183,26 +170,74 @@ let eliminateRedundantMoves = (instrs: list<IR.instr>): list<IR.instr> => {
   filter(instrs)
 }
 
+// Value of a binary operation on constants, as the chip computes it
+// None when it cannot be folded: division by zero, or a result that is not a finite number
+let evaluateBinary = (op: IR.binOp, left: float, right: float): option<float> => {
+  let result = switch op {
+  | AddOp => Some(left +. right)
+  | SubOp => Some(left -. right)
+  | MulOp => Some(left *. right)
+  | DivOp =>
+    if right == 0. {
+      // Division by zero, cannot fold - keep it for the runtime
+      None
+    } else {
+      Some(left /. right)
+    }
+  | AndOp => ChipMath.land(left, right)
+  | OrOp => ChipMath.lor(left, right)
+  | XorOp => ChipMath.lxor(left, right)
+  | SllOp => ChipMath.lsl(left, right)
+  | SrlOp => ChipMath.lsr(left, right)
+  | SraOp => ChipMath.asr(left, right)
+  | MinOp => Some(Math.min(left, right))
+  | MaxOp => Some(Math.max(left, right))
+  | ModOp => ChipMath.modulo(left, right)
+  | Atan2Op => Some(Math.atan2(~y=left, ~x=right))
+  }
+  result->Option.filter(Float.isFinite)
+}
+
+// Value of a math builtin on a constant, as the chip computes it (None when it cannot be folded)
+let evaluateUnary = (op: IR.unOp, value: float): option<float> => {
+  let result = switch op {
+  | Abs => Some(Math.abs(value))
+  | Floor => Some(Math.floor(value))
+  | Ceil => Some(Math.ceil(value))
+  // Halves are left to the chip, which may round them to even
+  | Round => Math.abs(Float.mod(value, 1.)) == 0.5 ? None : Some(Math.round(value))
+  | Trunc => Some(Math.trunc(value))
+  | Sqrt => Some(Math.sqrt(value))
+  | Exp => Some(Math.exp(value))
+  | Log => Some(Math.log(value))
+  | Sin => Some(Math.sin(value))
+  | Cos => Some(Math.cos(value))
+  | Tan => Some(Math.tan(value))
+  | Asin => Some(Math.asin(value))
+  | Acos => Some(Math.acos(value))
+  | Atan => Some(Math.atan(value))
+  | Not => ChipMath.lnot(value)
+  }
+  result->Option.filter(Float.isFinite)
+}
+
 // Optimization 4: Constant Folding
 // Evaluate constant expressions at compile time
 let foldConstants = (instrs: list<IR.instr>): list<IR.instr> => {
   let rec process = (instrs: list<IR.instr>): list<IR.instr> => {
     switch instrs {
     | list{} => list{}
-    | list{Binary(dst, op, Num(left), Num(right)), ...rest} =>
-      let result = switch op {
-      | AddOp => left + right
-      | SubOp => left - right
-      | MulOp => left * right
-      | DivOp =>
-        if right == 0 {
-          // Division by zero, cannot fold
-          -1 // Or some other sentinel, or don't fold
-        } else {
-          left / right
-        }
+    | list{Binary(dst, op, Num(left), Num(right)) as instr, ...rest} =>
+      switch evaluateBinary(op, left, right) {
+      | Some(value) => list{Move(dst, Num(value)), ...process(rest)}
+      | None => list{instr, ...process(rest)}
+      }
+
+    | list{Unary(dst, op, Num(value)) as instr, ...rest} =>
+      switch evaluateUnary(op, value) {
+      | Some(result) => list{Move(dst, Num(result)), ...process(rest)}
+      | None => list{instr, ...process(rest)}
       }
-      list{Move(dst, Num(result)), ...process(rest)}
 
     | list{Compare(dst, op, Num(left), Num(right)), ...rest} =>
       let result = switch op {
@@ -213,7 +248,10 @@ let foldConstants = (instrs: list<IR.instr>): list<IR.instr> => {
       | LeOp => left <= right
       | NeOp => left != right
       }
-      list{Move(dst, Num(result ? 1 : 0)), ...process(rest)}
+      list{Move(dst, Num(result ? 1. : 0.)), ...process(rest)}
+
+    | list{Select(dst, Num(condition), thenValue, elseValue), ...rest} =>
+      list{Move(dst, condition != 0. ? thenValue : elseValue), ...process(rest)}
 
     | list{instr, ...rest} => list{instr, ...process(rest)}
     }
@@ -240,7 +278,7 @@ let eliminateUnreachableCode = (instrs: list<IR.instr>): list<IR.instr> => {
     | list{Goto(_) as goto, ...rest} =>
       list{goto, ...process(rest, true)}
 
-    | list{Return as ret, ...rest} =>
+    | list{Return(_) as ret, ...rest} =>
       list{ret, ...process(rest, true)}
 
     // All other instructions
@@ -289,12 +327,22 @@ let eliminateEmptyBlocks = (instrs: list<IR.instr>): list<IR.instr> => {
     }
   }
 
+  // Labels whose redirect chain leads back to themselves (e.g. `__end: j __end`)
+  // are still jump targets after redirection, so their blocks must be kept
+  let isSelfLoop = (label: string): bool => {
+    redirectMap->Belt.Map.String.has(label) && followRedirects(label, Belt.Set.String.empty) == label
+  }
+
   // Second pass: redirect all jumps and remove empty blocks
   let rec process = (instrs: list<IR.instr>): list<IR.instr> => {
     switch instrs {
     | list{} => list{}
 
-    // Redirect Goto instructions
+    // Redirect Goto instructions, dropping an empty block that follows
+    // (it can only be reached through jumps, which are redirected)
+    | list{Goto(target), Label(label), Goto(_), ...rest} if !isSelfLoop(label) =>
+      process(list{IR.Goto(target), ...rest})
+
     | list{Goto(target), ...rest} =>
       let newTarget = followRedirects(target, Belt.Set.String.empty)
       list{Goto(newTarget), ...process(rest)}
@@ -304,10 +352,14 @@ let eliminateEmptyBlocks = (instrs: list<IR.instr>): list<IR.instr> => {
       let newTarget = followRedirects(target, Belt.Set.String.empty)
       list{Bnez(operand, newTarget), ...process(rest)}
 
+    | list{Beqz(operand, target), ...rest} =>
+      let newTarget = followRedirects(target, Belt.Set.String.empty)
+      list{Beqz(operand, newTarget), ...process(rest)}
+
     // Remove empty blocks (Label immediately followed by Goto)
-    | list{Label(label), Goto(target), ...rest} =>
-      // Skip this empty block entirely
-      process(rest)
+    // The Goto stays: code falling through into the block still has to jump
+    | list{Label(label), Goto(target), ...rest} if !isSelfLoop(label) =>
+      process(list{IR.Goto(target), ...rest})
 
     // Keep all other instructions
     | list{instr, ...rest} =>
@@ -340,8 +392,8 @@ let eliminateFallthroughJumps = (instrs: list<IR.instr>): list<IR.instr> => {
 
 // Type definitions for define substitution
 type defineValue =
-  | DefNum(int)
-  | DefHashStr(string)
+  | ConstNum(float)
+  | ConstHash(string)
 
 type defineMap = Belt.Map.String.t<defineValue>
 
@@ -368,8 +420,8 @@ let globalDefineSubstitution = (blocks: list<IR.block>): list<IR.block> => {
     blocks->List.reduce(Belt.Map.String.empty, (defines, block) => {
       block.instructions->List.reduce(defines, (defines, instr) => {
         switch instr {
-        | DefInt(name, value) => defines->Belt.Map.String.set(name, DefNum(value))
-        | DefHash(name, hashValue) => defines->Belt.Map.String.set(name, DefHashStr(hashValue))
+        | DefNum(name, value) => defines->Belt.Map.String.set(name, ConstNum(value))
+        | DefHash(name, hashValue) => defines->Belt.Map.String.set(name, ConstHash(hashValue))
         | _ => defines
         }
       })
@@ -383,8 +435,8 @@ let globalDefineSubstitution = (blocks: list<IR.block>): list<IR.block> => {
     switch op {
     | Name(name) =>
       switch globalDefines->Belt.Map.String.get(name) {
-      | Some(DefNum(value)) => Num(value)
-      | Some(DefHashStr(hashStr)) => Hash(hashStr)
+      | Some(ConstNum(value)) => Num(value)
+      | Some(ConstHash(hashStr)) => Hash(hashStr)
       | None => op
       }
     | other => other
@@ -396,16 +448,16 @@ let globalDefineSubstitution = (blocks: list<IR.block>): list<IR.block> => {
     switch device {
     | DeviceType(name) =>
       switch globalDefines->Belt.Map.String.get(name) {
-      | Some(DefHashStr(hashStr)) => DeviceType(`HASH("${hashStr}")`)
+      | Some(ConstHash(hashStr)) => DeviceType(`HASH("${hashStr}")`)
       | _ => device
       }
     | DeviceNamed(typeName, nameName) =>
       let newTypeName = switch globalDefines->Belt.Map.String.get(typeName) {
-      | Some(DefHashStr(hashStr)) => `HASH("${hashStr}")`
+      | Some(ConstHash(hashStr)) => `HASH("${hashStr}")`
       | _ => typeName
       }
       let newNameName = switch globalDefines->Belt.Map.String.get(nameName) {
-      | Some(DefHashStr(hashStr)) => `HASH("${hashStr}")`
+      | Some(ConstHash(hashStr)) => `HASH("${hashStr}")`
       | _ => nameName
       }
       DeviceNamed(newTypeName, newNameName)
@@ -419,8 +471,8 @@ let globalDefineSubstitution = (blocks: list<IR.block>): list<IR.block> => {
       switch instrs {
       | list{} => list{}
 
-      // KEEP DefInt and DefHash instructions (don't remove them)
-      | list{DefInt(_, _) as defInstr, ...rest} => list{defInstr, ...process(rest)}
+      // KEEP DefNum and DefHash instructions (don't remove them)
+      | list{DefNum(_, _) as defInstr, ...rest} => list{defInstr, ...process(rest)}
       | list{DefHash(_, _) as defInstr, ...rest} => list{defInstr, ...process(rest)}
 
       // Substitute in instructions with operands
@@ -436,8 +488,16 @@ let globalDefineSubstitution = (blocks: list<IR.block>): list<IR.block> => {
       | list{Unary(dst, op, operand), ...rest} =>
         list{Unary(dst, op, substituteOperand(operand)), ...process(rest)}
 
+      | list{Select(dst, condition, thenValue, elseValue), ...rest} =>
+        list{
+          Select(dst, substituteOperand(condition), substituteOperand(thenValue), substituteOperand(elseValue)),
+          ...process(rest),
+        }
+
       | list{Bnez(operand, label), ...rest} =>
         list{Bnez(substituteOperand(operand), label), ...process(rest)}
+      | list{Beqz(operand, label), ...rest} =>
+        list{Beqz(substituteOperand(operand), label), ...process(rest)}
 
       | list{DeviceLoad(dst, device, property, bulkOpt), ...rest} =>
         list{DeviceLoad(dst, substituteDevice(device), property, bulkOpt), ...process(rest)}
@@ -446,11 +506,22 @@ let globalDefineSubstitution = (blocks: list<IR.block>): list<IR.block> => {
         list{DeviceStore(substituteDevice(device), property, substituteOperand(operand)), ...process(rest)}
 
       | list{StackPoke(address, operand), ...rest} =>
-        list{StackPoke(address, substituteOperand(operand)), ...process(rest)}
+        list{StackPoke(substituteOperand(address), substituteOperand(operand)), ...process(rest)}
+      | list{StackGet(dst, address), ...rest} =>
+        list{StackGet(dst, substituteOperand(address)), ...process(rest)}
 
       | list{StackPush(operand), ...rest} =>
         list{StackPush(substituteOperand(operand)), ...process(rest)}
 
+      | list{Call(label, args, result), ...rest} =>
+        list{Call(label, args->Array.map(substituteOperand), result), ...process(rest)}
+
+      | list{Return(Some(operand)), ...rest} =>
+        list{Return(Some(substituteOperand(operand))), ...process(rest)}
+
+      | list{Sleep(operand), ...rest} =>
+        list{Sleep(substituteOperand(operand)), ...process(rest)}
+
       // Other instructions are left alone
       | list{instr, ...rest} => list{instr, ...process(rest)}
       }
@@ -9,7 +9,7 @@ let printVReg = (vreg: IR.vreg): string => {
 let printOperand = (operand: IR.operand): string => {
   switch operand {
   | VReg(vreg) => printVReg(vreg)
-  | Num(n) => Int.toString(n)
+  | Num(n) => Float.toString(n)
   | Name(name) => name
   | Hash(hashStr) => `HASH("${hashStr}")`
   }
@@ -22,6 +22,37 @@ let printBinOp = (op: IR.binOp): string => {
   | SubOp => "sub"
   | MulOp => "mul"
   | DivOp => "div"
+  | AndOp => "and"
+  | OrOp => "or"
+  | XorOp => "xor"
+  | SllOp => "sll"
+  | SrlOp => "srl"
+  | SraOp => "sra"
+  | MinOp => "min"
+  | MaxOp => "max"
+  | ModOp => "mod"
+  | Atan2Op => "atan2"
+  }
+}
+
+// Format a unary operator
+let printUnOp = (op: IR.unOp): string => {
+  switch op {
+  | Abs => "abs"
+  | Floor => "floor"
+  | Ceil => "ceil"
+  | Round => "round"
+  | Trunc => "trunc"
+  | Sqrt => "sqrt"
+  | Exp => "exp"
+  | Log => "log"
+  | Sin => "sin"
+  | Cos => "cos"
+  | Tan => "tan"
+  | Asin => "asin"
+  | Acos => "acos"
+  | Atan => "atan"
+  | Not => "not"
   }
 }
 
@@ -50,7 +81,7 @@ let printDevice = (device: IR.device): string => {
 // Format an instruction
 let printInstr = (instr: IR.instr): string => {
   switch instr {
-  | DefInt(name, value) => `define ${name} ${Int.toString(value)}`
+  | DefNum(name, value) => `define ${name} ${Float.toString(value)}`
   | DefHash(name, value) => `define ${name} HASH("${value}")`
   | Move(vreg, operand) => `move ${printVReg(vreg)} ${printOperand(operand)}`
   | DeviceLoad(vreg, device, property, bulkOpt) => {
@@ -65,32 +96,48 @@ let printInstr = (instr: IR.instr): string => {
       let deviceStr = printDevice(device)
       `store ${deviceStr} ${property} ${printOperand(operand)}`
     }
-  | Unary(vreg, op, operand) => {
-      let opStr = switch op {
-      | Abs => "abs"
-      }
-      `${opStr} ${printVReg(vreg)} ${printOperand(operand)}`
-    }
+  | Unary(vreg, op, operand) => `${printUnOp(op)} ${printVReg(vreg)} ${printOperand(operand)}`
   | Binary(vreg, op, left, right) =>
     `${printBinOp(op)} ${printVReg(vreg)} ${printOperand(left)} ${printOperand(right)}`
   | Compare(vreg, op, left, right) =>
     `${printCompareOp(op)} ${printVReg(vreg)} ${printOperand(left)} ${printOperand(right)}`
+  | Select(vreg, condition, thenValue, elseValue) =>
+    `select ${printVReg(vreg)} ${printOperand(condition)} ${printOperand(thenValue)} ${printOperand(
+        elseValue,
+      )}`
+  | Rand(vreg) => `rand ${printVReg(vreg)}`
   | Goto(label) => `j ${label}`
   | Label(label) => `${label}:`
   | Bnez(operand, label) => `bnez ${printOperand(operand)} ${label}`
-  | Call(label) => `jal ${label}`
-  | Return => `j ra`
+  | Beqz(operand, label) => `beqz ${printOperand(operand)} ${label}`
+  | Call(label, args, result) => {
+      let argsStr = args->Array.map(printOperand)->Array.join(", ")
+      let resultStr = switch result {
+      | Some(vreg) => ` -> ${printVReg(vreg)}`
+      | None => ""
+      }
+      `jal ${label}(${argsStr})${resultStr}`
+    }
+  | Return(Some(operand)) => `j ra ${printOperand(operand)}`
+  | Return(None) => `j ra`
   | StackAlloc(count) => `stack_alloc ${Int.toString(count)}`
-  | StackPoke(addr, operand) => `stack_poke ${Int.toString(addr)} ${printOperand(operand)}`
-  | StackGet(vreg, addr) => `stack_get ${printVReg(vreg)} ${Int.toString(addr)}`
+  | StackPoke(addr, operand) => `stack_poke ${printOperand(addr)} ${printOperand(operand)}`
+  | StackGet(vreg, addr) => `stack_get ${printVReg(vreg)} ${printOperand(addr)}`
   | StackPush(operand) => `stack_push ${printOperand(operand)}`
+  | Yield => "yield"
+  | Sleep(seconds) => `sleep ${printOperand(seconds)}`
   | RawInstruction(instruction) => instruction
+  | SourceSpan(span) => `# ${Span.toString(span)}`
   }
 }
 
 // Format a block
 let printBlock = (block: IR.block): string => {
-  let header = `# Block: ${block.name}\n`
+  let paramsStr = block.params->Array.map(printVReg)->Array.join(", ")
+  let header =
+    Array.length(block.params) > 0
+      ? `# Block: ${block.name}(${paramsStr})\n`
+      : `# Block: ${block.name}\n`
   let instrs =
     block.instructions
     ->List.toArray
@@ -1,49 +1,49 @@
 // IR to IC10 Code Generation
 // Maps virtual registers to physical registers (r0-r15) and generates IC10 assembly
+// Physical registers are chosen up front by RegisterColoring
 
 // State for code generation
 type state = {
   vregMap: Belt.Map.Int.t<int>, // vreg → physical register mapping
-  nextPhysical: int, // Next available physical register (0-15)
   output: array<string>, // Accumulated IC10 instructions
+  currentSpan: option<Span.t>, // Source span of the statement being generated (for errors)
+  valueFunctions: Belt.Set.String.t, // Functions that leave a result on the stack
+  savesReturnAddress: bool, // Whether the current function keeps ra on the stack
+  savedAroundCalls: list<array<IR.vreg>>, // Registers to save around each remaining call of the block
 }
 
 // Create initial state
 let createState = (): state => {
   vregMap: Belt.Map.Int.empty,
-  nextPhysical: 0,
   output: [],
+  currentSpan: None,
+  valueFunctions: Belt.Set.String.empty,
+  savesReturnAddress: false,
+  savedAroundCalls: list{},
 }
 
-// Allocate a physical register for a virtual register
-let allocatePhysicalReg = (state: state, vreg: IR.vreg): result<(state, int), string> => {
-  // Check if vreg already has a physical register
+// Physical register allocated to a virtual register
+let allocatePhysicalReg = (state: state, vreg: IR.vreg): result<(state, int), Diagnostic.t> => {
   switch state.vregMap->Belt.Map.Int.get(vreg) {
   | Some(physicalReg) => Ok((state, physicalReg))
   | None =>
-    // Allocate new physical register
-    if state.nextPhysical > 15 {
-      Error(`Register allocation failed: exceeded 16 physical registers`)
-    } else {
-      let physicalReg = state.nextPhysical
-      let newState = {
-        ...state,
-        vregMap: state.vregMap->Belt.Map.Int.set(vreg, physicalReg),
-        nextPhysical: state.nextPhysical + 1,
-      }
-      Ok((newState, physicalReg))
-    }
+    Error(
+      Diagnostic.make(
+        ~span=?state.currentSpan,
+        `[IRToIC10.res][allocatePhysicalReg]: no register allocated for v${Int.toString(vreg)}`,
+      ),
+    )
   }
 }
 
 // Convert an operand to IC10 format
-let convertOperand = (state: state, operand: IR.operand): result<(state, string), string> => {
+let convertOperand = (state: state, operand: IR.operand): result<(state, string), Diagnostic.t> => {
   switch operand {
   | VReg(vreg) =>
     allocatePhysicalReg(state, vreg)->Result.map(((state, physicalReg)) => {
       (state, `r${Int.toString(physicalReg)}`)
     })
-  | Num(n) => Ok((state, Int.toString(n)))
+  | Num(n) => Ok((state, Float.toString(n)))
   | Name(name) => Ok((state, name))
   | Hash(hashStr) => Ok((state, `HASH("${hashStr}")`))
   }
@@ -55,8 +55,13 @@ let emit = (state: state, instr: string): state => {
 }
 
 // Generate IC10 code for a single instruction
-let generateInstr = (state: state, instr: IR.instr): result<state, string> => {
+let generateInstr = (state: state, instr: IR.instr): result<state, Diagnostic.t> => {
   switch instr {
+  // A copy whose source shares its register needs no instruction
+  | Move(vreg, VReg(source))
+    if state.vregMap->Belt.Map.Int.get(vreg) == state.vregMap->Belt.Map.Int.get(source) =>
+    Ok(state)
+
   | Move(vreg, operand) =>
     allocatePhysicalReg(state, vreg)->Result.flatMap(((state, physicalReg)) => {
       convertOperand(state, operand)->Result.map(((state, operandStr)) => {
@@ -70,6 +75,16 @@ let generateInstr = (state: state, instr: IR.instr): result<state, string> => {
       | SubOp => "sub"
       | MulOp => "mul"
       | DivOp => "div"
+      | AndOp => "and"
+      | OrOp => "or"
+      | XorOp => "xor"
+      | SllOp => "sll"
+      | SrlOp => "srl"
+      | SraOp => "sra"
+      | MinOp => "min"
+      | MaxOp => "max"
+      | ModOp => "mod"
+      | Atan2Op => "atan2"
       }
 
       allocatePhysicalReg(state, vreg)->Result.flatMap(((state, resultReg)) => {
@@ -104,6 +119,18 @@ let generateInstr = (state: state, instr: IR.instr): result<state, string> => {
       })
     }
 
+  // select r? cond a b: a when cond is non-zero, otherwise b
+  | Select(vreg, condition, thenValue, elseValue) =>
+    allocatePhysicalReg(state, vreg)->Result.flatMap(((state, resultReg)) => {
+      convertOperand(state, condition)->Result.flatMap(((state, conditionStr)) => {
+        convertOperand(state, thenValue)->Result.flatMap(((state, thenStr)) => {
+          convertOperand(state, elseValue)->Result.map(((state, elseStr)) => {
+            emit(state, `select r${Int.toString(resultReg)} ${conditionStr} ${thenStr} ${elseStr}`)
+          })
+        })
+      })
+    })
+
   | Label(label) => Ok(emit(state, `${label}:`))
 
   | Goto(label) => Ok(emit(state, `j ${label}`))
@@ -113,11 +140,67 @@ let generateInstr = (state: state, instr: IR.instr): result<state, string> => {
       emit(state, `bnez ${regStr} ${label}`)
     })
 
-  | Call(label) => Ok(emit(state, `jal ${label}`))
+  | Beqz(operand, label) =>
+    convertOperand(state, operand)->Result.map(((state, regStr)) => {
+      emit(state, `beqz ${regStr} ${label}`)
+    })
 
-  | Return => Ok(emit(state, `j ra`))
+  // Calling convention: arguments are pushed in order and popped by the callee into
+  // its parameter registers; a result is pushed by the callee and popped by the caller.
+  // A recursive call also saves the caller's live registers, which the callee reuses.
+  | Call(label, args, result) =>
+    let (saved, state) = switch state.savedAroundCalls {
+    | list{saved, ...rest} => (saved, {...state, savedAroundCalls: rest})
+    | list{} => ([], state)
+    }
+    let pushAll = (state, operands) => {
+      operands->Array.reduce(Ok(state), (stateResult, operand) => {
+        stateResult->Result.flatMap(state => {
+          convertOperand(state, operand)->Result.map(((state, str)) => emit(state, `push ${str}`))
+        })
+      })
+    }
+    let popAll = (state, vregs) => {
+      vregs->Array.reduce(Ok(state), (stateResult, vreg) => {
+        stateResult->Result.flatMap(state => {
+          allocatePhysicalReg(state, vreg)->Result.map(((state, physicalReg)) => {
+            emit(state, `pop r${Int.toString(physicalReg)}`)
+          })
+        })
+      })
+    }
+    pushAll(state, saved->Array.map(vreg => IR.VReg(vreg)))
+    ->Result.flatMap(state => pushAll(state, args))
+    ->Result.flatMap(state => {
+      let state = emit(state, `jal ${label}`)
+      switch (result, state.valueFunctions->Belt.Set.String.has(label)) {
+      | (Some(vreg), true) => popAll(state, [vreg])
+      // Result not needed: drop it from the stack
+      | (None, true) => Ok(emit(state, `sub sp sp 1`))
+      | (None, false) => Ok(state)
+      | (Some(_), false) =>
+        Error(
+          Diagnostic.make(
+            ~span=?state.currentSpan,
+            `[IRToIC10.res][generateInstr]: function '${label}' does not return a value`,
+          ),
+        )
+      }
+    })
+    ->Result.flatMap(state => popAll(state, Belt.Array.reverse(saved)))
+
+  // Functions that call others restore ra before leaving their result on the stack
+  | Return(value) =>
+    let state = state.savesReturnAddress ? emit(state, `pop ra`) : state
+    switch value {
+    | Some(operand) =>
+      convertOperand(state, operand)->Result.map(((state, valueStr)) => {
+        emit(state, `push ${valueStr}`)->emit(`j ra`)
+      })
+    | None => Ok(emit(state, `j ra`))
+    }
 
-  | DefInt(name, value) => Ok(emit(state, `define ${name} ${Int.toString(value)}`))
+  | DefNum(name, value) => Ok(emit(state, `define ${name} ${Float.toString(value)}`))
 
   | DefHash(name, value) => Ok(emit(state, `define ${name} HASH("${value}")`))
 
@@ -129,14 +212,18 @@ let generateInstr = (state: state, instr: IR.instr): result<state, string> => {
 
   | StackPoke(address, operand) =>
     // poke address value
-    convertOperand(state, operand)->Result.map(((state, valueStr)) => {
-      emit(state, `poke ${Int.toString(address)} ${valueStr}`)
+    convertOperand(state, address)->Result.flatMap(((state, addressStr)) => {
+      convertOperand(state, operand)->Result.map(((state, valueStr)) => {
+        emit(state, `poke ${addressStr} ${valueStr}`)
+      })
     })
 
   | StackGet(vreg, address) =>
-    // get r? db address
-    allocatePhysicalReg(state, vreg)->Result.map(((state, physicalReg)) => {
-      emit(state, `get r${Int.toString(physicalReg)} db ${Int.toString(address)}`)
+    // get r? db address (the address may be computed at runtime)
+    convertOperand(state, address)->Result.flatMap(((state, addressStr)) => {
+      allocatePhysicalReg(state, vreg)->Result.map(((state, physicalReg)) => {
+        emit(state, `get r${Int.toString(physicalReg)} db ${addressStr}`)
+      })
     })
 
   | StackPush(operand) =>
@@ -213,16 +300,35 @@ let generateInstr = (state: state, instr: IR.instr): result<state, string> => {
   // RawInstruction: emit raw IC10 assembly directly
   | RawInstruction(instruction) => Ok(emit(state, instruction))
 
-  // Phase 1: Not yet implemented
-  | Unary(_, _, _) =>
-    Error("[IRToIC10.res][convertInstruction]: unary instruction not yet implemented in Phase 1")
+  // SourceSpan: no code, remember the span so later errors can point at it
+  | SourceSpan(span) => Ok({...state, currentSpan: Some(span)})
+
+  // Math builtins have an IC10 instruction of the same name
+  | Unary(vreg, op, operand) =>
+    allocatePhysicalReg(state, vreg)->Result.flatMap(((state, resultReg)) => {
+      convertOperand(state, operand)->Result.map(((state, operandStr)) => {
+        emit(state, `${IRPrint.printUnOp(op)} r${Int.toString(resultReg)} ${operandStr}`)
+      })
+    })
+
+  | Rand(vreg) =>
+    allocatePhysicalReg(state, vreg)->Result.map(((state, resultReg)) => {
+      emit(state, `rand r${Int.toString(resultReg)}`)
+    })
+
+  | Yield => Ok(emit(state, "yield"))
+
+  | Sleep(seconds) =>
+    convertOperand(state, seconds)->Result.map(((state, secondsStr)) => {
+      emit(state, `sleep ${secondsStr}`)
+    })
   }
 }
 
 // Generate IC10 code for a block with peephole optimization
-let generateBlock = (state: state, block: IR.block): result<state, string> => {
+let generateBlock = (state: state, block: IR.block): result<state, Diagnostic.t> => {
   // Process all instructions in the block with lookahead for peephole optimization
-  let rec processInstrs = (state: state, instrs: list<IR.instr>): result<state, string> => {
+  let rec processInstrs = (state: state, instrs: list<IR.instr>): result<state, Diagnostic.t> => {
     switch instrs {
     | list{} => Ok(state)
 
@@ -235,6 +341,8 @@ let generateBlock = (state: state, block: IR.block): result<state, string> => {
       ) => {
         switch remaining {
         | list{StackAlloc(count), ...rest} => accumulateStackAllocs(total + count, rest)
+        // Type declarations on separate lines are still one allocation
+        | list{SourceSpan(_), ...rest} => accumulateStackAllocs(total, rest)
         | _ => (total, remaining)
         }
       }
@@ -273,26 +381,56 @@ let generateBlock = (state: state, block: IR.block): result<state, string> => {
     }
   }
 
-  processInstrs(state, block.instructions)
+  // Function prologue: pop the arguments into the parameter registers, last one first,
+  // then keep ra on the stack if this function calls others
+  switch block.instructions {
+  | list{Label(label), ...rest} if label == block.name =>
+    let state = emit(state, `${label}:`)
+    let stateResult = block.params->Belt.Array.reverse->Array.reduce(Ok(state), (stateResult, param) => {
+      stateResult->Result.flatMap(state => {
+        allocatePhysicalReg(state, param)->Result.map(((state, physicalReg)) => {
+          emit(state, `pop r${Int.toString(physicalReg)}`)
+        })
+      })
+    })
+    stateResult->Result.flatMap(state => {
+      let state = state.savesReturnAddress ? emit(state, `push ra`) : state
+      processInstrs(state, rest)
+    })
+  | instructions => processInstrs(state, instructions)
+  }
 }
 
 // Generate IC10 code for entire IR program
-let generate = (ir: IR.t): result<string, string> => {
-  let initialState = createState()
-
-  // Process all blocks
-  let rec processBlocks = (state: state, blocks: list<IR.block>): result<state, string> => {
-    switch blocks {
-    | list{} => Ok(state)
-    | list{block, ...rest} =>
-      generateBlock(state, block)->Result.flatMap(state => {
-        processBlocks(state, rest)
-      })
+let generate = (ir: IR.t): result<string, Diagnostic.t> => {
+  let valueFunctions =
+    ir
+    ->List.filter(block => block.returnsValue)
+    ->List.map(block => block.name)
+    ->List.toArray
+    ->Belt.Set.String.fromArray
+  RegisterColoring.allocate(ir)->Result.flatMap(vregMap => {
+    let initialState = {...createState(), valueFunctions, vregMap}
+
+    // Process all blocks
+    let rec processBlocks = (state: state, blocks: list<IR.block>): result<state, Diagnostic.t> => {
+      switch blocks {
+      | list{} => Ok(state)
+      | list{block, ...rest} =>
+        let state = {
+          ...state,
+          savesReturnAddress: StackDepth.savesReturnAddress(block),
+          savedAroundCalls: StackDepth.savedAroundCalls(ir, block)->List.fromArray,
+        }
+        generateBlock(state, block)->Result.flatMap(state => {
+          processBlocks(state, rest)
+        })
+      }
     }
-  }
 
-  processBlocks(initialState, ir)->Result.map(finalState => {
-    // Join all instructions with newlines
-    Array.join(finalState.output, "\n")
+    processBlocks(initialState, ir)->Result.map(finalState => {
+      // Join all instructions with newlines
+      Array.join(finalState.output, "\n")
+    })
   })
 }
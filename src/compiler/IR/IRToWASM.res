@@ -3,31 +3,31 @@
 
 // State for code generation
 type state = {
-  localCount: int, // Total number of local variables needed
+  locals: Belt.Set.Int.t, // Virtual registers used by the current function
   output: array<string>, // Accumulated WASM instructions
   labelMap: Belt.Map.String.t<int>, // label name → label index
   nextLabelId: int, // Next available label ID
   constants: Belt.Map.String.t<string>, // Defined constants (name → value)
   stackPointer: int, // Current stack pointer position
+  valueFunctions: Belt.Set.String.t, // Functions that return a result
+  imports: Belt.Set.String.t, // Host functions the module calls, as "Math.sin", "IC10.yield", ...
 }
 
 // Create initial state
 let createState = (): state => {
-  localCount: 0,
+  locals: Belt.Set.Int.empty,
   output: [],
   labelMap: Belt.Map.String.empty,
   nextLabelId: 0,
   constants: Belt.Map.String.empty,
   stackPointer: 0,
+  valueFunctions: Belt.Set.String.empty,
+  imports: Belt.Set.String.empty,
 }
 
-// Register a virtual register and update local count
+// Register a virtual register as a local of the current function
 let registerVReg = (state: state, vreg: IR.vreg): state => {
-  if vreg >= state.localCount {
-    {...state, localCount: vreg + 1}
-  } else {
-    state
-  }
+  {...state, locals: state.locals->Belt.Set.Int.add(vreg)}
 }
 
 // Convert operand to WASM local reference or constant
@@ -37,17 +37,17 @@ let convertOperand = (state: state, operand: IR.operand): (state, string) => {
     // Ensure vreg is registered
     let newState = registerVReg(state, vreg)
     (newState, `(local.get $v${Int.toString(vreg)})`)
-  | Num(n) => (state, `(i32.const ${Int.toString(n)})`)
+  | Num(n) => (state, `(f64.const ${Float.toString(n)})`)
   | Name(name) =>
     // Look up defined constant
     switch state.constants->Belt.Map.String.get(name) {
     | Some(value) => (state, value)
-    | None => (state, `(i32.const 0) ;; undefined constant ${name}`)
+    | None => (state, `(f64.const 0) ;; undefined constant ${name}`)
     }
   | Hash(hashStr) =>
     // For WASM, we'll compute a simple hash or use a placeholder
     // In real implementation, this should match IC10's HASH() function
-    (state, `(i32.const 0) ;; HASH("${hashStr}")`)
+    (state, `(f64.const 0) ;; HASH("${hashStr}")`)
   }
 }
 
@@ -62,6 +62,47 @@ let emitIndented = (state: state, instr: string, level: int): state => {
   emit(state, indent ++ instr)
 }
 
+// Call a host function, importing it
+// The module expects an import object like `{Math, IC10: {yield, sleep}}`: the math builtins
+// come from Math, yield and sleep from IC10
+let callHost = (state: state, host: string, name: string, level: int): state => {
+  {...state, imports: state.imports->Belt.Set.String.add(`${host}.${name}`)}->emitIndented(
+    `(call $${host}.${name})`,
+    level,
+  )
+}
+
+let callMath = (state: state, name: string, level: int): state => callHost(state, "Math", name, level)
+
+// Import declaration of a host function, from its "Host.name"
+let hostImport = (qualifiedName: string): string => {
+  let signature = switch qualifiedName {
+  | "IC10.yield" => ""
+  | "IC10.sleep" => " (param f64)"
+  | "Math.random" => " (result f64)"
+  | "Math.atan2" => " (param f64 f64) (result f64)"
+  | _ => " (param f64) (result f64)"
+  }
+  switch qualifiedName->String.split(".") {
+  | [host, name] => `  (import "${host}" "${name}" (func $${qualifiedName}${signature}))\n`
+  | _ => ""
+  }
+}
+
+// Emit the i32 byte address of a stack slot (8 bytes per slot)
+let emitAddress = (state: state, address: IR.operand, level: int): state => {
+  switch address {
+  | Num(slot) => emitIndented(state, `(i32.const ${Int.toString(Float.toInt(slot) * 8)})`, level)
+  | _ =>
+    // Slot computed at runtime
+    let (state, slotStr) = convertOperand(state, address)
+    emitIndented(state, slotStr, level)
+    ->emitIndented(`(i32.trunc_f64_s)`, level)
+    ->emitIndented(`(i32.const 8)`, level)
+    ->emitIndented(`(i32.mul)`, level)
+  }
+}
+
 // Get or create label ID
 let getOrCreateLabel = (state: state, label: string): (state, int) => {
   switch state.labelMap->Belt.Map.String.get(label) {
@@ -78,16 +119,16 @@ let getOrCreateLabel = (state: state, label: string): (state, int) => {
 }
 
 // Generate WASM code for a single instruction
-let generateInstr = (state: state, instr: IR.instr, indent: int): result<state, string> => {
+let generateInstr = (state: state, instr: IR.instr, indent: int): result<state, Diagnostic.t> => {
   switch instr {
-  | DefInt(name, value) =>
+  | DefNum(name, value) =>
     // Store constant for later reference
-    let constantValue = `(i32.const ${Int.toString(value)})`
+    let constantValue = `(f64.const ${Float.toString(value)})`
     Ok({...state, constants: state.constants->Belt.Map.String.set(name, constantValue)})
 
   | DefHash(name, value) =>
     // Store hash constant
-    let constantValue = `(i32.const 0) ;; HASH("${value}")`
+    let constantValue = `(f64.const 0) ;; HASH("${value}")`
     Ok({...state, constants: state.constants->Belt.Map.String.set(name, constantValue)})
 
   | Move(vreg, operand) =>
@@ -98,46 +139,117 @@ let generateInstr = (state: state, instr: IR.instr, indent: int): result<state,
 
   | Binary(vreg, op, left, right) => {
       let opStr = switch op {
-      | AddOp => "i32.add"
-      | SubOp => "i32.sub"
-      | MulOp => "i32.mul"
-      | DivOp => "i32.div_s"
+      | AddOp => "f64.add"
+      | SubOp => "f64.sub"
+      | MulOp => "f64.mul"
+      | DivOp => "f64.div"
+      | AndOp => "i64.and"
+      | OrOp => "i64.or"
+      | XorOp => "i64.xor"
+      | SllOp => "i64.shl"
+      | SrlOp => "i64.shr_u"
+      | SraOp => "i64.shr_s"
+      | MinOp => "f64.min"
+      | MaxOp => "f64.max"
+      | ModOp | Atan2Op => "" // no single instruction, generated below
       }
 
       let state = registerVReg(state, vreg)
       let (state, leftStr) = convertOperand(state, left)
       let (state, rightStr) = convertOperand(state, right)
 
-      Ok(
-        emitIndented(state, leftStr, indent)
-        ->emitIndented(rightStr, indent)
-        ->emitIndented(`(${opStr})`, indent)
-        ->emitIndented(`(local.set $v${Int.toString(vreg)})`, indent),
-      )
+      switch op {
+      | AndOp | OrOp | XorOp | SllOp | SrlOp | SraOp =>
+        // Bitwise ops only exist on integers - truncate both operands and convert back
+        Ok(
+          emitIndented(state, leftStr, indent)
+          ->emitIndented(`(i64.trunc_f64_s)`, indent)
+          ->emitIndented(rightStr, indent)
+          ->emitIndented(`(i64.trunc_f64_s)`, indent)
+          ->emitIndented(`(${opStr})`, indent)
+          ->emitIndented(`(f64.convert_i64_s)`, indent)
+          ->emitIndented(`(local.set $v${Int.toString(vreg)})`, indent),
+        )
+      // IC10 mod: the truncated remainder a - b * trunc(a / b), plus b when it is negative
+      | ModOp =>
+        let dest = `$v${Int.toString(vreg)}`
+        Ok(
+          emitIndented(state, leftStr, indent)
+          ->emitIndented(rightStr, indent)
+          ->emitIndented(leftStr, indent)
+          ->emitIndented(rightStr, indent)
+          ->emitIndented(`(f64.div)`, indent)
+          ->emitIndented(`(f64.trunc)`, indent)
+          ->emitIndented(`(f64.mul)`, indent)
+          ->emitIndented(`(f64.sub)`, indent)
+          ->emitIndented(`(local.set ${dest})`, indent)
+          ->emitIndented(`(local.get ${dest})`, indent)
+          ->emitIndented(rightStr, indent)
+          ->emitIndented(`(f64.add)`, indent)
+          ->emitIndented(`(local.get ${dest})`, indent)
+          ->emitIndented(`(local.get ${dest})`, indent)
+          ->emitIndented(`(f64.const 0)`, indent)
+          ->emitIndented(`(f64.lt)`, indent)
+          ->emitIndented(`(select)`, indent)
+          ->emitIndented(`(local.set ${dest})`, indent),
+        )
+      | Atan2Op =>
+        Ok(
+          emitIndented(state, leftStr, indent)
+          ->emitIndented(rightStr, indent)
+          ->callMath("atan2", indent)
+          ->emitIndented(`(local.set $v${Int.toString(vreg)})`, indent),
+        )
+      | AddOp | SubOp | MulOp | DivOp | MinOp | MaxOp =>
+        Ok(
+          emitIndented(state, leftStr, indent)
+          ->emitIndented(rightStr, indent)
+          ->emitIndented(`(${opStr})`, indent)
+          ->emitIndented(`(local.set $v${Int.toString(vreg)})`, indent),
+        )
+      }
     }
 
   | Compare(vreg, op, left, right) => {
       let opStr = switch op {
-      | LtOp => "i32.lt_s"
-      | GtOp => "i32.gt_s"
-      | EqOp => "i32.eq"
-      | GeOp => "i32.ge_s"
-      | LeOp => "i32.le_s"
-      | NeOp => "i32.ne"
+      | LtOp => "f64.lt"
+      | GtOp => "f64.gt"
+      | EqOp => "f64.eq"
+      | GeOp => "f64.ge"
+      | LeOp => "f64.le"
+      | NeOp => "f64.ne"
       }
 
       let state = registerVReg(state, vreg)
       let (state, leftStr) = convertOperand(state, left)
       let (state, rightStr) = convertOperand(state, right)
 
+      // f64 comparisons yield an i32 flag - widen it back to a number (1 or 0)
       Ok(
         emitIndented(state, leftStr, indent)
         ->emitIndented(rightStr, indent)
         ->emitIndented(`(${opStr})`, indent)
+        ->emitIndented(`(f64.convert_i32_s)`, indent)
         ->emitIndented(`(local.set $v${Int.toString(vreg)})`, indent),
       )
     }
 
+  // select takes both values and an i32 condition (non-zero picks the first value)
+  | Select(vreg, condition, thenValue, elseValue) =>
+    let state = registerVReg(state, vreg)
+    let (state, conditionStr) = convertOperand(state, condition)
+    let (state, thenStr) = convertOperand(state, thenValue)
+    let (state, elseStr) = convertOperand(state, elseValue)
+    Ok(
+      emitIndented(state, thenStr, indent)
+      ->emitIndented(elseStr, indent)
+      ->emitIndented(conditionStr, indent)
+      ->emitIndented(`(f64.const 0)`, indent)
+      ->emitIndented(`(f64.ne)`, indent)
+      ->emitIndented(`(select)`, indent)
+      ->emitIndented(`(local.set $v${Int.toString(vreg)})`, indent),
+    )
+
   | Label(label) =>
     // WASM doesn't have explicit labels in the same way as IC10
     // We'll use block labels for control flow
@@ -156,6 +268,8 @@ let generateInstr = (state: state, instr: IR.instr, indent: int): result<state,
     // Branch if not equal to zero
     Ok(
       emitIndented(state, operandStr, indent)
+      ->emitIndented(`(f64.const 0)`, indent)
+      ->emitIndented(`(f64.ne)`, indent)
       ->emitIndented(`(if`, indent)
       ->emitIndented(`(then`, indent + 1)
       ->emitIndented(`(br $${label})`, indent + 2)
@@ -163,11 +277,44 @@ let generateInstr = (state: state, instr: IR.instr, indent: int): result<state,
       ->emitIndented(`)`, indent),
     )
 
-  | Call(label) =>
-    // Function call
-    Ok(emitIndented(state, `(call $${label})`, indent))
+  | Beqz(operand, label) =>
+    let (state, operandStr) = convertOperand(state, operand)
+    let (state, _labelId) = getOrCreateLabel(state, label)
+    // Branch if equal to zero
+    Ok(
+      emitIndented(state, operandStr, indent)
+      ->emitIndented(`(f64.const 0)`, indent)
+      ->emitIndented(`(f64.eq)`, indent)
+      ->emitIndented(`(if`, indent)
+      ->emitIndented(`(then`, indent + 1)
+      ->emitIndented(`(br $${label})`, indent + 2)
+      ->emitIndented(`)`, indent + 1)
+      ->emitIndented(`)`, indent),
+    )
+
+  | Call(label, args, result) =>
+    // Function call: arguments go on the operand stack, the result comes back on it
+    let state = args->Array.reduce(state, (state, arg) => {
+      let (state, argStr) = convertOperand(state, arg)
+      emitIndented(state, argStr, indent)
+    })
+    let state = emitIndented(state, `(call $${label})`, indent)
+    switch (result, state.valueFunctions->Belt.Set.String.has(label)) {
+    | (Some(vreg), true) =>
+      let state = registerVReg(state, vreg)
+      Ok(emitIndented(state, `(local.set $v${Int.toString(vreg)})`, indent))
+    | (None, true) => Ok(emitIndented(state, `(drop)`, indent))
+    | (None, false) => Ok(state)
+    | (Some(_), false) =>
+      Diagnostic.error(`[IRToWASM.res][generateInstr]: function '${label}' does not return a value`)
+    }
+
+  | Return(Some(operand)) =>
+    // Return from function with a result
+    let (state, valueStr) = convertOperand(state, operand)
+    Ok(emitIndented(state, valueStr, indent)->emitIndented(`(return)`, indent))
 
-  | Return =>
+  | Return(None) =>
     // Return from function
     Ok(emitIndented(state, `(return)`, indent))
 
@@ -179,19 +326,19 @@ let generateInstr = (state: state, instr: IR.instr, indent: int): result<state,
 
   | StackPoke(address, operand) =>
     // Store to linear memory
+    let state = emitAddress(state, address, indent)
     let (state, valueStr) = convertOperand(state, operand)
     Ok(
-      emitIndented(state, `(i32.const ${Int.toString(address * 4)})`, indent)
-      ->emitIndented(valueStr, indent)
-      ->emitIndented(`(i32.store)`, indent),
+      emitIndented(state, valueStr, indent)
+      ->emitIndented(`(f64.store)`, indent),
     )
 
   | StackGet(vreg, address) =>
     // Load from linear memory
     let state = registerVReg(state, vreg)
+    let state = emitAddress(state, address, indent)
     Ok(
-      emitIndented(state, `(i32.const ${Int.toString(address * 4)})`, indent)
-      ->emitIndented(`(i32.load)`, indent)
+      emitIndented(state, `(f64.load)`, indent)
       ->emitIndented(`(local.set $v${Int.toString(vreg)})`, indent),
     )
 
@@ -201,16 +348,16 @@ let generateInstr = (state: state, instr: IR.instr, indent: int): result<state,
     let address = state.stackPointer
     let newState = {...state, stackPointer: state.stackPointer + 1}
     Ok(
-      emitIndented(newState, `(i32.const ${Int.toString(address * 4)})`, indent)
+      emitIndented(newState, `(i32.const ${Int.toString(address * 8)})`, indent)
       ->emitIndented(valueStr, indent)
-      ->emitIndented(`(i32.store)`, indent),
+      ->emitIndented(`(f64.store)`, indent),
     )
 
   | DeviceLoad(vreg, _device, _property, _bulkOpt) =>
     // Device operations are IC10-specific, cannot translate to WASM
     let state = registerVReg(state, vreg)
     Ok(emitIndented(state, `;; DeviceLoad not supported in WASM`, indent)
-      ->emitIndented(`(i32.const 0)`, indent)
+      ->emitIndented(`(f64.const 0)`, indent)
       ->emitIndented(`(local.set $v${Int.toString(vreg)})`, indent))
 
   | DeviceStore(_device, _property, _valueOperand) =>
@@ -221,27 +368,52 @@ let generateInstr = (state: state, instr: IR.instr, indent: int): result<state,
     // Emit as comment
     Ok(emitIndented(state, `;; raw: ${instruction}`, indent))
 
+  | SourceSpan(_) =>
+    // Source tracking only, no code
+    Ok(state)
+
+  // Math builtins without a WASM instruction call the host's Math object
   | Unary(vreg, op, operand) =>
     let state = registerVReg(state, vreg)
     let (state, operandStr) = convertOperand(state, operand)
-    let opStr = switch op {
-    | Abs => "i32.abs"
+    let state = emitIndented(state, operandStr, indent)
+    let state = switch op {
+    | Abs => emitIndented(state, `(f64.abs)`, indent)
+    | Floor => emitIndented(state, `(f64.floor)`, indent)
+    | Ceil => emitIndented(state, `(f64.ceil)`, indent)
+    | Round => emitIndented(state, `(f64.nearest)`, indent)
+    | Trunc => emitIndented(state, `(f64.trunc)`, indent)
+    | Sqrt => emitIndented(state, `(f64.sqrt)`, indent)
+    | Exp | Log | Sin | Cos | Tan | Asin | Acos | Atan =>
+      callMath(state, IRPrint.printUnOp(op), indent)
+    | Not =>
+      emitIndented(state, `(i64.trunc_f64_s)`, indent)
+      ->emitIndented(`(i64.const -1)`, indent)
+      ->emitIndented(`(i64.xor)`, indent)
+      ->emitIndented(`(f64.convert_i64_s)`, indent)
     }
-    Ok(
-      emitIndented(state, operandStr, indent)
-      ->emitIndented(`(${opStr})`, indent)
-      ->emitIndented(`(local.set $v${Int.toString(vreg)})`, indent),
-    )
+    Ok(emitIndented(state, `(local.set $v${Int.toString(vreg)})`, indent))
+
+  | Rand(vreg) =>
+    let state = registerVReg(state, vreg)
+    Ok(callMath(state, "random", indent)->emitIndented(`(local.set $v${Int.toString(vreg)})`, indent))
+
+  // Tick boundaries are left to the host
+  | Yield => Ok(callHost(state, "IC10", "yield", indent))
+
+  | Sleep(seconds) =>
+    let (state, secondsStr) = convertOperand(state, seconds)
+    Ok(emitIndented(state, secondsStr, indent)->callHost("IC10", "sleep", indent))
   }
 }
 
 // Generate WASM code for a block
-let generateBlock = (state: state, block: IR.block, indent: int): result<state, string> => {
+let generateBlock = (state: state, block: IR.block, indent: int): result<state, Diagnostic.t> => {
   // Emit block label as comment
   let state = emitIndented(state, ``, indent)->emitIndented(`;; Block: ${block.name}`, indent)
 
   // Process all instructions
-  let rec processInstrs = (state: state, instrs: list<IR.instr>): result<state, string> => {
+  let rec processInstrs = (state: state, instrs: list<IR.instr>): result<state, Diagnostic.t> => {
     switch instrs {
     | list{} => Ok(state)
     | list{instr, ...rest} =>
@@ -254,37 +426,58 @@ let generateBlock = (state: state, block: IR.block, indent: int): result<state,
   processInstrs(state, block.instructions)
 }
 
-// Generate complete WASM module
-let generate = (ir: IR.t): result<string, string> => {
-  let initialState = createState()
+// Wrap a generated block in a WASM function with its parameters, result and locals
+let generateFunction = (state: state, block: IR.block): string => {
+  let isParam = vreg => block.params->Array.includes(vreg)
+  let params = block.params->Array.map(vreg => ` (param $v${Int.toString(vreg)} f64)`)->Array.join("")
+  let result = block.returnsValue ? " (result f64)" : ""
+
+  // Generate local variable declarations
+  let locals =
+    state.locals
+    ->Belt.Set.Int.toArray
+    ->Array.filter(vreg => !isParam(vreg))
+    ->Array.map(vreg => `    (local $v${Int.toString(vreg)} f64)\n`)
+    ->Array.join("")
+
+  `  (func $${block.name}${params}${result}\n` ++
+  locals ++
+  "\n" ++
+  Array.join(state.output, "\n") ++ "\n  )"
+}
 
-  // First pass: count locals and collect all instructions
-  let rec processBlocks = (state: state, blocks: list<IR.block>): result<state, string> => {
+// Generate complete WASM module
+// Each IR block becomes its own WASM function; constants and labels carry across blocks
+let generate = (ir: IR.t): result<string, Diagnostic.t> => {
+  let valueFunctions =
+    ir
+    ->List.filter(block => block.returnsValue)
+    ->List.map(block => block.name)
+    ->List.toArray
+    ->Belt.Set.String.fromArray
+  let initialState = {...createState(), valueFunctions}
+
+  let rec processBlocks = (state: state, blocks: list<IR.block>, functions: array<string>): result<
+    (state, array<string>),
+    Diagnostic.t,
+  > => {
     switch blocks {
-    | list{} => Ok(state)
+    | list{} => Ok((state, functions))
     | list{block, ...rest} =>
-      generateBlock(state, block, 2)->Result.flatMap(state => {
-        processBlocks(state, rest)
+      let blockState = {...state, locals: Belt.Set.Int.empty, output: []}
+      generateBlock(blockState, block, 2)->Result.flatMap(blockState => {
+        processBlocks(blockState, rest, Array.concat(functions, [generateFunction(blockState, block)]))
       })
     }
   }
 
-  processBlocks(initialState, ir)->Result.map(finalState => {
-    // Generate local variable declarations
-    let locals = if finalState.localCount > 0 {
-      let localDecls = Array.make(~length=finalState.localCount, "")
-      for i in 0 to finalState.localCount - 1 {
-        localDecls[i] = `    (local $v${Int.toString(i)} i32)`
-      }
-      Array.join(localDecls, "\n") ++ "\n"
-    } else {
-      ""
-    }
-
+  processBlocks(initialState, ir, [])->Result.map(((state, functions)) => {
     // Build complete WASM module
-    let header = "(module\n  (memory 1)\n  (export \"main\" (func $main))\n  (func $main\n"
-    let footer = "  )\n)"
+    // Imports come before every other definition
+    let imports = state.imports->Belt.Set.String.toArray->Array.map(hostImport)->Array.join("")
+    let header = `(module\n${imports}  (memory 1)\n  (export "main" (func $main))\n`
+    let footer = "\n)"
 
-    header ++ locals ++ "\n" ++ Array.join(finalState.output, "\n") ++ "\n" ++ footer
+    header ++ Array.join(functions, "\n") ++ footer
   })
 }
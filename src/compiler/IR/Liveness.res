@@ -0,0 +1,104 @@
+// Liveness analysis for IR blocks
+// A virtual register is live after an instruction if some path from there reads it
+// before writing it again
+
+module VRegSet = Belt.Set.Int
+
+// Virtual register written by an instruction
+let definedVReg = (instr: IR.instr): option<IR.vreg> => {
+  switch instr {
+  | Move(vreg, _)
+  | Binary(vreg, _, _, _)
+  | Compare(vreg, _, _, _)
+  | Select(vreg, _, _, _)
+  | Unary(vreg, _, _)
+  | DeviceLoad(vreg, _, _, _)
+  | StackGet(vreg, _)
+  | Rand(vreg)
+  | Call(_, _, Some(vreg)) =>
+    Some(vreg)
+  | _ => None
+  }
+}
+
+// Virtual registers read by an instruction as values (a device register is not counted)
+let usedVRegs = (instr: IR.instr): VRegSet.t => {
+  let operands: array<IR.operand> = switch instr {
+  | Move(_, value)
+  | Unary(_, _, value)
+  | DeviceStore(_, _, value)
+  | StackGet(_, value)
+  | StackPush(value)
+  | Return(Some(value))
+  | Sleep(value)
+  | Bnez(value, _)
+  | Beqz(value, _) => [value]
+  | Binary(_, _, left, right) | Compare(_, _, left, right) | StackPoke(left, right) => [left, right]
+  | Select(_, condition, thenValue, elseValue) => [condition, thenValue, elseValue]
+  | Call(_, args, _) => args
+  | _ => []
+  }
+  operands->Array.reduce(VRegSet.empty, (used, operand) => {
+    switch operand {
+    | VReg(vreg) => used->VRegSet.add(vreg)
+    | _ => used
+    }
+  })
+}
+
+// Indices of the instructions that can run after the one at `index`
+let successors = (instrs: array<IR.instr>, labels: Belt.Map.String.t<int>, index: int): array<
+  int,
+> => {
+  let target = label => labels->Belt.Map.String.get(label)->Option.mapOr([], index => [index])
+  switch instrs[index] {
+  | Some(Return(_)) => []
+  | Some(Goto(label)) => target(label)
+  | Some(Bnez(_, label)) | Some(Beqz(_, label)) => Array.concat([index + 1], target(label))
+  | _ => index + 1 < Array.length(instrs) ? [index + 1] : []
+  }
+}
+
+// Label name → instruction index
+let labelIndices = (instrs: array<IR.instr>): Belt.Map.String.t<int> => {
+  instrs->Array.reduceWithIndex(Belt.Map.String.empty, (labels, instr, index) => {
+    switch instr {
+    | Label(label) => labels->Belt.Map.String.set(label, index)
+    | _ => labels
+    }
+  })
+}
+
+// Registers live after each instruction of a block (indexed like its instruction list)
+let liveOut = (block: IR.block): array<VRegSet.t> => {
+  let instrs = block.instructions->List.toArray
+  let labels = labelIndices(instrs)
+  let succ = instrs->Array.mapWithIndex((_, index) => successors(instrs, labels, index))
+
+  let outOf = (liveIn: array<VRegSet.t>, index: int) => {
+    succ[index]
+    ->Option.getOr([])
+    ->Array.reduce(VRegSet.empty, (live, next) => {
+      live->VRegSet.union(liveIn[next]->Option.getOr(VRegSet.empty))
+    })
+  }
+
+  // Iterate live-in sets to a fixed point (loops need more than one pass)
+  let rec iterate = (liveIn: array<VRegSet.t>) => {
+    let next = instrs->Array.mapWithIndex((instr, index) => {
+      let out = outOf(liveIn, index)
+      let out = switch definedVReg(instr) {
+      | Some(vreg) => out->VRegSet.remove(vreg)
+      | None => out
+      }
+      usedVRegs(instr)->VRegSet.union(out)
+    })
+    let changed = next->Array.someWithIndex((live, index) => {
+      !VRegSet.eq(live, liveIn[index]->Option.getOr(VRegSet.empty))
+    })
+    changed ? iterate(next) : next
+  }
+
+  let liveIn = iterate(instrs->Array.map(_ => VRegSet.empty))
+  instrs->Array.mapWithIndex((_, index) => outOf(liveIn, index))
+}
@@ -0,0 +1,283 @@
+// Register allocation for the IC10 backend
+// Gives every virtual register one of the physical registers r0-r15, reusing a register once
+// the value in it is dead. Two virtual registers interfere when one is written while the other
+// is still live; interfering registers get different physical registers (greedy graph colouring,
+// in order of first appearance, lowest free register first).
+//
+// Across blocks:
+// - virtual registers mentioned by several blocks (top-level variables that functions read or
+//   update) keep a register of their own for the whole program
+// - a value live across a call avoids every register the callee, or anything it calls, writes.
+//   Values live across a recursive call are saved on the stack instead (StackDepth.savedAroundCalls)
+
+module VRegSet = Belt.Set.Int
+
+// Number of general purpose registers (r0-r15)
+let registerCount = 16
+
+// Virtual register → physical register
+type allocation = Belt.Map.Int.t<int>
+
+// Virtual register → virtual registers it interferes with
+type graph = Belt.Map.Int.t<VRegSet.t>
+
+// A virtual register no physical register was left for
+type failure = {
+  block: IR.block,
+  vreg: IR.vreg,
+  conflicts: VRegSet.t, // virtual registers of the block it interferes with
+}
+
+let neighbours = (graph: graph, vreg: IR.vreg): VRegSet.t => {
+  graph->Belt.Map.Int.get(vreg)->Option.getOr(VRegSet.empty)
+}
+
+let addEdge = (graph: graph, a: IR.vreg, b: IR.vreg): graph => {
+  if a == b {
+    graph
+  } else {
+    graph
+    ->Belt.Map.Int.set(a, neighbours(graph, a)->VRegSet.add(b))
+    ->Belt.Map.Int.set(b, neighbours(graph, b)->VRegSet.add(a))
+  }
+}
+
+// Virtual registers of a block in order of first appearance, parameters first
+let vregsInOrder = (block: IR.block): array<IR.vreg> => {
+  let seen = ref(VRegSet.empty)
+  let order = []
+  let visit = vreg => {
+    if !(seen.contents->VRegSet.has(vreg)) {
+      seen := seen.contents->VRegSet.add(vreg)
+      order->Array.push(vreg)
+    }
+  }
+  block.params->Array.forEach(visit)
+  block.instructions->List.forEach(instr => {
+    Liveness.usedVRegs(instr)->VRegSet.forEach(visit)
+    Liveness.definedVReg(instr)->Option.forEach(visit)
+  })
+  order
+}
+
+// Interference graph of a block
+let interference = (block: IR.block, liveOut: array<VRegSet.t>): graph => {
+  let instrs = block.instructions->List.toArray
+
+  // Parameters are written on entry, while everything live on entry is already there
+  let liveIn = switch instrs[0] {
+  | Some(first) =>
+    let out = liveOut[0]->Option.getOr(VRegSet.empty)
+    let out = Liveness.definedVReg(first)->Option.mapOr(out, vreg => out->VRegSet.remove(vreg))
+    Liveness.usedVRegs(first)->VRegSet.union(out)
+  | None => VRegSet.empty
+  }
+  let entry = liveIn->VRegSet.union(VRegSet.fromArray(block.params))
+  let graph = entry->VRegSet.reduce(Belt.Map.Int.empty, (graph, a) => {
+    entry->VRegSet.reduce(graph, (graph, b) => addEdge(graph, a, b))
+  })
+
+  instrs->Array.reduceWithIndex(graph, (graph, instr, index) => {
+    switch Liveness.definedVReg(instr) {
+    | None => graph
+    | Some(defined) =>
+      let live = liveOut[index]->Option.getOr(VRegSet.empty)
+      // A copy may share its source's register
+      let live = switch instr {
+      | Move(_, VReg(source)) => live->VRegSet.remove(source)
+      | _ => live
+      }
+      live->VRegSet.reduce(graph, (graph, other) => addEdge(graph, defined, other))
+    }
+  })
+}
+
+// Functions each value is live across (and not saved around), as vreg → callee names
+let liveAcrossCalls = (ir: IR.t, block: IR.block, liveOut: array<VRegSet.t>): Belt.Map.Int.t<
+  array<string>,
+> => {
+  let saved = StackDepth.savedAroundCalls(ir, block)
+  let (across, _) =
+    block.instructions
+    ->List.toArray
+    ->Array.reduceWithIndex((Belt.Map.Int.empty, 0), ((across, callIndex), instr, index) => {
+      switch instr {
+      | Call(callee, _, result) =>
+        let savedHere = saved[callIndex]->Option.getOr([])->VRegSet.fromArray
+        let live = liveOut[index]->Option.getOr(VRegSet.empty)->VRegSet.diff(savedHere)
+        let live = result->Option.mapOr(live, vreg => live->VRegSet.remove(vreg))
+        let across = live->VRegSet.reduce(across, (across, vreg) => {
+          let callees = across->Belt.Map.Int.get(vreg)->Option.getOr([])
+          across->Belt.Map.Int.set(vreg, Array.concat(callees, [callee]))
+        })
+        (across, callIndex + 1)
+      | _ => (across, callIndex)
+      }
+    })
+  across
+}
+
+// Functions called by a block
+let callees = (block: IR.block): array<string> => {
+  block.instructions->List.reduce([], (names, instr) => {
+    switch instr {
+    | Call(callee, _, _) if !(names->Array.includes(callee)) => Array.concat(names, [callee])
+    | _ => names
+    }
+  })
+}
+
+// Blocks ordered so that each comes after the functions it calls (where there is no cycle)
+let calleesFirst = (ir: IR.t): array<IR.block> => {
+  let blocks = ir->List.toArray
+  let rec visit = ((visited, order), block: IR.block) => {
+    if visited->Belt.Set.String.has(block.name) {
+      (visited, order)
+    } else {
+      let visited = visited->Belt.Set.String.add(block.name)
+      let (visited, order) =
+        callees(block)
+        ->Array.filterMap(name => blocks->Array.find(other => other.name == name))
+        ->Array.reduce((visited, order), visit)
+      (visited, Array.concat(order, [block]))
+    }
+  }
+  let (_, order) = blocks->Array.reduce((Belt.Set.String.empty, []), visit)
+  order
+}
+
+// Source span of the statement that first writes a virtual register
+let definitionSpan = (block: IR.block, vreg: IR.vreg): option<Span.t> => {
+  let rec find = (instrs: list<IR.instr>, span: option<Span.t>) => {
+    switch instrs {
+    | list{} => span
+    | list{SourceSpan(span), ...rest} => find(rest, Some(span))
+    | list{instr, ...rest} => Liveness.definedVReg(instr) == Some(vreg) ? span : find(rest, span)
+    }
+  }
+  find(block.instructions, None)
+}
+
+// Lowest physical register not in `taken`
+let lowestFree = (taken: Belt.Set.Int.t): option<int> => {
+  Belt.Array.range(0, registerCount - 1)->Array.find(reg => !(taken->Belt.Set.Int.has(reg)))
+}
+
+// Virtual registers mentioned by more than one block
+let sharedVRegs = (ir: IR.t): VRegSet.t => {
+  let mentions =
+    ir->List.toArray->Array.map(block => (block.name, StackDepth.mentionedVRegs(block)))
+  mentions->Array.reduce(VRegSet.empty, (shared, (name, vregs)) => {
+    let elsewhere = mentions->Array.reduce(VRegSet.empty, (others, (other, otherVRegs)) => {
+      other == name ? others : others->VRegSet.union(otherVRegs)
+    })
+    shared->VRegSet.union(vregs->VRegSet.intersect(elsewhere))
+  })
+}
+
+// Error for a virtual register that did not fit
+let tooManyLive = (failure: failure): Diagnostic.t => {
+  Diagnostic.make(
+    ~span=?definitionSpan(failure.block, failure.vreg),
+    `Register allocation failed: exceeded ${Int.toString(
+        registerCount,
+      )} physical registers, too many values are live at the same time`,
+  )
+}
+
+// Choose a physical register for every virtual register of a program, or report the first
+// virtual register that did not fit (Spilling moves values to the stack until none is left)
+let colour = (ir: IR.t): result<allocation, failure> => {
+  let tooMany = (block, vreg, conflicts) => Error({block, vreg, conflicts})
+
+  // Values shared between blocks get a register of their own, in order of first appearance
+  let shared = sharedVRegs(ir)
+  let pinned =
+    ir
+    ->List.toArray
+    ->Array.reduce(Ok(Belt.Map.Int.empty), (acc, block) => {
+      vregsInOrder(block)
+      ->Array.filter(vreg => shared->VRegSet.has(vreg))
+      ->Array.reduce(acc, (acc, vreg) => {
+        acc->Result.flatMap(
+          allocation => {
+            if allocation->Belt.Map.Int.has(vreg) {
+              Ok(allocation)
+            } else {
+              switch lowestFree(allocation->Belt.Map.Int.valuesToArray->Belt.Set.Int.fromArray) {
+              | Some(reg) => Ok(allocation->Belt.Map.Int.set(vreg, reg))
+              | None => tooMany(block, vreg, VRegSet.empty)
+              }
+            }
+          },
+        )
+      })
+    })
+
+  pinned->Result.flatMap(pinned => {
+    let pinnedRegs = pinned->Belt.Map.Int.valuesToArray->Belt.Set.Int.fromArray
+
+    // Colour each block after the functions it calls, tracking the registers each function writes
+    let colourBlock = ((allocation, clobbers), block: IR.block) => {
+      let liveOut = Liveness.liveOut(block)
+      let graph = interference(block, liveOut)
+      let across = liveAcrossCalls(ir, block, liveOut)
+
+      vregsInOrder(block)
+      ->Array.filter(vreg => !(shared->VRegSet.has(vreg)))
+      ->Array.reduce(Ok((allocation, Belt.Set.Int.empty)), (acc, vreg) => {
+        acc->Result.flatMap(
+          ((allocation, used)) => {
+            let taken = neighbours(graph, vreg)->VRegSet.reduce(
+              pinnedRegs,
+              (taken, other) => {
+                allocation
+                ->Belt.Map.Int.get(other)
+                ->Option.mapOr(taken, reg => taken->Belt.Set.Int.add(reg))
+              },
+            )
+            let taken =
+              across
+              ->Belt.Map.Int.get(vreg)
+              ->Option.getOr([])
+              ->Array.reduce(
+                taken,
+                (taken, callee) => {
+                  clobbers
+                  ->Belt.Map.String.get(callee)
+                  ->Option.mapOr(taken, regs => taken->Belt.Set.Int.union(regs))
+                },
+              )
+            switch lowestFree(taken) {
+            | Some(reg) =>
+              Ok((allocation->Belt.Map.Int.set(vreg, reg), used->Belt.Set.Int.add(reg)))
+            | None => tooMany(block, vreg, neighbours(graph, vreg))
+            }
+          },
+        )
+      })
+      ->Result.map(((allocation, used)) => {
+        let written = callees(block)->Array.reduce(
+          used,
+          (written, callee) => {
+            clobbers
+            ->Belt.Map.String.get(callee)
+            ->Option.mapOr(written, regs => written->Belt.Set.Int.union(regs))
+          },
+        )
+        (allocation, clobbers->Belt.Map.String.set(block.name, written))
+      })
+    }
+
+    calleesFirst(ir)
+    ->Array.reduce(Ok((pinned, Belt.Map.String.empty)), (acc, block) => {
+      acc->Result.flatMap(state => colourBlock(state, block))
+    })
+    ->Result.map(((allocation, _)) => allocation)
+  })
+}
+
+// Choose a physical register for every virtual register of a program
+let allocate = (ir: IR.t): result<allocation, Diagnostic.t> => {
+  colour(ir)->Result.mapError(tooManyLive)
+}
@@ -0,0 +1,263 @@
+// Register spilling for the IC10 backend
+// When more values are live at once than RegisterColoring can fit in r0-r15, some of them are
+// kept in stack slots instead: written with `poke` right after each definition and read back
+// with `get` into a short-lived register right before each use.
+//
+// Spill slots follow the segments main reserves for variants, arrays and records, so a single
+// `move sp` reserves both. The value spilled is the one with the fewest uses per instruction it
+// stays live, where a use inside a loop counts ten times per level of nesting. A value shared
+// between blocks (a top-level variable that functions read or update) lives for the whole
+// program: it gets a slot of its own that every block reads and writes, and its uses in all
+// blocks count towards its cost. Values saved around a recursive call and the registers that
+// spill code itself introduces are never spilled.
+
+module VRegSet = Belt.Set.Int
+
+// Operand with `from` replaced by `to`
+let renameOperand = (operand: IR.operand, from: IR.vreg, to: IR.vreg): IR.operand => {
+  switch operand {
+  | VReg(vreg) if vreg == from => VReg(to)
+  | _ => operand
+  }
+}
+
+// Instruction with its reads of `from` replaced by `to`
+let renameUses = (instr: IR.instr, from: IR.vreg, to: IR.vreg): IR.instr => {
+  let operand = operand => renameOperand(operand, from, to)
+  let device = (device: IR.device): IR.device => {
+    switch device {
+    | DeviceReg(vreg) if vreg == from => DeviceReg(to)
+    | _ => device
+    }
+  }
+  switch instr {
+  | Move(dest, source) => Move(dest, operand(source))
+  | DeviceLoad(dest, target, property, bulk) => DeviceLoad(dest, device(target), property, bulk)
+  | DeviceStore(target, property, value) => DeviceStore(device(target), property, operand(value))
+  | Unary(dest, op, value) => Unary(dest, op, operand(value))
+  | Binary(dest, op, left, right) => Binary(dest, op, operand(left), operand(right))
+  | Compare(dest, op, left, right) => Compare(dest, op, operand(left), operand(right))
+  | Select(dest, condition, thenValue, elseValue) =>
+    Select(dest, operand(condition), operand(thenValue), operand(elseValue))
+  | Bnez(condition, label) => Bnez(operand(condition), label)
+  | Beqz(condition, label) => Beqz(operand(condition), label)
+  | Call(label, args, result) => Call(label, args->Array.map(operand), result)
+  | Return(Some(value)) => Return(Some(operand(value)))
+  | StackPoke(address, value) => StackPoke(operand(address), operand(value))
+  | StackGet(dest, address) => StackGet(dest, operand(address))
+  | StackPush(value) => StackPush(operand(value))
+  | Sleep(seconds) => Sleep(operand(seconds))
+  | DefNum(_)
+  | DefHash(_)
+  | Rand(_)
+  | Yield
+  | Goto(_)
+  | Label(_)
+  | Return(None)
+  | StackAlloc(_)
+  | RawInstruction(_)
+  | SourceSpan(_) => instr
+  }
+}
+
+// Instruction writing `to` instead of the register it defines
+let renameDefinition = (instr: IR.instr, to: IR.vreg): IR.instr => {
+  switch instr {
+  | Move(_, source) => Move(to, source)
+  | Binary(_, op, left, right) => Binary(to, op, left, right)
+  | Compare(_, op, left, right) => Compare(to, op, left, right)
+  | Select(_, condition, thenValue, elseValue) => Select(to, condition, thenValue, elseValue)
+  | Unary(_, op, value) => Unary(to, op, value)
+  | DeviceLoad(_, device, property, bulk) => DeviceLoad(to, device, property, bulk)
+  | StackGet(_, address) => StackGet(to, address)
+  | Rand(_) => Rand(to)
+  | Call(label, args, Some(_)) => Call(label, args, Some(to))
+  | _ => instr
+  }
+}
+
+// Whether an instruction reads a virtual register, as a value or as a device
+let reads = (instr: IR.instr, vreg: IR.vreg): bool => {
+  switch instr {
+  | DeviceLoad(_, DeviceReg(device), _, _) | DeviceStore(DeviceReg(device), _, _)
+    if device == vreg => true
+  | _ => Liveness.usedVRegs(instr)->VRegSet.has(vreg)
+  }
+}
+
+// Number of loops around each instruction of a block
+// A loop runs from a label to the last branch back to it
+let loopDepths = (instrs: array<IR.instr>): array<int> => {
+  let labels = Liveness.labelIndices(instrs)
+  let loops = instrs->Array.reduceWithIndex([], (loops, instr, index) => {
+    let target = switch instr {
+    | Goto(label) | Bnez(_, label) | Beqz(_, label) => labels->Belt.Map.String.get(label)
+    | _ => None
+    }
+    switch target {
+    | Some(start) if start <= index => Array.concat(loops, [(start, index)])
+    | _ => loops
+    }
+  })
+  instrs->Array.mapWithIndex((_, index) => {
+    loops->Array.filter(((start, last)) => start <= index && index <= last)->Array.length
+  })
+}
+
+// Cost of spilling each virtual register of a block: uses (weighted by loop depth) per instruction live
+let spillCost = (block: IR.block): (IR.vreg => float) => {
+  let instrs = block.instructions->List.toArray
+  let depths = loopDepths(instrs)
+  let liveOut = Liveness.liveOut(block)
+  vreg => {
+    let uses = instrs->Array.reduceWithIndex(0., (uses, instr, index) => {
+      if reads(instr, vreg) || Liveness.definedVReg(instr) == Some(vreg) {
+        let depth = depths[index]->Option.getOr(0)
+        uses +. Math.pow(10., ~exp=Int.toFloat(depth))
+      } else {
+        uses
+      }
+    })
+    let length = liveOut->Array.filter(live => live->VRegSet.has(vreg))->Array.length
+    uses /. Int.toFloat(length + 1)
+  }
+}
+
+// Cheapest virtual register to spill when `failure.block` ran out of registers: one of its own
+// values, or a shared value, which frees its register in every block at the cost of all its uses
+let cheapest = (
+  ir: IR.t,
+  failure: RegisterColoring.failure,
+  shared: VRegSet.t,
+  excluded: VRegSet.t,
+): option<IR.vreg> => {
+  let local = spillCost(failure.block)
+  let costs = ir->List.toArray->Array.map(spillCost)
+  let cost = vreg =>
+    if shared->VRegSet.has(vreg) {
+      costs->Array.reduce(0., (total, cost) => total +. cost(vreg))
+    } else {
+      local(vreg)
+    }
+  failure.conflicts
+  ->VRegSet.add(failure.vreg)
+  ->VRegSet.union(shared)
+  ->VRegSet.diff(excluded)
+  ->VRegSet.toArray
+  ->Array.reduce(None, (best, vreg) => {
+    let vregCost = cost(vreg)
+    switch best {
+    | Some((_, bestCost)) if bestCost <= vregCost => best
+    | _ => Some((vreg, vregCost))
+    }
+  })
+  ->Option.map(((vreg, _)) => vreg)
+}
+
+// Keep a virtual register of a block in stack slot `slot`
+// Returns the rewritten block and the short-lived registers introduced, numbered from `nextVReg`
+let spillVReg = (block: IR.block, vreg: IR.vreg, slot: int, nextVReg: int): (
+  IR.block,
+  array<IR.vreg>,
+) => {
+  let temps = []
+  let fresh = () => {
+    let temp = nextVReg + Array.length(temps)
+    temps->Array.push(temp)
+    temp
+  }
+  let store = temp => IR.StackPoke(Num(Int.toFloat(slot)), VReg(temp))
+
+  let instructions =
+    block.instructions
+    ->List.toArray
+    ->Array.flatMap(instr => {
+      let (loads, instr) = if reads(instr, vreg) {
+        let temp = fresh()
+        ([IR.StackGet(temp, Num(Int.toFloat(slot)))], renameUses(instr, vreg, temp))
+      } else {
+        ([], instr)
+      }
+      switch Liveness.definedVReg(instr) {
+      | Some(defined) if defined == vreg =>
+        let temp = fresh()
+        Array.concat(loads, [renameDefinition(instr, temp), store(temp)])
+      | _ => Array.concat(loads, [instr])
+      }
+    })
+
+  // A spilled parameter is popped into a register and stored on entry
+  let (params, instructions) = if block.params->Array.includes(vreg) {
+    let temp = fresh()
+    let params = block.params->Array.map(param => param == vreg ? temp : param)
+    switch instructions[0] {
+    | Some(Label(label) as entry) if label == block.name => (
+        params,
+        Array.concat([entry, store(temp)], instructions->Array.sliceToEnd(~start=1)),
+      )
+    | _ => (params, Array.concat([store(temp)], instructions))
+    }
+  } else {
+    (block.params, instructions)
+  }
+
+  ({...block, params, instructions: List.fromArray(instructions)}, temps)
+}
+
+// Keep a virtual register in stack slot `slot` in every block that mentions it
+let spillEverywhere = (ir: IR.t, vreg: IR.vreg, slot: int, nextVReg: int): (
+  IR.t,
+  array<IR.vreg>,
+) => {
+  let temps = []
+  let blocks = ir->List.map(block => {
+    if StackDepth.mentionedVRegs(block)->VRegSet.has(vreg) {
+      let (block, newTemps) = spillVReg(block, vreg, slot, nextVReg + Array.length(temps))
+      temps->Array.pushMany(newTemps)
+      block
+    } else {
+      block
+    }
+  })
+  (blocks, temps)
+}
+
+// Highest virtual register of a program
+let maxVReg = (ir: IR.t): int => {
+  ir->List.reduce(-1, (highest, block) => {
+    StackDepth.mentionedVRegs(block)
+    ->VRegSet.maximum
+    ->Option.mapOr(highest, vreg => Math.Int.max(highest, vreg))
+  })
+}
+
+// Move values to the stack until every remaining one gets a physical register
+let spill = (ir: IR.t): result<IR.t, Diagnostic.t> => {
+  let firstSlot = StackDepth.reservedSlots(ir)
+
+  let rec attempt = (ir: IR.t, slots: int, temps: VRegSet.t, nextVReg: int) => {
+    switch RegisterColoring.colour(ir) {
+    | Ok(_) => Ok((ir, slots))
+    | Error(failure) =>
+      let saved = StackDepth.savedAroundCalls(ir, failure.block)->Array.flat
+      let excluded = temps->VRegSet.mergeMany(saved)
+      switch cheapest(ir, failure, RegisterColoring.sharedVRegs(ir), excluded) {
+      | None => Error(RegisterColoring.tooManyLive(failure))
+      | Some(vreg) =>
+        // A local value is only mentioned by its own block, a shared one by several
+        let (ir, newTemps) = spillEverywhere(ir, vreg, firstSlot + slots, nextVReg)
+        let temps = temps->VRegSet.mergeMany(newTemps)
+        attempt(ir, slots + 1, temps, nextVReg + Array.length(newTemps))
+      }
+    }
+  }
+
+  attempt(ir, 0, VRegSet.empty, maxVReg(ir) + 1)->Result.map(((ir, slots)) => {
+    switch (ir, slots) {
+    | (_, 0) | (list{}, _) => ir
+    // Spill slots are reserved together with main's own segments
+    | (list{main, ...rest}, _) =>
+      list{{...main, instructions: list{IR.StackAlloc(slots), ...main.instructions}}, ...rest}
+    }
+  })
+}
@@ -0,0 +1,225 @@
+// Stack frames for the IC10 calling convention
+// Describes what each function keeps on the IC10 stack and estimates the deepest stack use
+//
+// A call pushes its arguments, which the callee pops into its parameter registers.
+// Functions that call other functions push `ra` on entry and pop it before returning.
+// Recursive calls also push the caller's own registers that are still needed, and pop
+// them once the callee has returned.
+//
+// Stack segments are never saved, so a recursive function must not own any that outlive a call
+// to itself: IRGen rejects arrays, variant refs and record refs declared in a `let rec`
+// function, and a function's result segment is read as soon as the call returns.
+
+module VRegSet = Belt.Set.Int
+
+// Number of slots in the IC housing stack
+let stackSize = 512
+
+// Stack use of a compiled program
+type t = {
+  reserved: int, // Slots reserved up front for variant segments and spilled values
+  maxDepth: int, // Deepest stack use, counting a single level of each recursive call
+  recursive: array<(string, int)>, // Recursive function → slots added per level of recursion
+}
+
+// All virtual registers a block reads or writes
+let mentionedVRegs = (block: IR.block): VRegSet.t => {
+  let used = IROptimizer.findUsedVRegs(block.instructions, VRegSet.fromArray(block.params))
+  block.instructions->List.reduce(used, (vregs, instr) => {
+    switch Liveness.definedVReg(instr) {
+    | Some(vreg) => vregs->VRegSet.add(vreg)
+    | None => vregs
+    }
+  })
+}
+
+// Slots reserved by main before anything else touches the stack
+let reservedSlots = (ir: IR.t): int => {
+  switch ir {
+  | list{main, ..._} =>
+    main.instructions->List.reduce(0, (total, instr) => {
+      switch instr {
+      | StackAlloc(count) => total + count
+      | _ => total
+      }
+    })
+  | list{} => 0
+  }
+}
+
+// Whether a function calls another function, which overwrites `ra`
+let savesReturnAddress = (block: IR.block): bool => {
+  block.name != "main" &&
+    block.instructions->List.some(instr => {
+      switch instr {
+      | Call(_) => true
+      | _ => false
+      }
+    })
+}
+
+// Registers pushed around each call of a block, in the order the calls appear
+// Only recursive calls save anything: the registers still live after the call that belong to
+// the function alone. They hold all of its locals, since none of them lives in a stack segment.
+// Registers shared with other blocks, such as refs declared in main, are left alone so the
+// callee's updates survive
+let savedAroundCalls = (ir: IR.t, block: IR.block): array<array<IR.vreg>> => {
+  let shared =
+    ir
+    ->List.filter(other => other.name != block.name)
+    ->List.reduce(VRegSet.empty, (vregs, other) => vregs->VRegSet.union(mentionedVRegs(other)))
+  let liveOut = Liveness.liveOut(block)
+  block.instructions
+  ->List.toArray
+  ->Array.mapWithIndex((instr, index) => (instr, index))
+  ->Array.filterMap(((instr, index)) => {
+    switch instr {
+    | Call(callee, _, result) if callee == block.name =>
+      let live = liveOut[index]->Option.getOr(VRegSet.empty)->VRegSet.diff(shared)
+      let live = switch result {
+      | Some(vreg) => live->VRegSet.remove(vreg)
+      | None => live
+      }
+      Some(VRegSet.toArray(live))
+    | Call(_) => Some([])
+    | _ => None
+    }
+  })
+}
+
+// Whether a function can reach a Return without calling itself first
+// A function that cannot recurses on every path, so its stack use has no bound
+let returnsWithoutRecursing = (block: IR.block): bool => {
+  let instrs = block.instructions->List.toArray
+  let labels = Liveness.labelIndices(instrs)
+
+  let rec search = (pending: list<int>, visited: Belt.Set.Int.t): bool => {
+    switch pending {
+    | list{} => false
+    | list{index, ...rest} if visited->Belt.Set.Int.has(index) => search(rest, visited)
+    | list{index, ...rest} =>
+      let visited = visited->Belt.Set.Int.add(index)
+      switch instrs[index] {
+      | None => search(rest, visited)
+      | Some(Return(_)) => true
+      | Some(Call(callee, _, _)) if callee == block.name => search(rest, visited)
+      | Some(_) =>
+        let next = Liveness.successors(instrs, labels, index)->List.fromArray
+        search(List.concat(next, rest), visited)
+      }
+    }
+  }
+
+  search(list{0}, Belt.Set.Int.empty)
+}
+
+// Source span of the statement containing a function's first call to itself
+let recursiveCallSpan = (block: IR.block): option<Span.t> => {
+  let rec find = (instrs: list<IR.instr>, span: option<Span.t>) => {
+    switch instrs {
+    | list{} => None
+    | list{SourceSpan(span), ...rest} => find(rest, Some(span))
+    | list{Call(callee, _, _), ..._} if callee == block.name => span
+    | list{_, ...rest} => find(rest, span)
+    }
+  }
+  find(block.instructions, None)
+}
+
+// Estimate the stack use of a program
+// Fails when a function recurses on every path or the estimate exceeds the IC10 stack
+let estimate = (ir: IR.t): result<t, Diagnostic.t> => {
+  let findBlock = name => ir->List.find(block => block.name == name)
+  let returnsValue = name => findBlock(name)->Option.mapOr(false, block => block.returnsValue)
+
+  // Calls of a block paired with the registers saved around them
+  let calls = (block: IR.block) => {
+    let calls =
+      block.instructions
+      ->List.toArray
+      ->Array.filterMap(instr => {
+        switch instr {
+        | Call(callee, args, _) => Some((callee, args))
+        | _ => None
+        }
+      })
+    Belt.Array.zip(calls, savedAroundCalls(ir, block))
+  }
+
+  // Slots used by a block and everything it calls, on top of the stack at entry
+  let rec stackUse = (block: IR.block): int => {
+    let frame = savesReturnAddress(block) ? 1 : 0
+    let deepestCall = calls(block)->Array.reduce(0, (deepest, ((callee, args), saved)) => {
+      // A recursive call is counted once; each further level adds `perLevel` below
+      let calleeUse = switch findBlock(callee) {
+      | Some(calleeBlock) if callee != block.name => stackUse(calleeBlock)
+      | _ => frame
+      }
+      let transient = Math.Int.max(Array.length(args), returnsValue(callee) ? 1 : 0)
+      Math.Int.max(deepest, Array.length(saved) + Math.Int.max(transient, calleeUse))
+    })
+    frame + deepestCall
+  }
+
+  // Slots added by each level of recursion: the saved registers and `ra`
+  let perLevel = (block: IR.block): int => {
+    calls(block)->Array.reduce(0, (most, ((callee, _), saved)) => {
+      callee == block.name ? Math.Int.max(most, Array.length(saved) + 1) : most
+    })
+  }
+
+  let recursiveBlocks = ir->List.filter(block => perLevel(block) > 0)
+
+  switch recursiveBlocks->List.find(block => !returnsWithoutRecursing(block)) {
+  | Some(block) =>
+    Error(
+      Diagnostic.make(
+        ~span=?recursiveCallSpan(block),
+        `Function '${block.name}' calls itself on every path: the recursion never ends and its stack use is unbounded`,
+      ),
+    )
+  | None =>
+    let reserved = reservedSlots(ir)
+    let maxDepth = switch ir {
+    | list{main, ..._} => reserved + stackUse(main)
+    | list{} => reserved
+    }
+    if maxDepth > stackSize {
+      Diagnostic.error(
+        `Stack overflow: the program needs up to ${Int.toString(
+            maxDepth,
+          )} stack slots, but the IC10 stack holds ${Int.toString(stackSize)}`,
+      )
+    } else {
+      Ok({
+        reserved,
+        maxDepth,
+        recursive: recursiveBlocks
+        ->List.map(block => (block.name, perLevel(block)))
+        ->List.toArray,
+      })
+    }
+  }
+}
+
+// Warnings for the recursion depth the stack allows, one per recursive function, e.g.
+// "Function 'fact' adds 3 stack slots per level of recursion: at most 169 levels fit on the stack"
+let warnings = (ir: IR.t, estimate: t): array<Diagnostic.t> => {
+  estimate.recursive->Array.map(((name, slots)) => {
+    let levels = (stackSize - estimate.maxDepth) / slots
+    let span = ir->List.find(block => block.name == name)->Option.flatMap(recursiveCallSpan)
+    Diagnostic.make(
+      ~span?,
+      `Function '${name}' adds ${Int.toString(
+          slots,
+        )} stack slots per level of recursion: at most ${Int.toString(
+          levels,
+        )} levels fit on the stack`,
+    )
+  })
+}
+
+// Check the stack use of a program: errors as for `estimate`, and the recursion limits as warnings
+let check = (ir: IR.t): result<array<Diagnostic.t>, Diagnostic.t> => {
+  estimate(ir)->Result.map(estimate => warnings(ir, estimate))
+}
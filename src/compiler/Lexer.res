@@ -7,12 +7,21 @@ type token =
   | If // keyword: if
   | Else // keyword: else
   | While // keyword: while
+  | For // keyword: for
+  | In // keyword: in
+  | To // keyword: to
+  | Downto // keyword: downto
+  | Break // keyword: break
+  | Continue // keyword: continue
+  | Rec // keyword: rec
   | Type // keyword: type
   | Switch // keyword: switch
+  | When // keyword: when (switch case guard)
   | Ref // keyword: ref
+  | Open // keyword: open
   | True // keyword: true
   | Identifier(string) // variable names, function names
-  | IntLiteral(int) // integer literals
+  | NumberLiteral(float) // number literals (integer or floating-point)
   | StringLiteral(string) // string literals
   | Plus // +
   | Minus // -
@@ -20,26 +29,44 @@ type token =
   | Divide // /
   | GreaterThan // >
   | LessThan // <
+  | GreaterEqual // >=
+  | LessEqual // <=
   | Assign // =
   | EqualEqual // ==
+  | NotEqual // !=
+  | AndAnd // &&
+  | OrOr // ||
+  | Bang // !
   | Arrow // =>
   | Pipe // |
   | ColonEqual // :=
+  | Colon // :
   | Dot // .
+  | Spread // ...
   | Percent // %
   | Comma // ,
   | LeftParen // (
   | RightParen // )
   | LeftBrace // {
   | RightBrace // }
+  | LeftBracket // [
+  | RightBracket // ]
   | EOF // End of file
   | Invalid(string) // Invalid token (for error reporting)
 
+// Token together with the source span it was read from
+type located = {
+  token: token,
+  span: Span.t,
+}
+
 // Lexer state
 type lexer = {
   source: string,
   position: int,
   length: int,
+  line: int, // 1-based line of the current position
+  column: int, // 1-based column of the current position
 }
 
 // Create a new lexer from source code
@@ -48,6 +75,8 @@ let create = (source: string): lexer => {
     source,
     position: 0,
     length: source->String.length,
+    line: 1,
+    column: 1,
   }
 }
 
@@ -65,51 +94,102 @@ let peekChar = (lexer: lexer): option<string> => {
   }
 }
 
-// Advance position by one
+// Advance position by one, tracking line and column
 let advance = (lexer: lexer): lexer => {
-  {...lexer, position: lexer.position + 1}
+  switch peekChar(lexer) {
+  | Some("\n") => {...lexer, position: lexer.position + 1, line: lexer.line + 1, column: 1}
+  | _ => {...lexer, position: lexer.position + 1, column: lexer.column + 1}
+  }
 }
 
-// Skip whitespace characters
-let skipWhitespace = (lexer: lexer): lexer => {
+// Peek at the character after the current one without advancing
+let peekNextChar = (lexer: lexer): option<string> => {
+  peekChar(advance(lexer))
+}
+
+// Skip a line comment (// ...) up to, but not including, the newline
+let skipLineComment = (lexer: lexer): lexer => {
   let rec loop = (l: lexer): lexer => {
     switch peekChar(l) {
-    | Some(" ") | Some("\t") | Some("\n") | Some("\r") => loop(advance(l))
-    | _ => l
+    | None | Some("\n") => l
+    | Some(_) => loop(advance(l))
+    }
+  }
+  loop(advance(advance(lexer)))
+}
+
+// Skip a block comment (/* ... */), following ReScript in allowing nesting
+// Returns None if the input ends before the outermost comment is closed
+let skipBlockComment = (lexer: lexer): option<lexer> => {
+  let rec loop = (l: lexer, depth: int): option<lexer> => {
+    switch (peekChar(l), peekNextChar(l)) {
+    | (None, _) => None
+    | (Some("*"), Some("/")) =>
+      let l = advance(advance(l))
+      depth == 1 ? Some(l) : loop(l, depth - 1)
+    | (Some("/"), Some("*")) => loop(advance(advance(l)), depth + 1)
+    | (Some(_), _) => loop(advance(l), depth)
+    }
+  }
+  loop(advance(advance(lexer)), 1)
+}
+
+// Skip whitespace characters and comments
+// Fails with the lexer at the opening `/*` if a block comment runs to the end of input
+let skipWhitespace = (lexer: lexer): result<lexer, lexer> => {
+  let rec loop = (l: lexer): result<lexer, lexer> => {
+    switch (peekChar(l), peekNextChar(l)) {
+    | (Some(" "), _) | (Some("\t"), _) | (Some("\n"), _) | (Some("\r"), _) => loop(advance(l))
+    | (Some("/"), Some("/")) => loop(skipLineComment(l))
+    | (Some("/"), Some("*")) =>
+      switch skipBlockComment(l) {
+      | Some(l) => loop(l)
+      | None => Error(l)
+      }
+    | _ => Ok(l)
     }
   }
   loop(lexer)
 }
 
-// Read an integer literal
-let readInteger = (lexer: lexer): (lexer, int) => {
-  let isDigit = (c: string): bool => {
-    c == "0" ||
-    c == "1" ||
-    c == "2" ||
-    c == "3" ||
-    c == "4" ||
-    c == "5" ||
-    c == "6" ||
-    c == "7" ||
-    c == "8" ||
-    c == "9"
+// Read a number literal: digits with an optional fraction and exponent
+// (42, 0.5, 1., 1e5, 2.5e-3). IC10 registers hold doubles, so every number is a float.
+let readNumber = (lexer: lexer): (lexer, float) => {
+  let isDigit = (c: string): bool => c >= "0" && c <= "9"
+  let isIdentifierStart = (c: string): bool => {
+    (c >= "a" && c <= "z") || c >= "A" && c <= "Z" || c == "_"
   }
-  let rec loop = (l: lexer, acc: string): (lexer, int) => {
+  let rec readDigits = (l: lexer, acc: string): (lexer, string) => {
     switch peekChar(l) {
-    | Some(c) if isDigit(c) =>
-      let l = advance(l)
-      loop(l, acc ++ c)
-    | _ =>
-      switch Int.fromString(acc) {
-      | Some(n) => (l, n)
-      | None => (l, 0)
-      }
+    | Some(c) if isDigit(c) => readDigits(advance(l), acc ++ c)
+    | _ => (l, acc)
     }
   }
-  switch peekChar(lexer) {
-  | Some(c) if isDigit(c) => loop(advance(lexer), c)
-  | _ => (lexer, 0)
+
+  let (lexer, text) = readDigits(lexer, "")
+
+  // Fraction: a '.' not followed by a field name (keeps `x.contents` style postfix intact)
+  let (lexer, text) = switch (peekChar(lexer), peekNextChar(lexer)) {
+  | (Some("."), Some(c)) if isIdentifierStart(c) => (lexer, text)
+  | (Some("."), _) => readDigits(advance(lexer), text ++ ".")
+  | _ => (lexer, text)
+  }
+
+  // Exponent: only consumed when digits follow, optionally after a sign
+  let (lexer, text) = switch (peekChar(lexer), peekNextChar(lexer)) {
+  | (Some("e") | Some("E"), Some(c)) if isDigit(c) => readDigits(advance(lexer), text ++ "e")
+  | (Some("e") | Some("E"), Some(("+" | "-") as sign)) =>
+    let afterSign = advance(advance(lexer))
+    switch peekChar(afterSign) {
+    | Some(c) if isDigit(c) => readDigits(afterSign, text ++ "e" ++ sign)
+    | _ => (lexer, text)
+    }
+  | _ => (lexer, text)
+  }
+
+  switch Float.fromString(text) {
+  | Some(n) => (lexer, n)
+  | None => (lexer, 0.)
   }
 }
 
@@ -163,28 +243,71 @@ let readStringLiteral = (lexer: lexer): (lexer, string) => {
   }
 }
 
+// Skip the '.' of a float operator (+. -. *. /.)
+let skipFloatOperatorDot = (lexer: lexer): lexer => {
+  switch peekChar(lexer) {
+  | Some(".") => advance(lexer)
+  | _ => lexer
+  }
+}
+
 // Read next token from source
 let nextToken = (lexer: lexer): (lexer, token) => {
-  let lexer = skipWhitespace(lexer)
-  if isEOF(lexer) {
-    (lexer, EOF)
-  } else {
+  switch skipWhitespace(lexer) {
+  | Error(commentStart) => (advance(advance(commentStart)), Invalid("Unterminated block comment"))
+  | Ok(lexer) if isEOF(lexer) => (lexer, EOF)
+  | Ok(lexer) =>
     switch peekChar(lexer) {
     | None => (lexer, EOF)
-    | Some("+") => (advance(lexer), Plus)
-    | Some("-") => (advance(lexer), Minus)
-    | Some("*") => (advance(lexer), Multiply)
-    | Some("/") => (advance(lexer), Divide)
-    | Some(">") => (advance(lexer), GreaterThan)
-    | Some("<") => (advance(lexer), LessThan)
-    | Some("|") => (advance(lexer), Pipe)
-    | Some(".") => (advance(lexer), Dot)
+    // ReScript's float operators (+. -. *. /.) are the same operators here
+    | Some("+") => (skipFloatOperatorDot(advance(lexer)), Plus)
+    | Some("-") => (skipFloatOperatorDot(advance(lexer)), Minus)
+    | Some("*") => (skipFloatOperatorDot(advance(lexer)), Multiply)
+    | Some("/") => (skipFloatOperatorDot(advance(lexer)), Divide)
+    | Some(">") =>
+      let lexer = advance(lexer)
+      switch peekChar(lexer) {
+      | Some("=") => (advance(lexer), GreaterEqual)
+      | _ => (lexer, GreaterThan)
+      }
+    | Some("<") =>
+      let lexer = advance(lexer)
+      switch peekChar(lexer) {
+      | Some("=") => (advance(lexer), LessEqual)
+      | _ => (lexer, LessThan)
+      }
+    | Some("!") =>
+      let lexer = advance(lexer)
+      switch peekChar(lexer) {
+      | Some("=") => (advance(lexer), NotEqual)
+      | _ => (lexer, Bang)
+      }
+    | Some("|") =>
+      let lexer = advance(lexer)
+      switch peekChar(lexer) {
+      | Some("|") => (advance(lexer), OrOr)
+      | _ => (lexer, Pipe)
+      }
+    | Some("&") =>
+      let lexer = advance(lexer)
+      switch peekChar(lexer) {
+      | Some("&") => (advance(lexer), AndAnd)
+      | _ => (lexer, Invalid("Unexpected character: &"))
+      }
+    | Some(".") =>
+      let lexer = advance(lexer)
+      switch (peekChar(lexer), peekChar(advance(lexer))) {
+      | (Some("."), Some(".")) => (advance(advance(lexer)), Spread)
+      | _ => (lexer, Dot)
+      }
     | Some("%") => (advance(lexer), Percent)
     | Some(",") => (advance(lexer), Comma)
     | Some("(") => (advance(lexer), LeftParen)
     | Some(")") => (advance(lexer), RightParen)
     | Some("{") => (advance(lexer), LeftBrace)
     | Some("}") => (advance(lexer), RightBrace)
+    | Some("[") => (advance(lexer), LeftBracket)
+    | Some("]") => (advance(lexer), RightBracket)
     | Some("\"") =>
       let (lexer, str) = readStringLiteral(lexer)
       (lexer, StringLiteral(str))
@@ -192,7 +315,7 @@ let nextToken = (lexer: lexer): (lexer, token) => {
       let lexer = advance(lexer)
       switch peekChar(lexer) {
       | Some("=") => (advance(lexer), ColonEqual)
-      | _ => (lexer, Invalid("Unexpected character ':'"))
+      | _ => (lexer, Colon)
       }
     | Some("=") =>
       let lexer = advance(lexer)
@@ -202,8 +325,8 @@ let nextToken = (lexer: lexer): (lexer, token) => {
       | _ => (lexer, Assign)
       }
     | Some(c) if c >= "0" && c <= "9" =>
-      let (lexer, value) = readInteger(lexer)
-      (lexer, IntLiteral(value))
+      let (lexer, value) = readNumber(lexer)
+      (lexer, NumberLiteral(value))
     | Some(c) if (c >= "a" && c <= "z") || c >= "A" && c <= "Z" || c == "_" =>
       let (lexer, ident) = readIdentifier(lexer)
       switch ident {
@@ -211,9 +334,18 @@ let nextToken = (lexer: lexer): (lexer, token) => {
       | "if" => (lexer, If)
       | "else" => (lexer, Else)
       | "while" => (lexer, While)
+      | "for" => (lexer, For)
+      | "in" => (lexer, In)
+      | "to" => (lexer, To)
+      | "downto" => (lexer, Downto)
+      | "break" => (lexer, Break)
+      | "continue" => (lexer, Continue)
+      | "rec" => (lexer, Rec)
       | "type" => (lexer, Type)
       | "switch" => (lexer, Switch)
+      | "when" => (lexer, When)
       | "ref" => (lexer, Ref)
+      | "open" => (lexer, Open)
       | "true" => (lexer, True)
       | _ => (lexer, Identifier(ident))
       }
@@ -224,20 +356,30 @@ let nextToken = (lexer: lexer): (lexer, token) => {
   }
 }
 
-// Tokenize entire source code into array of tokens
+// Span from a start lexer state to the current one
+let spanFrom = (start: lexer, lexer: lexer): Span.t => {
+  Span.make(~line=start.line, ~column=start.column, ~endLine=lexer.line, ~endColumn=lexer.column)
+}
+
+// Tokenize entire source code into array of tokens with their source spans
 // Uses List for O(1) cons operations, then converts to array
-let tokenize = (source: string): result<array<token>, string> => {
-  let rec loop = (lexer: lexer, acc: list<token>): result<list<token>, string> => {
+let tokenize = (source: string): result<array<located>, Diagnostic.t> => {
+  let rec loop = (lexer: lexer, acc: list<located>): result<list<located>, Diagnostic.t> => {
+    // Skip ahead first so the token span starts at the token itself
+    let start = switch skipWhitespace(lexer) {
+    | Ok(start) | Error(start) => start
+    }
     let (lexer, token) = nextToken(lexer)
+    let span = spanFrom(start, lexer)
     switch token {
     | EOF => Ok(acc)
-    | Invalid(msg) => Error("[Lexer.res][tokenize]: " ++ msg)
-    | _ => loop(lexer, list{token, ...acc}) // O(1) cons operation
+    | Invalid(msg) => Diagnostic.errorAt(span, msg)
+    | _ => loop(lexer, list{{token, span}, ...acc}) // O(1) cons operation
     }
   }
   switch loop(create(source), list{}) {
   | Ok(tokens) => Ok(List.toArray(List.reverse(tokens))) // Convert list to array
-  | Error(msg) => Error("[Lexer.res][tokenize]<-" ++ msg)
+  | Error(diagnostic) => Error(diagnostic->Diagnostic.prefix("[Lexer.res][tokenize]<-"))
   }
 }
 
@@ -248,12 +390,21 @@ let tokenToString = (token: token): string => {
   | If => "If"
   | Else => "Else"
   | While => "While"
+  | For => "For"
+  | In => "In"
+  | To => "To"
+  | Downto => "Downto"
+  | Break => "Break"
+  | Continue => "Continue"
+  | Rec => "Rec"
   | Type => "Type"
   | Switch => "Switch"
+  | When => "When"
   | Ref => "Ref"
+  | Open => "Open"
   | True => "True"
   | Identifier(name) => "Identifier(" ++ name ++ ")"
-  | IntLiteral(n) => "IntLiteral(" ++ Int.toString(n) ++ ")"
+  | NumberLiteral(n) => "NumberLiteral(" ++ Float.toString(n) ++ ")"
   | StringLiteral(str) => "StringLiteral(" ++ str ++ ")"
   | Plus => "Plus"
   | Minus => "Minus"
@@ -261,18 +412,28 @@ let tokenToString = (token: token): string => {
   | Divide => "Divide"
   | GreaterThan => "GreaterThan"
   | LessThan => "LessThan"
+  | GreaterEqual => "GreaterEqual"
+  | LessEqual => "LessEqual"
   | Assign => "Assign"
   | EqualEqual => "EqualEqual"
+  | NotEqual => "NotEqual"
+  | AndAnd => "AndAnd"
+  | OrOr => "OrOr"
+  | Bang => "Bang"
   | Arrow => "Arrow"
   | Pipe => "Pipe"
   | ColonEqual => "ColonEqual"
+  | Colon => "Colon"
   | Dot => "Dot"
+  | Spread => "Spread"
   | Percent => "Percent"
   | Comma => "Comma"
   | LeftParen => "LeftParen"
   | RightParen => "RightParen"
   | LeftBrace => "LeftBrace"
   | RightBrace => "RightBrace"
+  | LeftBracket => "LeftBracket"
+  | RightBracket => "RightBracket"
   | EOF => "EOF"
   | Invalid(msg) => "Invalid(" ++ msg ++ ")"
   }
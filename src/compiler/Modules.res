@@ -0,0 +1,454 @@
+// Multi-module programs: resolves `open M` and `M.name` references and links modules into one program
+// Each other module is a .res file of the project, parsed only when the program refers to it.
+// Its top-level values are renamed to M_name so modules can reuse names; type and constructor
+// names stay shared by the whole program
+
+open AST
+
+// Module of the built-in IC10 bindings: its functions are compiler builtins, opening it does nothing
+let builtinModule = "IC10"
+
+// Core conversions between int and float, compiled as builtins rather than linked from a module
+let coreConversions = ["Int.toFloat", "Float.toInt"]
+
+// What a linked module contributes to the program
+type linked = {
+  statements: array<stmt>, // its resolved top-level statements
+  exports: Belt.Map.String.t<string>, // value name → name in the linked program
+}
+
+// Linker state shared by every module of a project
+type state = {
+  load: string => option<result<program, Diagnostic.t>>, // parse a module by name; None if there is none
+  linked: Belt.Map.String.t<linked>,
+  order: array<string>, // linked modules, each after the modules it depends on
+}
+
+// Resolution context for one module: None is the file being compiled
+type context = {
+  moduleName: option<string>,
+  modules: Belt.Map.String.t<linked>,
+}
+
+// Split "Module.name" into its module and member
+let splitQualified = (name: string): option<(string, string)> => {
+  switch name->String.indexOf(".") {
+  | -1 => None
+  | dot => Some((name->String.slice(~start=0, ~end=dot), name->String.sliceToEnd(~start=dot + 1)))
+  }
+}
+
+// Point a diagnostic into a module's file, unless it already points into another module
+let inModule = (diagnostic: Diagnostic.t, moduleName: string): Diagnostic.t => {
+  let span = diagnostic.span->Option.map(span => {
+    switch span.file {
+    | Some(_) => span
+    | None => {...span, file: moduleName}
+    }
+  })
+  {...diagnostic, span}
+}
+
+// Modules a program refers to, in order of first reference
+let rec dependencies = (found: array<string>, node: astNode): array<string> => {
+  let names = switch node {
+  | OpenModule(name) => [name]
+  | Identifier(name)
+  | VariantConstructor(name, _)
+  | RefAccess(name)
+  | RefAssignment(name, _)
+  | ArrayAssignment(name, _, _) if !Array.includes(coreConversions, name) =>
+    splitQualified(name)->Option.mapOr([], ((moduleName, _)) => [moduleName])
+  | _ => []
+  }
+  let found = names->Array.reduce(found, (found, name) => {
+    name == builtinModule || found->Array.includes(name) ? found : Array.concat(found, [name])
+  })
+  children(node)->Array.reduce(found, dependencies)
+}
+
+// Name of a value in the linked program
+let resolveName = (context: context, scope: Belt.Map.String.t<string>, name: string): result<
+  string,
+  Diagnostic.t,
+> => {
+  switch splitQualified(name) {
+  | None => Ok(scope->Belt.Map.String.get(name)->Option.getOr(name))
+  | Some(_) if Array.includes(coreConversions, name) => Ok(name)
+  | Some((moduleName, member)) =>
+    switch context.modules->Belt.Map.String.get(moduleName) {
+    | None => Diagnostic.error(`Module '${moduleName}' not found`)
+    // Constructors are shared by every module
+    | Some(_) if Parser.isModuleName(member) => Ok(member)
+    | Some(linked) =>
+      switch linked.exports->Belt.Map.String.get(member) {
+      | Some(resolved) => Ok(resolved)
+      | None => Diagnostic.error(`Module '${moduleName}' has no value '${member}'`)
+      }
+    }
+  }
+}
+
+// Names bound by a switch case pattern
+let rec patternBindings = (pattern: pattern): array<string> => {
+  switch pattern {
+  | ConstructorPattern(_, bindings) => bindings
+  | OrPattern(patterns) => patterns->Array.flatMap(patternBindings)
+  | NumberPattern(_) | WildcardPattern => []
+  }
+}
+
+// Scope in which local names refer to themselves
+let bindLocals = (scope: Belt.Map.String.t<string>, names: array<string>) => {
+  names->Array.reduce(scope, (scope, name) => scope->Belt.Map.String.set(name, name))
+}
+
+// Resolve every name in a node
+let rec resolveNode = (context: context, scope: Belt.Map.String.t<string>, node: astNode): result<
+  astNode,
+  Diagnostic.t,
+> => {
+  let resolve = node => resolveNode(context, scope, node)
+  let resolveAll = nodes => {
+    nodes->Array.reduce(Ok([]), (acc, node) => {
+      acc->Result.flatMap(resolved =>
+        resolve(node)->Result.map(node => Array.concat(resolved, [node]))
+      )
+    })
+  }
+  let name = name => resolveName(context, scope, name)
+
+  switch node {
+  | Located(span, inner) =>
+    let span = switch context.moduleName {
+    | Some(moduleName) => {...span, file: moduleName}
+    | None => span
+    }
+    resolve(inner)
+    ->Result.map(inner => Located(span, inner))
+    ->Result.mapError(diagnostic => Diagnostic.withSpan(diagnostic, span))
+  | Identifier(n) => name(n)->Result.map(n => Identifier(n))
+  | RefAccess(n) => name(n)->Result.map(n => RefAccess(n))
+  | RefAssignment(n, value) =>
+    name(n)->Result.flatMap(n => resolve(value)->Result.map(value => RefAssignment(n, value)))
+  | ArrayAssignment(n, index, value) =>
+    name(n)->Result.flatMap(n => {
+      resolveAll([index, value])->Result.map(resolved => {
+        switch resolved {
+        | [index, value] => ArrayAssignment(n, index, value)
+        | _ => node
+        }
+      })
+    })
+  | VariantConstructor(n, args) =>
+    name(n)->Result.flatMap(n => resolveAll(args)->Result.map(args => VariantConstructor(n, args)))
+  | VariableDeclaration(n, value) =>
+    resolve(value)->Result.map(value => VariableDeclaration(n, value))
+  | TupleDeclaration(names, value) =>
+    resolve(value)->Result.map(value => TupleDeclaration(names, value))
+  | FunctionDeclaration(n, params, body, isRecursive) =>
+    let scope = bindLocals(scope, params)
+    resolveBlock(context, scope, body)->Result.map(body => {
+      FunctionDeclaration(n, params, body, isRecursive)
+    })
+  | BinaryExpression(op, left, right) =>
+    resolveAll([left, right])->Result.map(resolved => {
+      switch resolved {
+      | [left, right] => BinaryExpression(op, left, right)
+      | _ => node
+      }
+    })
+  | UnaryExpression(op, operand) =>
+    resolve(operand)->Result.map(operand => UnaryExpression(op, operand))
+  | FunctionCall(n, args) =>
+    args
+    ->Array.reduce(Ok([]), (acc, arg) => {
+      acc->Result.flatMap(resolved => {
+        switch arg {
+        | ArgExpr(expr) =>
+          resolve(expr)->Result.map(expr => Array.concat(resolved, [ArgExpr(expr)]))
+        | ArgString(_) | ArgDevice(_) | ArgMode(_) => Ok(Array.concat(resolved, [arg]))
+        }
+      })
+    })
+    ->Result.map(args => FunctionCall(n, args))
+  | IfStatement(condition, thenBlock, elseBlock) =>
+    resolve(condition)->Result.flatMap(condition => {
+      resolveBlock(context, scope, thenBlock)->Result.flatMap(thenBlock => {
+        switch elseBlock {
+        | Some(block) =>
+          resolveBlock(context, scope, block)->Result.map(
+            block => {
+              IfStatement(condition, thenBlock, Some(block))
+            },
+          )
+        | None => Ok(IfStatement(condition, thenBlock, None))
+        }
+      })
+    })
+  | WhileLoop(condition, body) =>
+    resolve(condition)->Result.flatMap(condition => {
+      resolveBlock(context, scope, body)->Result.map(body => WhileLoop(condition, body))
+    })
+  | ForLoop(variable, start, finish, direction, body) =>
+    resolveAll([start, finish])->Result.flatMap(bounds => {
+      resolveBlock(context, bindLocals(scope, [variable]), body)->Result.map(body => {
+        switch bounds {
+        | [start, finish] => ForLoop(variable, start, finish, direction, body)
+        | _ => node
+        }
+      })
+    })
+  | BlockStatement(block) =>
+    resolveBlock(context, scope, block)->Result.map(block => BlockStatement(block))
+  | SwitchExpression(scrutinee, cases) =>
+    resolve(scrutinee)->Result.flatMap(scrutinee => {
+      cases
+      ->Array.reduce(Ok([]), (acc, matchCase) => {
+        acc->Result.flatMap(
+          resolved => {
+            let caseContext = bindLocals(scope, patternBindings(matchCase.pattern))
+            let guard = switch matchCase.guard {
+            | Some(guard) =>
+              resolveNode(context, caseContext, guard)->Result.map(guard => Some(guard))
+            | None => Ok(None)
+            }
+            guard->Result.flatMap(
+              guard => {
+                resolveBlock(context, caseContext, matchCase.body)->Result.map(
+                  body => {
+                    Array.concat(resolved, [{...matchCase, guard, body}])
+                  },
+                )
+              },
+            )
+          },
+        )
+      })
+      ->Result.map(cases => SwitchExpression(scrutinee, cases))
+    })
+  | RecordLiteral(base, fields) =>
+    let base = switch base {
+    | Some(base) => resolve(base)->Result.map(base => Some(base))
+    | None => Ok(None)
+    }
+    base->Result.flatMap(base => {
+      resolveAll(fields->Array.map(((_, value)) => value))->Result.map(values => {
+        RecordLiteral(
+          base,
+          fields->Array.mapWithIndex(
+            ((field, value), index) => {
+              (field, values[index]->Option.getOr(value))
+            },
+          ),
+        )
+      })
+    })
+  | FieldAccess(record, field) => resolve(record)->Result.map(record => FieldAccess(record, field))
+  | TupleLiteral(elements) => resolveAll(elements)->Result.map(elements => TupleLiteral(elements))
+  | ArrayLiteral(elements) => resolveAll(elements)->Result.map(elements => ArrayLiteral(elements))
+  | ArrayMake(length, value) =>
+    resolveAll([length, value])->Result.map(resolved => {
+      switch resolved {
+      | [length, value] => ArrayMake(length, value)
+      | _ => node
+      }
+    })
+  | ArrayAccess(array, index) =>
+    resolveAll([array, index])->Result.map(resolved => {
+      switch resolved {
+      | [array, index] => ArrayAccess(array, index)
+      | _ => node
+      }
+    })
+  | RefCreation(value) => resolve(value)->Result.map(value => RefCreation(value))
+  | OpenModule(moduleName) if moduleName != builtinModule =>
+    switch context.modules->Belt.Map.String.has(moduleName) {
+    | true => Ok(node)
+    | false => Diagnostic.error(`Module '${moduleName}' not found`)
+    }
+  | OpenModule(_)
+  | Literal(_)
+  | LiteralBool(_)
+  | LiteralStr(_)
+  | Break
+  | Continue
+  | TypeDeclaration(_, _)
+  | RecordTypeDeclaration(_, _)
+  | RawInstruction(_) =>
+    Ok(node)
+  }
+}
+
+// Resolve a block of statements; each binding is in scope for the statements after it
+and resolveBlock = (
+  context: context,
+  scope: Belt.Map.String.t<string>,
+  block: blockStatement,
+): result<blockStatement, Diagnostic.t> => {
+  resolveStatements(context, scope, block, ~topLevel=false)->Result.map(((statements, _)) => {
+    statements
+  })
+}
+
+// Resolve statements in order, returning them with the names they bind
+// Top-level values of a module are renamed to Module_name; everything else keeps its name
+and resolveStatements = (
+  context: context,
+  scope: Belt.Map.String.t<string>,
+  statements: array<stmt>,
+  ~topLevel: bool,
+): result<(array<stmt>, Belt.Map.String.t<string>), Diagnostic.t> => {
+  let rename = name => {
+    switch context.moduleName {
+    | Some(moduleName) if topLevel => `${moduleName}_${name}`
+    | _ => name
+    }
+  }
+  let initial = Ok(([], scope, Belt.Map.String.empty))
+  statements
+  ->Array.reduce(initial, (acc, stmt) => {
+    acc->Result.flatMap(((resolved, scope, bound)) => {
+      let bind = (scope, bound, names) => {
+        names->Array.reduce(
+          (scope, bound),
+          ((scope, bound), name) => {
+            (
+              scope->Belt.Map.String.set(name, rename(name)),
+              bound->Belt.Map.String.set(name, rename(name)),
+            )
+          },
+        )
+      }
+      let rec binders = (stmt: stmt) => {
+        switch stmt {
+        | Located(_, inner) => binders(inner)
+        | VariableDeclaration(name, _) | FunctionDeclaration(name, _, _, _) => [name]
+        | TupleDeclaration(names, _) => names->Array.filter(name => name != "_")
+        | _ => []
+        }
+      }
+      // A recursive function sees itself; other bindings only exist after their statement
+      let rec isRecursive = (stmt: stmt) => {
+        switch stmt {
+        | Located(_, inner) => isRecursive(inner)
+        | FunctionDeclaration(_, _, _, recursive) => recursive
+        | _ => false
+        }
+      }
+      let (innerScope, _) = isRecursive(stmt) ? bind(scope, bound, binders(stmt)) : (scope, bound)
+
+      resolveNode(context, innerScope, stmt)->Result.map(
+        stmt => {
+          let (scope, bound) = bind(scope, bound, binders(stmt))
+          // `open M` brings M's values into scope for the rest of the block
+          let rec opened = (stmt: stmt) => {
+            switch stmt {
+            | Located(_, inner) => opened(inner)
+            | OpenModule(moduleName) => context.modules->Belt.Map.String.get(moduleName)
+            | _ => None
+            }
+          }
+          switch opened(stmt) {
+          // Opens have done their job once names are resolved
+          | Some(linked) =>
+            let scope = linked.exports->Belt.Map.String.reduce(
+              scope,
+              (scope, name, resolved) => {
+                scope->Belt.Map.String.set(name, resolved)
+              },
+            )
+            (resolved, scope, bound)
+          | None => (Array.concat(resolved, [renameBinders(stmt, rename)]), scope, bound)
+          }
+        },
+      )
+    })
+  })
+  ->Result.map(((statements, _, bound)) => (statements, bound))
+}
+
+// Rename the names a top-level statement binds
+and renameBinders = (stmt: stmt, rename: string => string): stmt => {
+  switch stmt {
+  | Located(span, inner) => Located(span, renameBinders(inner, rename))
+  | VariableDeclaration(name, value) => VariableDeclaration(rename(name), value)
+  | FunctionDeclaration(name, params, body, isRecursive) =>
+    FunctionDeclaration(rename(name), params, body, isRecursive)
+  | TupleDeclaration(names, value) =>
+    TupleDeclaration(names->Array.map(name => name == "_" ? name : rename(name)), value)
+  | _ => stmt
+  }
+}
+
+// Link a module and, first, every module it refers to
+let rec linkModule = (state: state, moduleName: string, ~path: array<string>): result<
+  state,
+  Diagnostic.t,
+> => {
+  if state.linked->Belt.Map.String.has(moduleName) {
+    Ok(state)
+  } else if path->Array.includes(moduleName) {
+    let cycle = Array.concat(path, [moduleName])->Array.join(" -> ")
+    Diagnostic.error(`Modules depend on each other: ${cycle}`)
+  } else {
+    switch state.load(moduleName) {
+    // Reported with a span where the missing module is referenced
+    | None => Ok(state)
+    | Some(parsed) =>
+      parsed
+      ->Result.flatMap(program => {
+        let path = Array.concat(path, [moduleName])
+        linkDependencies(state, program, ~path)->Result.flatMap(state => {
+          let context = {moduleName: Some(moduleName), modules: state.linked}
+          resolveStatements(context, Belt.Map.String.empty, program, ~topLevel=true)->Result.map(
+            ((statements, exports)) => {
+              {
+                ...state,
+                linked: state.linked->Belt.Map.String.set(moduleName, {statements, exports}),
+                order: Array.concat(state.order, [moduleName]),
+              }
+            },
+          )
+        })
+      })
+      ->Result.mapError(diagnostic => inModule(diagnostic, moduleName))
+    }
+  }
+}
+
+and linkDependencies = (state: state, program: program, ~path: array<string>): result<
+  state,
+  Diagnostic.t,
+> => {
+  program
+  ->Array.reduce([], dependencies)
+  ->Array.reduce(Ok(state), (acc, moduleName) => {
+    acc->Result.flatMap(state => linkModule(state, moduleName, ~path))
+  })
+}
+
+// Link a program with the modules it uses: their statements run first, in dependency order
+// `load` parses a module by name, returning None when the project has no such module
+let link = (program: program, ~load: string => option<result<program, Diagnostic.t>>): result<
+  program,
+  Diagnostic.t,
+> => {
+  let state = {load, linked: Belt.Map.String.empty, order: []}
+  linkDependencies(state, program, ~path=[])->Result.flatMap(state => {
+    let context = {moduleName: None, modules: state.linked}
+    resolveStatements(context, Belt.Map.String.empty, program, ~topLevel=true)->Result.map(((
+      statements,
+      _,
+    )) => {
+      let modules = state.order->Array.flatMap(
+        moduleName => {
+          state.linked
+          ->Belt.Map.String.get(moduleName)
+          ->Option.mapOr([], linked => linked.statements)
+        },
+      )
+      Array.concat(modules, statements)
+    })
+  })
+}
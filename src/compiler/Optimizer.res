@@ -8,36 +8,47 @@ let rec optimize = (node: astNode): astNode => {
   switch node {
   // ===== CONSTANT FOLDING =====
   // Addition
-  | BinaryExpression(Add, Literal(x), Literal(y)) => Literal(x + y)
+  | BinaryExpression(Add, Literal(x), Literal(y)) => Literal(x +. y)
   // Subtraction
-  | BinaryExpression(Sub, Literal(x), Literal(y)) => Literal(x - y)
+  | BinaryExpression(Sub, Literal(x), Literal(y)) => Literal(x -. y)
   // Multiplication
-  | BinaryExpression(Mul, Literal(x), Literal(y)) => Literal(x * y)
+  | BinaryExpression(Mul, Literal(x), Literal(y)) => Literal(x *. y)
   // Division
-  | BinaryExpression(Div, Literal(x), Literal(y)) => y != 0 ? Literal(x / y) : node // Preserve division by zero for runtime error
+  | BinaryExpression(Div, Literal(x), Literal(y)) => y != 0. ? Literal(x /. y) : node // Preserve division by zero for runtime error
   // Comparisons
-  | BinaryExpression(Lt, Literal(x), Literal(y)) => Literal(x < y ? 1 : 0)
-  | BinaryExpression(Gt, Literal(x), Literal(y)) => Literal(x > y ? 1 : 0)
-  | BinaryExpression(Eq, Literal(x), Literal(y)) => Literal(x == y ? 1 : 0)
+  | BinaryExpression(Lt, Literal(x), Literal(y)) => Literal(x < y ? 1. : 0.)
+  | BinaryExpression(Gt, Literal(x), Literal(y)) => Literal(x > y ? 1. : 0.)
+  | BinaryExpression(Eq, Literal(x), Literal(y)) => Literal(x == y ? 1. : 0.)
+  | BinaryExpression(Ge, Literal(x), Literal(y)) => Literal(x >= y ? 1. : 0.)
+  | BinaryExpression(Le, Literal(x), Literal(y)) => Literal(x <= y ? 1. : 0.)
+  | BinaryExpression(Ne, Literal(x), Literal(y)) => Literal(x != y ? 1. : 0.)
+  // Logical operators (short-circuit: the right side is never evaluated)
+  | BinaryExpression(And, Literal(0.), _) => Literal(0.)
+  | BinaryExpression(Or, Literal(x), _) if x != 0. => Literal(1.)
+  | BinaryExpression(And, Literal(_), Literal(y)) => Literal(y != 0. ? 1. : 0.)
+  | BinaryExpression(Or, Literal(_), Literal(y)) => Literal(y != 0. ? 1. : 0.)
+  // Negation
+  | UnaryExpression(Neg, Literal(x)) => Literal(-.x)
+  | UnaryExpression(Not, Literal(x)) => Literal(x == 0. ? 1. : 0.)
 
   // ===== ALGEBRAIC IDENTITIES =====
   // Addition with zero
-  | BinaryExpression(Add, expr, Literal(0)) => optimize(expr)
-  | BinaryExpression(Add, Literal(0), expr) => optimize(expr)
+  | BinaryExpression(Add, expr, Literal(0.)) => optimize(expr)
+  | BinaryExpression(Add, Literal(0.), expr) => optimize(expr)
 
   // Subtraction with zero
-  | BinaryExpression(Sub, expr, Literal(0)) => optimize(expr)
+  | BinaryExpression(Sub, expr, Literal(0.)) => optimize(expr)
 
   // Multiplication by zero
-  | BinaryExpression(Mul, Literal(0), _) => Literal(0)
-  | BinaryExpression(Mul, _, Literal(0)) => Literal(0)
+  | BinaryExpression(Mul, Literal(0.), _) => Literal(0.)
+  | BinaryExpression(Mul, _, Literal(0.)) => Literal(0.)
 
   // Multiplication by one
-  | BinaryExpression(Mul, expr, Literal(1)) => optimize(expr)
-  | BinaryExpression(Mul, Literal(1), expr) => optimize(expr)
+  | BinaryExpression(Mul, expr, Literal(1.)) => optimize(expr)
+  | BinaryExpression(Mul, Literal(1.), expr) => optimize(expr)
 
   // Division by one
-  | BinaryExpression(Div, expr, Literal(1)) => optimize(expr)
+  | BinaryExpression(Div, expr, Literal(1.)) => optimize(expr)
 
   // ===== RECURSIVE OPTIMIZATION =====
   // Optimize nested binary expressions
@@ -52,6 +63,15 @@ let rec optimize = (node: astNode): astNode => {
       BinaryExpression(op, optimizedLeft, optimizedRight)
     }
 
+  // Optimize unary operands, folding again if the operand became a literal
+  | UnaryExpression(op, operand) =>
+    let optimizedOperand = optimize(operand)
+    if optimizedOperand != operand {
+      optimize(UnaryExpression(op, optimizedOperand))
+    } else {
+      UnaryExpression(op, optimizedOperand)
+    }
+
   // Optimize variable declarations
   | VariableDeclaration(name, expr) => VariableDeclaration(name, optimize(expr))
 
@@ -66,7 +86,7 @@ let rec optimize = (node: astNode): astNode => {
 
     // Constant condition evaluation
     switch optimizedCondition {
-    | Literal(0) =>
+    | Literal(0.) =>
       // Condition is always false - use else block or empty
       switch optimizedElse {
       | Some(block) => BlockStatement(block)
@@ -86,25 +106,45 @@ let rec optimize = (node: astNode): astNode => {
     let optimizedBody = optimizeBlock(body)
     WhileLoop(optimizedCondition, optimizedBody)
 
+  // Optimize for loops
+  | ForLoop(variable, start, finish, direction, body) =>
+    ForLoop(variable, optimize(start), optimize(finish), direction, optimizeBlock(body))
+
   // Optimize block statements
   | BlockStatement(statements) => BlockStatement(optimizeBlock(statements))
 
   // Optimize type declarations (pass through unchanged - compile-time only)
-  | TypeDeclaration(_, _) => node
+  | TypeDeclaration(_, _) | RecordTypeDeclaration(_, _) => node
 
   // Optimize function declarations
-  | FunctionDeclaration(name, body) =>
-    FunctionDeclaration(name, optimizeBlock(body))
+  | FunctionDeclaration(name, params, body, isRecursive) =>
+    FunctionDeclaration(name, params, optimizeBlock(body), isRecursive)
 
   // Optimize variant constructors
   | VariantConstructor(name, arguments) => VariantConstructor(name, Array.map(arguments, optimize))
 
+  // Optimize records: the spread base and each field value
+  | RecordLiteral(base, fields) =>
+    RecordLiteral(base->Option.map(optimize), fields->Array.map(((name, value)) => (name, optimize(value))))
+  | FieldAccess(record, field) => FieldAccess(optimize(record), field)
+
+  // Optimize tuples: each element, and the destructured value
+  | TupleLiteral(elements) => TupleLiteral(Array.map(elements, optimize))
+  | TupleDeclaration(names, value) => TupleDeclaration(names, optimize(value))
+
+  // Optimize arrays: elements, the length and initial value, and indices
+  | ArrayLiteral(elements) => ArrayLiteral(Array.map(elements, optimize))
+  | ArrayMake(length, value) => ArrayMake(optimize(length), optimize(value))
+  | ArrayAccess(array, index) => ArrayAccess(optimize(array), optimize(index))
+  | ArrayAssignment(name, index, value) => ArrayAssignment(name, optimize(index), optimize(value))
+
   // Optimize switch expressions
   | SwitchExpression(scrutinee, cases) =>
     let optimizedScrutinee = optimize(scrutinee)
     let optimizedCases = Array.map(cases, matchCase => {
       {
         ...matchCase,
+        guard: matchCase.guard->Option.map(optimize),
         body: optimizeBlock(matchCase.body),
       }
     })
@@ -120,6 +160,15 @@ let rec optimize = (node: astNode): astNode => {
   // Raw instructions - pass through unchanged (no optimization possible)
   | RawInstruction(_) => node
 
+  // Module opens are resolved before optimization; pass through unchanged
+  | OpenModule(_) => node
+
+  // Loop control - pass through unchanged
+  | Break | Continue => node
+
+  // Source spans - optimize the annotated statement, keeping its span
+  | Located(span, inner) => Located(span, optimize(inner))
+
   // IC10 function calls - optimize arguments
   | FunctionCall(name, args) =>
     let optimizedArgs = Array.map(args, arg => {
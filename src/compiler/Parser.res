@@ -3,13 +3,13 @@
 
 // Parser state - tracks position in token array
 type parser = {
-  tokens: array<Lexer.token>,
+  tokens: array<Lexer.located>,
   position: int,
   length: int,
 }
 
 // Create a parser from an array of tokens
-let create = (tokens: array<Lexer.token>): parser => {
+let create = (tokens: array<Lexer.located>): parser => {
   {
     tokens,
     position: 0,
@@ -27,10 +27,36 @@ let peek = (parser: parser): option<Lexer.token> => {
   if isEOF(parser) {
     None
   } else {
-    parser.tokens[parser.position]
+    parser.tokens[parser.position]->Option.map(located => located.token)
   }
 }
 
+// Source span of the current token
+// At end of file, a zero-width span just after the last token
+let currentSpan = (parser: parser): Span.t => {
+  switch parser.tokens[parser.position] {
+  | Some(located) => located.span
+  | None =>
+    switch parser.tokens[parser.length - 1] {
+    | Some(last) => Span.point(~line=last.span.endLine, ~column=last.span.endColumn)
+    | None => Span.point(~line=1, ~column=1)
+    }
+  }
+}
+
+// Source span of the most recently consumed token
+let previousSpan = (parser: parser): Span.t => {
+  switch parser.tokens[parser.position - 1] {
+  | Some(located) => located.span
+  | None => currentSpan(parser)
+  }
+}
+
+// Report a parse error at the current token
+let errorAt = (parser: parser, message: string): result<'a, Diagnostic.t> => {
+  Diagnostic.errorAt(currentSpan(parser), message)
+}
+
 // Advance to next token
 let advance = (parser: parser): parser => {
   {...parser, position: parser.position + 1}
@@ -43,13 +69,24 @@ let tokensMatch = (token1: Lexer.token, token2: Lexer.token): bool => {
   | (Lexer.If, Lexer.If) => true
   | (Lexer.Else, Lexer.Else) => true
   | (Lexer.While, Lexer.While) => true
+  | (Lexer.For, Lexer.For) => true
+  | (Lexer.In, Lexer.In) => true
+  | (Lexer.To, Lexer.To) => true
+  | (Lexer.Downto, Lexer.Downto) => true
+  | (Lexer.Break, Lexer.Break) => true
+  | (Lexer.Continue, Lexer.Continue) => true
+  | (Lexer.Rec, Lexer.Rec) => true
   | (Lexer.Type, Lexer.Type) => true
   | (Lexer.Switch, Lexer.Switch) => true
+  | (Lexer.When, Lexer.When) => true
   | (Lexer.Ref, Lexer.Ref) => true
+  | (Lexer.Open, Lexer.Open) => true
   | (Lexer.True, Lexer.True) => true
   | (Lexer.Assign, Lexer.Assign) => true
   | (Lexer.ColonEqual, Lexer.ColonEqual) => true
+  | (Lexer.Colon, Lexer.Colon) => true
   | (Lexer.Dot, Lexer.Dot) => true
+  | (Lexer.Spread, Lexer.Spread) => true
   | (Lexer.Percent, Lexer.Percent) => true
   | (Lexer.Comma, Lexer.Comma) => true
   | (Lexer.Plus, Lexer.Plus) => true
@@ -58,15 +95,23 @@ let tokensMatch = (token1: Lexer.token, token2: Lexer.token): bool => {
   | (Lexer.Divide, Lexer.Divide) => true
   | (Lexer.GreaterThan, Lexer.GreaterThan) => true
   | (Lexer.LessThan, Lexer.LessThan) => true
+  | (Lexer.GreaterEqual, Lexer.GreaterEqual) => true
+  | (Lexer.LessEqual, Lexer.LessEqual) => true
   | (Lexer.EqualEqual, Lexer.EqualEqual) => true
+  | (Lexer.NotEqual, Lexer.NotEqual) => true
+  | (Lexer.AndAnd, Lexer.AndAnd) => true
+  | (Lexer.OrOr, Lexer.OrOr) => true
+  | (Lexer.Bang, Lexer.Bang) => true
   | (Lexer.Arrow, Lexer.Arrow) => true
   | (Lexer.Pipe, Lexer.Pipe) => true
   | (Lexer.LeftParen, Lexer.LeftParen) => true
   | (Lexer.RightParen, Lexer.RightParen) => true
   | (Lexer.LeftBrace, Lexer.LeftBrace) => true
   | (Lexer.RightBrace, Lexer.RightBrace) => true
+  | (Lexer.LeftBracket, Lexer.LeftBracket) => true
+  | (Lexer.RightBracket, Lexer.RightBracket) => true
   | (Lexer.EOF, Lexer.EOF) => true
-  | (Lexer.IntLiteral(n1), Lexer.IntLiteral(n2)) => n1 == n2
+  | (Lexer.NumberLiteral(n1), Lexer.NumberLiteral(n2)) => n1 == n2
   | (Lexer.StringLiteral(s1), Lexer.StringLiteral(s2)) => s1 == s2
   | (Lexer.Identifier(s1), Lexer.Identifier(s2)) => s1 == s2
   | (Lexer.Invalid(s1), Lexer.Invalid(s2)) => s1 == s2
@@ -75,31 +120,173 @@ let tokensMatch = (token1: Lexer.token, token2: Lexer.token): bool => {
 }
 
 // Expect a specific token and advance, or return error
-let expect = (parser: parser, expected: Lexer.token): result<parser, string> => {
+let expect = (parser: parser, expected: Lexer.token): result<parser, Diagnostic.t> => {
   switch peek(parser) {
   | Some(token) if tokensMatch(token, expected) => Ok(advance(parser))
   | Some(token) =>
-    Error(
+    errorAt(
+      parser,
       "[Parser.res][expect]: expected " ++
       Lexer.tokenToString(expected) ++
       " but found " ++
       Lexer.tokenToString(token),
     )
   | None =>
-    Error(
+    errorAt(
+      parser,
       "[Parser.res][expect]: expected " ++
       Lexer.tokenToString(expected) ++ " but reached end of file",
     )
   }
 }
 
+// Look ahead for a function parameter list: ( [name (, name)*] ) => or a single name =>
+// Returns the parameter names and the parser positioned after '=>', or None if the
+// tokens are not a parameter list (e.g. a parenthesized expression)
+let scanFunctionParams = (parser: parser): option<(parser, array<string>)> => {
+  let finish = (parser: parser, params: list<string>) => {
+    switch peek(parser) {
+    | Some(Lexer.Arrow) => Some((advance(parser), params->List.reverse->List.toArray))
+    | _ => None
+    }
+  }
+  let rec scanNames = (parser: parser, params: list<string>) => {
+    switch peek(parser) {
+    | Some(Lexer.Identifier(name)) =>
+      let parser = advance(parser)
+      switch peek(parser) {
+      | Some(Lexer.Comma) => scanNames(advance(parser), list{name, ...params})
+      | Some(Lexer.RightParen) => finish(advance(parser), list{name, ...params})
+      | _ => None
+      }
+    | _ => None
+    }
+  }
+  switch (peek(parser), peek(advance(parser))) {
+  | (Some(Lexer.LeftParen), Some(Lexer.RightParen)) => finish(advance(advance(parser)), list{})
+  | (Some(Lexer.LeftParen), _) => scanNames(advance(parser), list{})
+  | (Some(Lexer.Identifier(name)), Some(Lexer.Arrow)) => Some((advance(advance(parser)), [name]))
+  | _ => None
+  }
+}
+
+// Whether the '{' at the current position opens a record literal rather than a block:
+// `{...base` or `{field:`
+let isRecordLiteralStart = (parser: parser): bool => {
+  let next = advance(parser)
+  switch (peek(parser), peek(next), peek(advance(next))) {
+  | (Some(Lexer.LeftBrace), Some(Lexer.Spread), _) => true
+  | (Some(Lexer.LeftBrace), Some(Lexer.Identifier(_)), Some(Lexer.Colon)) => true
+  | _ => false
+  }
+}
+
+// Module names start with a capital letter, like constructors
+let isModuleName = (name: string): bool => {
+  let first = name->String.charAt(0)
+  first >= "A" && first <= "Z"
+}
+
+// Read `Module.name` after the identifier `name` as a single qualified name "Module.name"
+// The built-in IC10 bindings module is dropped: IC10.l(...) is the same call as l(...)
+let qualifiedName = (parser: parser, name: string): (parser, string) => {
+  switch (peek(parser), peek(advance(parser))) {
+  | (Some(Lexer.Dot), Some(Lexer.Identifier(member))) if isModuleName(name) =>
+    let parser = advance(advance(parser))
+    name == "IC10" ? (parser, member) : (parser, `${name}.${member}`)
+  | _ => (parser, name)
+  }
+}
+
 // Parse an expression: handles precedence and binary operators
-let rec parseExpression = (parser: parser): result<(parser, AST.expr), string> => {
-  parseAdditiveExpression(parser)
+// Precedence from loosest to tightest: ||, &&, comparisons, + -, * /, unary - !
+let rec parseExpression = (parser: parser): result<(parser, AST.expr), Diagnostic.t> => {
+  parseOrExpression(parser)
+}
+
+// Parse logical or expressions (||)
+and parseOrExpression = (parser: parser): result<(parser, AST.expr), Diagnostic.t> => {
+  switch parseAndExpression(parser) {
+  | Error(msg) => Error(msg)
+  | Ok((parser, left)) => parseOrExpressionRest(parser, left)
+  }
+}
+
+and parseOrExpressionRest = (parser: parser, left: AST.expr): result<
+  (parser, AST.expr),
+  Diagnostic.t,
+> => {
+  switch peek(parser) {
+  | Some(Lexer.OrOr) =>
+    let parser = advance(parser)
+    switch parseAndExpression(parser) {
+    | Error(msg) => Error(msg)
+    | Ok((parser, right)) =>
+      parseOrExpressionRest(parser, AST.createBinaryExpression(AST.Or, left, right))
+    }
+  | _ => Ok((parser, left))
+  }
+}
+
+// Parse logical and expressions (&&)
+and parseAndExpression = (parser: parser): result<(parser, AST.expr), Diagnostic.t> => {
+  switch parseComparisonExpression(parser) {
+  | Error(msg) => Error(msg)
+  | Ok((parser, left)) => parseAndExpressionRest(parser, left)
+  }
+}
+
+and parseAndExpressionRest = (parser: parser, left: AST.expr): result<
+  (parser, AST.expr),
+  Diagnostic.t,
+> => {
+  switch peek(parser) {
+  | Some(Lexer.AndAnd) =>
+    let parser = advance(parser)
+    switch parseComparisonExpression(parser) {
+    | Error(msg) => Error(msg)
+    | Ok((parser, right)) =>
+      parseAndExpressionRest(parser, AST.createBinaryExpression(AST.And, left, right))
+    }
+  | _ => Ok((parser, left))
+  }
+}
+
+// Parse comparison expressions (>, <, >=, <=, ==, !=)
+and parseComparisonExpression = (parser: parser): result<(parser, AST.expr), Diagnostic.t> => {
+  switch parseAdditiveExpression(parser) {
+  | Error(msg) => Error(msg)
+  | Ok((parser, left)) => parseComparisonExpressionRest(parser, left)
+  }
+}
+
+and parseComparisonExpressionRest = (parser: parser, left: AST.expr): result<
+  (parser, AST.expr),
+  Diagnostic.t,
+> => {
+  let comparisonOp = switch peek(parser) {
+  | Some(Lexer.GreaterThan) => Some(AST.Gt)
+  | Some(Lexer.LessThan) => Some(AST.Lt)
+  | Some(Lexer.GreaterEqual) => Some(AST.Ge)
+  | Some(Lexer.LessEqual) => Some(AST.Le)
+  | Some(Lexer.EqualEqual) => Some(AST.Eq)
+  | Some(Lexer.NotEqual) => Some(AST.Ne)
+  | _ => None
+  }
+  switch comparisonOp {
+  | Some(op) =>
+    let parser = advance(parser)
+    switch parseAdditiveExpression(parser) {
+    | Error(msg) => Error(msg)
+    | Ok((parser, right)) =>
+      parseComparisonExpressionRest(parser, AST.createBinaryExpression(op, left, right))
+    }
+  | None => Ok((parser, left))
+  }
 }
 
 // Parse additive expressions (+, -)
-and parseAdditiveExpression = (parser: parser): result<(parser, AST.expr), string> => {
+and parseAdditiveExpression = (parser: parser): result<(parser, AST.expr), Diagnostic.t> => {
   switch parseMultiplicativeExpression(parser) {
   | Error(msg) => Error(msg)
   | Ok((parser, left)) => parseAdditiveExpressionRest(parser, left)
@@ -108,7 +295,7 @@ and parseAdditiveExpression = (parser: parser): result<(parser, AST.expr), strin
 
 and parseAdditiveExpressionRest = (parser: parser, left: AST.expr): result<
   (parser, AST.expr),
-  string,
+  Diagnostic.t,
 > => {
   switch peek(parser) {
   | Some(Lexer.Plus) =>
@@ -130,8 +317,8 @@ and parseAdditiveExpressionRest = (parser: parser, left: AST.expr): result<
 }
 
 // Parse multiplicative expressions (*, /)
-and parseMultiplicativeExpression = (parser: parser): result<(parser, AST.expr), string> => {
-  switch parseComparisonExpression(parser) {
+and parseMultiplicativeExpression = (parser: parser): result<(parser, AST.expr), Diagnostic.t> => {
+  switch parseUnaryExpression(parser) {
   | Error(msg) => Error(msg)
   | Ok((parser, left)) => parseMultiplicativeExpressionRest(parser, left)
   }
@@ -139,19 +326,19 @@ and parseMultiplicativeExpression = (parser: parser): result<(parser, AST.expr),
 
 and parseMultiplicativeExpressionRest = (parser: parser, left: AST.expr): result<
   (parser, AST.expr),
-  string,
+  Diagnostic.t,
 > => {
   switch peek(parser) {
   | Some(Lexer.Multiply) =>
     let parser = advance(parser)
-    switch parseComparisonExpression(parser) {
+    switch parseUnaryExpression(parser) {
     | Error(msg) => Error(msg)
     | Ok((parser, right)) =>
       parseMultiplicativeExpressionRest(parser, AST.createBinaryExpression(AST.Mul, left, right))
     }
   | Some(Lexer.Divide) =>
     let parser = advance(parser)
-    switch parseComparisonExpression(parser) {
+    switch parseUnaryExpression(parser) {
     | Error(msg) => Error(msg)
     | Ok((parser, right)) =>
       parseMultiplicativeExpressionRest(parser, AST.createBinaryExpression(AST.Div, left, right))
@@ -160,11 +347,10 @@ and parseMultiplicativeExpressionRest = (parser: parser, left: AST.expr): result
   }
 }
 
-// Parse comparison expressions (>, <, ==)
 // Parse postfix expressions like .contents
 and parsePostfixExpression = (parser: parser, base: AST.expr): result<
   (parser, AST.expr),
-  string,
+  Diagnostic.t,
 > => {
   switch peek(parser) {
   | Some(Lexer.Dot) =>
@@ -173,23 +359,34 @@ and parsePostfixExpression = (parser: parser, base: AST.expr): result<
     // Expect identifier for field name
     switch peek(parser) {
     | Some(Lexer.Identifier(fieldName)) =>
-      Console.log2("[peek(parser)] identifier: ", (parser, fieldName))
       let parser = advance(parser)
       if fieldName == "contents" {
         // Base must be a simple identifier
         switch base {
         | AST.Identifier(refName) =>
           // Return RefAccess node
-          Ok((parser, AST.createRefAccess(refName)))
+          parsePostfixExpression(parser, AST.createRefAccess(refName))
         | _ =>
-          Error(
+          errorAt(
+            parser,
             "[Parser.res][parsePostfixExpression]: only simple identifiers can be dereferenced with .contents",
           )
         }
       } else {
-        Error("[Parser.res][parsePostfixExpression]: only .contents field is supported for refs")
+        // Record field: r.field, r.contents.field
+        parsePostfixExpression(parser, AST.createFieldAccess(base, fieldName))
+      }
+    | _ => errorAt(parser, "[Parser.res][parsePostfixExpression]: expected field name after '.'")
+    }
+  | Some(Lexer.LeftBracket) =>
+    // Array element: base[index]
+    switch parseExpression(advance(parser)) {
+    | Error(msg) => Error(msg)
+    | Ok((parser, index)) =>
+      switch expect(parser, Lexer.RightBracket) {
+      | Error(msg) => Error(msg)
+      | Ok(parser) => parsePostfixExpression(parser, AST.createArrayAccess(base, index))
       }
-    | _ => Error("[Parser.res][parsePostfixExpression]: expected field name after '.'")
     }
   | _ =>
     // No postfix operator, return base as-is
@@ -197,75 +394,148 @@ and parsePostfixExpression = (parser: parser, base: AST.expr): result<
   }
 }
 
-and parseComparisonExpression = (parser: parser): result<(parser, AST.expr), string> => {
-  switch parsePrimaryExpression(parser) {
+// Parse the rest of a tuple literal, after its first element and comma
+and parseTupleElements = (parser: parser, elements: list<AST.expr>): result<
+  (parser, AST.expr),
+  Diagnostic.t,
+> => {
+  switch parseExpression(parser) {
   | Error(msg) => Error(msg)
-  | Ok((parser, expr)) =>
-    // Check for postfix operators like .contents
-    switch parsePostfixExpression(parser, expr) {
-    | Error(msg) => Error(msg)
-    | Ok((parser, postfixExpr)) => parseComparisonExpressionRest(parser, postfixExpr)
+  | Ok((parser, element)) =>
+    let elements = list{element, ...elements}
+    switch peek(parser) {
+    | Some(Lexer.Comma) => parseTupleElements(advance(parser), elements)
+    | Some(Lexer.RightParen) =>
+      Ok((advance(parser), AST.createTupleLiteral(List.toArray(List.reverse(elements)))))
+    | _ =>
+      errorAt(parser, "[Parser.res][parseTupleElements]: expected ',' or ')' after tuple element")
     }
   }
 }
 
-and parseComparisonExpressionRest = (parser: parser, left: AST.expr): result<
-  (parser, AST.expr),
-  string,
-> => {
-  switch peek(parser) {
-  | Some(Lexer.GreaterThan) =>
-    let parser = advance(parser)
-    switch parsePrimaryExpression(parser) {
+// Parse an array literal: [expr1, expr2, ...]
+and parseArrayLiteral = (parser: parser): result<(parser, AST.expr), Diagnostic.t> => {
+  let rec parseElements = (parser: parser, elements: list<AST.expr>): result<
+    (parser, list<AST.expr>),
+    Diagnostic.t,
+  > => {
+    switch peek(parser) {
+    | Some(Lexer.RightBracket) => Ok((advance(parser), elements))
+    | _ =>
+      switch parseExpression(parser) {
+      | Error(msg) => Error(msg)
+      | Ok((parser, element)) =>
+        let elements = list{element, ...elements}
+        switch peek(parser) {
+        | Some(Lexer.Comma) => parseElements(advance(parser), elements)
+        | Some(Lexer.RightBracket) => Ok((advance(parser), elements))
+        | _ =>
+          errorAt(
+            parser,
+            "[Parser.res][parseArrayLiteral]: expected ',' or ']' after array element",
+          )
+        }
+      }
+    }
+  }
+
+  switch expect(parser, Lexer.LeftBracket) {
+  | Error(msg) => Error(msg)
+  | Ok(parser) =>
+    switch parseElements(parser, list{}) {
     | Error(msg) => Error(msg)
-    | Ok((parser, right)) =>
-      // Also handle postfix expressions like .contents on the right side
-      switch parsePostfixExpression(parser, right) {
+    | Ok((parser, elements)) =>
+      Ok((parser, AST.createArrayLiteral(List.toArray(List.reverse(elements)))))
+    }
+  }
+}
+
+// Parse a record literal: { field: expr, ... } or { ...base, field: expr, ... }
+and parseRecordLiteral = (parser: parser): result<(parser, AST.expr), Diagnostic.t> => {
+  let rec parseFields = (parser: parser, fields: list<(string, AST.expr)>): result<
+    (parser, list<(string, AST.expr)>),
+    Diagnostic.t,
+  > => {
+    switch peek(parser) {
+    | Some(Lexer.RightBrace) => Ok((advance(parser), fields))
+    | Some(Lexer.Identifier(name)) =>
+      switch expect(advance(parser), Lexer.Colon) {
       | Error(msg) => Error(msg)
-      | Ok((parser, rightPostfix)) =>
-        parseComparisonExpressionRest(
-          parser,
-          AST.createBinaryExpression(AST.Gt, left, rightPostfix),
-        )
+      | Ok(parser) =>
+        switch parseExpression(parser) {
+        | Error(msg) => Error(msg)
+        | Ok((parser, value)) =>
+          let fields = list{(name, value), ...fields}
+          switch peek(parser) {
+          | Some(Lexer.Comma) => parseFields(advance(parser), fields)
+          | Some(Lexer.RightBrace) => Ok((advance(parser), fields))
+          | _ =>
+            errorAt(
+              parser,
+              "[Parser.res][parseRecordLiteral]: expected ',' or '}' after record field",
+            )
+          }
+        }
       }
+    | _ => errorAt(parser, "[Parser.res][parseRecordLiteral]: expected a field name")
     }
-  | Some(Lexer.LessThan) =>
-    let parser = advance(parser)
-    switch parsePrimaryExpression(parser) {
+  }
+
+  switch expect(parser, Lexer.LeftBrace) {
+  | Error(msg) => Error(msg)
+  | Ok(parser) =>
+    // Optional spread of the record being updated
+    let base = switch peek(parser) {
+    | Some(Lexer.Spread) =>
+      parseExpression(advance(parser))->Result.flatMap(((parser, base)) => {
+        switch peek(parser) {
+        | Some(Lexer.Comma) => Ok((advance(parser), Some(base)))
+        | Some(Lexer.RightBrace) => Ok((parser, Some(base)))
+        | _ => errorAt(parser, "[Parser.res][parseRecordLiteral]: expected ',' after '...' record")
+        }
+      })
+    | _ => Ok((parser, None))
+    }
+    switch base {
     | Error(msg) => Error(msg)
-    | Ok((parser, right)) =>
-      // Also handle postfix expressions like .contents on the right side
-      switch parsePostfixExpression(parser, right) {
+    | Ok((parser, base)) =>
+      switch parseFields(parser, list{}) {
       | Error(msg) => Error(msg)
-      | Ok((parser, rightPostfix)) =>
-        parseComparisonExpressionRest(
-          parser,
-          AST.createBinaryExpression(AST.Lt, left, rightPostfix),
-        )
+      | Ok((parser, fields)) =>
+        Ok((parser, AST.createRecordLiteral(base, List.toArray(List.reverse(fields)))))
       }
     }
-  | Some(Lexer.EqualEqual) =>
+  }
+}
+
+// Parse unary expressions: -expr, !expr, or a primary expression with postfix operators
+and parseUnaryExpression = (parser: parser): result<(parser, AST.expr), Diagnostic.t> => {
+  switch peek(parser) {
+  | Some(Lexer.Minus) =>
+    let parser = advance(parser)
+    switch parseUnaryExpression(parser) {
+    | Error(msg) => Error(msg)
+    | Ok((parser, operand)) => Ok((parser, AST.createUnaryExpression(AST.Neg, operand)))
+    }
+  | Some(Lexer.Bang) =>
     let parser = advance(parser)
+    switch parseUnaryExpression(parser) {
+    | Error(msg) => Error(msg)
+    | Ok((parser, operand)) => Ok((parser, AST.createUnaryExpression(AST.Not, operand)))
+    }
+  | _ =>
     switch parsePrimaryExpression(parser) {
     | Error(msg) => Error(msg)
-    | Ok((parser, right)) =>
-      // Also handle postfix expressions like .contents on the right side
-      switch parsePostfixExpression(parser, right) {
-      | Error(msg) => Error(msg)
-      | Ok((parser, rightPostfix)) =>
-        parseComparisonExpressionRest(
-          parser,
-          AST.createBinaryExpression(AST.Eq, left, rightPostfix),
-        )
-      }
+    | Ok((parser, expr)) =>
+      // Check for postfix operators like .contents
+      parsePostfixExpression(parser, expr)
     }
-  | _ => Ok((parser, left))
   }
 }
 
 // Parse primary expressions: literals, identifiers, parentheses, switch, variant constructors
 // Parse ref(expr) - ref creation
-and parseRefCreation = (parser: parser): result<(parser, AST.expr), string> => {
+and parseRefCreation = (parser: parser): result<(parser, AST.expr), Diagnostic.t> => {
   // Expect "ref" token (already consumed by caller)
   // Expect "("
   switch expect(parser, Lexer.LeftParen) {
@@ -288,7 +558,7 @@ and parseRefCreation = (parser: parser): result<(parser, AST.expr), string> => {
 // Returns array of expressions
 and parseVariantConstructorArguments = (parser: parser): result<
   (parser, array<AST.expr>),
-  string,
+  Diagnostic.t,
 > => {
   // Expect opening paren
   switch expect(parser, Lexer.LeftParen) {
@@ -296,7 +566,7 @@ and parseVariantConstructorArguments = (parser: parser): result<
   | Ok(parser) =>
     let rec parseArgs = (parser: parser, args: list<AST.expr>): result<
       (parser, list<AST.expr>),
-      string,
+      Diagnostic.t,
     > => {
       switch peek(parser) {
       | Some(Lexer.RightParen) =>
@@ -314,7 +584,8 @@ and parseVariantConstructorArguments = (parser: parser): result<
             let parser = advance(parser) // consume comma
             parseArgs(parser, list{expr, ...args})
           | _ =>
-            Error(
+            errorAt(
+              parser,
               "[Parser.res][parseVariantConstructorArgs]: expected ',' or ')' after variant constructor argument",
             )
           }
@@ -336,10 +607,13 @@ and parseVariantConstructorArguments = (parser: parser): result<
 
 // Parse function call arguments: (arg1, arg2, ...)
 // Arguments can be expressions, string literals, or device identifiers
-and parseFunctionArguments = (parser: parser): result<(parser, array<AST.argument>), string> => {
+and parseFunctionArguments = (parser: parser): result<
+  (parser, array<AST.argument>),
+  Diagnostic.t,
+> => {
   let rec parseArgs = (parser: parser, args: list<AST.argument>): result<
     (parser, list<AST.argument>),
-    string,
+    Diagnostic.t,
   > => {
     switch peek(parser) {
     | Some(Lexer.RightParen) =>
@@ -357,9 +631,13 @@ and parseFunctionArguments = (parser: parser): result<(parser, array<AST.argumen
         let parser = advance(parser)
         parseArgs(parser, list{arg, ...args})
       | _ =>
-        Error("[Parser.res][parseFunctionArguments]: expected ',' or ')' after function argument")
+        errorAt(
+          parser,
+          "[Parser.res][parseFunctionArguments]: expected ',' or ')' after function argument",
+        )
       }
     | Some(Lexer.Identifier(name)) =>
+      let (afterName, name) = qualifiedName(advance(parser), name)
       // Check if this is a device identifier (d0-d5, db)
       let isDeviceId =
         name == "d0" ||
@@ -376,7 +654,7 @@ and parseFunctionArguments = (parser: parser): result<(parser, array<AST.argumen
       | (true, false) => {
           Console.log2("[parseFunctionArguments] device id: ", (parser, name))
           // Device identifier - treat as ArgDevice
-          let parser = advance(parser)
+          let parser = afterName
           let arg = AST.ArgDevice(name)
           // Check for comma or closing paren
           switch peek(parser) {
@@ -386,21 +664,26 @@ and parseFunctionArguments = (parser: parser): result<(parser, array<AST.argumen
             let parser = advance(parser)
             parseArgs(parser, list{arg, ...args})
           | _ =>
-            Error(
+            errorAt(
+              parser,
               "[Parser.res][parseFunctionArguments]: expected ',' or ')' after function argument",
             )
           }
         }
       | (false, true) => {
           Console.log2("[parseFunctionArguments] mode string: ", (parser, name))
-          let parser = advance(parser)
+          let parser = afterName
 
           // Mode is now just a string (Maximum, Minimum, Average, Sum)
           let arg = AST.ArgMode(name)
           // Check for comma or closing paren
           switch peek(parser) {
           | Some(Lexer.RightParen) => Ok((advance(parser), list{arg, ...args}))
-          | _ => Error("[Parser.res][parseFunctionArguments]: expected ')' after mode argument")
+          | _ =>
+            errorAt(
+              parser,
+              "[Parser.res][parseFunctionArguments]: expected ')' after mode argument",
+            )
           }
         }
       | _ =>
@@ -417,7 +700,8 @@ and parseFunctionArguments = (parser: parser): result<(parser, array<AST.argumen
             let parser = advance(parser)
             parseArgs(parser, list{arg, ...args})
           | _ =>
-            Error(
+            errorAt(
+              parser,
               "[Parser.res][parseFunctionArguments]: expected ',' or ')' after function argument",
             )
           }
@@ -438,11 +722,15 @@ and parseFunctionArguments = (parser: parser): result<(parser, array<AST.argumen
           let parser = advance(parser)
           parseArgs(parser, list{arg, ...args})
         | _ =>
-          Error("[Parser.res][parseFunctionArguments]: expected ',' or ')' after function argument")
+          errorAt(
+            parser,
+            "[Parser.res][parseFunctionArguments]: expected ',' or ')' after function argument",
+          )
         }
       }
     | None =>
-      Error(
+      errorAt(
+        parser,
         "[Parser.res][parseFunctionArguments]: unexpected end of file while parsing function arguments",
       )
     }
@@ -464,9 +752,9 @@ and parseFunctionArguments = (parser: parser): result<(parser, array<AST.argumen
   }
 }
 
-and parsePrimaryExpression = (parser: parser): result<(parser, AST.expr), string> => {
+and parsePrimaryExpression = (parser: parser): result<(parser, AST.expr), Diagnostic.t> => {
   switch peek(parser) {
-  | Some(Lexer.IntLiteral(value)) =>
+  | Some(Lexer.NumberLiteral(value)) =>
     let parser = advance(parser)
     Ok((parser, AST.createLiteral(value)))
   | Some(Lexer.True) =>
@@ -476,11 +764,28 @@ and parsePrimaryExpression = (parser: parser): result<(parser, AST.expr), string
     let parser = advance(parser)
     parseRefCreation(parser)
   | Some(Lexer.Switch) => parseSwitchExpression(parser)
+  | Some(Lexer.If) =>
+    // if-else as an expression: let x = if cond { a } else { b }
+    parseIfStatement(advance(parser))
   | Some(Lexer.StringLiteral(str)) =>
     let parser = advance(parser)
     Ok((parser, AST.createStringLiteral(str)))
+  | Some(Lexer.Identifier("Array"))
+    if peek(advance(parser)) == Some(Lexer.Dot) &&
+      peek(advance(advance(parser))) == Some(Lexer.Identifier("make")) =>
+    // Array.make(length, value)
+    switch parseVariantConstructorArguments(advance(advance(advance(parser)))) {
+    | Error(msg) => Error(msg)
+    | Ok((parser, [length, value])) => Ok((parser, AST.createArrayMake(length, value)))
+    | Ok(_) =>
+      errorAt(
+        parser,
+        "[Parser.res][parsePrimaryExpression]: Array.make expects 2 arguments: length and initial value",
+      )
+    }
+  | Some(Lexer.LeftBracket) => parseArrayLiteral(parser)
   | Some(Lexer.Identifier(name)) =>
-    let parser = advance(parser)
+    let (parser, name) = qualifiedName(advance(parser), name)
     // Check if this is followed by parentheses
     switch peek(parser) {
     | Some(Lexer.LeftParen) =>
@@ -512,24 +817,31 @@ and parsePrimaryExpression = (parser: parser): result<(parser, AST.expr), string
       }
     | _ => Ok((parser, AST.createIdentifier(name)))
     }
+  | Some(Lexer.LeftBrace) if isRecordLiteralStart(parser) => parseRecordLiteral(parser)
   | Some(Lexer.LeftParen) =>
     let parser = advance(parser)
     switch parseExpression(parser) {
     | Error(msg) => Error(msg)
     | Ok((parser, expr)) =>
-      switch expect(parser, Lexer.RightParen) {
-      | Error(msg) => Error(msg)
-      | Ok(parser) => Ok((parser, expr))
+      switch peek(parser) {
+      | Some(Lexer.Comma) =>
+        // Tuple: (expr1, expr2, ...)
+        parseTupleElements(advance(parser), list{expr})
+      | _ =>
+        switch expect(parser, Lexer.RightParen) {
+        | Error(msg) => Error(msg)
+        | Ok(parser) => Ok((parser, expr))
+        }
       }
     }
-  | Some(token) => Error("Unexpected token in expression: " ++ Lexer.tokenToString(token))
-  | None => Error("Unexpected end of file in expression")
+  | Some(token) => errorAt(parser, "Unexpected token in expression: " ++ Lexer.tokenToString(token))
+  | None => errorAt(parser, "Unexpected end of file in expression")
   }
 }
 
 // Parse a switch expression: switch expr { | Pattern1 => body1 | Pattern2 => body2 }
 // Part of expression parser mutual recursion, but calls parseBlockStatement (defined later)
-and parseSwitchExpression = (parser: parser): result<(parser, AST.expr), string> => {
+and parseSwitchExpression = (parser: parser): result<(parser, AST.expr), Diagnostic.t> => {
   // Expect "switch"
   switch expect(parser, Lexer.Switch) {
   | Error(msg) => Error(msg)
@@ -545,65 +857,40 @@ and parseSwitchExpression = (parser: parser): result<(parser, AST.expr), string>
         // Parse match cases
         let rec parseMatchCases = (parser: parser, cases: list<AST.matchCase>): result<
           (parser, list<AST.matchCase>),
-          string,
+          Diagnostic.t,
         > => {
           // Check for closing brace
           switch peek(parser) {
           | Some(Lexer.RightBrace) => Ok((advance(parser), cases))
           | Some(Lexer.Pipe) =>
+            let start = currentSpan(parser)
             let parser = advance(parser) // consume |
-            // Parse constructor name
-            switch peek(parser) {
-            | Some(Lexer.Identifier(constructorName)) =>
-              let parser = advance(parser)
-
-              // Check for argument bindings: | Constructor(arg1, arg2, arg3) =>
-              let (parser, argumentBindings) = switch peek(parser) {
-              | Some(Lexer.LeftParen) =>
-                let parser = advance(parser) // consume (
-
-                // Parse comma-separated argument names
-                let rec parseBindings = (parser: parser, bindings: list<string>): (
-                  parser,
-                  list<string>,
-                ) => {
-                  switch peek(parser) {
-                  | Some(Lexer.Identifier(argName)) =>
-                    let parser = advance(parser)
-                    // Check for comma (more args) or closing paren
-                    switch peek(parser) {
-                    | Some(Lexer.Comma) =>
-                      let parser = advance(parser) // consume comma
-                      parseBindings(parser, list{argName, ...bindings})
-                    | Some(Lexer.RightParen) => (advance(parser), list{argName, ...bindings})
-                    | _ => (parser, bindings) // error case, fallback
-                    }
-                  | Some(Lexer.RightParen) => (advance(parser), bindings) // empty parens
-                  | _ => (parser, bindings) // error case, fallback
-                  }
-                }
-
-                let (parser, bindings) = parseBindings(parser, list{})
-                (parser, List.toArray(List.reverse(bindings)))
-              | _ => (parser, [])
+            let patternAndGuard = parsePattern(parser)->Result.flatMap(((parser, pattern)) => {
+              // Optional guard: | Pattern when condition => ...
+              switch peek(parser) {
+              | Some(Lexer.When) =>
+                parseExpression(advance(parser))->Result.map(((parser, guard)) => {
+                  (parser, pattern, Some(guard))
+                })
+              | _ => Ok((parser, pattern, None))
               }
-
+            })
+            switch patternAndGuard {
+            | Error(msg) => Error(msg)
+            | Ok((parser, pattern, guard)) =>
               // Expect arrow
               switch expect(parser, Lexer.Arrow) {
               | Error(msg) => Error(msg)
               | Ok(parser) =>
                 // Parse case body (either a block statement, a single statement, or a single expression)
                 switch peek(parser) {
-                | Some(Lexer.LeftBrace) =>
+                | Some(Lexer.LeftBrace) if !isRecordLiteralStart(parser) =>
                   // Block statement - will call parseBlockStatement defined later
                   switch parseBlockStatement(parser) {
                   | Error(msg) => Error(msg)
                   | Ok((parser, body)) =>
-                    let matchCase: AST.matchCase = {
-                      constructorName,
-                      argumentBindings,
-                      body,
-                    }
+                    let span = Span.merge(start, previousSpan(parser))
+                    let matchCase: AST.matchCase = {pattern, guard, body, span}
                     parseMatchCases(parser, list{matchCase, ...cases})
                   }
                 | _ =>
@@ -612,9 +899,10 @@ and parseSwitchExpression = (parser: parser): result<(parser, AST.expr), string>
                   switch parseStatement(parser) {
                   | Ok((parser, stmt)) =>
                     let matchCase: AST.matchCase = {
-                      constructorName,
-                      argumentBindings,
+                      pattern,
+                      guard,
                       body: [stmt], // Wrap single statement in array
+                      span: Span.merge(start, previousSpan(parser)),
                     }
                     parseMatchCases(parser, list{matchCase, ...cases})
                   | Error(_) =>
@@ -623,33 +911,26 @@ and parseSwitchExpression = (parser: parser): result<(parser, AST.expr), string>
                     | Error(msg) => Error(msg)
                     | Ok((parser, expr)) =>
                       let matchCase: AST.matchCase = {
-                        constructorName,
-                        argumentBindings,
+                        pattern,
+                        guard,
                         body: [expr], // Wrap single expression in array
+                        span: Span.merge(start, previousSpan(parser)),
                       }
                       parseMatchCases(parser, list{matchCase, ...cases})
                     }
                   }
                 }
               }
-
-            | Some(token) =>
-              Error(
-                "[Parser.res][parseSwitchExpression]: expected constructor name in match case, found " ++
-                Lexer.tokenToString(token),
-              )
-            | None =>
-              Error(
-                "[Parser.res][parseSwitchExpression]: expected constructor name in match case, but reached end of file",
-              )
             }
           | Some(token) =>
-            Error(
+            errorAt(
+              parser,
               "[Parser.res][parseSwitchExpression]: expected '|' or '}' in match expression, found " ++
               Lexer.tokenToString(token),
             )
           | None =>
-            Error(
+            errorAt(
+              parser,
               "[Parser.res][parseSwitchExpression]: expected '|' or '}' in match expression, but reached end of file",
             )
           }
@@ -665,33 +946,165 @@ and parseSwitchExpression = (parser: parser): result<(parser, AST.expr), string>
   }
 }
 
+// Parse a switch case pattern, including or-patterns: p1 | p2 | ...
+// Before the `=>`, a `|` always continues the current pattern
+and parsePattern = (parser: parser): result<(parser, AST.pattern), Diagnostic.t> => {
+  let rec parseAlternatives = (parser: parser, alternatives: list<AST.pattern>) => {
+    switch parseSinglePattern(parser) {
+    | Error(msg) => Error(msg)
+    | Ok((parser, pattern)) =>
+      switch peek(parser) {
+      | Some(Lexer.Pipe) => parseAlternatives(advance(parser), list{pattern, ...alternatives})
+      | _ =>
+        switch alternatives {
+        | list{} => Ok((parser, pattern))
+        | _ =>
+          Ok((parser, AST.OrPattern(List.toArray(List.reverse(list{pattern, ...alternatives})))))
+        }
+      }
+    }
+  }
+  parseAlternatives(parser, list{})
+}
+
+// Parse one pattern: Constructor, Constructor(a, b), a number literal or _
+and parseSinglePattern = (parser: parser): result<(parser, AST.pattern), Diagnostic.t> => {
+  switch peek(parser) {
+  | Some(Lexer.Identifier("_")) => Ok((advance(parser), AST.WildcardPattern))
+  | Some(Lexer.NumberLiteral(value)) => Ok((advance(parser), AST.NumberPattern(value)))
+  | Some(Lexer.Minus) =>
+    let parser = advance(parser)
+    switch peek(parser) {
+    | Some(Lexer.NumberLiteral(value)) => Ok((advance(parser), AST.NumberPattern(-.value)))
+    | _ =>
+      errorAt(parser, "[Parser.res][parseSwitchExpression]: expected a number after '-' in pattern")
+    }
+  | Some(Lexer.Identifier(constructorName)) =>
+    let parser = advance(parser)
+
+    // Check for argument bindings: | Constructor(arg1, arg2, arg3) =>
+    let (parser, argumentBindings) = switch peek(parser) {
+    | Some(Lexer.LeftParen) =>
+      let parser = advance(parser) // consume (
+
+      // Parse comma-separated argument names
+      let rec parseBindings = (parser: parser, bindings: list<string>): (parser, list<string>) => {
+        switch peek(parser) {
+        | Some(Lexer.Identifier(argName)) =>
+          let parser = advance(parser)
+          // Check for comma (more args) or closing paren
+          switch peek(parser) {
+          | Some(Lexer.Comma) =>
+            let parser = advance(parser) // consume comma
+            parseBindings(parser, list{argName, ...bindings})
+          | Some(Lexer.RightParen) => (advance(parser), list{argName, ...bindings})
+          | _ => (parser, bindings) // error case, fallback
+          }
+        | Some(Lexer.RightParen) => (advance(parser), bindings) // empty parens
+        | _ => (parser, bindings) // error case, fallback
+        }
+      }
+
+      let (parser, bindings) = parseBindings(parser, list{})
+      (parser, List.toArray(List.reverse(bindings)))
+    | _ => (parser, [])
+    }
+    Ok((parser, AST.ConstructorPattern(constructorName, argumentBindings)))
+  | Some(token) =>
+    errorAt(
+      parser,
+      "[Parser.res][parseSwitchExpression]: expected a pattern (constructor, number or _) in match case, found " ++
+      Lexer.tokenToString(token),
+    )
+  | None =>
+    errorAt(
+      parser,
+      "[Parser.res][parseSwitchExpression]: expected a pattern (constructor, number or _) in match case, but reached end of file",
+    )
+  }
+}
+
 // Parse a variable declaration: let identifier = expression
-// Or function declaration: let identifier = () => { body }
+// Or function declaration: let [rec] identifier = (a, b) => { body }
 // Part of the same mutual recursion group
-and parseVariableDeclaration = (parser: parser): result<(parser, AST.astNode), string> => {
+and parseVariableDeclaration = (parser: parser): result<(parser, AST.astNode), Diagnostic.t> => {
   // Expect "let"
   switch expect(parser, Lexer.Let) {
   | Error(msg) => Error(msg)
   | Ok(parser) =>
+    // Optional "rec": the function can call itself
+    let (parser, isRecursive) = switch peek(parser) {
+    | Some(Lexer.Rec) => (advance(parser), true)
+    | _ => (parser, false)
+    }
     // Expect identifier
     switch peek(parser) {
+    | Some(Lexer.LeftParen) if !isRecursive =>
+      // Destructuring: let (a, b) = expr
+      let rec parseNames = (parser: parser, names: list<string>): result<
+        (parser, list<string>),
+        Diagnostic.t,
+      > => {
+        switch peek(parser) {
+        | Some(Lexer.Identifier(name)) =>
+          let parser = advance(parser)
+          switch peek(parser) {
+          | Some(Lexer.Comma) => parseNames(advance(parser), list{name, ...names})
+          | Some(Lexer.RightParen) => Ok((advance(parser), list{name, ...names}))
+          | _ =>
+            errorAt(
+              parser,
+              "[Parser.res][parseVariableDeclaration]: expected ',' or ')' in tuple pattern",
+            )
+          }
+        | _ =>
+          errorAt(
+            parser,
+            "[Parser.res][parseVariableDeclaration]: expected a name in tuple pattern",
+          )
+        }
+      }
+      switch parseNames(advance(parser), list{}) {
+      | Error(msg) => Error(msg)
+      | Ok((parser, names)) =>
+        switch expect(parser, Lexer.Assign) {
+        | Error(msg) => Error(msg)
+        | Ok(parser) =>
+          parseExpression(parser)->Result.map(((parser, value)) => {
+            (parser, AST.createTupleDeclaration(List.toArray(List.reverse(names)), value))
+          })
+        }
+      }
     | Some(Lexer.Identifier(name)) =>
       let parser = advance(parser)
       // Expect "="
       switch expect(parser, Lexer.Assign) {
       | Error(msg) => Error(msg)
       | Ok(parser) =>
-        // Check if this is a function declaration: () => { body }
-        switch (peek(parser), peek(advance(parser)), peek(advance(advance(parser)))) {
-        | (Some(Lexer.LeftParen), Some(Lexer.RightParen), Some(Lexer.Arrow)) =>
-          // Function declaration: let name = () => { body }
-          let parser = advance(advance(advance(parser))) // consume (), =>
-          // Parse function body block
-          switch parseBlockStatement(parser) {
+        // Check if this is a function declaration: (a, b) => body
+        switch scanFunctionParams(parser) {
+        | Some((parser, params)) =>
+          // Function body: a block, or a single expression that is the result
+          let bodyResult = switch peek(parser) {
+          | Some(Lexer.LeftBrace) if !isRecordLiteralStart(parser) => parseBlockStatement(parser)
+          | _ =>
+            // Located like a block's statements, so errors in the body point at it
+            let start = currentSpan(parser)
+            parseExpression(parser)->Result.map(((parser, expr)) => {
+              (parser, [AST.createLocated(Span.merge(start, previousSpan(parser)), expr)])
+            })
+          }
+          switch bodyResult {
           | Error(msg) => Error(msg)
-          | Ok((parser, body)) => Ok((parser, AST.createFunctionDeclaration(name, body)))
+          | Ok((parser, body)) =>
+            Ok((parser, AST.createFunctionDeclaration(name, params, body, isRecursive)))
           }
-        | _ =>
+        | None if isRecursive =>
+          errorAt(
+            parser,
+            "[Parser.res][parseVariableDeclaration]: 'let rec' is only supported for functions",
+          )
+        | None =>
           // Regular variable declaration
           switch parseExpression(parser) {
           | Error(msg) => Error(msg)
@@ -700,12 +1113,14 @@ and parseVariableDeclaration = (parser: parser): result<(parser, AST.astNode), s
         }
       }
     | Some(token) =>
-      Error(
+      errorAt(
+        parser,
         "[Parser.res][parseVariableDeclaration]: expected identifier after 'let', found " ++
         Lexer.tokenToString(token),
       )
     | None =>
-      Error(
+      errorAt(
+        parser,
         "[Parser.res][parseVariableDeclaration]: expected identifier after 'let', but reached end of file",
       )
     }
@@ -713,8 +1128,9 @@ and parseVariableDeclaration = (parser: parser): result<(parser, AST.astNode), s
 }
 
 // Parse a type declaration: type name = Constructor1 | Constructor2(int) | ...
+// or a record type: type name = {field1: int, field2: int}
 // Part of the same mutual recursion group
-and parseTypeDeclaration = (parser: parser): result<(parser, AST.astNode), string> => {
+and parseTypeDeclaration = (parser: parser): result<(parser, AST.astNode), Diagnostic.t> => {
   // Expect "type"
   switch expect(parser, Lexer.Type) {
   | Error(msg) => Error(msg)
@@ -731,7 +1147,7 @@ and parseTypeDeclaration = (parser: parser): result<(parser, AST.astNode), strin
         let rec parseConstructors = (
           parser: parser,
           constructors: list<AST.variantConstructor>,
-        ): result<(parser, list<AST.variantConstructor>), string> => {
+        ): result<(parser, list<AST.variantConstructor>), Diagnostic.t> => {
           // Optionally consume leading pipe (for consistency)
           let parser = switch peek(parser) {
           | Some(Lexer.Pipe) => advance(parser)
@@ -782,33 +1198,84 @@ and parseTypeDeclaration = (parser: parser): result<(parser, AST.astNode), strin
             }
 
           | Some(token) =>
-            Error(
+            errorAt(
+              parser,
               "[Parser.res][parseTypeDeclaration]: expected constructor name, found " ++
               Lexer.tokenToString(token),
             )
           | None =>
-            Error(
+            errorAt(
+              parser,
               "[Parser.res][parseTypeDeclaration]: expected constructor name, but reached end of file",
             )
           }
         }
 
-        switch parseConstructors(parser, list{}) {
-        | Error(msg) => Error(msg)
-        | Ok((parser, constructors)) =>
-          Ok((
-            parser,
-            AST.createTypeDeclaration(typeName, List.toArray(List.reverse(constructors))),
-          ))
+        // Parse record fields: { name: type, ... }
+        let rec parseFields = (parser: parser, fields: list<AST.recordField>): result<
+          (parser, list<AST.recordField>),
+          Diagnostic.t,
+        > => {
+          switch peek(parser) {
+          | Some(Lexer.RightBrace) => Ok((advance(parser), fields))
+          | Some(Lexer.Identifier(name)) =>
+            switch expect(advance(parser), Lexer.Colon) {
+            | Error(msg) => Error(msg)
+            | Ok(parser) =>
+              switch peek(parser) {
+              | Some(Lexer.Identifier(fieldType)) =>
+                let parser = advance(parser)
+                let fields = list{{AST.name, typeName: fieldType}, ...fields}
+                switch peek(parser) {
+                | Some(Lexer.Comma) => parseFields(advance(parser), fields)
+                | Some(Lexer.RightBrace) => Ok((advance(parser), fields))
+                | _ =>
+                  errorAt(
+                    parser,
+                    "[Parser.res][parseTypeDeclaration]: expected ',' or '}' after record field",
+                  )
+                }
+              | _ =>
+                errorAt(
+                  parser,
+                  "[Parser.res][parseTypeDeclaration]: expected a type after ':' in record field",
+                )
+              }
+            }
+          | _ => errorAt(parser, "[Parser.res][parseTypeDeclaration]: expected a record field name")
+          }
+        }
+
+        switch peek(parser) {
+        | Some(Lexer.LeftBrace) =>
+          switch parseFields(advance(parser), list{}) {
+          | Error(msg) => Error(msg)
+          | Ok((parser, fields)) =>
+            Ok((
+              parser,
+              AST.createRecordTypeDeclaration(typeName, List.toArray(List.reverse(fields))),
+            ))
+          }
+        | _ =>
+          switch parseConstructors(parser, list{}) {
+          | Error(msg) => Error(msg)
+          | Ok((parser, constructors)) =>
+            Ok((
+              parser,
+              AST.createTypeDeclaration(typeName, List.toArray(List.reverse(constructors))),
+            ))
+          }
         }
       }
     | Some(token) =>
-      Error(
+      errorAt(
+        parser,
         "[Parser.res][parseTypeDeclaration]: expected type name after 'type', found " ++
         Lexer.tokenToString(token),
       )
     | None =>
-      Error(
+      errorAt(
+        parser,
         "[Parser.res][parseTypeDeclaration]: expected type name after 'type', but reached end of file",
       )
     }
@@ -817,7 +1284,7 @@ and parseTypeDeclaration = (parser: parser): result<(parser, AST.astNode), strin
 
 // Parse an if statement: if expression { statements } else { statements }?
 // Part of the same mutual recursion group as expression parsers
-and parseIfStatement = (parser: parser): result<(parser, AST.astNode), string> => {
+and parseIfStatement = (parser: parser): result<(parser, AST.astNode), Diagnostic.t> => {
   // Parse: if expr { statements }
   switch parseExpression(parser) {
   | Error(msg) => Error(msg)
@@ -833,11 +1300,13 @@ and parseIfStatement = (parser: parser): result<(parser, AST.astNode), string> =
         switch peek(parser) {
         | Some(Lexer.If) =>
           // Parse else if as a nested if statement
+          let start = currentSpan(parser)
           let parser = advance(parser) // consume 'if' token
           switch parseIfStatement(parser) {
           | Error(msg) => Error(msg)
           | Ok((parser, nestedIf)) =>
             // Wrap nested if in array to make it a blockStatement
+            let nestedIf = AST.createLocated(Span.merge(start, previousSpan(parser)), nestedIf)
             Ok((parser, AST.createIfStatement(condition, thenBlock, Some([nestedIf]))))
           }
         | _ =>
@@ -856,7 +1325,7 @@ and parseIfStatement = (parser: parser): result<(parser, AST.astNode), string> =
 
 // Parse a while loop: while condition { statements }
 // Part of the same mutual recursion group as expression parsers
-and parseWhileLoop = (parser: parser): result<(parser, AST.astNode), string> => {
+and parseWhileLoop = (parser: parser): result<(parser, AST.astNode), Diagnostic.t> => {
   // Parse: while expr { statements }
   switch parseExpression(parser) {
   | Error(msg) => Error(msg)
@@ -868,9 +1337,46 @@ and parseWhileLoop = (parser: parser): result<(parser, AST.astNode), string> =>
   }
 }
 
+// Parse a for loop: for i in start to end { statements } (or downto)
+and parseForLoop = (parser: parser): result<(parser, AST.astNode), Diagnostic.t> => {
+  switch peek(parser) {
+  | Some(Lexer.Identifier(name)) =>
+    switch expect(advance(parser), Lexer.In) {
+    | Error(e) => Error(e)
+    | Ok(parser) =>
+      switch parseExpression(parser) {
+      | Error(msg) => Error(msg)
+      | Ok((parser, start)) =>
+        let direction = switch peek(parser) {
+        | Some(Lexer.To) => Ok(AST.UpTo)
+        | Some(Lexer.Downto) => Ok(AST.DownTo)
+        | _ => errorAt(parser, "[Parser.res][parseForLoop]: expected 'to' or 'downto' in for loop")
+        }
+        switch direction {
+        | Error(e) => Error(e)
+        | Ok(direction) =>
+          switch parseExpression(advance(parser)) {
+          | Error(msg) => Error(msg)
+          | Ok((parser, finish)) =>
+            switch parseBlockStatement(parser) {
+            | Error(msg) => Error(msg)
+            | Ok((parser, body)) =>
+              Ok((parser, AST.createForLoop(name, start, finish, direction, body)))
+            }
+          }
+        }
+      }
+    }
+  | _ => errorAt(parser, "[Parser.res][parseForLoop]: expected loop variable name after 'for'")
+  }
+}
+
 // Parse a statement
 // Parse ref assignment: identifier := expr
-and parseRefAssignment = (parser: parser, name: string): result<(parser, AST.stmt), string> => {
+and parseRefAssignment = (parser: parser, name: string): result<
+  (parser, AST.stmt),
+  Diagnostic.t,
+> => {
   // Expect ":=" (caller has already identified this pattern)
   switch expect(parser, Lexer.ColonEqual) {
   | Error(e) => Error(e)
@@ -884,7 +1390,7 @@ and parseRefAssignment = (parser: parser, name: string): result<(parser, AST.stm
 }
 
 // Parse %raw("instruction") - raw IC10 assembly instruction
-and parseRawInstruction = (parser: parser): result<(parser, AST.astNode), string> => {
+and parseRawInstruction = (parser: parser): result<(parser, AST.astNode), Diagnostic.t> => {
   // Expect %
   switch expect(parser, Lexer.Percent) {
   | Error(msg) => Error(msg)
@@ -907,28 +1413,44 @@ and parseRawInstruction = (parser: parser): result<(parser, AST.astNode), string
           | Ok(parser) => Ok((parser, AST.createRawInstruction(instruction)))
           }
         | Some(token) =>
-          Error(
+          errorAt(
+            parser,
             "[Parser.res][parseRawInstruction]: expected string literal in %raw() but found " ++
             Lexer.tokenToString(token),
           )
         | None =>
-          Error(
+          errorAt(
+            parser,
             "[Parser.res][parseRawInstruction]: expected string literal in %raw() but reached end of file",
           )
         }
       }
     | Some(token) =>
-      Error(
+      errorAt(
+        parser,
         "[Parser.res][parseRawInstruction]: expected 'raw' after % but found " ++
         Lexer.tokenToString(token),
       )
     | None =>
-      Error("[Parser.res][parseRawInstruction]: expected 'raw' after % but reached end of file")
+      errorAt(
+        parser,
+        "[Parser.res][parseRawInstruction]: expected 'raw' after % but reached end of file",
+      )
     }
   }
 }
 
-and parseStatement = (parser: parser): result<(parser, AST.astNode), string> => {
+// Parse a statement and annotate it with its source span
+and parseStatement = (parser: parser): result<(parser, AST.astNode), Diagnostic.t> => {
+  let start = currentSpan(parser)
+  switch parseUnlocatedStatement(parser) {
+  | Error(diagnostic) => Error(diagnostic)
+  | Ok((parser, stmt)) =>
+    Ok((parser, AST.createLocated(Span.merge(start, previousSpan(parser)), stmt)))
+  }
+}
+
+and parseUnlocatedStatement = (parser: parser): result<(parser, AST.astNode), Diagnostic.t> => {
   switch peek(parser) {
   | Some(Lexer.Let) => parseVariableDeclaration(parser)
   | Some(Lexer.Type) => parseTypeDeclaration(parser)
@@ -938,24 +1460,46 @@ and parseStatement = (parser: parser): result<(parser, AST.astNode), string> =>
   | Some(Lexer.While) =>
     let parser = advance(parser) // consume 'while' token
     parseWhileLoop(parser)
+  | Some(Lexer.For) =>
+    let parser = advance(parser) // consume 'for' token
+    parseForLoop(parser)
+  | Some(Lexer.Break) => Ok((advance(parser), AST.Break))
+  | Some(Lexer.Continue) => Ok((advance(parser), AST.Continue))
   | Some(Lexer.Percent) =>
     // Parse %raw("instruction")
     parseRawInstruction(parser)
+  | Some(Lexer.LeftBrace) if isRecordLiteralStart(parser) => parseExpression(parser)
   | Some(Lexer.LeftBrace) =>
     switch parseBlockStatement(parser) {
     | Error(msg) => Error(msg)
     | Ok((parser, block)) => Ok((parser, AST.createBlockStatement(block)))
     }
+  | Some(Lexer.Open) =>
+    // open Module
+    switch peek(advance(parser)) {
+    | Some(Lexer.Identifier(name)) if isModuleName(name) =>
+      Ok((advance(advance(parser)), AST.createOpenModule(name)))
+    | _ =>
+      errorAt(advance(parser), "[Parser.res][parseStatement]: expected a module name after 'open'")
+    }
   | Some(Lexer.Identifier(name)) =>
     // Look ahead for := operator
-    let parser1 = advance(parser) // Consume identifier
+    let (parser1, name) = qualifiedName(advance(parser), name) // Consume identifier
     switch peek(parser1) {
     | Some(Lexer.ColonEqual) =>
       // This is a ref assignment
       parseRefAssignment(parser1, name)
     | _ =>
-      // Not an assignment, try parsing as expression
-      parseExpression(parser)
+      // Not a ref assignment, try parsing as expression
+      switch parseExpression(parser) {
+      | Ok((parser, AST.ArrayAccess(AST.Identifier(arrayName), index)))
+        if peek(parser) == Some(Lexer.Assign) =>
+        // Array element assignment: name[index] = expr
+        parseExpression(advance(parser))->Result.map(((parser, value)) => {
+          (parser, AST.createArrayAssignment(arrayName, index, value))
+        })
+      | result => result
+      }
     }
   | Some(Lexer.LeftParen) =>
     // Could be an if statement - for now parse as expression
@@ -963,19 +1507,19 @@ and parseStatement = (parser: parser): result<(parser, AST.astNode), string> =>
   | Some(_) =>
     // Try parsing as expression
     parseExpression(parser)
-  | None => Error("[Parser.res][parseStatement]: unexpected end of file")
+  | None => errorAt(parser, "[Parser.res][parseStatement]: unexpected end of file")
   }
 }
 
 // Parse a block statement: { statements }
 // Uses List for O(1) cons operations, then converts to array
-and parseBlockStatement = (parser: parser): result<(parser, AST.blockStatement), string> => {
+and parseBlockStatement = (parser: parser): result<(parser, AST.blockStatement), Diagnostic.t> => {
   switch expect(parser, Lexer.LeftBrace) {
   | Error(msg) => Error(msg)
   | Ok(parser) =>
     let rec parseStatements = (parser: parser, statements: list<AST.astNode>): result<
       (parser, list<AST.astNode>),
-      string,
+      Diagnostic.t,
     > => {
       switch peek(parser) {
       | Some(Lexer.RightBrace) => Ok((advance(parser), statements))
@@ -984,7 +1528,8 @@ and parseBlockStatement = (parser: parser): result<(parser, AST.blockStatement),
         | Error(msg) => Error(msg)
         | Ok((parser, stmt)) => parseStatements(parser, list{stmt, ...statements}) // O(1) cons
         }
-      | None => Error("[Parser.res][parseBlockStatement]: expected '}' but reached end of file")
+      | None =>
+        errorAt(parser, "[Parser.res][parseBlockStatement]: expected '}' but reached end of file")
       }
     }
     switch parseStatements(parser, list{}) {
@@ -996,10 +1541,10 @@ and parseBlockStatement = (parser: parser): result<(parser, AST.blockStatement),
 
 // Parse a program (sequence of statements)
 // Uses List for O(1) cons operations, then converts to array
-let parse = (tokens: array<Lexer.token>): result<AST.program, string> => {
+let parse = (tokens: array<Lexer.located>): result<AST.program, Diagnostic.t> => {
   let rec parseStatements = (parser: parser, statements: list<AST.stmt>): result<
     (parser, list<AST.stmt>),
-    string,
+    Diagnostic.t,
   > => {
     if isEOF(parser) {
       Ok((parser, statements))
@@ -1017,7 +1562,7 @@ let parse = (tokens: array<Lexer.token>): result<AST.program, string> => {
   }
   let parser = create(tokens)
   switch parseStatements(parser, list{}) {
-  | Error(msg) => Error("[Parser.res][parse]<-" ++ msg)
+  | Error(diagnostic) => Error(diagnostic->Diagnostic.prefix("[Parser.res][parse]<-"))
   | Ok((_, statements)) =>
     Ok(
       statements
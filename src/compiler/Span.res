@@ -0,0 +1,30 @@
+// Source spans for tokens, AST nodes and diagnostics
+// Lines and columns are 1-based; the end position is exclusive
+
+type t = {
+  line: int,
+  column: int,
+  endLine: int,
+  endColumn: int,
+  file?: string, // module the span points into, when it is not the file being compiled
+}
+
+// Create a span from a start and an (exclusive) end position
+let make = (~line: int, ~column: int, ~endLine: int, ~endColumn: int): t => {
+  {line, column, endLine, endColumn}
+}
+
+// Zero-width span at a single position (e.g. end of file)
+let point = (~line: int, ~column: int): t => {
+  {line, column, endLine: line, endColumn: column}
+}
+
+// Span covering both spans (first must start before second)
+let merge = (first: t, second: t): t => {
+  {...first, endLine: second.endLine, endColumn: second.endColumn}
+}
+
+// Helper: Convert span to "line:column" for messages and IR dumps
+let toString = (span: t): string => {
+  `${Int.toString(span.line)}:${Int.toString(span.column)}`
+}
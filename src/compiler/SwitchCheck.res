@@ -0,0 +1,210 @@
+// Exhaustiveness and redundancy checks for switch expressions
+// Runs on the parsed AST: a variant switch that misses a constructor is an error,
+// cases that can never match are reported as warnings
+
+open AST
+
+// Variant types declared in the program: constructor → type name, type name → constructors
+type variants = {
+  typeOfConstructor: Belt.Map.String.t<string>,
+  constructorsOfType: Belt.Map.String.t<array<string>>,
+}
+
+// What earlier cases of a switch already match
+type coverage = {
+  matched: array<string>, // constructor names, or number literals as strings
+  matchesAll: bool, // a `_` case was seen
+}
+
+// Collect every type declaration in the program
+let rec collectVariants = (variants: variants, node: astNode): variants => {
+  let variants = switch node {
+  | TypeDeclaration(typeName, constructors) =>
+    let names = constructors->Array.map(constructor => constructor.name)
+    {
+      typeOfConstructor: names->Array.reduce(variants.typeOfConstructor, (map, name) =>
+        map->Belt.Map.String.set(name, typeName)
+      ),
+      constructorsOfType: variants.constructorsOfType->Belt.Map.String.set(typeName, names),
+    }
+  | _ => variants
+  }
+  children(node)->Array.reduce(variants, collectVariants)
+}
+
+// The alternatives of a pattern, with or-patterns flattened
+let rec alternatives = (pattern: pattern): array<pattern> => {
+  switch pattern {
+  | OrPattern(patterns) => patterns->Array.flatMap(alternatives)
+  | _ => [pattern]
+  }
+}
+
+// The variant type a switch matches on, taken from its first constructor pattern
+let switchType = (variants: variants, cases: array<matchCase>): result<
+  option<string>,
+  Diagnostic.t,
+> => {
+  let firstConstructor =
+    cases
+    ->Array.flatMap(matchCase => alternatives(matchCase.pattern))
+    ->Array.findMap(pattern =>
+      switch pattern {
+      | ConstructorPattern(name, _) => Some(name)
+      | _ => None
+      }
+    )
+  switch firstConstructor {
+  | None => Ok(None)
+  | Some(name) =>
+    switch variants.typeOfConstructor->Belt.Map.String.get(name) {
+    | None => Diagnostic.error(`Unknown constructor '${name}' in switch`)
+    | Some(typeName) => Ok(Some(typeName))
+    }
+  }
+}
+
+// Record one pattern alternative of case `caseNumber`, warning when it can never match
+// Warnings and errors point at the case's span
+let checkPattern = (
+  variants: variants,
+  typeName: option<string>,
+  (coverage, warnings): (coverage, array<Diagnostic.t>),
+  pattern: pattern,
+  caseNumber: string,
+  span: Span.t,
+): result<(coverage, array<Diagnostic.t>), Diagnostic.t> => {
+  let warn = message => Array.concat(warnings, [Diagnostic.make(~span, message)])
+  let matchOnce = (key, description) => {
+    if coverage.matched->Array.includes(key) {
+      Ok((
+        coverage,
+        warn(`${description} in case ${caseNumber} is already matched by an earlier case`),
+      ))
+    } else {
+      Ok(({...coverage, matched: Array.concat(coverage.matched, [key])}, warnings))
+    }
+  }
+
+  switch (pattern, typeName) {
+  | (WildcardPattern, Some(typeName)) =>
+    let constructors = variants.constructorsOfType->Belt.Map.String.get(typeName)->Option.getOr([])
+    let warnings = if constructors->Array.every(name => coverage.matched->Array.includes(name)) {
+      warn(`The '_' case is unreachable: every constructor of '${typeName}' is already matched`)
+    } else {
+      warnings
+    }
+    Ok(({...coverage, matchesAll: true}, warnings))
+  | (WildcardPattern, None) => Ok(({...coverage, matchesAll: true}, warnings))
+  | (NumberPattern(number), _) =>
+    matchOnce(Float.toString(number), `Pattern ${Float.toString(number)}`)
+  | (ConstructorPattern(name, _), Some(typeName)) =>
+    switch variants.typeOfConstructor->Belt.Map.String.get(name) {
+    | None => Diagnostic.errorAt(span, `Unknown constructor '${name}' in switch`)
+    | Some(owner) if owner != typeName =>
+      Diagnostic.errorAt(
+        span,
+        `Constructor '${name}' belongs to type '${owner}', but this switch matches '${typeName}'`,
+      )
+    | Some(_) => matchOnce(name, `Constructor '${name}'`)
+    }
+  // Constructors on a number switch are rejected by IRGen; or-patterns are already flattened
+  | (ConstructorPattern(_, _), None) | (OrPattern(_), _) => Ok((coverage, warnings))
+  }
+}
+
+// Check one switch: errors for foreign constructors and missing cases, warnings for dead cases
+let checkSwitch = (variants: variants, cases: array<matchCase>): result<
+  array<Diagnostic.t>,
+  Diagnostic.t,
+> => {
+  switchType(variants, cases)->Result.flatMap(typeName => {
+    let initial = Ok(({matched: [], matchesAll: false}, []))
+    let checked = cases->Array.reduceWithIndex(initial, (acc, matchCase, index) => {
+      acc->Result.flatMap(
+        ((coverage, warnings)) => {
+          let caseNumber = Int.toString(index + 1)
+          if coverage.matchesAll {
+            let message = `Case ${caseNumber} is unreachable: an earlier '_' case matches every value`
+            Ok((coverage, Array.concat(warnings, [Diagnostic.make(~span=matchCase.span, message)])))
+          } else {
+            let checked = alternatives(matchCase.pattern)->Array.reduce(
+              Ok((coverage, warnings)),
+              (acc, pattern) => {
+                acc->Result.flatMap(
+                  seen => {
+                    checkPattern(variants, typeName, seen, pattern, caseNumber, matchCase.span)
+                  },
+                )
+              },
+            )
+            // A guarded case may not match, so it covers nothing for later cases
+            switch matchCase.guard {
+            | Some(_) => checked->Result.map(((_, warnings)) => (coverage, warnings))
+            | None => checked
+            }
+          }
+        },
+      )
+    })
+
+    checked->Result.flatMap(((coverage, warnings)) => {
+      switch typeName {
+      | Some(typeName) if !coverage.matchesAll =>
+        let missing =
+          variants.constructorsOfType
+          ->Belt.Map.String.get(typeName)
+          ->Option.getOr([])
+          ->Array.filter(name => !(coverage.matched->Array.includes(name)))
+        if Array.length(missing) > 0 {
+          Diagnostic.error(
+            `Switch on '${typeName}' is not exhaustive: missing ${missing->Array.join(
+                ", ",
+              )}. Add the missing cases or a '_' case`,
+          )
+        } else {
+          Ok(warnings)
+        }
+      | _ => Ok(warnings)
+      }
+    })
+  })
+}
+
+// Check every switch in a node, reporting errors at the innermost enclosing statement
+let rec checkNode = (variants: variants, node: astNode, span: option<Span.t>): result<
+  array<Diagnostic.t>,
+  Diagnostic.t,
+> => {
+  let span = switch node {
+  | Located(located, _) => Some(located)
+  | _ => span
+  }
+  let own = switch node {
+  | SwitchExpression(_, cases) => checkSwitch(variants, cases)
+  | _ => Ok([])
+  }
+  let result = children(node)->Array.reduce(own, (acc, child) => {
+    acc->Result.flatMap(warnings => {
+      checkNode(variants, child, span)->Result.map(more => Array.concat(warnings, more))
+    })
+  })
+  switch span {
+  | Some(span) => result->Result.mapError(diagnostic => Diagnostic.withSpan(diagnostic, span))
+  | None => result
+  }
+}
+
+// Check every switch in the program; returns the warnings or the first error
+let check = (program: program): result<array<Diagnostic.t>, Diagnostic.t> => {
+  let empty = {
+    typeOfConstructor: Belt.Map.String.empty,
+    constructorsOfType: Belt.Map.String.empty,
+  }
+  let variants = program->Array.reduce(empty, collectVariants)
+  program->Array.reduce(Ok([]), (acc, stmt) => {
+    acc->Result.flatMap(warnings => {
+      checkNode(variants, stmt, None)->Result.map(more => Array.concat(warnings, more))
+    })
+  })
+}
@@ -126,5 +126,5 @@ while true {
     }
   }
 
-  %raw("yield")
+  yield()
 }
@@ -0,0 +1,86 @@
+const { compile } = require('../src/compiler/Compiler.res.js');
+
+const withBoundsChecks = { includeComments: false, debugAST: false, backend: 'IC10', boundsChecks: true };
+
+describe('fixed-size arrays', () => {
+  test('an array literal writes each element to its stack slot', () => {
+    const result = compile('let a = [1, 2, l(0, "Temperature")]\ns(1, "Setting", a[2])');
+    expect(result.TAG).toBe('Ok');
+    const asm = result._0;
+    expect(asm).toMatch(/^move sp 3\npoke 0 1\npoke 1 2\nl r(\d+) d0 Temperature\npoke 2 r\1\n/);
+    // A constant index reads its slot directly
+    expect(asm).toMatch(/get r(\d+) db 2\ns d1 Setting r\1/);
+  });
+
+  test('Array.make fills short arrays slot by slot and longer ones in a loop', () => {
+    let result = compile('let a = Array.make(2, 7)\ns(1, "Setting", a[1])');
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toContain('poke 0 7\npoke 1 7\n');
+
+    result = compile('let a = [0]\nlet b = Array.make(8, 500)\ns(1, "Setting", b[7])');
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toMatch(/move r(\d+) 1\nlabel0:\npoke r\1 500\nadd r\1 r\1 1\nblt r\1 9 label0\n/);
+    expect(result._0).toMatch(/get r\d+ db 8\ns d1 Setting/);
+  });
+
+  test('a dynamic index is added to the base address', () => {
+    const input = `
+      let first = [0, 0]
+      let temps = [0, 0, 0]
+      for i in 0 to 2 {
+        temps[i] = l(0, "Temperature") + i
+      }
+      s(1, "Setting", temps[l(0, "Setting")])
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    const asm = result._0;
+    // The address is computed before the value is evaluated
+    expect(asm).toMatch(/add r(\d+) r(\d+) 2\nl r\d+ d0 Temperature\n(.*\n)*poke r\1 r\d+\n/);
+    expect(asm).toMatch(/l r(\d+) d0 Setting\n(.*\n)*add r(\d+) r\1 2\nget r(\d+) db r\3\ns d1 Setting r\4/);
+    expect(asm).not.toContain('hcf');
+  });
+
+  test('an array at the bottom of the stack is indexed without an add', () => {
+    const result = compile('let a = [5, 6]\nlet f = i => a[i]\ns(1, "On", f(l(0, "On")))');
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toMatch(/f:\npop r(\d+)\n(.*\n)*get r(\d+) db r\1\npush r\3\nj ra/);
+  });
+
+  test('constant indices are checked at compile time', () => {
+    let result = compile('let a = [1, 2]\ns(1, "On", a[2])');
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain("Index 2 is out of bounds for array 'a' of length 2");
+    expect(result._0).toContain('<input>:2:1:');
+
+    result = compile('let a = [1, 2]\na[-1] = 3');
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain("Index -1 is out of bounds for array 'a' of length 2");
+  });
+
+  test('the bounds check mode halts the chip on a bad runtime index', () => {
+    const input = 'let a = Array.make(6, 500)\nlet t = l(0, "Setting")\ns(1, "On", a[t])';
+    let result = compile(input, withBoundsChecks);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toMatch(/blt r(\d+) 0 (label\d+)\nblt r\1 6 (label\d+)\n\2:\nhcf\n\3:\n/);
+
+    // Constant indices need no runtime check
+    result = compile('let a = [1, 2]\ns(1, "On", a[1])', withBoundsChecks);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).not.toContain('hcf');
+  });
+
+  test('arrays are only used through their elements', () => {
+    let result = compile('let a = [1, 2]\ns(1, "On", a)');
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain("Expected a number, but 'a' is an array of length 2; read an element with a[i]");
+
+    result = compile('let n = l(0, "On")\ns(1, "On", n[0])');
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain("Variable 'n' is not an array, cannot be indexed");
+
+    result = compile('let a = Array.make(l(0, "On"), 0)');
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain('Array.make needs a constant length');
+  });
+});
@@ -0,0 +1,86 @@
+const Compiler = require('../src/compiler/Compiler.res.js');
+const { wasmOptions } = require('./options');
+
+describe('modulo, bitwise and shift functions', () => {
+    test('each function is the matching IC10 instruction', () => {
+        const input = `
+            let f = l(0, "Setting")
+            s(1, "Setting", mod(f, 3))
+            s(1, "Setting", land(f, 4))
+            s(1, "Setting", lor(f, 8))
+            s(1, "Setting", lxor(f, 2))
+            s(1, "Setting", lnot(f))
+            s(1, "Setting", lsl(f, 2))
+            s(1, "Setting", lsr(f, 1))
+            s(1, "Setting", asr(f, 1))
+        `;
+        const result = Compiler.compile(input);
+        expect(result.TAG).toBe('Ok');
+        const asm = result._0;
+        expect(asm).toMatch(/mod r\d+ r0 3\n/);
+        expect(asm).toMatch(/and r\d+ r0 4\n/);
+        expect(asm).toMatch(/or r\d+ r0 8\n/);
+        expect(asm).toMatch(/xor r\d+ r0 2\n/);
+        expect(asm).toMatch(/not r\d+ r0\n/);
+        expect(asm).toMatch(/sll r\d+ r0 2\n/);
+        expect(asm).toMatch(/srl r\d+ r0 1\n/);
+        expect(asm).toMatch(/sra r\d+ r0 1\n/);
+    });
+
+    test('the infix spelling is not accepted, as in ReScript', () => {
+        const result = Compiler.compile('let f = l(0, "Setting")\ns(1, "Setting", f land 4)');
+        expect(result.TAG).toBe('Error');
+    });
+
+    test('wrong arguments and declared functions of the same name', () => {
+        const error = Compiler.compile('s(1, "Setting", lor(1))');
+        expect(error.TAG).toBe('Error');
+        expect(error._0).toContain('lor() expects 2 arguments');
+
+        const result = Compiler.compile('let land = (a, b) => a + b\nlet f = l(0, "Setting")\ns(1, "Setting", land(f, 1))');
+        expect(result.TAG).toBe('Ok');
+        expect(result._0).toContain('jal land');
+        expect(result._0).not.toMatch(/^and /m);
+    });
+
+    test('constant operands are folded with 64-bit integer semantics', () => {
+        const cases = [
+            ['land(12, 10)', '8'],
+            ['lor(12, 3)', '15'],
+            ['lxor(12, 10)', '6'],
+            ['lnot(5)', '-6'],
+            ['lsl(1, 40)', '1099511627776'],
+            ['asr(-8, 1)', '-4'],
+            ['lsr(-8, 60)', '15'],
+            ['mod(-7, 3)', '2'],
+        ];
+        cases.forEach(([expression, value]) => {
+            const result = Compiler.compile(`s(1, "Setting", ${expression})`);
+            expect(result.TAG).toBe('Ok');
+            expect(result._0).toContain(`s d1 Setting ${value}`);
+        });
+    });
+
+    test('operands the chip would treat differently are not folded', () => {
+        let result = Compiler.compile('s(1, "Setting", mod(5, 0))');
+        expect(result.TAG).toBe('Ok');
+        expect(result._0).toContain('mod r0 5 0');
+
+        result = Compiler.compile('s(1, "Setting", land(2.5, 1))');
+        expect(result.TAG).toBe('Ok');
+        expect(result._0).toContain('and r0 2.5 1');
+
+        result = Compiler.compile('s(1, "Setting", lsl(1, 64))');
+        expect(result.TAG).toBe('Ok');
+        expect(result._0).toContain('sll r0 1 64');
+    });
+
+    test('WASM works on 64-bit integers', () => {
+        const result = Compiler.compile('let f = l(0, "Setting")\ns(1, "Setting", lsr(lnot(f), 2))', wasmOptions);
+        expect(result.TAG).toBe('Ok');
+        const wat = result._0;
+        expect(wat).toContain('(i64.const -1)\n    (i64.xor)');
+        expect(wat).toContain('(i64.shr_u)');
+        expect(wat).toContain('(f64.convert_i64_s)');
+    });
+});
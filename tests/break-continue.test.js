@@ -0,0 +1,92 @@
+const { compile } = require('../src/compiler/Compiler.res.js');
+
+describe('break and continue', () => {
+  test('break leaves a while true loop', () => {
+    const input = `
+      let n = ref(0)
+      while true {
+        n := n.contents + 1
+        if n.contents > 10 {
+          break
+        }
+        %raw("yield")
+      }
+      s(1, "Setting", n.contents)
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    const asm = result._0;
+    // `if ... { break }` is a single branch to the loop's exit label
+    expect(asm).toMatch(/bgt r\d+ 10 label1\nyield\nj label0\nlabel1:\n/);
+    expect(asm).toContain('s d1 Setting r0');
+  });
+
+  test('continue in a while loop jumps back to the condition', () => {
+    const input = `
+      let i = ref(0)
+      while i.contents < 10 {
+        i := i.contents + 1
+        if i.contents == 5 {
+          continue
+        }
+        s(1, "Setting", i.contents)
+      }
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toMatch(/label0:\n(.*\n)*bge r0 10 label1\n/);
+    expect(result._0).toMatch(/beq r\d+ 5 label0\n/);
+  });
+
+  test('continue in a for loop still steps the counter', () => {
+    const result = compile('for i in 0 to 9 {\n  if i == 3 {\n    continue\n  }\n  s(1, "Setting", i)\n}');
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toMatch(/beq r(\d+) 3 label2\n(.*\n)*s d1 Setting r\1\nlabel2:\nadd r\1 r\1 1\nj label0\nlabel1:/);
+  });
+
+  test('break and continue among other statements jump unconditionally', () => {
+    const input = `
+      let t = l(0, "Temperature")
+      while t > 0 {
+        if t > 100 {
+          s(1, "On", 0)
+          break
+        }
+        s(1, "On", 1)
+      }
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toContain('s d1 On 0\nj label1\n');
+  });
+
+  test('break applies to the innermost loop', () => {
+    const input = `
+      for i in 0 to 3 {
+        for j in 0 to 3 {
+          if j == i {
+            break
+          }
+        }
+        s(1, "Setting", i)
+      }
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toMatch(/beq r\d+ r\d+ label3\n/);
+    expect(result._0).toContain('j label2\nlabel3:');
+  });
+
+  test('break outside a loop is an error', () => {
+    const result = compile('let t = l(0, "Temperature")\nbreak');
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain("'break' can only be used inside a loop");
+    expect(result._0).toContain('<input>:2:1:');
+  });
+
+  test('a function body does not see the loop around its declaration', () => {
+    const result = compile('while true {\n  let f = () => {\n    continue\n  }\n}');
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain("'continue' can only be used inside a loop");
+  });
+});
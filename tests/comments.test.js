@@ -0,0 +1,76 @@
+const { compile } = require('../src/compiler/Compiler.res.js');
+
+describe('Comments', () => {
+  test('line comments are ignored', () => {
+    const input = `
+      // Furnace controller
+      let maxTemp = 500 // kelvin
+      let minTemp = 300
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toBe('define maxTemp 500\ndefine minTemp 300');
+  });
+
+  test('block comments are ignored, including between tokens', () => {
+    const input = `
+      /* settings
+         for the furnace */
+      let target = 1 /* inline */ + 2
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toBe('define target 3');
+  });
+
+  test('block comments nest like ReScript', () => {
+    const input = `
+      /* outer /* inner */ still commented let hidden = 1 */
+      let visible = 2
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toBe('define visible 2');
+  });
+
+  test('comments inside function bodies and switch arms', () => {
+    const input = `
+      type state = Idle | Active
+      let state = ref(Idle)
+      let stop = () => {
+        // turn everything off
+        s(0, "On", 0) /* pump */
+      }
+      switch state.contents {
+      // waiting for work
+      | Idle => /* wake up */ state := Active // next tick
+      | Active => {
+          // done
+          stop()
+          state := Idle
+        }
+      }
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toContain('s d0 On 0');
+    expect(result._0).toContain('jal stop');
+    expect(result._0).toContain('poke 0 1');
+  });
+
+  test('division is not mistaken for a comment', () => {
+    const input = `
+      let a = 8
+      let b = a / 2
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toContain('define a 8');
+  });
+
+  test('unterminated block comment is an error', () => {
+    const result = compile('let x = 1 /* never closed');
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain('Unterminated block comment');
+  });
+});
@@ -0,0 +1,95 @@
+const { compile } = require('../src/compiler/Compiler.res.js');
+
+describe('Comparison operators >=, <=, !=', () => {
+  test('if-only conditions branch on the inverted comparison', () => {
+    const input = `
+      let t = l(0, "Temperature")
+      if t >= 300 {
+        s(1, "On", 1)
+      }
+      if t <= 250 {
+        s(2, "On", 1)
+      }
+      if t != 273 {
+        s(3, "On", 1)
+      }
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toContain('blt r0 300 label0');
+    expect(result._0).toContain('bgt r0 250 label1');
+    expect(result._0).toContain('beq r0 273 label2');
+  });
+
+  test('if-else conditions branch on the comparison itself', () => {
+    const input = `
+      let t = l(0, "Temperature")
+      if t >= 300 {
+        s(1, "On", 1)
+      } else {
+        s(1, "On", 0)
+      }
+      if t <= 250 {
+        s(2, "On", 1)
+      } else {
+        s(2, "On", 0)
+      }
+      if t != 273 {
+        s(3, "On", 1)
+      } else {
+        s(3, "On", 0)
+      }
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toMatch(/bge r0 300 label\d+/);
+    expect(result._0).toMatch(/ble r0 250 label\d+/);
+    expect(result._0).toMatch(/bne r0 273 label\d+/);
+  });
+
+  test('while conditions exit on the inverted comparison', () => {
+    const input = `
+      let p = l(0, "Pressure")
+      while p <= 1000 {
+        s(1, "On", 1)
+      }
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toContain('bgt r0 1000 label1');
+    expect(result._0).toContain('j label0');
+  });
+
+  test('value positions use set instructions', () => {
+    const input = `
+      let t = l(0, "Temperature")
+      let hot = t >= 300
+      let cold = t <= 250
+      let off = t != 273
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toMatch(/sge r\d+ r0 300/);
+    expect(result._0).toMatch(/sle r\d+ r0 250/);
+    expect(result._0).toMatch(/sne r\d+ r0 273/);
+  });
+
+  test('constant comparisons fold', () => {
+    const result = compile('let a = 3 >= 3\nlet b = 4 <= 3\nlet c = 1 != 2');
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toBe('define a 1\ndefine b 0\ndefine c 1');
+  });
+
+  test('arithmetic binds tighter than comparison', () => {
+    const input = `
+      let t = l(0, "Temperature")
+      if t + 10 >= 2 * 150 {
+        s(1, "On", 1)
+      }
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toMatch(/add r(\d+) r0 10/);
+    expect(result._0).toMatch(/blt r\d+ 300 label0/);
+  });
+});
@@ -8,11 +8,12 @@ let c = 2
 if a + b > c * 4 {
   let result = 1
 }`;
-        // TODO: This test reveals a compiler bug where a complex condition
-        // with constant-folded expressions causes an error.
-        // The compiler should handle this gracefully.
+        // Arithmetic binds tighter than comparison: (a + b) > (c * 4)
         const result = Compiler.compile(code);
-        expect(result.TAG).toBe('Error');
+        expect(result.TAG).toBe('Ok');
+        expect(result._0).toContain('add r');
+        expect(result._0).toContain('mul r');
+        expect(result._0).toMatch(/ble r\d+ r\d+ label0/);
     });
 
     test('literal optimization', () => {
@@ -0,0 +1,120 @@
+const { compile } = require('../src/compiler/Compiler.res.js');
+
+describe('Arbitrary values as conditions', () => {
+  test('a variable holding a device value', () => {
+    const input = `
+      let isOpen = l(0, "Open")
+      if isOpen {
+        s(1, "On", 1)
+      }
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toContain('beqz r0 label0\ns d1 On 1\nlabel0:');
+  });
+
+  test('a device load used directly', () => {
+    const result = compile('if l(0, "Open") {\n  s(1, "On", 1)\n}');
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toContain('l r0 d0 Open');
+    expect(result._0).toContain('beqz r0 label0');
+  });
+
+  test('a stored comparison in if-else branches with bnez', () => {
+    const input = `
+      let t = l(0, "Temperature")
+      let hot = t > 500
+      if hot {
+        s(1, "On", 1)
+      } else {
+        s(1, "On", 0)
+      }
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toMatch(/sgt r(\d+) r0 500/);
+    expect(result._0).toMatch(/bnez r\d+ label0/);
+    expect(result._0).toContain('s d1 On 0\nj label1\nlabel0:\ns d1 On 1\nlabel1:');
+  });
+
+  test('a ref read as a while condition is re-read on every iteration', () => {
+    const input = `
+      let running = ref(1)
+      let n = ref(0)
+      while running.contents {
+        n := n.contents + 1
+        if n.contents > 10 {
+          running := 0
+        }
+      }
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    const asm = result._0;
+    // The condition tests the ref's register, not the initial value
+    expect(asm).toContain('label0:');
+    expect(asm).toContain('beqz r0 label1');
+    // After clearing the flag the loop still jumps back to re-check it
+    expect(asm).toContain('move r0 0\nj label0\nlabel1:');
+  });
+
+  test('refs updated in a loop are not replaced by their initial value', () => {
+    const input = `
+      let i = ref(0)
+      while i.contents != 10 {
+        i := i.contents + 1
+      }
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toContain('beq r0 10 label1');
+    expect(result._0).not.toContain('beq 0 10');
+  });
+
+  test('negated values use the opposite branch', () => {
+    const input = `
+      let isOpen = l(0, "Open")
+      if !isOpen {
+        s(1, "On", 1)
+      }
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toContain('bnez r0 label0');
+  });
+
+  test('values combine with logical operators', () => {
+    const input = `
+      let a = l(0, "Open")
+      let b = l(1, "On")
+      if a && b {
+        s(2, "On", 1)
+      }
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toContain('beqz r0 label0');
+    expect(result._0).toContain('beqz r1 label0');
+  });
+
+  test('constant number conditions', () => {
+    const forever = compile('while 1 {\n  s(0, "On", 1)\n}');
+    expect(forever.TAG).toBe('Ok');
+    expect(forever._0).toContain('label0:\ns d0 On 1\nj label0');
+    expect(forever._0).not.toContain('beqz');
+
+    const never = compile('if 0 {\n  s(0, "On", 1)\n}');
+    expect(never.TAG).toBe('Ok');
+    expect(never._0).not.toContain('s d0 On 1');
+  });
+
+  test('WASM backend compares beqz operands against zero', () => {
+    const result = compile('let isOpen = l(0, "Open")\nif isOpen {\n  s(1, "On", 1)\n}', {
+      includeComments: false,
+      debugAST: false,
+      backend: 'WASM',
+    });
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toContain('(f64.eq)');
+  });
+});
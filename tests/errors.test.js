@@ -56,19 +56,10 @@ if x > 3 {
 let pos = 10
 let sum = neg + pos`;
 
-        // This should work if our lexer supports negative numbers
-        // If not, it will fail and we'll know we need to implement it
         const result = Compiler.compile(code);
-        if (result.TAG === 'Ok') {
-            const expected = `define neg -5
-define pos 10
-move r15 neg
-move r14 pos
-add r0 r15 r14`;
-            expect(result._0).toBe(expected);
-        } else {
-            // Expected to fail since we haven't implemented negative number parsing
-            expect(result.TAG).toBe('Error');
-        }
+        expect(result.TAG).toBe('Ok');
+        expect(result._0).toContain('define neg -5');
+        expect(result._0).toContain('define pos 10');
+        expect(result._0).toMatch(/^add r\d+ -5 10$/m);
     });
 });
\ No newline at end of file
@@ -0,0 +1,77 @@
+const { compile } = require('../src/compiler/Compiler.res.js');
+
+describe('For loops over integer ranges', () => {
+  test('to counts up with a single compare-and-branch', () => {
+    const result = compile('for i in 0 to 5 {\n  s(1, "Setting", i)\n}');
+    expect(result.TAG).toBe('Ok');
+    const asm = result._0;
+    expect(asm).toMatch(/move r(\d+) 0\nlabel0:\nbgt r\1 5 label1\n(.*\n)*s d1 Setting r\1\nadd r\1 r\1 1\nj label0\nlabel1:/);
+    expect(asm.match(/label0:\n(.*\n)*?j label0/)[0]).not.toMatch(/sgt|bnez/);
+  });
+
+  test('downto counts down to a bound read from a device', () => {
+    const input = `
+      let n = l(0, "Setting")
+      for slot in n downto 1 {
+        s(2, "Setting", slot)
+      }
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toMatch(/label0:\nblt r(\d+) 1 label1\n(.*\n)*s d2 Setting r\1\nsub r\1 r\1 1\nj label0\nlabel1:/);
+  });
+
+  test('the end bound is evaluated once, before the loop', () => {
+    const input = `
+      let limit = ref(3)
+      for i in 1 to limit.contents {
+        limit := limit.contents + 1
+      }
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    // The bound is copied out of the ref, so growing the ref does not extend the loop
+    expect(result._0).toMatch(/move r(\d+) 3\n(.*\n)*label0:\nbgt r\d+ r\1 label1/);
+    expect(result._0).not.toMatch(/bgt r\d+ r0 /);
+  });
+
+  test('nested loops use their own counters', () => {
+    const input = `
+      for row in 0 to 2 {
+        for col in 0 to 3 {
+          s(1, "Setting", row * 4 + col)
+        }
+      }
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toMatch(/label0:\nbgt r(\d+) 2 label1/);
+    expect(result._0).toMatch(/label2:\nbgt r(\d+) 3 label3/);
+    expect(result._0).toContain('j label2\nlabel3:');
+  });
+
+  test('the loop variable is only visible inside the body', () => {
+    const result = compile('for i in 0 to 2 {\n  s(1, "On", i)\n}\ns(1, "Setting", i)');
+    expect(result.TAG).toBe('Error');
+  });
+
+  test('the loop variable shadows a constant', () => {
+    const result = compile('let i = 10\nfor i in 0 to 2 {\n  s(1, "Setting", i)\n}\ns(2, "Setting", i)');
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toMatch(/s d1 Setting r\d+/);
+    expect(result._0).toContain('s d2 Setting 10');
+  });
+
+  test('the loop variable cannot be assigned', () => {
+    const result = compile('for i in 0 to 2 {\n  i := 5\n}');
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain("Variable 'i' is not a ref");
+  });
+
+  test('missing to/downto is reported', () => {
+    const result = compile('for i in 0 5 {\n  s(1, "On", i)\n}');
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain("expected 'to' or 'downto'");
+    expect(result._0).toContain('<input>:1:12:');
+  });
+});
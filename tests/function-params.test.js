@@ -0,0 +1,103 @@
+const Compiler = require('../src/compiler/Compiler.res.js');
+const { wasmOptions } = require('./options');
+
+describe('Function parameters and return values', () => {
+    test('arguments are pushed by the caller and popped into parameter registers', () => {
+        const input = `
+            let clamp = (x, lo, hi) => {
+                if x < lo {
+                    s(1, "On", 0)
+                }
+                x
+            }
+            let t = l(0, "Temperature")
+            s(1, "Setting", clamp(t, 0, 100))
+        `;
+        const result = Compiler.compile(input);
+        expect(result.TAG).toBe('Ok');
+        const asm = result._0;
+        expect(asm).toContain('push r0\npush 0\npush 100\njal clamp\npop r0\ns d1 Setting r0');
+        // Parameters are popped last-first
+        expect(asm).toContain('clamp:\npop r2\npop r1\npop r0');
+        // The last expression is the result, pushed before returning
+        expect(asm).toContain('push r0\nj ra');
+    });
+
+    test('a single-expression body is the result', () => {
+        const result = Compiler.compile('let double = x => x * 2\nlet t = l(0, "Temperature")\nlet d = double(t)');
+        expect(result.TAG).toBe('Ok');
+        expect(result._0).toContain('push r0\njal double\npop r');
+        expect(result._0).toMatch(/double:\npop r(\d+)\n(.*\n)*mul r(\d+) r\1 2\npush r\3\nj ra/);
+    });
+
+    test('calls can be nested in arguments', () => {
+        const result = Compiler.compile('let double = (x) => x * 2\nlet five = () => 5\nlet n = double(five())');
+        expect(result.TAG).toBe('Ok');
+        expect(result._0).toContain('jal five\npop r0\npush r0\njal double\npop r0');
+        expect(result._0).toContain('five:\npush 5\nj ra');
+    });
+
+    test('an unused result is dropped from the stack', () => {
+        const result = Compiler.compile('let inc = (x) => x + 1\ninc(4)');
+        expect(result.TAG).toBe('Ok');
+        expect(result._0).toContain('push 4\njal inc\nsub sp sp 1');
+    });
+
+    test('functions without a result value stay procedures', () => {
+        const result = Compiler.compile('let setOn = (pin, value) => {\n  s(1, "On", value)\n}\nsetOn(1, 0)');
+        expect(result.TAG).toBe('Ok');
+        expect(result._0).toContain('push 1\npush 0\njal setOn\n');
+        expect(result._0).not.toContain('sub sp sp 1');
+        expect(result._0).toMatch(/setOn:\npop r(\d+)\npop r\d+\n(.*\n)*s d1 On r\1\nj ra/);
+    });
+
+    test('parameters shadow constants with the same name', () => {
+        const result = Compiler.compile('let limit = 500\nlet under = (limit) => limit - 1\nlet t = l(0, "Temperature")\nlet u = under(t)');
+        expect(result.TAG).toBe('Ok');
+        expect(result._0).toContain('define limit 500');
+        expect(result._0).toMatch(/under:\npop r(\d+)\n(.*\n)*sub r\d+ r\1 1/);
+    });
+
+    test('using the result of a procedure is an error', () => {
+        const result = Compiler.compile('let setOn = (v) => {\n  s(1, "On", v)\n}\nlet x = setOn(1)');
+        expect(result.TAG).toBe('Error');
+        expect(result._0).toContain("Function 'setOn' does not return a value");
+        expect(result._0).toContain('<input>:4:1:');
+    });
+
+    test('an undeclared function used as a value is an unknown identifier', () => {
+        const result = Compiler.compile('let y = foo(1)');
+        expect(result.TAG).toBe('Error');
+        expect(result._0).toContain("Unknown identifier 'foo'. Did you forget to declare the function?");
+        expect(result._0).toContain('<input>:1:1:');
+    });
+
+    test('calls with the wrong number of arguments are rejected', () => {
+        const result = Compiler.compile('let add = (a, b) => a + b\nadd(1)');
+        expect(result.TAG).toBe('Error');
+        expect(result._0).toContain("Function 'add' expects 2 argument(s), got 1");
+    });
+
+    test('a parenthesized expression is not mistaken for a parameter list', () => {
+        const result = Compiler.compile('let t = l(0, "Temperature")\nlet x = (t)\nlet y = (t) + 1');
+        expect(result.TAG).toBe('Ok');
+        expect(result._0).not.toContain('jal');
+    });
+
+    test('WASM backend emits real parameters and results', () => {
+        const result = Compiler.compile('let add = (a, b) => a + b\nlet t = l(0, "Temperature")\nlet s = add(t, 2)', wasmOptions);
+        expect(result.TAG).toBe('Ok');
+        const out = result._0;
+        expect(out).toContain('(func $add (param $v0 f64) (param $v1 f64) (result f64)');
+        expect(out).toContain('(f64.const 2)\n    (call $add)\n    (local.set $v');
+        expect(out).toMatch(/\(local\.get \$v\d+\)\n {4}\(return\)/);
+        // Parameters are not redeclared as locals
+        expect(out).not.toContain('(local $v0 f64)');
+    });
+
+    test('WASM backend drops unused results', () => {
+        const result = Compiler.compile('let inc = (x) => x + 1\ninc(4)', wasmOptions);
+        expect(result.TAG).toBe('Ok');
+        expect(result._0).toContain('(call $inc)\n    (drop)');
+    });
+});
@@ -0,0 +1,97 @@
+const { compile } = require('../src/compiler/Compiler.res.js');
+
+describe('if/else as an expression', () => {
+  test('two plain values become a select', () => {
+    const input = `
+      let t = l(0, "Temperature")
+      let on = if t > 300 { 1 } else { 0 }
+      s(1, "On", on)
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toMatch(/sgt r(\d+) r0 300\nselect r(\d+) r\1 1 0\n/);
+    expect(result._0).not.toContain('label');
+  });
+
+  test('variables and ref reads can be selected', () => {
+    const input = `
+      let t = l(0, "Temperature")
+      let limit = ref(500)
+      let v = if t { t } else { limit.contents }
+      s(1, "Setting", v)
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toMatch(/select r(\d+) r0 r0 (r\d+|500)\n/);
+  });
+
+  test('arms with computations branch and leave their value in the result register', () => {
+    const input = `
+      let t = l(0, "Temperature")
+      let w = if t < 100 { t * 2 } else { 0 }
+      s(3, "Setting", w)
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toMatch(
+      /blt r0 100 label0\nmove r(\d+) 0\nj label1\nlabel0:\n(.*\n)*mul r\1 r0 2\nlabel1:\n/,
+    );
+    expect(result._0).not.toContain('select');
+  });
+
+  test('else-if chains and statements inside arms', () => {
+    const input = `
+      let t = l(0, "Temperature")
+      let w = if t < 100 {
+        s(1, "On", 1)
+        5
+      } else if t > 500 {
+        t
+      } else {
+        0
+      }
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    // The inner if-else is a select feeding the outer result
+    expect(result._0).toMatch(/sgt r(\d+) r0 500\n(.*\n)*select r\d+ r\1 r0 0\n/);
+    expect(result._0).toMatch(/label0:\ns d1 On 1\nmove r\d+ 5\nlabel1:/);
+  });
+
+  test('a function can return an if-expression', () => {
+    const result = compile('let magnitude = x => if x > 0 { x } else { 0 - x }\nlet a = magnitude(l(0, "Setting"))');
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toMatch(/magnitude:\npop r\d+\n(.*\n)*label1:\npush r(\d+)\nj ra/);
+  });
+
+  test('a constant condition picks its arm at compile time', () => {
+    const result = compile('let x = if 1 { 5 } else { 6 }\ns(1, "On", x)');
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toContain('s d1 On 5');
+    expect(result._0).not.toContain('select');
+  });
+
+  test('an if expression without else is rejected', () => {
+    const result = compile('let t = l(0, "Temperature")\nlet w = if t < 100 { 1 }');
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain('An if expression needs an else branch');
+    expect(result._0).toContain('<input>:2:1:');
+  });
+
+  test('every arm must end in a value', () => {
+    const result = compile('let t = l(0, "Temperature")\nlet w = if t < 100 { 1 } else { s(1, "On", 1) }');
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain('Each branch of an if expression must end in a value');
+  });
+
+  test('WASM backend uses select', () => {
+    const result = compile('let t = l(0, "Temperature")\nlet on = if t > 300 { 1 } else { 0 }', {
+      includeComments: false,
+      debugAST: false,
+      backend: 'WASM',
+    });
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toContain('(f64.const 1)\n    (f64.const 0)\n    (local.get $v');
+    expect(result._0).toContain('(f64.ne)\n    (select)');
+  });
+});
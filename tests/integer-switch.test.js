@@ -0,0 +1,93 @@
+const { compile } = require('../src/compiler/Compiler.res.js');
+
+describe('switch on numbers', () => {
+  test('number patterns branch straight to their case', () => {
+    const input = `
+      let mode = l(0, "Mode")
+      switch mode {
+      | 0 => s(1, "On", 0)
+      | 1 => s(1, "On", 1)
+      }
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    const asm = result._0;
+    expect(asm).toMatch(/beq r0 0 (match_case_\d+)\nbeq r0 1 (match_case_\d+)\nj (match_end_\d+)\n\1:\ns d1 On 0\nj \3\n\2:\ns d1 On 1\n\3:/);
+  });
+
+  test('or-patterns share a body and _ catches the rest', () => {
+    const input = `
+      let mode = l(0, "Mode")
+      switch mode {
+      | 1 | 2 => s(1, "On", 1)
+      | _ => s(1, "On", 0)
+      }
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    // The wildcard replaces the jump past the switch
+    expect(result._0).toMatch(/beq r0 1 (match_case_\d+)\nbeq r0 2 \1\nj (match_case_\d+)\n\1:/);
+    expect(result._0).not.toMatch(/beq r0 2 match_case_\d+\nj match_end/);
+  });
+
+  test('a device read is evaluated once as the scrutinee', () => {
+    const result = compile('switch l(0, "Setting") {\n| -1 => s(1, "On", 0)\n| _ => s(1, "On", 1)\n}');
+    expect(result.TAG).toBe('Ok');
+    expect(result._0.match(/l r\d+ d0 Setting/g)).toHaveLength(1);
+    expect(result._0).toMatch(/beq r(\d+) -1 match_case_\d+/);
+  });
+
+  test('a switch whose cases end in values produces a value', () => {
+    const input = `
+      let mode = l(0, "Mode")
+      let speed = switch mode {
+      | 0 => 10
+      | 1 | 2 => mode * 5
+      | _ => 20
+      }
+      s(1, "Setting", speed)
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toMatch(/move r(\d+) 10\n(.*\n)*move r\1 20\nmatch_end_\d+:\n(.*\n)*s d1 Setting r\1/);
+  });
+
+  test('or-patterns and wildcards work on variants', () => {
+    const input = `
+      type state = Idle | Running | Done
+      let state = ref(Idle)
+      switch state.contents {
+      | Idle | Done => s(1, "On", 0)
+      | _ => s(1, "On", 1)
+      }
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toMatch(/beq r(\d+) 0 (match_case_\d+)\nbeq r\1 2 \2\nj match_case_\d+\n/);
+  });
+
+  test('constructor patterns need a variant scrutinee', () => {
+    const result = compile('type state = Idle\nlet mode = l(0, "Mode")\nswitch mode {\n| Idle => s(1, "On", 0)\n}');
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain("Constructor pattern 'Idle' needs a variant to match");
+  });
+
+  test('or-patterns cannot bind constructor arguments', () => {
+    const input = `
+      type state = Idle | Heat(int)
+      let state = ref(Idle)
+      switch state.contents {
+      | Idle | Heat(t) => s(1, "On", 0)
+      }
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain("Or-patterns cannot bind the arguments of 'Heat'");
+  });
+
+  test('a malformed pattern is reported', () => {
+    const result = compile('let mode = l(0, "Mode")\nswitch mode {\n| "a" => s(1, "On", 0)\n}');
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain('expected a pattern');
+  });
+});
@@ -0,0 +1,217 @@
+const { compile } = require('../src/compiler/Compiler.res.js');
+
+describe('Logical operators &&, || and !', () => {
+  test('&& in an if condition skips the body as soon as one side is false', () => {
+    const input = `
+      let p = l(0, "Pressure")
+      let t = l(1, "Temperature")
+      if p > 100 && t > 300 {
+        s(2, "On", 1)
+      }
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    const lines = result._0.split('\n');
+    const first = lines.indexOf('ble r0 100 label0');
+    const second = lines.indexOf('ble r1 300 label0');
+    expect(first).toBeGreaterThan(-1);
+    expect(second).toBeGreaterThan(first);
+    expect(lines.indexOf('s d2 On 1')).toBeGreaterThan(second);
+  });
+
+  test('|| in an if-else condition jumps to the then-block as soon as one side is true', () => {
+    const input = `
+      let p = l(0, "Pressure")
+      let t = l(1, "Temperature")
+      if p > 100 || t > 300 {
+        s(3, "On", 1)
+      } else {
+        s(3, "On", 0)
+      }
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toContain('bgt r0 100 label0');
+    expect(result._0).toContain('bgt r1 300 label0');
+    expect(result._0).toContain('s d3 On 0\nj label1\nlabel0:\ns d3 On 1\nlabel1:');
+  });
+
+  test('|| in an if-only condition falls into the body when the left side is true', () => {
+    const input = `
+      let p = l(0, "Pressure")
+      let t = l(1, "Temperature")
+      if p > 100 || t > 300 {
+        s(3, "On", 1)
+      }
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toContain('bgt r0 100 label1');
+    expect(result._0).toContain('ble r1 300 label0');
+    expect(result._0).toContain('label1:\ns d3 On 1\nlabel0:');
+  });
+
+  test('! flips the branch instead of computing a value', () => {
+    const input = `
+      let p = l(0, "Pressure")
+      if !(p > 100) {
+        s(4, "On", 1)
+      }
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toContain('bgt r0 100 label0');
+    expect(result._0).not.toContain('seq');
+  });
+
+  test('mixed conditions in while loops', () => {
+    const input = `
+      let p = l(0, "Pressure")
+      let t = l(1, "Temperature")
+      while p < 5 || !(t >= 2 && t < 9) {
+        s(5, "On", 1)
+      }
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toContain('blt r0 5 label2');
+    expect(result._0).toContain('blt r1 2 label3');
+    expect(result._0).toContain('blt r1 9 label1');
+    expect(result._0).toContain('j label0\nlabel1:');
+  });
+
+  test('&& binds tighter than ||', () => {
+    const input = `
+      let p = l(0, "Pressure")
+      let t = l(1, "Temperature")
+      if p < 1 || p > 5 && t > 3 {
+        s(2, "On", 1)
+      }
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    // p < 1 alone is enough to enter the body
+    expect(result._0).toContain('blt r0 1 label1');
+    expect(result._0).toContain('ble r0 5 label0');
+    expect(result._0).toContain('ble r1 3 label0');
+  });
+
+  test('&& as a value combines 0/1 flags with and', () => {
+    const input = `
+      let p = l(0, "Pressure")
+      let t = l(1, "Temperature")
+      let both = p > 1 && t
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toMatch(/sgt r(\d+) r0 1/);
+    expect(result._0).toMatch(/sne r(\d+) r1 0/);
+    expect(result._0).toMatch(/and r\d+ r\d+ r\d+/);
+  });
+
+  test('|| and ! as values', () => {
+    const either = compile('let p = l(0, "Pressure")\nlet t = l(1, "Temperature")\nlet e = p || t < 3');
+    expect(either.TAG).toBe('Ok');
+    expect(either._0).toMatch(/sne r\d+ r0 0/);
+    expect(either._0).toMatch(/or r\d+ r\d+ r\d+/);
+
+    const negated = compile('let p = l(0, "Pressure")\nlet off = !p');
+    expect(negated.TAG).toBe('Ok');
+    expect(negated._0).toMatch(/seq r\d+ r0 0/);
+  });
+
+  test('&& as a value only reads the device on the right when the left side is true', () => {
+    const input = `
+      let a = l(0, "Setting")
+      let x = a && l(1, "On")
+      s(2, "Setting", x)
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    const lines = result._0.split('\n');
+    const skip = lines.findIndex(line => /^beqz r\d+ label0$/.test(line));
+    expect(skip).toBeGreaterThan(-1);
+    const read = lines.findIndex(line => /^l r\d+ d1 On$/.test(line));
+    expect(read).toBeGreaterThan(skip);
+    expect(lines.indexOf('label0:')).toBeGreaterThan(read);
+    expect(result._0).not.toMatch(/^and /m);
+  });
+
+  test('|| as a value only reads the device on the right when the left side is false', () => {
+    const input = `
+      let a = l(0, "Setting")
+      let x = a > 2 || l(1, "On")
+      s(2, "Setting", x)
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    const lines = result._0.split('\n');
+    const skip = lines.findIndex(line => /^bnez r\d+ label0$/.test(line));
+    expect(skip).toBeGreaterThan(-1);
+    const read = lines.findIndex(line => /^l r\d+ d1 On$/.test(line));
+    expect(read).toBeGreaterThan(skip);
+    expect(lines.indexOf('label0:')).toBeGreaterThan(read);
+  });
+
+  test('&& as a value skips a function call when the left side is false', () => {
+    const input = `
+      let f = () => {
+        s(3, "On", 1)
+        1
+      }
+      let a = l(0, "Setting")
+      let x = a && f()
+      s(1, "Setting", x)
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    const lines = result._0.split('\n');
+    const skip = lines.findIndex(line => /^beqz r\d+ label0$/.test(line));
+    expect(skip).toBeGreaterThan(-1);
+    expect(lines.indexOf('jal f')).toBeGreaterThan(skip);
+    expect(lines.indexOf('label0:')).toBeGreaterThan(lines.indexOf('jal f'));
+    expect(result._0).not.toMatch(/^and /m);
+  });
+
+  test('|| as a value skips a function call when the left side is true', () => {
+    const input = `
+      let f = () => {
+        s(3, "On", 1)
+        1
+      }
+      let a = l(0, "Setting")
+      let x = a > 2 || f()
+      s(1, "Setting", x)
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    const lines = result._0.split('\n');
+    const skip = lines.findIndex(line => /^bnez r\d+ label0$/.test(line));
+    expect(skip).toBeGreaterThan(-1);
+    expect(lines.indexOf('jal f')).toBeGreaterThan(skip);
+  });
+
+  test('constant logical expressions fold', () => {
+    const result = compile('let a = 1 && 0\nlet b = 0 || 2\nlet c = !0\nlet d = 1 < 2 && 3 > 2');
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toBe('define a 0\ndefine b 1\ndefine c 1\ndefine d 1');
+  });
+
+  test('a single & is rejected', () => {
+    const result = compile('let a = 1 & 2');
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain('Unexpected character: &');
+  });
+
+  test('WASM backend combines flags on integers', () => {
+    const result = compile('let p = l(0, "Pressure")\nlet t = l(1, "Temperature")\nlet both = p > 1 && t > 2', {
+      includeComments: false,
+      debugAST: false,
+      backend: 'WASM',
+    });
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toContain('(i64.trunc_f64_s)');
+    expect(result._0).toContain('(i64.and)');
+    expect(result._0).toContain('(f64.convert_i64_s)');
+  });
+});
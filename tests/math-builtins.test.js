@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const Compiler = require('../src/compiler/Compiler.res.js');
+const TemplateFiles = require('../scripts/TemplateFiles.res.js');
+const { wasmOptions } = require('./options');
+
+describe('math builtins', () => {
+    test('each builtin is the IC10 instruction of the same name', () => {
+        const input = `
+            let t = l(0, "Temperature")
+            s(1, "Setting", abs(t) + sqrt(t))
+            s(1, "Setting", min(t, 10) + max(t, 0))
+            s(1, "Setting", mod(t, 3) + atan2(t, 2))
+            s(1, "Setting", round(t) + rand())
+        `;
+        const result = Compiler.compile(input);
+        expect(result.TAG).toBe('Ok');
+        const asm = result._0;
+        expect(asm).toMatch(/^l r(\d+) d0 Temperature\nabs r\d+ r\1\nsqrt r\d+ r\1\n/);
+        expect(asm).toMatch(/min r\d+ r\d+ 10\n/);
+        expect(asm).toMatch(/max r\d+ r\d+ 0\n/);
+        expect(asm).toMatch(/mod r\d+ r\d+ 3\n/);
+        expect(asm).toMatch(/atan2 r\d+ r\d+ 2\n/);
+        expect(asm).toMatch(/round r\d+ r\d+\nrand r\d+\n/);
+    });
+
+    test('calls with constant arguments are folded', () => {
+        let result = Compiler.compile('s(1, "Setting", floor(sqrt(16)))');
+        expect(result.TAG).toBe('Ok');
+        expect(result._0).toContain('s d1 Setting 4');
+        expect(result._0).not.toContain('sqrt');
+
+        result = Compiler.compile('s(1, "Setting", max(3, abs(-9)))');
+        expect(result.TAG).toBe('Ok');
+        expect(result._0).toContain('s d1 Setting 9');
+
+        // IC10 mod is never negative for a positive divisor
+        result = Compiler.compile('s(1, "Setting", mod(-7, 3))');
+        expect(result.TAG).toBe('Ok');
+        expect(result._0).toContain('s d1 Setting 2');
+    });
+
+    test('calls whose result the compiler cannot match exactly are left to the chip', () => {
+        let result = Compiler.compile('s(1, "Setting", sqrt(-1))');
+        expect(result.TAG).toBe('Ok');
+        expect(result._0).toContain('sqrt r0 -1');
+
+        result = Compiler.compile('s(1, "Setting", round(2.5))');
+        expect(result.TAG).toBe('Ok');
+        expect(result._0).toContain('round r0 2.5');
+    });
+
+    test('a builtin called with the wrong number of arguments is an error', () => {
+        const result = Compiler.compile('s(1, "Setting", abs(1, 2))');
+        expect(result.TAG).toBe('Error');
+        expect(result._0).toContain('abs() expects 1 argument');
+        expect(result._0).toContain('<input>:1:1:');
+    });
+
+    test('a function of the same name takes precedence', () => {
+        const result = Compiler.compile('let max = (a, b) => a + b\ns(1, "Setting", max(l(0, "On"), 2))');
+        expect(result.TAG).toBe('Ok');
+        expect(result._0).toContain('jal max');
+        expect(result._0).not.toMatch(/^max /m);
+    });
+
+    test('the template types the continuous functions on float, and a float call compiles', () => {
+        expect(TemplateFiles.ic10Bindings).toBe(fs.readFileSync(path.join(__dirname, '../src/compiler/IC10.res'), 'utf8'));
+        expect(TemplateFiles.ic10Bindings).toContain('let sqrt = (_value: float): float');
+        expect(TemplateFiles.ic10Bindings).toContain('let atan2 = (_y: float, _x: float): float');
+        expect(TemplateFiles.ic10Bindings).toContain('let floor = (_value: float): int');
+        expect(TemplateFiles.ic10Bindings).toContain('let max = (_a: int, _b: int): int');
+
+        const result = Compiler.compile(`
+            let angle = 0.5
+            let pressure = l(0, "Pressure")
+            s(1, "Setting", round(sin(angle) *. 2.))
+            s(1, "Setting", Float.toInt(sqrt(Int.toFloat(pressure))))
+        `);
+        expect(result.TAG).toBe('Ok');
+        const asm = result._0;
+        expect(asm).toMatch(/^sin r\d+ 0\.5$/m);
+        expect(asm).toMatch(/^l r(\d+) d0 Pressure$/m);
+        expect(asm).toMatch(/^sqrt (r\d+) r\d+\ntrunc r\d+ \1\n/m);
+    });
+
+    test('WASM uses f64 instructions where they exist and imports the rest from Math', () => {
+        const result = Compiler.compile('let t = l(0, "Temperature")\ns(1, "Setting", sqrt(t) + sin(t))', wasmOptions);
+        expect(result.TAG).toBe('Ok');
+        const wat = result._0;
+        expect(wat).toContain('f64.sqrt');
+        expect(wat).toContain('(import "Math" "sin" (func $Math.sin (param f64) (result f64)))');
+        expect(wat).toContain('call $Math.sin');
+        expect(wat).not.toContain('"Math" "sqrt"');
+    });
+});
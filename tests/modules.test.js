@@ -0,0 +1,92 @@
+const { compile } = require('../src/compiler/Compiler.res.js');
+
+// Compile `source` as src/main.res, with the other modules of its project
+const compileProject = (source, modules) => {
+  const files = {};
+  for (const [name, moduleSource] of Object.entries(modules)) {
+    files[name] = { filename: `src/${name.toLowerCase()}.res`, source: moduleSource };
+  }
+  return compile(source, {
+    includeComments: false,
+    debugAST: false,
+    backend: 'IC10',
+    filename: 'src/main.res',
+    modules: files,
+  });
+};
+
+const helpers = 'let maxTemp = 500\nlet limit = x => if x > maxTemp { maxTemp } else { x }';
+
+describe('modules', () => {
+  test('qualified references and open resolve to the module values', () => {
+    const input = `
+      open Helpers
+      let t = IC10.l(0, "Temperature")
+      s(1, "Setting", limit(t))
+      s(2, "Setting", Helpers.maxTemp)
+    `;
+    const result = compileProject(input, { Helpers: helpers });
+    expect(result.TAG).toBe('Ok');
+    const asm = result._0;
+    // The module's statements come first, under their renamed names
+    expect(asm.split('\n')[0]).toBe('define Helpers_maxTemp 500');
+    expect(asm).toMatch(/l r(\d+) d0 Temperature\n(.*\n)*push r\1\njal Helpers_limit\n/);
+    expect(asm).toContain('s d2 Setting 500');
+    expect(asm).toMatch(/Helpers_limit:\npop r\d+\n/);
+  });
+
+  test('modules can reuse names without clashing', () => {
+    const input = `
+      let limit = 3
+      s(1, "Setting", Helpers.maxTemp + Other.maxTemp + limit)
+    `;
+    const result = compileProject(input, { Helpers: helpers, Other: 'let maxTemp = 7', Unused: 'let x = (' });
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toContain('define Helpers_maxTemp 500\ndefine Other_maxTemp 7\ndefine limit 3\n');
+    // A module that is never referenced is not parsed
+    expect(result._0).not.toContain('Unused');
+  });
+
+  test('a module can use another module', () => {
+    const devices = 'open Helpers\nlet pump = device("d4")\nlet hot = () => l(pump, "Temperature") > maxTemp';
+    const result = compileProject('s(1, "On", Devices.hot())', { Helpers: helpers, Devices: devices });
+    expect(result.TAG).toBe('Ok');
+    const asm = result._0;
+    expect(asm).toMatch(/^define Helpers_maxTemp 500\n/);
+    expect(asm).toMatch(/Devices_hot:\nl r(\d+) d4 Temperature\n(.*\n)*sgt r\d+ r\1 500\n/);
+  });
+
+  test('local bindings take precedence over opened values', () => {
+    const input = `
+      open Helpers
+      let f = maxTemp => maxTemp + 1
+      s(1, "Setting", f(l(0, "Temperature")))
+    `;
+    const result = compileProject(input, { Helpers: helpers });
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toMatch(/\nf:\npop r(\d+)\n(.*\n)*add r\d+ r\1 1\n/);
+  });
+
+  test('unknown modules and values are reported where they are used', () => {
+    let result = compileProject('let t = 1\nlet x = Nope.limit(t)', {});
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain("src/main.res:2:1: Module 'Nope' not found");
+
+    result = compileProject('open Helpers\nlet x = Helpers.clamp(1)', { Helpers: helpers });
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain("Module 'Helpers' has no value 'clamp'");
+  });
+
+  test('errors inside a module point into its file', () => {
+    const result = compileProject('let x = Helpers.limit(1)', { Helpers: 'let limit = x => x +' });
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain('src/helpers.res:1:21:');
+    expect(result._0).toContain('> 1 | let limit = x => x +');
+  });
+
+  test('modules cannot depend on each other in a cycle', () => {
+    const result = compileProject('let x = A.f(1)', { A: 'let f = x => B.g(x)', B: 'let g = x => A.f(x)' });
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain('Modules depend on each other: A -> B -> A');
+  });
+});
@@ -0,0 +1,106 @@
+const { compile } = require('../src/compiler/Compiler.res.js');
+
+describe('Number literals', () => {
+  test('decimal and exponent literals become defines', () => {
+    const input = `
+      let half = 0.5
+      let freezing = 273.15
+      let big = 1e5
+      let small = 2.5e-3
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toBe('define half 0.5\ndefine freezing 273.15\ndefine big 100000\ndefine small 0.0025');
+  });
+
+  test('negative literals', () => {
+    const result = compile('let offset = -273.15\nlet low = -5');
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toBe('define offset -273.15\ndefine low -5');
+  });
+
+  test('constant folding works on floats and negations', () => {
+    const input = `
+      let ratio = 1.5 * 2.0
+      let third = 1 / 4
+      let flipped = -(2 * 3)
+      let twice = - -4
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toBe('define ratio 3\ndefine third 0.25\ndefine flipped -6\ndefine twice 4');
+  });
+
+  test('division by a literal zero is left for the runtime', () => {
+    const result = compile('let t = l(0, "Temperature")\nlet bad = 5 / 0');
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toContain('div r');
+    expect(result._0).not.toContain('-1');
+  });
+
+  test('unary minus on a variable is lowered to a subtraction from zero', () => {
+    const input = `
+      let t = l(0, "Temperature")
+      let n = -t
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toMatch(/sub r\d+ 0 r0/);
+  });
+
+  test('binary minus still works next to unary minus', () => {
+    const input = `
+      let t = l(0, "Temperature")
+      let d = t - -3
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toContain('sub r');
+    expect(result._0).toContain(' -3');
+  });
+
+  test('ReScript float operators are accepted', () => {
+    const input = `
+      let t = l(0, "Temperature")
+      let f = t *. 1.8 +. 32.
+      let g = f /. 2. -. 1.
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toContain('mul r');
+    expect(result._0).toContain('1.8');
+    expect(result._0).toContain('add r');
+    expect(result._0).toContain('div r');
+  });
+
+  test('float literals as device store values', () => {
+    const result = compile('s(1, "Setting", 0.75)');
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toBe('s d1 Setting 0.75');
+  });
+
+  test('float literals compare in conditions', () => {
+    const input = `
+      let p = l(0, "Pressure")
+      if p < 101.325 {
+        s(1, "On", 1)
+      }
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toContain('101.325');
+  });
+
+  test('WASM backend uses f64 values', () => {
+    const result = compile('let t = l(0, "Temperature")\nlet n = -t * 0.5', {
+      includeComments: false,
+      debugAST: false,
+      backend: 'WASM',
+    });
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toContain('(local $v0 f64)');
+    expect(result._0).toContain('(f64.const 0.5)');
+    expect(result._0).toContain('(f64.sub)');
+    expect(result._0).not.toContain('i32.add');
+  });
+});
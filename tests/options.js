@@ -0,0 +1,8 @@
+// Compiler options shared by the tests
+const wasmOptions = {
+    includeComments: false,
+    debugAST: false,
+    backend: 'WASM',
+};
+
+module.exports = { wasmOptions };
@@ -0,0 +1,136 @@
+const { compile } = require('../src/compiler/Compiler.res.js');
+
+describe('records', () => {
+  test('a let binding keeps each field in a register', () => {
+    const input = `
+      type reading = {temp: int, pressure: int}
+      let r = {temp: l(0, "Temperature"), pressure: l(0, "Pressure")}
+      s(1, "Setting", r.pressure)
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    const asm = result._0;
+    expect(asm).not.toContain('move sp');
+    expect(asm).toMatch(/l r\d+ d0 Temperature\nl r(\d+) d0 Pressure\n(.*\n)*s d1 Setting r\1/);
+  });
+
+  test('a spread copies the record and replaces the listed fields', () => {
+    const input = `
+      type reading = {temp: int, pressure: int}
+      let r = {temp: l(0, "Temperature"), pressure: l(0, "Pressure")}
+      let r2 = {...r, pressure: 5}
+      s(1, "Setting", r2.pressure)
+      s(1, "On", r2.temp)
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toContain('s d1 Setting 5');
+    expect(result._0).toMatch(/l r(\d+) d0 Temperature\n(.*\n)*s d1 On r\1/);
+  });
+
+  test('a literal has the type that declares all of its fields', () => {
+    const input = `
+      type a = {x: int, y: int}
+      type b = {y: int, z: int}
+      let p = {y: 1, x: l(0, "Temperature")}
+      let q = {y: 2, z: l(0, "Pressure")}
+      s(1, "Setting", p.x)
+      s(1, "On", q.z)
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toMatch(/l r(\d+) d0 Temperature\n(.*\n)*s d1 Setting r\1/);
+    expect(result._0).toMatch(/l r(\d+) d0 Pressure\n(.*\n)*s d1 On r\1/);
+  });
+
+  test('a record argument is passed as its fields', () => {
+    const input = `
+      type reading = {temp: int, pressure: int}
+      let hot = x => x.temp > 300
+      let r = {temp: l(0, "Temperature"), pressure: l(0, "Pressure")}
+      s(1, "On", hot(r))
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    const asm = result._0;
+    expect(asm).toMatch(/push r(\d+)\npush r(\d+)\njal hot\n/);
+    // The callee pops the last field first
+    expect(asm).toMatch(/hot:\npop r\d+\npop r(\d+)\n(.*\n)*sgt r(\d+) r\1 300\npush r\3\nj ra/);
+  });
+
+  test('a function returning a record leaves it in its result segment', () => {
+    const input = `
+      type mode = Low | High
+      type limits = {lo: int, hi: int}
+      let bounds = m => switch m {
+      | Low => {lo: 0, hi: 100}
+      | High => {lo: 100, hi: 500}
+      }
+      let b = bounds(High)
+      s(1, "Setting", b.hi)
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    const asm = result._0;
+    expect(asm.split('\n')[0]).toBe('move sp 2');
+    expect(asm).toMatch(/jal bounds\nget r\d+ db 0\nget r(\d+) db 1\n(.*\n)*s d1 Setting r\1/);
+    // Each case moves its fields into the same registers, which are stored once
+    expect(asm).toMatch(/match_end_0:\npoke 0 r\d+\npoke 1 r\d+\nj ra/);
+  });
+
+  test('a record ref keeps its fields in a stack segment', () => {
+    const input = `
+      type reading = {temp: int, pressure: int}
+      let last = ref({temp: 0, pressure: 0})
+      last := {...last.contents, temp: l(0, "Temperature")}
+      s(1, "Setting", last.contents.temp)
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    const asm = result._0;
+    expect(asm).toContain('move sp 2');
+    expect(asm).toContain('poke 0 0\npoke 1 0\n');
+    expect(asm).toMatch(/l r(\d+) d0 Temperature\npoke 0 r\1\npoke 1 r\d+\n/);
+    // A single field is read straight from its slot
+    expect(asm).toMatch(/get r(\d+) db 0\ns d1 Setting r\1/);
+  });
+
+  test('literals must set every field of their type exactly once', () => {
+    let result = compile('type reading = {temp: int, pressure: int}\nlet r = {temp: 1}');
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain("Record of type 'reading' is missing field(s) pressure");
+    expect(result._0).toContain('<input>:2:1:');
+
+    result = compile('type reading = {temp: int}\nlet r = {temp: 1, power: 2}');
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain("Record type 'reading' has no field 'power'");
+
+    result = compile('type reading = {temp: int}\nlet r = {temp: 1, temp: 2}');
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain("Field 'temp' is set more than once");
+  });
+
+  test('records and numbers cannot be mixed up', () => {
+    let result = compile('type reading = {temp: int}\nlet r = {temp: 1}\ns(1, "On", r)');
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain("Expected a number, but 'r' is a record of type 'reading'; read one of its fields");
+
+    result = compile('type reading = {temp: int}\nlet r = {temp: 1}\ns(1, "On", r.power)');
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain("Record type 'reading' has no field 'power'");
+
+    result = compile('let n = l(0, "Temperature")\ns(1, "On", n.temp)');
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain("Variable 'n' is not a record, cannot read field 'temp'");
+  });
+
+  test('record type declarations are checked', () => {
+    let result = compile('type reading = {temp: int, temp: int}');
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain("Field 'temp' is declared more than once in record type 'reading'");
+
+    result = compile('type state = Idle | Busy\ntype reading = {temp: int, state: state}');
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain('record fields can only hold numbers');
+  });
+});
@@ -0,0 +1,180 @@
+const { compile } = require('../src/compiler/Compiler.res.js');
+
+describe('Nested and recursive calls', () => {
+  test('a function that calls another saves ra around its body', () => {
+    const input = `
+      let inner = x => x * 2
+      let outer = x => inner(x) + 1
+      let t = l(0, "Temperature")
+      s(1, "Setting", outer(t))
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    const asm = result._0;
+    expect(asm).toMatch(/outer:\npop r(\d+)\npush ra\n/);
+    expect(asm).toMatch(/jal inner\n(.*\n)*pop ra\npush r\d+\nj ra/);
+  });
+
+  test('leaf functions leave ra alone', () => {
+    const result = compile('let double = x => x * 2\nlet t = l(0, "Temperature")\nlet d = double(t)');
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).not.toContain('push ra');
+    expect(result._0).not.toContain('pop ra');
+  });
+
+  test('a recursive call saves the registers still needed after it returns', () => {
+    const input = `
+      let rec blink = n => {
+        if n > 0 {
+          blink(n - 1)
+          s(1, "Setting", n)
+        }
+      }
+      blink(3)
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    // n is pushed before the argument and popped back once the call returns
+    expect(result._0).toMatch(/blink:\npop r(\d+)\npush ra\n(.*\n)*push r\1\npush r(\d+)\njal blink\npop r\1\n/);
+  });
+
+  test('a tail call has nothing to save', () => {
+    const input = `
+      let count = ref(0)
+      let rec countdown = n => {
+        if n > 0 {
+          count := count.contents + 1
+          countdown(n - 1)
+        }
+      }
+      countdown(3)
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    // Only the argument goes on the stack; the ref shared with main is not saved
+    expect(result._0).toMatch(/sub r(\d+) r\d+ 1\npush r\1\njal countdown\nlabel0:\npop ra\nj ra/);
+  });
+
+  test('a function only sees its own name when declared with let rec', () => {
+    const result = compile('let loop = n => {\n  if n > 0 {\n    loop(n - 1)\n  }\n}\nloop(3)');
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain("Unknown identifier 'loop'");
+  });
+
+  test('let rec is only for functions', () => {
+    const result = compile('let rec x = 5');
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain("'let rec' is only supported for functions");
+  });
+
+  test('recursion without a way out is rejected', () => {
+    const result = compile('let rec forever = n => {\n  forever(n + 1)\n}\nforever(0)');
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain("Function 'forever' calls itself on every path");
+    expect(result._0).toContain('<input>:2:3:');
+  });
+
+  test('the recursion limit is a warning, not a check of the depth at runtime', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    try {
+      // The base case is only reached for some inputs; the compiler cannot tell
+      const input = 'let rec blink = n => {\n  if n != 7 {\n    blink(n - 1)\n    s(1, "Setting", n)\n  }\n}\nblink(l(0, "Setting"))';
+      const result = compile(input);
+      expect(result.TAG).toBe('Ok');
+      const warnings = warn.mock.calls.map((args) => args.join(' '));
+      expect(warnings).toHaveLength(1);
+      expect(warnings[0]).toContain(
+        "<input>:3:5: warning: Function 'blink' adds 2 stack slots per level of recursion: at most 254 levels fit on the stack"
+      );
+    } finally {
+      warn.mockRestore();
+    }
+  });
+
+  test('a recursive function cannot keep an array on the stack', () => {
+    const input = `
+      let rec sum = n => {
+        let parts = [n, n * 2, n * 3]
+        if n > 0 {
+          sum(n - 1) + parts[0] + parts[2]
+        } else {
+          0
+        }
+      }
+      s(1, "Setting", sum(3))
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain(
+      "Array 'parts' cannot be declared in recursive function 'sum': every call of 'sum' would share its stack slots",
+    );
+    expect(result._0).toContain('<input>:3:9:');
+  });
+
+  test('a recursive function cannot keep a variant ref on the stack', () => {
+    const input = `
+      type mode = Off | Level(int)
+      let rec ramp = n => {
+        let mode = ref(Level(n))
+        if n > 0 {
+          ramp(n - 1)
+        }
+        switch mode.contents {
+        | Level(level) => s(1, "Setting", level)
+        | Off => s(1, "Setting", 0)
+        }
+      }
+      ramp(3)
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain(
+      "Variant ref 'mode' cannot be declared in recursive function 'ramp': every call of 'ramp' would share its stack slots",
+    );
+    expect(result._0).toContain('<input>:4:9:');
+  });
+
+  test('a recursive function cannot keep a record ref on the stack', () => {
+    const input = `
+      type point = {x: int, y: int}
+      let rec walk = n => {
+        let at = ref({x: n, y: 0})
+        if n > 0 {
+          walk(n - 1)
+        }
+        s(1, "Setting", at.contents.x)
+      }
+      walk(3)
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain(
+      "Record ref 'at' cannot be declared in recursive function 'walk': every call of 'walk' would share its stack slots",
+    );
+  });
+
+  test('a recursive function can return a variant through its result segment', () => {
+    const input = `
+      type reading = Empty | Reading(int)
+      let rec latest = n => {
+        let base = switch n {
+        | 0 => l(0, "Temperature")
+        | _ =>
+          switch latest(n - 1) {
+          | Reading(t) => t + 1
+          | Empty => 0
+          }
+        }
+        Reading(base)
+      }
+      switch latest(3) {
+      | Reading(t) => s(1, "Setting", t)
+      | Empty => s(1, "Setting", 0)
+      }
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    // The caller reads the result segment before anything else can overwrite it
+    expect(result._0).toMatch(/jal latest\n(pop r\d+\n)*get r\d+ db 0\n/);
+  });
+});
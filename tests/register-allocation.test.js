@@ -0,0 +1,53 @@
+const { compile } = require('../src/compiler/Compiler.res.js');
+
+describe('register allocation', () => {
+  test('a register is reused once its value is dead', () => {
+    const input = Array.from({ length: 30 }, (_, i) => `let v${i} = l(0, "Channel${i % 8}")\ns(1, "Setting", v${i})`).join('\n');
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toMatch(/^l r0 d0 Channel0\ns d1 Setting r0\nl r0 d0 Channel1\ns d1 Setting r0\n/);
+    expect(result._0).not.toMatch(/r[1-9]/);
+  });
+
+  test('values live at the same time get different registers', () => {
+    const result = compile('let a = l(0, "Temperature")\nlet b = l(0, "Pressure")\ns(1, "Setting", a + b)');
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toMatch(/l r(\d+) d0 Temperature\nl r(?!\1)(\d+) d0 Pressure\nadd r\d+ r\1 r\2\n/);
+  });
+
+  test('a value live across a call avoids the registers the callee writes', () => {
+    const input = `
+      let total = ref(0)
+      let add = x => {
+        total := total.contents + x
+        x * 2
+      }
+      let a = l(0, "Temperature")
+      let b = add(a)
+      s(1, "Setting", a + b + total.contents)
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    const asm = result._0;
+    const [main, callee] = asm.split('add:\n');
+    const aReg = main.match(/l (r\d+) d0 Temperature/)[1];
+    const written = new Set(callee.split('\n').map(line => line.split(' ')[1]).filter(reg => /^r\d+$/.test(reg)));
+    expect(written.has(aReg)).toBe(false);
+    // The top-level ref keeps its register in both blocks
+    expect(main).toMatch(/^move r(\d+) 0\n/);
+    const totalReg = main.match(/^move (r\d+) 0\n/)[1];
+    expect(callee).toContain(`move ${totalReg} r`);
+  });
+
+  test('more than 16 top-level values used by functions keep the overflow on the stack', () => {
+    const refs = Array.from({ length: 17 }, (_, i) => `let c${i} = ref(l(0, "Channel${i}"))`).join('\n');
+    const sum = Array.from({ length: 17 }, (_, i) => `c${i}.contents`).join(' + ');
+    const result = compile(`${refs}\nlet f = x => x + ${sum}\ns(1, "Setting", f(1))`);
+    expect(result.TAG).toBe('Ok');
+    const asm = result._0;
+    expect(asm).not.toMatch(/r1[6-9]/);
+    // main stores the value in its slot, the function reads it back from the same slot
+    const slot = asm.match(/^poke (\d+) r\d+$/m)[1];
+    expect(asm.slice(asm.indexOf('f:\n'))).toMatch(new RegExp(`^get r\\d+ db ${slot}$`, 'm'));
+  });
+});
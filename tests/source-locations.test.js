@@ -0,0 +1,92 @@
+const { compile } = require('../src/compiler/Compiler.res.js');
+
+describe('Source locations in errors', () => {
+  test('lexer errors point at the offending character', () => {
+    const result = compile('let x = 5\nlet y = 3 $ 4');
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain('<input>:2:11:');
+    expect(result._0).toContain('Unexpected character: $');
+    expect(result._0).toContain('> 2 | let y = 3 $ 4');
+    expect(result._0).toContain('  |           ^');
+  });
+
+  test('an unterminated block comment is reported where it opens', () => {
+    const result = compile('let x = 1\n/* never closed\nlet y = 2');
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain('<input>:2:1: [Lexer.res][tokenize]<-Unterminated block comment');
+    expect(result._0).toContain('> 2 | /* never closed');
+    expect(result._0).toContain('    | ^^');
+  });
+
+  test('parser errors point at the unexpected token', () => {
+    const result = compile('let x = 5\nlet = 3');
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain('<input>:2:5:');
+    expect(result._0).toContain("expected identifier after 'let'");
+  });
+
+  test('code generation errors point at the innermost statement', () => {
+    const input = `let limit = 500
+while true {
+  let t = l(d0)
+  %raw("yield")
+}`;
+    const result = compile(input);
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain('<input>:3:3:');
+    expect(result._0).toContain('l() expects 2 arguments');
+    expect(result._0).toContain('  2 | while true {');
+    expect(result._0).toContain('> 3 |   let t = l(d0)');
+    expect(result._0).toContain('    |   ^^^^^^^^^^^^^');
+    expect(result._0).toContain('  4 |   %raw("yield")');
+  });
+
+  test('errors inside else-if chains point at the nested branch', () => {
+    const input = `let x = 1
+if x > 0 {
+  let a = 1
+} else if x < 0 {
+  let b = missing
+}`;
+    const result = compile(input);
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain('<input>:5:3:');
+    expect(result._0).toContain("Variable 'missing' not found");
+  });
+
+  test('backend errors point at the statement that triggered them', () => {
+    // 17 values live across a recursive call are saved around it, so none can be spilled
+    const lets = Array.from({ length: 17 }, (_, i) => `  let v${i} = l(0, "Channel${i}")`);
+    const sum = Array.from({ length: 17 }, (_, i) => `v${i}`).join(' + ');
+    const input = ['let rec f = n => {', ...lets, '  if n > 0 {', '    f(n - 1)', '  }', `  s(1, "Setting", ${sum})`, '}', 'f(3)'].join('\n');
+    const result = compile(input);
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain('<input>:18:3:');
+    expect(result._0).toContain('exceeded 16 physical registers');
+  });
+
+  test('recursion without a way out points at an expression body', () => {
+    const result = compile('let rec loop = n => loop(n)\nloop(1)');
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain("<input>:1:21: Function 'loop' calls itself on every path");
+    expect(result._0).toContain('> 1 | let rec loop = n => loop(n)');
+    expect(result._0).toContain('    |                     ^^^^^^^');
+  });
+
+  test('file name from options is used in the error header', () => {
+    const result = compile('let = 1', {
+      includeComments: false,
+      debugAST: false,
+      backend: 'IC10',
+      filename: 'furnace.res',
+    });
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toMatch(/^furnace\.res:1:5: /);
+  });
+
+  test('successful compilation output is unchanged by span tracking', () => {
+    const result = compile('type s = A | B\ntype t = C | D(int)\nlet r = ref(A)\nlet q = ref(C)');
+    expect(result.TAG).toBe('Ok');
+    expect(result._0.split('\n')[0]).toBe('move sp 4');
+  });
+});
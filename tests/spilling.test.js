@@ -0,0 +1,80 @@
+const { compile } = require('../src/compiler/Compiler.res.js');
+
+// `count` readings that are all used at the end, so they are live at the same time
+const readings = (count, indent = '') => {
+  const lets = Array.from({ length: count }, (_, i) => `${indent}let v${i} = l(0, "Channel${i}")`).join('\n');
+  const sum = Array.from({ length: count }, (_, i) => `v${i}`).join(' + ');
+  return { lets, sum };
+};
+
+describe('register spilling', () => {
+  test('values that do not fit in registers are kept on the stack', () => {
+    const { lets, sum } = readings(18);
+    const result = compile(`${lets}\ns(1, "Setting", ${sum})`);
+    expect(result.TAG).toBe('Ok');
+    const asm = result._0;
+    expect(asm).toMatch(/^move sp \d+\n/);
+    // A spilled value is stored after its definition and read back before its use
+    expect(asm).toMatch(/l r(\d+) d0 Channel0\npoke 0 r\1\n/);
+    expect(asm).toMatch(/get r\d+ db 0\n/);
+    expect(asm).not.toMatch(/r1[6-9]/);
+  });
+
+  test('spill slots follow the segments reserved for arrays', () => {
+    const { lets, sum } = readings(18);
+    const result = compile(`let a = [1, 2, 3]\n${lets}\ns(1, "Setting", ${sum} + a[2])`);
+    expect(result.TAG).toBe('Ok');
+    const asm = result._0;
+    const reserved = Number(asm.match(/^move sp (\d+)\n/)[1]);
+    expect(reserved).toBeGreaterThan(3);
+    expect(asm).toContain('poke 0 1\npoke 1 2\npoke 2 3\n');
+    expect(asm).toMatch(/l r(\d+) d0 Channel0\npoke 3 r\1\n/);
+    expect(asm).toMatch(/get r\d+ db 2\n/);
+  });
+
+  test('values used inside a loop stay in registers', () => {
+    const { lets, sum } = readings(16);
+    const input = `
+      let hot = l(0, "Pressure")
+      ${lets}
+      let n = ref(0)
+      while n.contents < 10 {
+        n := n.contents + hot
+      }
+      s(1, "Setting", ${sum} + n.contents + hot)
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    const asm = result._0;
+    const loop = asm.slice(asm.indexOf('label0:'), asm.indexOf('label1:'));
+    expect(loop).not.toMatch(/get |poke /);
+  });
+
+  test('a top-level ref kept on the stack has one slot for every block', () => {
+    const refs = Array.from({ length: 17 }, (_, i) => `let c${i} = ref(l(0, "Channel${i}"))`).join('\n');
+    const bumps = Array.from({ length: 17 }, (_, i) => `  c${i} := c${i}.contents + 1`).join('\n');
+    const sum = Array.from({ length: 17 }, (_, i) => `c${i}.contents`).join(' + ');
+    const result = compile(`${refs}\nlet bump = () => {\n${bumps}\n}\nbump()\ns(1, "Setting", ${sum})`);
+    expect(result.TAG).toBe('Ok');
+    const asm = result._0;
+    expect(asm).not.toMatch(/r1[6-9]/);
+    const main = asm.slice(0, asm.indexOf('bump:\n'));
+    const bump = asm.slice(asm.indexOf('bump:\n'));
+    const slot = main.match(/^poke (\d+) r\d+$/m)[1];
+    // The function reads and updates the slot; main reads the update after the call
+    expect(bump).toMatch(new RegExp(`get r(\\d+) db ${slot}\nadd r\\1 r\\1 1\npoke ${slot} r\\1\n`));
+    expect(main.slice(main.indexOf('jal bump'))).toMatch(new RegExp(`^get r\\d+ db ${slot}$`, 'm'));
+  });
+
+  test('a function spills its own values into its own slots', () => {
+    const { lets, sum } = readings(17, '  ');
+    const input = `let f = x => {\n${lets}\n  x + ${sum}\n}\ns(1, "Setting", f(l(0, "On")))`;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    const asm = result._0;
+    expect(asm).toMatch(/^move sp \d+\n/);
+    const body = asm.slice(asm.indexOf('f:\n'));
+    expect(body).toMatch(/poke \d+ r\d+\n/);
+    expect(body).toMatch(/get r\d+ db \d+\n/);
+  });
+});
@@ -0,0 +1,123 @@
+const { compile } = require('../src/compiler/Compiler.res.js');
+
+// Compile and collect the warnings printed along the way
+const compileWithWarnings = (input) => {
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  try {
+    const result = compile(input);
+    return { result, warnings: warn.mock.calls.map((args) => args.join(' ')) };
+  } finally {
+    warn.mockRestore();
+  }
+};
+
+describe('switch exhaustiveness and redundancy', () => {
+  test('a switch that misses constructors is an error naming them', () => {
+    const input = `type state = Idle | Heat(int) | Purge
+let state = ref(Idle)
+switch state.contents {
+| Idle => s(1, "On", 0)
+}`;
+    const { result } = compileWithWarnings(input);
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain("Switch on 'state' is not exhaustive: missing Heat, Purge");
+    expect(result._0).toContain('<input>:3:1:');
+  });
+
+  test('covering every constructor compiles without warnings', () => {
+    const input = `type state = Idle | Heat(int) | Purge
+let state = ref(Idle)
+switch state.contents {
+| Idle | Purge => s(1, "On", 0)
+| Heat(t) => s(1, "Setting", t)
+}`;
+    const { result, warnings } = compileWithWarnings(input);
+    expect(result.TAG).toBe('Ok');
+    expect(warnings).toEqual([]);
+  });
+
+  test('a _ case makes a switch exhaustive', () => {
+    const input = `type state = Idle | Heat(int) | Purge
+let state = ref(Idle)
+switch state.contents {
+| Heat(t) => s(1, "Setting", t)
+| _ => s(1, "On", 0)
+}`;
+    const { result, warnings } = compileWithWarnings(input);
+    expect(result.TAG).toBe('Ok');
+    expect(warnings).toEqual([]);
+  });
+
+  test('a constructor matched twice is a warning', () => {
+    const input = `type state = Idle | Purge
+let state = ref(Idle)
+switch state.contents {
+| Idle => s(1, "On", 0)
+| Purge | Idle => s(1, "On", 1)
+}`;
+    const { result, warnings } = compileWithWarnings(input);
+    expect(result.TAG).toBe('Ok');
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0]).toContain("<input>:5:1: warning: Constructor 'Idle' in case 2 is already matched by an earlier case");
+  });
+
+  test('cases after _ and a _ after every constructor are unreachable', () => {
+    const input = `type state = Idle | Purge
+let state = ref(Idle)
+switch state.contents {
+| Idle | Purge => s(1, "On", 0)
+| _ => s(1, "On", 1)
+| Idle => s(1, "On", 2)
+}`;
+    const { result, warnings } = compileWithWarnings(input);
+    expect(result.TAG).toBe('Ok');
+    expect(warnings).toHaveLength(2);
+    expect(warnings[0]).toContain("The '_' case is unreachable: every constructor of 'state' is already matched");
+    expect(warnings[0]).toContain('<input>:5:1:');
+    expect(warnings[1]).toContain("<input>:6:1: warning: Case 3 is unreachable: an earlier '_' case matches every value");
+    expect(warnings[1]).toContain('> 6 | | Idle => s(1, "On", 2)\n    | ^^^^^^^^^^^^^^^^^^^^^^^');
+  });
+
+  test('duplicate number patterns are warnings; number switches need no _', () => {
+    const input = `let mode = l(0, "Mode")
+switch mode {
+| 0 => s(1, "On", 0)
+| 1 | 0 => s(1, "On", 1)
+}`;
+    const { result, warnings } = compileWithWarnings(input);
+    expect(result.TAG).toBe('Ok');
+    expect(warnings).toHaveLength(1);
+    expect(warnings[0]).toContain('Pattern 0 in case 2 is already matched by an earlier case');
+  });
+
+  test('constructors of another type are rejected', () => {
+    const input = `type state = Idle | Purge
+type mode = Day | Night
+let state = ref(Idle)
+switch state.contents {
+| Idle => s(1, "On", 0)
+| Night => s(1, "On", 1)
+}`;
+    const { result } = compileWithWarnings(input);
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain("Constructor 'Night' belongs to type 'mode', but this switch matches 'state'");
+    expect(result._0).toContain('<input>:6:1:');
+  });
+
+  test('nested switches are checked too', () => {
+    const input = `type state = Idle | Purge
+type mode = Day | Night
+let state = ref(Idle)
+let mode = ref(Day)
+switch state.contents {
+| Idle =>
+  switch mode.contents {
+  | Day => s(1, "On", 0)
+  }
+| Purge => s(1, "On", 1)
+}`;
+    const { result } = compileWithWarnings(input);
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain("Switch on 'mode' is not exhaustive: missing Night");
+  });
+});
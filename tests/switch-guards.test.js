@@ -0,0 +1,127 @@
+const { compile } = require('../src/compiler/Compiler.res.js');
+
+describe('switch guards and nested switches', () => {
+  test('a failed guard resumes matching after its own patterns', () => {
+    const input = `
+      type state = Idle | Heating(int)
+      let state = ref(Heating(5))
+      switch state.contents {
+      | Heating(t) when t > 500 => s(1, "On", 0)
+      | Heating(t) => s(1, "Setting", t)
+      | Idle => s(1, "On", 1)
+      }
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    const asm = result._0;
+    // Dispatch: the guarded case's patterns, then its resume label, then the other cases
+    expect(asm).toMatch(/beq r(\d+) 1 (match_case_\d+)\n(match_next_\d+):\nbeq r\1 1 match_case_\d+\n/);
+    // The guard reads the payload and jumps back when false
+    expect(asm).toMatch(/match_case_1:\nget r(\d+) db 2\n(.*\n)*?ble r\1 500 match_next_2\ns d1 On 0\n/);
+  });
+
+  test('guards work on number switches', () => {
+    const input = `
+      let mode = l(0, "Mode")
+      let t = l(1, "Temperature")
+      switch mode {
+      | 1 when t > 300 => s(2, "On", 0)
+      | 1 | 2 => s(2, "On", 1)
+      | _ => s(2, "On", 2)
+      }
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toMatch(/beq r0 1 (match_case_\d+)\n(match_next_\d+):\n(.*\n)*\1:\n(.*\n)*?ble r1 300 \2\ns d2 On 0\n/);
+  });
+
+  test('a guarded case does not make a switch exhaustive', () => {
+    const input = `
+      type state = Idle | Heating(int)
+      let state = ref(Idle)
+      switch state.contents {
+      | Heating(t) when t > 500 => s(1, "On", 0)
+      | Idle => s(1, "On", 1)
+      }
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain("Switch on 'state' is not exhaustive: missing Heating");
+  });
+
+  test('an inner switch can use the outer case bindings', () => {
+    const input = `
+      type state = Idle | Heating(int)
+      type mode = Day | Night(int)
+      let state = ref(Heating(5))
+      let mode = ref(Day)
+      switch state.contents {
+      | Heating(t) =>
+        switch mode.contents {
+        | Night(offset) when offset > 0 => s(1, "Setting", t - offset)
+        | _ => s(1, "Setting", t)
+        }
+      | Idle => s(1, "On", 0)
+      }
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    const asm = result._0;
+    // Heating's payload lives at 2, Night's at 4 (mode's segment starts at 3)
+    expect(asm).toMatch(/get r(\d+) db 2\nget r(\d+) db 3\n/);
+    // A failed guard falls back to the inner `_` case (the resume label is threaded away)
+    expect(asm).toMatch(/get r(\d+) db 5\n(.*\n)*?ble r\1 0 match_case_\d+\n(.*\n)*?sub r\d+ r\d+ r\1\n/);
+    // The stack pointer is set once, up front
+    expect(asm.match(/move sp/g)).toHaveLength(1);
+  });
+
+  test('nested switches can produce values', () => {
+    const input = `
+      type state = Idle | Heating(int)
+      let state = ref(Heating(5))
+      let m = l(0, "Mode")
+      let v = switch state.contents {
+      | Heating(t) =>
+        switch m {
+        | 0 => t
+        | _ => 0
+        }
+      | Idle => 1
+      }
+      s(1, "Setting", v)
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toMatch(/s d1 Setting r\d+/);
+  });
+
+  test('bindings are scoped to their case', () => {
+    const input = `
+      type state = Idle | Heating(int)
+      let state = ref(Idle)
+      switch state.contents {
+      | Heating(t) => s(1, "Setting", t)
+      | Idle => s(1, "Setting", t)
+      }
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain("'t'");
+  });
+
+  test('a binding shadows a constant of the same name', () => {
+    const input = `
+      type state = Idle | Heating(int)
+      let t = 100
+      let state = ref(Heating(5))
+      switch state.contents {
+      | Heating(t) => s(1, "Setting", t)
+      | Idle => s(1, "Setting", t)
+      }
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toMatch(/get r(\d+) db 2\n(.*\n)*?s d1 Setting r\1\n/);
+    expect(result._0).toContain('s d1 Setting 100');
+  });
+});
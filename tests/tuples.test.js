@@ -0,0 +1,75 @@
+const { compile } = require('../src/compiler/Compiler.res.js');
+
+describe('tuples', () => {
+  test('a function returns several readings through its result segment', () => {
+    const input = `
+      let readFurnace = () => (l(0, "Temperature"), l(0, "Pressure"))
+      let (t, p) = readFurnace()
+      s(1, "Setting", t)
+      s(2, "Setting", p)
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    const asm = result._0;
+    expect(asm.split('\n')[0]).toBe('move sp 2');
+    expect(asm).toMatch(/jal readFurnace\nget r(\d+) db 0\nget r(\d+) db 1\n(.*\n)*s d1 Setting r\1\n(.*\n)*s d2 Setting r\2/);
+    expect(asm).toMatch(/readFurnace:\nl r(\d+) d0 Temperature\nl r(\d+) d0 Pressure\npoke 0 r\1\npoke 1 r\2\nj ra/);
+  });
+
+  test('a destructured literal keeps its elements in registers', () => {
+    const result = compile('let (a, _) = (l(0, "On"), 2)\nlet (b, c) = (a, 3)\ns(1, "On", b + c)');
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).not.toContain('move sp');
+    expect(result._0).toMatch(/l r(\d+) d0 On\n(.*\n)*add r(\d+) r\1 3\ns d1 On r\3/);
+  });
+
+  test('a tuple argument is passed as its elements', () => {
+    const input = `
+      let sum = pair => {
+        let (a, b) = pair
+        a + b
+      }
+      s(1, "On", sum((1, l(0, "On"))))
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    const asm = result._0;
+    expect(asm).toMatch(/push 1\npush r\d+\njal sum\n/);
+    expect(asm).toMatch(/sum:\npop r(\d+)\npop r(\d+)\n(.*\n)*add r(\d+) r\2 r\1\npush r\4\nj ra/);
+  });
+
+  test('a tuple ref keeps its elements in a stack segment', () => {
+    const input = `
+      let last = ref((0, 0))
+      last := (l(0, "Temperature"), l(0, "Pressure"))
+      let (t, p) = last.contents
+      s(1, "Setting", p)
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    const asm = result._0;
+    expect(asm).toContain('poke 0 0\npoke 1 0\n');
+    expect(asm).toMatch(/get r\d+ db 0\nget r(\d+) db 1\n(.*\n)*s d1 Setting r\1/);
+  });
+
+  test('the pattern must match the tuple', () => {
+    let result = compile('let (a, b) = (1, 2, 3)');
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain("Expected a value of type '(int, int)', but got '(int, int, int)'");
+    expect(result._0).toContain('<input>:1:1:');
+
+    result = compile('let (a, b) = l(0, "On")');
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain("Expected a tuple of type '(int, int)'");
+  });
+
+  test('tuples and numbers cannot be mixed up', () => {
+    let result = compile('let x = (1, 2)\ns(1, "On", x)');
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain("Expected a number, but 'x' is a tuple of type '(int, int)'; destructure it with let");
+
+    result = compile('let x = (1, 2)\ns(1, "On", x.temp)');
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain("A tuple has no field 'temp'");
+  });
+});
@@ -0,0 +1,66 @@
+const { compile } = require('../src/compiler/Compiler.res.js');
+
+describe('several refs of the same variant type', () => {
+  test('each ref gets its own stack segment', () => {
+    const input = `
+      type state = Idle | Heating(int)
+      let a = ref(Idle)
+      let b = ref(Heating(3))
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    const asm = result._0;
+    // Two segments of 3 slots (tag, Idle's unused slot, Heating's argument), reserved up front
+    expect(asm.split('\n')[0]).toBe('move sp 6');
+    expect(asm).toContain('poke 0 0');
+    expect(asm).toContain('poke 3 1\n');
+    expect(asm).toContain('poke 5 3');
+  });
+
+  test('assignments and switches use the ref’s own segment', () => {
+    const input = `
+      type state = Idle | Heating(int)
+      let a = ref(Idle)
+      let b = ref(Idle)
+      b := Heating(7)
+      switch b.contents {
+      | Heating(t) => s(1, "Setting", t)
+      | Idle => a := Heating(1)
+      }
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    const asm = result._0;
+    expect(asm).toMatch(/poke 3 1\n(move r\d+ 7\n)?poke 5 7/);
+    expect(asm).toMatch(/get r(\d+) db 3\nbeq r\1 1 match_case_\d+/);
+    expect(asm).toMatch(/get r(\d+) db 5\n(.*\n)*?s d1 Setting r\1/);
+    expect(asm).toMatch(/poke 0 1\n(move r\d+ 1\n)?poke 2 1/);
+  });
+
+  test('refs of different types still get consecutive segments', () => {
+    const result = compile('type s = A | B\ntype t = C | D(int)\nlet r = ref(A)\nlet q = ref(D(4))\nlet p = ref(B)');
+    expect(result.TAG).toBe('Ok');
+    expect(result._0.split('\n')[0]).toBe('move sp 5');
+    expect(result._0).toContain('poke 3 4\n');
+    expect(result._0).toContain('poke 4 1');
+  });
+
+  test('a type without refs reserves no stack', () => {
+    const result = compile('type state = Idle | Heating(int)\nlet t = l(0, "Temperature")');
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).not.toContain('move sp');
+  });
+
+  test('assigning a constructor of another type is an error', () => {
+    const result = compile('type state = Idle | Heating(int)\ntype mode = Day\nlet a = ref(Idle)\na := Day');
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain("Constructor 'Day' does not belong to type 'state'");
+    expect(result._0).toContain('<input>:4:1:');
+  });
+
+  test('constructor arguments must match the declaration', () => {
+    const result = compile('type state = Idle | Heating(int)\nlet a = ref(Heating(1, 2))');
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain("Constructor 'Heating' expects 1 argument(s), but got 2");
+  });
+});
@@ -0,0 +1,126 @@
+const { compile } = require('../src/compiler/Compiler.res.js');
+
+describe('variant values outside refs', () => {
+  test('a let binding holds a variant in registers and can be switched on', () => {
+    const input = `
+      type state = Idle | Heating(int)
+      let v = Heating(l(0, "Temperature"))
+      switch v {
+      | Idle => s(1, "On", 0)
+      | Heating(t) => s(1, "Setting", t)
+      }
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    const asm = result._0;
+    // No stack segment: the tag and payload never leave registers
+    expect(asm).not.toContain('move sp');
+    expect(asm).not.toMatch(/poke|get r\d+ db/);
+    expect(asm).toMatch(/l r(\d+) d0 Temperature\n(.*\n)*s d1 Setting r\1/);
+  });
+
+  test('a variant argument is passed as its tag followed by its payload', () => {
+    const input = `
+      type state = Idle | Heating(int)
+      let temp = s => switch s {
+      | Idle => 0
+      | Heating(t) => t
+      }
+      let v = Heating(3)
+      s(1, "Setting", temp(v))
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    const asm = result._0;
+    expect(asm).toContain('push 1\npush 3\njal temp\n');
+    // The callee pops the payload first, then switches on the tag
+    expect(asm).toMatch(/temp:\npop r(\d+)\npop r(\d+)\nbeq r\2 0 match_case_\d+\nbeq r\2 1 match_case_\d+/);
+    expect(asm).toMatch(/move r(\d+) r\d+\nmatch_end_0:\npush r\1\nj ra/);
+  });
+
+  test('a function returning a variant leaves it in its result segment', () => {
+    const input = `
+      type state = Idle | Heating(int)
+      let next = t => if t > 10 { Idle } else { Heating(t + 1) }
+      let st = ref(Idle)
+      st := next(l(0, "Temperature"))
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    const asm = result._0;
+    // Result segment (slots 0-2) and the ref's segment (slots 3-5)
+    expect(asm.split('\n')[0]).toBe('move sp 6');
+    // The callee stores the tag, then the payload in the slots its tag selects
+    expect(asm).toMatch(/label1:\npoke 0 r(\d+)\nadd r(\d+) r\1 1\npoke r\2 r\d+\nj ra/);
+    // The caller copies the result into the ref
+    expect(asm).toMatch(/jal next\nget r(\d+) db 0\nadd r(\d+) r\1 1\nget r(\d+) db r\2\npoke 3 r\1\nadd r(\d+) r\1 4\npoke r\4 r\3\n/);
+  });
+
+  test('a state machine step function drives a ref', () => {
+    const input = `
+      type state = Idle | Heating(int)
+      let step = s => switch s {
+      | Idle => Heating(5)
+      | Heating(_) => Idle
+      }
+      let st = ref(Idle)
+      st := step(st.contents)
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    const asm = result._0;
+    // The ref's value is read out of its segment and passed as tag and payload
+    expect(asm).toMatch(/get r(\d+) db 3\nadd r(\d+) r\1 4\nget r(\d+) db r\2\npush r\1\npush r\3\njal step/);
+    expect(asm).toMatch(/step:\npop r\d+\npop r\d+\n/);
+  });
+
+  test('ref() and := accept any variant value', () => {
+    const input = `
+      type state = Idle | Heating(int)
+      let v = if l(0, "On") > 0 { Heating(2) } else { Idle }
+      let r = ref(v)
+      r := Idle
+    `;
+    const result = compile(input);
+    expect(result.TAG).toBe('Ok');
+    const asm = result._0;
+    expect(asm).toMatch(/label1:\n(move r\d+ 0\n)?poke 0 r(\d+)\nadd r(\d+) r\2 1\npoke r\3 r\d+\n/);
+    expect(asm).toContain('poke 0 0');
+  });
+
+  test('a variant cannot be used as a number', () => {
+    let result = compile('type state = Idle | Heating(int)\nlet v = Heating(3)\ns(1, "On", v + 1)');
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain("Expected a number, but 'v' is a variant of type 'state'; use switch to read it");
+    expect(result._0).toContain('<input>:3:1:');
+
+    result = compile('type state = Idle | Heating(int)\nlet mk = t => Heating(t)\ns(1, "On", mk(2))');
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain("the result of 'mk' is a variant of type 'state'");
+  });
+
+  test('variant types are checked at calls and assignments', () => {
+    let result = compile(
+      'type state = Idle | Heating(int)\ntype mode = Off | On\nlet f = m => switch m { | Off => 0 | On => 1 }\ns(1, "On", f(Heating(3)))',
+    );
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain("Constructor 'Heating' does not belong to type 'mode'");
+
+    result = compile('type state = Idle | Heating(int)\nlet v = 5\nlet r = ref(Idle)\nr := v');
+    expect(result.TAG).toBe('Error');
+    expect(result._0).toContain("Expected a value of variant type 'state', but 'v' is a number");
+  });
+
+  test('WASM backend addresses the stack with computed offsets', () => {
+    const input = `
+      type state = Idle | Heating(int)
+      let next = t => if t > 10 { Idle } else { Heating(t + 1) }
+      let st = ref(Idle)
+      st := next(l(0, "Temperature"))
+    `;
+    const result = compile(input, { includeComments: false, debugAST: false, backend: 'WASM' });
+    expect(result.TAG).toBe('Ok');
+    expect(result._0).toContain('(func $next (param $v0 f64)');
+    expect(result._0).toMatch(/\(i32\.trunc_f64_s\)\n\s*\(i32\.const 8\)\n\s*\(i32\.mul\)\n\s*\(f64\.load\)/);
+  });
+});
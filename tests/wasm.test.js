@@ -29,7 +29,7 @@ let c = a + b`;
 
         const output = result._0;
         expect(output).toContain('(module');
-        expect(output).toContain('(i32.add)');
+        expect(output).toContain('(f64.add)');
         expect(output).toContain('(local.set');
     });
 
@@ -42,7 +42,7 @@ let z = x < y`;
         expect(result.TAG).toBe('Ok');
 
         const output = result._0;
-        expect(output).toContain('(i32.lt_s)');
+        expect(output).toContain('(f64.lt)');
     });
 
     test('if statement', () => {
@@ -85,10 +85,10 @@ let quot = a / b`;
         expect(result.TAG).toBe('Ok');
 
         const output = result._0;
-        expect(output).toContain('(i32.add)');
-        expect(output).toContain('(i32.sub)');
-        expect(output).toContain('(i32.mul)');
-        expect(output).toContain('(i32.div_s)');
+        expect(output).toContain('(f64.add)');
+        expect(output).toContain('(f64.sub)');
+        expect(output).toContain('(f64.mul)');
+        expect(output).toContain('(f64.div)');
     });
 
     test('local variable allocation', () => {
@@ -102,7 +102,7 @@ let z = x + y`;
         const output = result._0;
         // Should have local variable declarations
         expect(output).toContain('(local $v');
-        expect(output).toContain('i32)');
+        expect(output).toContain('f64)');
     });
 
     test('constant folding in WASM', () => {
@@ -125,8 +125,8 @@ let z = (x + y) * 2`;
         expect(result.TAG).toBe('Ok');
 
         const output = result._0;
-        expect(output).toContain('(i32.add)');
-        expect(output).toContain('(i32.mul)');
+        expect(output).toContain('(f64.add)');
+        expect(output).toContain('(f64.mul)');
     });
 
     test('multiple comparison operators', () => {
@@ -139,8 +139,8 @@ let gt = a > 5`;
         expect(result.TAG).toBe('Ok');
 
         const output = result._0;
-        expect(output).toContain('(i32.lt_s)');
-        expect(output).toContain('(i32.gt_s)');
+        expect(output).toContain('(f64.lt)');
+        expect(output).toContain('(f64.gt)');
     });
 
     test('variant types with stack operations', () => {
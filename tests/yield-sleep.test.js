@@ -0,0 +1,58 @@
+const Compiler = require('../src/compiler/Compiler.res.js');
+const { wasmOptions } = require('./options');
+
+describe('yield and sleep', () => {
+    test('yield() and sleep(seconds) are the IC10 instructions', () => {
+        const input = `
+            while true {
+                s(1, "Setting", l(0, "Temperature"))
+                sleep(l(0, "Setting") * 2)
+                sleep(3)
+                yield()
+            }
+        `;
+        const result = Compiler.compile(input);
+        expect(result.TAG).toBe('Ok');
+        expect(result._0).toMatch(/mul r(\d+) r\d+ 2\nsleep r\1\nsleep 3\nyield\nj label0$/);
+    });
+
+    test('wrong arguments are an error', () => {
+        let result = Compiler.compile('yield(1)');
+        expect(result.TAG).toBe('Error');
+        expect(result._0).toContain('yield() expects no arguments');
+
+        result = Compiler.compile('sleep()');
+        expect(result.TAG).toBe('Error');
+        expect(result._0).toContain('sleep() expects 1 argument');
+    });
+
+    test('a function of the same name takes precedence', () => {
+        const result = Compiler.compile('let sleep = x => s(1, "On", x)\nsleep(1)');
+        expect(result.TAG).toBe('Ok');
+        expect(result._0).toContain('jal sleep');
+        expect(result._0).not.toMatch(/^sleep /m);
+    });
+
+    test('every l() reads the device again', () => {
+        const input = `
+            while true {
+                let a = l(0, "Temperature")
+                let b = l(0, "Temperature") * 2
+                s(1, "Setting", a + b)
+                yield()
+            }
+        `;
+        const result = Compiler.compile(input);
+        expect(result.TAG).toBe('Ok');
+        expect(result._0.match(/l r\d+ d0 Temperature/g)).toHaveLength(2);
+    });
+
+    test('WASM imports yield and sleep from the host', () => {
+        const result = Compiler.compile('yield()\nsleep(2)', wasmOptions);
+        expect(result.TAG).toBe('Ok');
+        const wat = result._0;
+        expect(wat).toContain('(import "IC10" "yield" (func $IC10.yield))');
+        expect(wat).toContain('(import "IC10" "sleep" (func $IC10.sleep (param f64)))');
+        expect(wat).toMatch(/\(call \$IC10\.yield\)\n\s*\(f64\.const 2\)\n\s*\(call \$IC10\.sleep\)/);
+    });
+});